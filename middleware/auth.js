@@ -0,0 +1,69 @@
+const rateLimit = require('express-rate-limit');
+const { findApiKey, DEFAULT_QUOTAS } = require('../services/auth');
+
+// Anonymous callers
+const PUBLIC_CALLER = { keyId: null, name: null, role: 'public', quota: DEFAULT_QUOTAS.public };
+
+/**
+ * Identify the caller from `Authorization: Bearer <key>` or `X-API-Key: <key>`
+ * Sets req.auth; requests without a key are public, an invalid key is rejected
+ */
+async function authenticate(req, res, next) {
+    try {
+        const header = req.get('authorization');
+        const key = header?.startsWith('Bearer ') ? header.slice(7).trim() : req.get('x-api-key');
+
+        if (!key) {
+            req.auth = PUBLIC_CALLER;
+            return next();
+        }
+
+        const caller = await findApiKey(key);
+
+        if (!caller) {
+            return res.status(401).json({ error: 'Invalid or revoked API key' });
+        }
+
+        req.auth = caller;
+        next();
+
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Only allow callers with one of the given roles
+ */
+function requireRole(...roles) {
+    return (req, res, next) => {
+        const role = req.auth?.role || 'public';
+
+        if (roles.includes(role)) {
+            return next();
+        }
+
+        res.status(role === 'public' ? 401 : 403).json({
+            error: role === 'public' ? 'API key required' : 'Insufficient permissions'
+        });
+    };
+}
+
+/**
+ * Per-caller quota: each API key gets its own 15-minute window sized by
+ * its quota (or role default); anonymous callers are limited per IP
+ */
+const quotaLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: (req) => req.auth?.quota || DEFAULT_QUOTAS.public,
+    keyGenerator: (req) => (req.auth?.keyId ? `key:${req.auth.keyId}` : `ip:${req.ip}`),
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: { error: 'Quota exceeded, please try again later.' }
+});
+
+module.exports = {
+    authenticate,
+    requireRole,
+    quotaLimiter
+};
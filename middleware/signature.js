@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+
+// Reject signed requests whose timestamp is further than this from now (replay protection)
+const TOLERANCE_SECONDS = parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS) || 300;
+
+/**
+ * Compute the signature for a webhook payload
+ * Senders sign `<timestamp>.<raw body>` with HMAC-SHA256 and send
+ * `X-Magnet-Signature: t=<unix seconds>,v1=<hex digest>`
+ */
+function signPayload(secret, timestamp, rawBody) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+}
+
+/**
+ * Parse `t=...,v1=...` into { timestamp, signatures }
+ */
+function parseSignatureHeader(header) {
+    const parts = String(header || '').split(',').map(part => part.trim().split('='));
+    const timestamp = parseInt(parts.find(([key]) => key === 't')?.[1]);
+    const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+    return { timestamp, signatures };
+}
+
+/**
+ * Only allow requests signed with the secret in the given environment variable
+ * Requires express.json to keep the raw body on req.rawBody
+ * @param {string} secretEnv - Name of the environment variable holding the secret
+ */
+function verifySignature(secretEnv) {
+    return (req, res, next) => {
+        const secret = process.env[secretEnv];
+
+        if (!secret) {
+            return res.status(503).json({ error: `Webhook not configured (${secretEnv} is not set)` });
+        }
+
+        const { timestamp, signatures } = parseSignatureHeader(req.get('x-magnet-signature'));
+
+        if (!timestamp || signatures.length === 0) {
+            return res.status(401).json({ error: 'Missing or malformed X-Magnet-Signature header' });
+        }
+
+        if (Math.abs(Date.now() / 1000 - timestamp) > TOLERANCE_SECONDS) {
+            return res.status(401).json({ error: 'Signature timestamp outside the allowed window' });
+        }
+
+        const expected = Buffer.from(signPayload(secret, timestamp, req.rawBody || ''));
+        const valid = signatures.some(signature => {
+            const given = Buffer.from(signature);
+            return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+        });
+
+        if (!valid) {
+            return res.status(401).json({ error: 'Invalid signature' });
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    verifySignature,
+    signPayload
+};
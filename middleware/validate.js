@@ -0,0 +1,282 @@
+const { resolveIndustry } = require('../services/industries');
+
+// Instagram and TikTok usernames: letters, numbers, periods and underscores, at most 30 characters
+const USERNAME_PATTERN = /^(?!\.)(?!.*\.\.)[a-z0-9._]{1,30}(?<!\.)$/;
+
+// instagram.com paths that aren't profiles
+const RESERVED_PATHS = ['p', 'reel', 'reels', 'tv', 'explore', 'accounts', 'direct', 'stories'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Normalize an Instagram or TikTok username: strips "@", accepts profile URLs
+ * (instagram.com/name, instagram.com/stories/name/..., tiktok.com/@name/...) and lowercases
+ * @returns {string|null} Username, or null when it isn't a valid one
+ */
+function normalizeUsername(value) {
+    let username = String(value).trim();
+
+    const url = username.match(/^(?:https?:\/\/)?(?:[a-z]+\.)?instagram\.com\/([^?#]*)/i);
+    if (url) {
+        const segments = url[1].split('/').filter(Boolean);
+        username = segments[0] === 'stories' ? segments[1] : segments[0];
+        if (!username || RESERVED_PATHS.includes(username.toLowerCase())) return null;
+    }
+
+    // TikTok profile URLs always have the @ (tiktok.com/@name, tiktok.com/@name/video/123)
+    const tiktokUrl = username.match(/^(?:https?:\/\/)?(?:[a-z]+\.)?tiktok\.com\/([^?#]*)/i);
+    if (tiktokUrl) {
+        username = tiktokUrl[1].split('/').filter(Boolean)[0];
+        if (!username || !username.startsWith('@')) return null;
+    }
+
+    username = username.replace(/^@/, '').toLowerCase();
+    return USERNAME_PATTERN.test(username) ? username : null;
+}
+
+/**
+ * String formats: each returns the normalized value, or undefined when invalid
+ */
+const FORMATS = {
+    username: normalizeUsername,
+    industry: (value) => resolveIndustry(value)?.id,
+    email: (value) => (EMAIL_PATTERN.test(value.trim()) ? value.trim() : undefined),
+    // Dates or ISO 8601 timestamps
+    'date-time': (value) => (DATE_PATTERN.test(value) && !isNaN(new Date(value)) ? value : undefined),
+    uuid: (value) => (UUID_PATTERN.test(value.trim()) ? value.trim().toLowerCase() : undefined)
+};
+
+const FORMAT_MESSAGES = {
+    username: 'must be an Instagram or TikTok username or profile URL',
+    industry: 'must be an industry from GET /api/industries',
+    email: 'must be a valid email address',
+    'date-time': 'must be a date (YYYY-MM-DD) or ISO 8601 timestamp',
+    uuid: 'must be a UUID'
+};
+
+/**
+ * Convert query string / form values to the schema's scalar type where unambiguous
+ */
+function coerce(schema, value) {
+    if (typeof value !== 'string') return value;
+
+    if ((schema.type === 'integer' || schema.type === 'number') && value.trim() !== '' && !isNaN(Number(value))) {
+        return Number(value);
+    }
+    if (schema.type === 'boolean' && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    // Comma-separated lists (?groupBy=source,campaign)
+    if (schema.type === 'array') {
+        return value.split(',').map(item => item.trim()).filter(Boolean);
+    }
+
+    return value;
+}
+
+const TYPE_NAMES = {
+    string: 'a string',
+    number: 'a number',
+    integer: 'an integer',
+    boolean: 'true or false',
+    array: 'an array',
+    object: 'an object'
+};
+
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+};
+
+const matchesType = (type, value) => {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+};
+
+/**
+ * Validate (and normalize) a value against a schema
+ * Supports the JSON Schema subset used in schemas/: type, nullable, properties, required,
+ * additionalProperties, items, enum, minimum (and exclusiveMinimum), maximum, minLength,
+ * maxLength, pattern, format, minItems, maxItems, anyOf and default
+ * @param {Object} schema - Schema
+ * @param {*} value - Value to check
+ * @param {string} field - Path of the value, used in errors ("body.username")
+ * @param {Array<Object>} errors - Collected { field, rule, message } (mutated)
+ * @returns {*} Normalized value (defaults applied, types coerced, formats normalized)
+ */
+function validateSchema(schema, value, field, errors) {
+    const fail = (rule, message) => {
+        errors.push({ field, rule, message: `${field} ${message}` });
+        return value;
+    };
+
+    if (value === undefined) return value;
+    if (value === null) return schema.nullable ? null : fail('type', `must be ${TYPE_NAMES[schema.type] || 'set'}`);
+
+    value = coerce(schema, value);
+
+    if (schema.type && !matchesType(schema.type, value)) {
+        return fail('type', `must be ${TYPE_NAMES[schema.type]}`);
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        return fail('enum', `must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && schema.exclusiveMinimum && value <= schema.minimum) {
+            return fail('minimum', `must be greater than ${schema.minimum}`);
+        }
+        if (schema.minimum !== undefined && value < schema.minimum) return fail('minimum', `must be at least ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) return fail('maximum', `must be at most ${schema.maximum}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+            return fail('minLength', schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            return fail('maxLength', `must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            return fail('pattern', schema['x-message'] || `must match ${schema.pattern}`);
+        }
+        if (schema.format) {
+            const formatted = FORMATS[schema.format](value);
+            if (formatted === undefined || formatted === null) return fail('format', FORMAT_MESSAGES[schema.format]);
+            value = formatted;
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            return fail('minItems', schema.minItems === 1 ? 'must not be empty' : `must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            return fail('maxItems', `must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value = value.map((item, i) => validateSchema(schema.items, item, `${field}[${i}]`, errors));
+        }
+    }
+
+    if (typeOf(value) === 'object' && (schema.properties || schema.required)) {
+        value = validateObject(schema, value, field, errors);
+    }
+
+    if (schema.anyOf) {
+        const passes = schema.anyOf.some(option => {
+            const optionErrors = [];
+            validateSchema(option, value, field, optionErrors);
+            return optionErrors.length === 0;
+        });
+        if (!passes) return fail('anyOf', schema['x-message'] || 'must match one of the allowed forms');
+    }
+
+    return value;
+}
+
+/**
+ * Validate an object's properties, applying defaults
+ * Properties without a schema are kept unless additionalProperties is false
+ */
+function validateObject(schema, value, field, errors) {
+    const prefix = field ? `${field}.` : '';
+    const result = { ...value };
+    const properties = schema.properties || {};
+
+    const missing = (schema.required || []).filter(name => value[name] === undefined || value[name] === null || value[name] === '');
+    for (const name of missing) {
+        errors.push({ field: `${prefix}${name}`, rule: 'required', message: `${prefix}${name} is required` });
+    }
+
+    for (const [name, property] of Object.entries(properties)) {
+        if (missing.includes(name)) continue;
+
+        // Empty values (?industry=) count as missing
+        const raw = value[name] === '' ? undefined : value[name];
+
+        if (raw === undefined) {
+            if (property.default !== undefined) result[name] = property.default;
+            else delete result[name];
+            continue;
+        }
+
+        result[name] = validateSchema(property, raw, `${prefix}${name}`, errors);
+    }
+
+    if (schema.additionalProperties === false) {
+        for (const name of Object.keys(value).filter(name => !properties[name])) {
+            errors.push({ field: `${prefix}${name}`, rule: 'additionalProperties', message: `${prefix}${name} is not allowed` });
+        }
+    }
+
+    return result;
+}
+
+// Request parts an operation can declare schemas for
+const REQUEST_PARTS = ['params', 'query', 'body'];
+
+/**
+ * Formats used in a schema (and its properties, items and anyOf options) that FORMATS can't check
+ * @returns {Array<string>} Paths of the offending schemas ("body.competitors[]")
+ */
+function findUnknownFormats(schema, path) {
+    if (!schema || typeof schema !== 'object') return [];
+
+    return [
+        ...(schema.format && !FORMATS[schema.format] ? [`${path} (${schema.format})`] : []),
+        ...Object.entries(schema.properties || {}).flatMap(([name, property]) => findUnknownFormats(property, `${path}.${name}`)),
+        ...findUnknownFormats(schema.items, `${path}[]`),
+        ...(schema.anyOf || []).flatMap(option => findUnknownFormats(option, path))
+    ];
+}
+
+/**
+ * Validate a request against an operation's params/query/body schemas (see schemas/)
+ * Valid requests continue with normalized values in req.params, req.query and req.body;
+ * invalid ones get a 400 listing every problem as { field, rule, message }
+ * @throws {Error} when a schema uses a format FORMATS doesn't have (it would go unchecked)
+ */
+function validate(operation) {
+    const unknown = REQUEST_PARTS.flatMap(part => findUnknownFormats(operation[part], part));
+    if (unknown.length > 0) {
+        throw new Error(`${operation.method.toUpperCase()} ${operation.path}: unknown format for ${unknown.join(', ')}`);
+    }
+
+    return (req, res, next) => {
+        const errors = [];
+        const normalized = {};
+
+        for (const part of REQUEST_PARTS) {
+            if (!operation[part]) continue;
+            normalized[part] = validateSchema(operation[part], req[part] || {}, part, errors);
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: `Invalid request: ${errors[0].message}${errors.length > 1 ? ` (and ${errors.length - 1} more)` : ''}`,
+                code: 'VALIDATION_ERROR',
+                errors
+            });
+        }
+
+        if (normalized.params) Object.assign(req.params, normalized.params);
+        if (normalized.query) req.query = normalized.query;
+        if (normalized.body) req.body = normalized.body;
+
+        next();
+    };
+}
+
+module.exports = {
+    validate,
+    validateSchema,
+    normalizeUsername,
+    FORMATS,
+    UUID_PATTERN
+};
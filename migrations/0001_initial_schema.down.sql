@@ -0,0 +1,14 @@
+-- Drop every table created by the baseline schema
+
+DROP TABLE IF EXISTS analysis_events;
+DROP TABLE IF EXISTS email_sends;
+DROP TABLE IF EXISTS email_captures;
+DROP TABLE IF EXISTS email_contacts;
+DROP TABLE IF EXISTS api_keys;
+DROP TABLE IF EXISTS insight_rules;
+DROP TABLE IF EXISTS scoring_models;
+DROP TABLE IF EXISTS top_performers;
+DROP TABLE IF EXISTS benchmarks;
+DROP TABLE IF EXISTS posts;
+DROP TABLE IF EXISTS profile_snapshots;
+DROP TABLE IF EXISTS profiles;
@@ -0,0 +1,300 @@
+-- Instagram Performance Analyzer Database Schema
+-- Baseline: idempotent so databases created before migrations existed can adopt it
+
+-- Profiles table (scraped Instagram accounts)
+CREATE TABLE IF NOT EXISTS profiles (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(255) UNIQUE NOT NULL,
+    full_name VARCHAR(255),
+    profile_pic_url TEXT,
+    followers INTEGER DEFAULT 0,
+    following INTEGER DEFAULT 0,
+    posts INTEGER DEFAULT 0,
+    engagement_rate DECIMAL(5,2) DEFAULT 0,
+    avg_likes INTEGER DEFAULT 0,
+    avg_comments INTEGER DEFAULT 0,
+    avg_views INTEGER DEFAULT 0,
+    verified BOOLEAN DEFAULT FALSE,
+    biography TEXT,
+    external_url TEXT,
+    business_category VARCHAR(100),
+
+    -- Targeting/segmentation
+    industry VARCHAR(100),
+    location_city VARCHAR(100),
+    location_state VARCHAR(100),
+    location_country VARCHAR(100),
+    lat DECIMAL(10, 7),
+    lon DECIMAL(10, 7),
+
+    -- Content metrics
+    post_frequency DECIMAL(5,2),
+    stories_per_day DECIMAL(5,2),
+    reel_percentage INTEGER DEFAULT 0,
+
+    -- Metadata
+    last_scraped TIMESTAMP DEFAULT NOW(),
+    scrape_count INTEGER DEFAULT 1,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Profile snapshots (append-only history, one row per scrape)
+CREATE TABLE IF NOT EXISTS profile_snapshots (
+    id SERIAL PRIMARY KEY,
+    profile_id INTEGER REFERENCES profiles(id) ON DELETE CASCADE,
+    username VARCHAR(255) NOT NULL,
+
+    followers INTEGER DEFAULT 0,
+    following INTEGER DEFAULT 0,
+    posts INTEGER DEFAULT 0,
+    engagement_rate DECIMAL(5,2) DEFAULT 0,
+    avg_likes INTEGER DEFAULT 0,
+    avg_comments INTEGER DEFAULT 0,
+    avg_views INTEGER DEFAULT 0,
+    post_frequency DECIMAL(5,2),
+    reel_percentage INTEGER DEFAULT 0,
+
+    scraped_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Posts (individual posts from each scrape)
+CREATE TABLE IF NOT EXISTS posts (
+    id SERIAL PRIMARY KEY,
+    profile_id INTEGER REFERENCES profiles(id) ON DELETE CASCADE,
+    username VARCHAR(255) NOT NULL,
+    shortcode VARCHAR(50) UNIQUE NOT NULL,
+    type VARCHAR(20),
+    url TEXT,
+    posted_at TIMESTAMP,
+
+    likes INTEGER DEFAULT 0,
+    comments INTEGER DEFAULT 0,
+    views INTEGER DEFAULT 0,
+
+    caption TEXT,
+    hashtags TEXT[],
+
+    -- Metadata
+    first_seen TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Email captures (lead generation)
+CREATE TABLE IF NOT EXISTS email_captures (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) NOT NULL,
+    username VARCHAR(255),
+    industry VARCHAR(100),
+    location_city VARCHAR(100),
+    location_state VARCHAR(100),
+    location_country VARCHAR(100),
+
+    -- Performance snapshot
+    overall_score INTEGER,
+    followers INTEGER,
+    engagement_rate DECIMAL(5,2),
+    city_rank INTEGER,
+    state_rank INTEGER,
+    national_rank INTEGER,
+
+    -- Full results JSON
+    results JSONB,
+
+    -- Conversion tracking
+    captured_at TIMESTAMP DEFAULT NOW(),
+    converted_to_magnet_pro BOOLEAN DEFAULT FALSE,
+    conversion_date TIMESTAMP,
+
+    -- Marketing
+    utm_source VARCHAR(100),
+    utm_medium VARCHAR(100),
+    utm_campaign VARCHAR(100)
+);
+
+-- Benchmarks cache (pre-calculated industry/location averages)
+CREATE TABLE IF NOT EXISTS benchmarks (
+    id SERIAL PRIMARY KEY,
+    industry VARCHAR(100) NOT NULL,
+    location_type VARCHAR(50), -- 'city', 'state', 'country', 'global'
+    location_value VARCHAR(100),
+
+    -- Averages
+    avg_followers DECIMAL(10,2) DEFAULT 0,
+    avg_engagement DECIMAL(5,2) DEFAULT 0,
+    avg_post_frequency DECIMAL(5,2) DEFAULT 0,
+    avg_stories_per_day DECIMAL(5,2) DEFAULT 0,
+    avg_reel_percentage DECIMAL(5,2) DEFAULT 0,
+
+    -- Distribution (for percentile calculations)
+    follower_distribution JSONB,
+    engagement_distribution JSONB,
+
+    -- Metadata
+    sample_size INTEGER DEFAULT 0,
+    last_calculated TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+
+    UNIQUE(industry, location_type, location_value)
+);
+
+-- Top performers (leaderboards)
+CREATE TABLE IF NOT EXISTS top_performers (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(255) NOT NULL,
+    industry VARCHAR(100),
+    location_type VARCHAR(50),
+    location_value VARCHAR(100),
+
+    followers INTEGER,
+    engagement_rate DECIMAL(5,2),
+    overall_score INTEGER,
+    rank_position INTEGER,
+
+    calculated_at TIMESTAMP DEFAULT NOW(),
+
+    UNIQUE(industry, location_type, location_value, username)
+);
+
+-- Scoring models (versioned, data-defined score weights)
+CREATE TABLE IF NOT EXISTS scoring_models (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    version INTEGER NOT NULL,
+    industry VARCHAR(100), -- NULL applies to every industry
+    description TEXT,
+
+    -- [{ metric, weight, method: 'ratio' | 'curve' | 'percentile', cap, target, steepness }]
+    components JSONB NOT NULL,
+
+    active BOOLEAN DEFAULT FALSE,
+    activated_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+
+    UNIQUE(name, version)
+);
+
+-- Insight rules (override/extend config/insight-rules.json by key)
+CREATE TABLE IF NOT EXISTS insight_rules (
+    id SERIAL PRIMARY KEY,
+    key VARCHAR(100) UNIQUE NOT NULL,
+    name VARCHAR(255),
+    category VARCHAR(50) NOT NULL,
+    severity VARCHAR(20) NOT NULL, -- 'success', 'warning', 'info'
+    priority INTEGER DEFAULT 0,
+
+    -- { all | any: [...] } / { not: {...} } / { field, op, value }
+    condition JSONB NOT NULL,
+    message TEXT NOT NULL,
+    recommendation TEXT,
+
+    active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- API keys (hashed; raw keys are only shown once when issued)
+CREATE TABLE IF NOT EXISTS api_keys (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    role VARCHAR(20) NOT NULL DEFAULT 'partner', -- 'admin', 'partner', 'public'
+    key_prefix VARCHAR(20) NOT NULL,
+    key_hash VARCHAR(64) UNIQUE NOT NULL,
+    quota INTEGER, -- requests per 15 minutes (NULL = role default)
+
+    created_at TIMESTAMP DEFAULT NOW(),
+    last_used_at TIMESTAMP,
+    revoked_at TIMESTAMP
+);
+
+-- One contact per email address; captures are its history
+CREATE TABLE IF NOT EXISTS email_contacts (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) UNIQUE NOT NULL, -- lowercased
+    unsubscribe_token UUID UNIQUE NOT NULL DEFAULT gen_random_uuid(),
+    unsubscribed_at TIMESTAMP,
+
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+ALTER TABLE email_captures ADD COLUMN IF NOT EXISTS contact_id INTEGER REFERENCES email_contacts(id);
+
+-- Drip sequence emails, one row per lead per step
+CREATE TABLE IF NOT EXISTS email_sends (
+    id SERIAL PRIMARY KEY,
+    lead_id INTEGER REFERENCES email_captures(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL,
+    sequence VARCHAR(50) NOT NULL,
+    step INTEGER NOT NULL,
+    template VARCHAR(50) NOT NULL,
+
+    -- Send state
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- 'pending', 'sending', 'sent', 'skipped', 'failed'
+    scheduled_for TIMESTAMP NOT NULL,
+    attempts INTEGER DEFAULT 0,
+    claimed_at TIMESTAMP,
+    sent_at TIMESTAMP,
+    subject VARCHAR(255),
+    transport VARCHAR(50),
+    message_id VARCHAR(255),
+    last_error TEXT,
+
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+
+    UNIQUE(lead_id, sequence, step)
+);
+
+-- One row per analysis run (funnel analytics)
+CREATE TABLE IF NOT EXISTS analysis_events (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(255),
+    industry VARCHAR(100),
+    location_city VARCHAR(100),
+    location_state VARCHAR(100),
+    location_country VARCHAR(100),
+    source VARCHAR(20) NOT NULL, -- 'analyze', 'job', 'compare'
+    status VARCHAR(20) NOT NULL, -- 'success', 'failed'
+    error_code VARCHAR(50),
+    duration_ms INTEGER,
+    overall_score INTEGER,
+    api_key_id INTEGER,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Record which scoring model produced stored scores ('name@version')
+ALTER TABLE top_performers ADD COLUMN IF NOT EXISTS scoring_model VARCHAR(120);
+ALTER TABLE email_captures ADD COLUMN IF NOT EXISTS scoring_model VARCHAR(120);
+
+-- Conversion details (set by the conversion webhook)
+ALTER TABLE email_captures ADD COLUMN IF NOT EXISTS conversion_plan VARCHAR(100);
+ALTER TABLE email_captures ADD COLUMN IF NOT EXISTS conversion_revenue DECIMAL(10,2);
+ALTER TABLE email_captures ADD COLUMN IF NOT EXISTS conversion_event_id VARCHAR(255) UNIQUE;
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_profiles_username ON profiles(username);
+CREATE INDEX IF NOT EXISTS idx_profiles_industry ON profiles(industry);
+CREATE INDEX IF NOT EXISTS idx_profiles_location ON profiles(location_city, location_state, location_country);
+CREATE INDEX IF NOT EXISTS idx_profiles_scraped ON profiles(last_scraped);
+
+CREATE INDEX IF NOT EXISTS idx_profile_snapshots_username ON profile_snapshots(username, scraped_at);
+
+CREATE INDEX IF NOT EXISTS idx_posts_username ON posts(username, posted_at);
+
+CREATE INDEX IF NOT EXISTS idx_email_captures_email ON email_captures(email);
+CREATE INDEX IF NOT EXISTS idx_email_captures_date ON email_captures(captured_at);
+CREATE INDEX IF NOT EXISTS idx_email_captures_converted ON email_captures(converted_to_magnet_pro);
+
+CREATE INDEX IF NOT EXISTS idx_email_captures_contact ON email_captures(contact_id, captured_at);
+
+CREATE INDEX IF NOT EXISTS idx_analysis_events_created ON analysis_events(created_at);
+
+CREATE INDEX IF NOT EXISTS idx_email_sends_due ON email_sends(status, scheduled_for);
+CREATE INDEX IF NOT EXISTS idx_email_sends_email ON email_sends(LOWER(email));
+
+CREATE INDEX IF NOT EXISTS idx_benchmarks_lookup ON benchmarks(industry, location_type, location_value);
+CREATE INDEX IF NOT EXISTS idx_benchmarks_updated ON benchmarks(updated_at);
+
+CREATE INDEX IF NOT EXISTS idx_scoring_models_active ON scoring_models(industry, active);
+
+CREATE INDEX IF NOT EXISTS idx_top_performers_lookup ON top_performers(industry, location_type, location_value);
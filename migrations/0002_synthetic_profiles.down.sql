@@ -0,0 +1,5 @@
+DELETE FROM profiles WHERE is_synthetic = TRUE;
+
+DROP INDEX IF EXISTS idx_profiles_synthetic;
+
+ALTER TABLE profiles DROP COLUMN is_synthetic;
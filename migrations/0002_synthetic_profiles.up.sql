@@ -0,0 +1,5 @@
+-- Flag generated profiles (npm run seed:synthetic) so they can be excluded from benchmarks
+
+ALTER TABLE profiles ADD COLUMN is_synthetic BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE INDEX idx_profiles_synthetic ON profiles(is_synthetic) WHERE is_synthetic = TRUE;
@@ -0,0 +1,7 @@
+ALTER TABLE benchmarks ADD COLUMN follower_distribution JSONB;
+ALTER TABLE benchmarks ADD COLUMN engagement_distribution JSONB;
+
+ALTER TABLE benchmarks DROP COLUMN quantiles;
+ALTER TABLE benchmarks DROP COLUMN avg_views;
+
+DELETE FROM benchmarks;
@@ -0,0 +1,10 @@
+-- Replace raw value arrays on benchmarks with compact quantile summaries for every metric
+
+ALTER TABLE benchmarks ADD COLUMN avg_views DECIMAL(12,2) DEFAULT 0;
+ALTER TABLE benchmarks ADD COLUMN quantiles JSONB;
+
+ALTER TABLE benchmarks DROP COLUMN follower_distribution;
+ALTER TABLE benchmarks DROP COLUMN engagement_distribution;
+
+-- Cached rows have no quantiles; they are recalculated on next use
+DELETE FROM benchmarks;
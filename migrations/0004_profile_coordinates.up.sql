@@ -0,0 +1,3 @@
+-- Radius benchmarks and rankings filter profiles by a lat/lon bounding box first
+
+CREATE INDEX idx_profiles_coordinates ON profiles(lat, lon) WHERE lat IS NOT NULL;
@@ -0,0 +1,19 @@
+-- Ledger of every scraper run (one row per provider call), for cost visibility and budgets
+
+CREATE TABLE scrape_runs (
+    id SERIAL PRIMARY KEY,
+    provider VARCHAR(50) NOT NULL,
+    usernames TEXT[] NOT NULL,
+    trigger VARCHAR(20) NOT NULL, -- 'analyze', 'revalidate', 'compare'
+    status VARCHAR(20) NOT NULL, -- 'running', 'succeeded', 'failed'
+    profiles_returned INTEGER,
+    error_code VARCHAR(50),
+    error_message TEXT,
+    duration_ms INTEGER,
+    estimated_cost DECIMAL(10,4) NOT NULL DEFAULT 0,
+    api_key_id INTEGER,
+    started_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    finished_at TIMESTAMP
+);
+
+CREATE INDEX idx_scrape_runs_started ON scrape_runs(started_at);
@@ -0,0 +1,30 @@
+-- Only Instagram data fits the single-platform schema
+DELETE FROM profiles WHERE platform <> 'instagram';
+DELETE FROM benchmarks WHERE platform <> 'instagram';
+DELETE FROM top_performers WHERE platform <> 'instagram';
+
+ALTER TABLE scrape_runs DROP COLUMN platform;
+ALTER TABLE analysis_events DROP COLUMN platform;
+ALTER TABLE email_captures DROP COLUMN platform;
+
+ALTER TABLE top_performers DROP CONSTRAINT top_performers_platform_segment_username_key;
+ALTER TABLE top_performers ADD CONSTRAINT top_performers_industry_location_type_location_value_userna_key
+    UNIQUE (industry, location_type, location_value, username);
+ALTER TABLE top_performers DROP COLUMN platform;
+
+ALTER TABLE benchmarks DROP CONSTRAINT benchmarks_platform_segment_key;
+ALTER TABLE benchmarks ADD CONSTRAINT benchmarks_industry_location_type_location_value_key UNIQUE (industry, location_type, location_value);
+ALTER TABLE benchmarks DROP COLUMN platform;
+
+ALTER TABLE posts DROP CONSTRAINT posts_platform_shortcode_key;
+ALTER TABLE posts ADD CONSTRAINT posts_shortcode_key UNIQUE (shortcode);
+ALTER TABLE posts DROP COLUMN platform;
+
+DROP INDEX IF EXISTS idx_profile_snapshots_username;
+CREATE INDEX idx_profile_snapshots_username ON profile_snapshots(username, scraped_at);
+ALTER TABLE profile_snapshots DROP COLUMN platform;
+
+ALTER TABLE profiles DROP CONSTRAINT profiles_platform_username_key;
+ALTER TABLE profiles ADD CONSTRAINT profiles_username_key UNIQUE (username);
+ALTER TABLE profiles DROP COLUMN total_likes;
+ALTER TABLE profiles DROP COLUMN platform;
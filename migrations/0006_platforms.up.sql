@@ -0,0 +1,29 @@
+-- Platform dimension: usernames are unique per platform, and benchmarks and
+-- leaderboards are kept per platform so they never mix networks
+
+ALTER TABLE profiles ADD COLUMN platform VARCHAR(20) NOT NULL DEFAULT 'instagram';
+-- Lifetime likes on the account (TikTok "hearts"; not available for Instagram)
+ALTER TABLE profiles ADD COLUMN total_likes BIGINT;
+ALTER TABLE profiles DROP CONSTRAINT profiles_username_key;
+ALTER TABLE profiles ADD CONSTRAINT profiles_platform_username_key UNIQUE (platform, username);
+
+ALTER TABLE profile_snapshots ADD COLUMN platform VARCHAR(20) NOT NULL DEFAULT 'instagram';
+DROP INDEX IF EXISTS idx_profile_snapshots_username;
+CREATE INDEX idx_profile_snapshots_username ON profile_snapshots(platform, username, scraped_at);
+
+ALTER TABLE posts ADD COLUMN platform VARCHAR(20) NOT NULL DEFAULT 'instagram';
+ALTER TABLE posts DROP CONSTRAINT posts_shortcode_key;
+ALTER TABLE posts ADD CONSTRAINT posts_platform_shortcode_key UNIQUE (platform, shortcode);
+
+ALTER TABLE benchmarks ADD COLUMN platform VARCHAR(20) NOT NULL DEFAULT 'instagram';
+ALTER TABLE benchmarks DROP CONSTRAINT benchmarks_industry_location_type_location_value_key;
+ALTER TABLE benchmarks ADD CONSTRAINT benchmarks_platform_segment_key UNIQUE (platform, industry, location_type, location_value);
+
+ALTER TABLE top_performers ADD COLUMN platform VARCHAR(20) NOT NULL DEFAULT 'instagram';
+ALTER TABLE top_performers DROP CONSTRAINT top_performers_industry_location_type_location_value_userna_key;
+ALTER TABLE top_performers ADD CONSTRAINT top_performers_platform_segment_username_key
+    UNIQUE (platform, industry, location_type, location_value, username);
+
+ALTER TABLE email_captures ADD COLUMN platform VARCHAR(20) NOT NULL DEFAULT 'instagram';
+ALTER TABLE analysis_events ADD COLUMN platform VARCHAR(20) NOT NULL DEFAULT 'instagram';
+ALTER TABLE scrape_runs ADD COLUMN platform VARCHAR(20) NOT NULL DEFAULT 'instagram';
@@ -0,0 +1,3 @@
+ALTER TABLE email_captures DROP COLUMN IF EXISTS report_id;
+
+DROP TABLE IF EXISTS reports;
@@ -0,0 +1,20 @@
+-- Analyses persisted as shareable reports; the random id in the link is the only key
+
+CREATE TABLE reports (
+    id VARCHAR(32) PRIMARY KEY,
+    platform VARCHAR(20) NOT NULL DEFAULT 'instagram',
+    username VARCHAR(255) NOT NULL,
+    industry VARCHAR(100),
+    overall_score INTEGER,
+    result JSONB NOT NULL, -- The analysis result as returned by /api/analyze
+    source VARCHAR(20) NOT NULL, -- 'analyze', 'job'
+    api_key_id INTEGER,
+    view_count INTEGER NOT NULL DEFAULT 0,
+    last_viewed_at TIMESTAMP,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_reports_username ON reports(platform, username, created_at);
+
+-- The report a lead was captured from (linked from the drip emails)
+ALTER TABLE email_captures ADD COLUMN report_id VARCHAR(32) REFERENCES reports(id) ON DELETE SET NULL;
@@ -0,0 +1,9 @@
+-- Same-named places would collide once the regions are gone
+DELETE FROM top_performers WHERE location_type IN ('city', 'state');
+
+ALTER TABLE top_performers DROP CONSTRAINT top_performers_platform_segment_username_key;
+ALTER TABLE top_performers ADD CONSTRAINT top_performers_platform_segment_username_key
+    UNIQUE (platform, industry, location_type, location_value, username);
+
+ALTER TABLE top_performers DROP COLUMN location_country;
+ALTER TABLE top_performers DROP COLUMN location_state;
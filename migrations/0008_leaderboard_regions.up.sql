@@ -0,0 +1,11 @@
+-- Leaderboards name the region a city or state is in, so places that share a name
+-- (Springfield, Illinois and Springfield, Missouri) get separate leaderboards.
+-- Empty rather than NULL so the unique constraint still applies; existing rows keep
+-- empty regions until `npm run leaderboards:recalculate` rebuilds them
+
+ALTER TABLE top_performers ADD COLUMN location_state VARCHAR(100) NOT NULL DEFAULT '';
+ALTER TABLE top_performers ADD COLUMN location_country VARCHAR(100) NOT NULL DEFAULT '';
+
+ALTER TABLE top_performers DROP CONSTRAINT top_performers_platform_segment_username_key;
+ALTER TABLE top_performers ADD CONSTRAINT top_performers_platform_segment_username_key
+    UNIQUE (platform, industry, location_type, location_value, location_state, location_country, username);
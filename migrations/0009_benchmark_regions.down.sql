@@ -0,0 +1,9 @@
+-- Same-named places would collide once the regions are gone (benchmarks are recalculated on demand)
+DELETE FROM benchmarks WHERE location_type IN ('city', 'state');
+
+ALTER TABLE benchmarks DROP CONSTRAINT benchmarks_platform_segment_key;
+ALTER TABLE benchmarks ADD CONSTRAINT benchmarks_platform_segment_key
+    UNIQUE (platform, industry, location_type, location_value);
+
+ALTER TABLE benchmarks DROP COLUMN location_country;
+ALTER TABLE benchmarks DROP COLUMN location_state;
@@ -0,0 +1,13 @@
+-- City benchmarks are kept per state and country, and state benchmarks per country, so
+-- same-named places (Portland, Maine and Portland, Oregon) don't share a pool.
+-- Empty rather than NULL so the unique constraint still applies
+
+ALTER TABLE benchmarks ADD COLUMN location_state VARCHAR(100) NOT NULL DEFAULT '';
+ALTER TABLE benchmarks ADD COLUMN location_country VARCHAR(100) NOT NULL DEFAULT '';
+
+ALTER TABLE benchmarks DROP CONSTRAINT benchmarks_platform_segment_key;
+ALTER TABLE benchmarks ADD CONSTRAINT benchmarks_platform_segment_key
+    UNIQUE (platform, industry, location_type, location_value, location_state, location_country);
+
+-- Cached city and state benchmarks pooled same-named places; they're recalculated on the next request
+DELETE FROM benchmarks WHERE location_type IN ('city', 'state');
@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS idx_profiles_ranking;
+
+ALTER TABLE profiles DROP COLUMN scored_at;
+ALTER TABLE profiles DROP COLUMN overall_score;
@@ -0,0 +1,9 @@
+-- Each profile's overall score, stored when it's analyzed or leaderboards are recalculated,
+-- so rankings are counted in the database instead of re-scoring every peer per request.
+-- Existing profiles are scored by `npm run leaderboards:recalculate`
+
+ALTER TABLE profiles ADD COLUMN overall_score INTEGER;
+ALTER TABLE profiles ADD COLUMN scored_at TIMESTAMP;
+
+CREATE INDEX idx_profiles_ranking ON profiles(platform, industry, location_country, location_state, location_city)
+    WHERE overall_score IS NOT NULL;
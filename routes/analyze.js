@@ -1,233 +1,192 @@
 const express = require('express');
 const router = express.Router();
-const db = require('../config/database');
-const { scrapeInstagramProfile } = require('../services/apify');
-const { getBenchmarks, calculateRankings, calculateOverallScore, calculatePercentile } = require('../services/benchmark');
+const { analyzeProfile } = require('../services/analysis');
+const { createJob, getJob, subscribeToJob } = require('../services/jobs');
+const { compareProfiles } = require('../services/compare');
+const { trackAnalysis } = require('../services/events');
+const { attachReport } = require('../services/reports');
+const { resolveLocation, parseRadiusKm } = require('../services/locations');
+const { parseIndustry } = require('../services/industries');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/analyze');
+
+/**
+ * Read analysis parameters from a validated request body, resolving the industry to
+ * its taxonomy id and the location to canonical names and coordinates
+ * @param {Object} auth - The caller (req.auth); only admins may force a refresh
+ * @throws {Error} with status 400 for an unknown industry or an invalid radiusKm,
+ *   403 for forceRefresh without an admin key
+ */
+function getAnalysisParams(body, auth) {
+    const { username, maxAgeDays, forceRefresh } = body;
+
+    if (forceRefresh && auth?.role !== 'admin') {
+        const error = new Error('forceRefresh requires an admin API key');
+        error.status = 403;
+        error.code = 'FORCE_REFRESH_FORBIDDEN';
+        throw error;
+    }
+
+    const location = resolveLocation({
+        city: body.locationCity,
+        state: body.locationState,
+        country: body.locationCountry
+    });
+
+    return {
+        username,
+        platform: body.platform,
+        industry: parseIndustry(body.industry),
+        locationCity: location.city,
+        locationState: location.state,
+        locationCountry: location.country,
+        lat: location.lat,
+        lon: location.lon,
+        radiusKm: parseRadiusKm(body.radiusKm),
+        maxAgeDays,
+        forceRefresh
+    };
+}
 
 /**
  * POST /api/analyze
- * Analyze an Instagram account
+ * Analyze an Instagram or TikTok account (saved as a shareable report)
  */
-router.post('/', async (req, res) => {
+router.post('/', validate(schemas.analyze), async (req, res) => {
     try {
-        const { username, industry, locationCity, locationState, locationCountry } = req.body;
+        const params = getAnalysisParams(req.body, req.auth);
+        const apiKeyId = req.auth?.keyId;
 
-        // Validation
-        if (!username || !industry) {
-            return res.status(400).json({
-                error: 'Missing required fields: username, industry'
-            });
-        }
-
-        console.log(`\n📊 Analyzing @${username} (${industry}) in ${locationCity || 'unknown location'}`);
-
-        // Check if profile exists and is fresh (< 7 days old)
-        const existingProfile = await db.query(`
-            SELECT *
-            FROM profiles
-            WHERE username = $1
-            AND last_scraped > NOW() - INTERVAL '7 days'
-        `, [username]);
-
-        let profile;
-
-        if (existingProfile.rows.length > 0) {
-            console.log(`✓ Using cached profile for @${username}`);
-            profile = existingProfile.rows[0];
-        } else {
-            console.log(`Scraping fresh data for @${username}...`);
-            // Scrape profile from Instagram via Apify
-            const scrapedData = await scrapeInstagramProfile(username);
-
-            // Save or update in database
-            const saved = await db.query(`
-                INSERT INTO profiles (
-                    username, full_name, profile_pic_url,
-                    followers, following, posts,
-                    engagement_rate, avg_likes, avg_comments, avg_views,
-                    verified, biography, external_url, business_category,
-                    industry, location_city, location_state, location_country,
-                    post_frequency, reel_percentage,
-                    last_scraped, scrape_count
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, NOW(), 1)
-                ON CONFLICT (username)
-                DO UPDATE SET
-                    full_name = $2,
-                    profile_pic_url = $3,
-                    followers = $4,
-                    following = $5,
-                    posts = $6,
-                    engagement_rate = $7,
-                    avg_likes = $8,
-                    avg_comments = $9,
-                    avg_views = $10,
-                    verified = $11,
-                    biography = $12,
-                    external_url = $13,
-                    business_category = $14,
-                    industry = $15,
-                    location_city = $16,
-                    location_state = $17,
-                    location_country = $18,
-                    post_frequency = $19,
-                    reel_percentage = $20,
-                    last_scraped = NOW(),
-                    scrape_count = profiles.scrape_count + 1,
-                    updated_at = NOW()
-                RETURNING *
-            `, [
-                username, scrapedData.full_name, scrapedData.profile_pic_url,
-                scrapedData.followers, scrapedData.following, scrapedData.posts,
-                scrapedData.engagement_rate, scrapedData.avg_likes, scrapedData.avg_comments, scrapedData.avg_views,
-                scrapedData.verified, scrapedData.biography, scrapedData.external_url, scrapedData.business_category,
-                industry, locationCity, locationState, locationCountry,
-                scrapedData.post_frequency, scrapedData.reel_percentage
-            ]);
-
-            profile = saved.rows[0];
-        }
+        const response = await trackAnalysis(
+            { source: 'analyze', params, apiKeyId },
+            () => analyzeProfile({ ...params, apiKeyId })
+        );
 
-        // Get benchmarks for industry/location
-        const benchmarks = await getBenchmarks(industry, locationCity, locationState, locationCountry);
+        res.json(await attachReport(response, { source: 'analyze', apiKeyId }));
 
-        // Calculate rankings
-        const rankings = await calculateRankings(
-            username,
-            industry,
-            locationCity,
-            locationState,
-            locationCountry
-        );
+    } catch (error) {
+        console.error('Analysis error:', error);
+        res.status(error.status || 500).json({
+            error: error.message || 'Failed to analyze profile',
+            code: error.code,
+            details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+        });
+    }
+});
 
-        // Calculate percentiles
-        const followerPercentile = calculatePercentile(
-            profile.followers,
-            benchmarks.follower_distribution || []
-        );
+/**
+ * POST /api/analyze/compare
+ * Compare an account side by side with competitors in the same industry
+ */
+router.post('/compare', validate(schemas.compare), async (req, res) => {
+    try {
+        const params = getAnalysisParams(req.body, req.auth);
+        const { competitors } = req.body;
+        const apiKeyId = req.auth?.keyId;
 
-        const engagementPercentile = calculatePercentile(
-            parseFloat(profile.engagement_rate),
-            benchmarks.engagement_distribution || []
+        const response = await trackAnalysis(
+            { source: 'compare', params, apiKeyId },
+            () => compareProfiles({ ...params, competitors, apiKeyId })
         );
 
-        // Calculate overall score
-        const overallScore = calculateOverallScore(profile, benchmarks);
-
-        // Build response
-        const response = {
-            success: true,
-            profile: {
-                username: profile.username,
-                fullName: profile.full_name,
-                profilePicUrl: profile.profile_pic_url,
-                followers: parseInt(profile.followers),
-                following: parseInt(profile.following),
-                posts: parseInt(profile.posts),
-                engagementRate: parseFloat(profile.engagement_rate),
-                avgLikes: parseInt(profile.avg_likes),
-                avgComments: parseInt(profile.avg_comments),
-                verified: profile.verified,
-                biography: profile.biography,
-                externalUrl: profile.external_url,
-                postFrequency: parseFloat(profile.post_frequency || 0),
-                reelPercentage: parseInt(profile.reel_percentage || 0)
-            },
-            score: {
-                overall: overallScore,
-                followerPercentile: followerPercentile,
-                engagementPercentile: engagementPercentile
-            },
-            benchmarks: {
-                industry: industry,
-                location: locationCity,
-                avgFollowers: Math.round(benchmarks.avg_followers),
-                avgEngagement: parseFloat(benchmarks.avg_engagement).toFixed(1),
-                avgPostFrequency: parseFloat(benchmarks.avg_post_frequency).toFixed(1),
-                sampleSize: benchmarks.sample_size || 100
-            },
-            rankings: rankings,
-            insights: generateInsights(profile, benchmarks, overallScore),
-            scrapedAt: profile.last_scraped
-        };
-
-        console.log(`✓ Analysis complete for @${username}`);
-        console.log(`  Overall Score: ${overallScore}/100`);
-        console.log(`  City Rank: #${rankings.city.rank}/${rankings.city.total}`);
-
         res.json(response);
 
     } catch (error) {
-        console.error('Analysis error:', error);
-        res.status(500).json({
-            error: error.message || 'Failed to analyze profile',
+        console.error('Compare error:', error);
+        res.status(error.status || 500).json({
+            error: error.message || 'Failed to compare profiles',
+            code: error.code,
             details: process.env.NODE_ENV === 'development' ? error.stack : undefined
         });
     }
 });
 
 /**
- * Generate personalized insights based on profile data
+ * POST /api/analyze/jobs
+ * Start an analysis in the background and return a job id immediately
+ * Identical requests already running attach to the existing job
  */
-function generateInsights(profile, benchmarks, score) {
-    const insights = [];
-
-    // Engagement insights
-    const engagementRate = parseFloat(profile.engagement_rate);
-    if (engagementRate < benchmarks.avg_engagement * 0.7) {
-        insights.push({
-            type: 'warning',
-            category: 'engagement',
-            message: `Your engagement rate (${engagementRate.toFixed(1)}%) is below average for your industry`,
-            recommendation: 'Add CTAs to every post and ask questions to boost comments by 40-60%'
-        });
-    } else if (engagementRate > benchmarks.avg_engagement * 1.3) {
-        insights.push({
-            type: 'success',
-            category: 'engagement',
-            message: `Excellent engagement rate! You're ${((engagementRate / benchmarks.avg_engagement - 1) * 100).toFixed(0)}% above average`,
-            recommendation: 'Keep doing what you are doing and consider sharing your strategy'
-        });
+router.post('/jobs', validate(schemas.analyzeJob), (req, res) => {
+    let params;
+    try {
+        params = getAnalysisParams(req.body, req.auth);
+    } catch (error) {
+        return res.status(error.status || 500).json({ error: error.message, code: error.code });
     }
 
-    // Post frequency insights
-    const postFreq = parseFloat(profile.post_frequency || 0);
-    if (postFreq < benchmarks.avg_post_frequency * 0.7) {
-        insights.push({
-            type: 'warning',
-            category: 'frequency',
-            message: `You're posting less frequently than competitors (${postFreq.toFixed(1)}/week vs ${benchmarks.avg_post_frequency.toFixed(1)}/week)`,
-            recommendation: `Increase posting frequency by 2-3 posts per week to reach ${benchmarks.avg_post_frequency.toFixed(0)} posts/week`
-        });
-    }
+    const key = ['analyze', params.platform, params.username, params.industry, params.locationCity, params.locationState, params.locationCountry, params.radiusKm,
+        params.maxAgeDays, params.forceRefresh]
+        .map(value => String(value || '').toLowerCase())
+        .join('|');
+    const apiKeyId = req.auth?.keyId;
+
+    const { job, attached } = createJob('analyze', key, params, (setStage) => trackAnalysis(
+        { source: 'job', params, apiKeyId },
+        () => analyzeProfile({ ...params, apiKeyId }, setStage)
+    ).then(result => attachReport(result, { source: 'job', apiKeyId })));
+
+    res.status(202).json({
+        success: true,
+        jobId: job.id,
+        attached,
+        status: job.status,
+        stage: job.stage,
+        statusUrl: `/api/analyze/jobs/${job.id}`,
+        streamUrl: `/api/analyze/jobs/${job.id}/stream`
+    });
+});
 
-    // Reel insights
-    if (profile.reel_percentage < 30) {
-        insights.push({
-            type: 'info',
-            category: 'content',
-            message: 'Reels make up less than 30% of your content',
-            recommendation: 'Reels typically get 3.2x more engagement - aim for 40-60% Reels'
-        });
+/**
+ * GET /api/analyze/jobs/:id
+ * Get analysis job status (and result once done)
+ */
+router.get('/jobs/:id', validate(schemas.analyzeJobStatus), (req, res) => {
+    const job = getJob(req.params.id);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found or expired' });
     }
 
-    // Overall performance
-    if (score >= 85) {
-        insights.push({
-            type: 'success',
-            category: 'overall',
-            message: 'You are crushing it! Top-tier performance in your niche',
-            recommendation: 'Focus on maintaining consistency and consider monetization opportunities'
-        });
-    } else if (score < 60) {
-        insights.push({
-            type: 'warning',
-            category: 'overall',
-            message: 'Your competitors are outpacing you',
-            recommendation: 'Focus on engagement, post frequency, and leveraging trending content'
-        });
+    res.json({
+        success: true,
+        job
+    });
+});
+
+/**
+ * GET /api/analyze/jobs/:id/stream
+ * Stream job progress as Server-Sent Events ('progress', then 'done' or 'failed')
+ */
+router.get('/jobs/:id/stream', validate(schemas.analyzeJobStream), (req, res) => {
+    const job = getJob(req.params.id);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found or expired' });
     }
 
-    return insights;
-}
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = (update) => {
+        const event = update.status === 'running' ? 'progress' : update.status;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(update)}\n\n`);
+        // compression buffers responses; push each event out immediately
+        if (res.flush) res.flush();
+
+        if (update.status !== 'running') {
+            unsubscribe();
+            res.end();
+        }
+    };
+
+    const unsubscribe = subscribeToJob(job.id, send);
+    req.on('close', unsubscribe);
+
+    send(job);
+});
 
 module.exports = router;
@@ -0,0 +1,86 @@
+const express = require('express');
+const router = express.Router();
+const { requireRole } = require('../middleware/auth');
+const { createApiKey, listApiKeys, revokeApiKey } = require('../services/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/auth');
+
+/**
+ * GET /api/auth/me
+ * Describe the current caller
+ */
+router.get('/me', validate(schemas.me), (req, res) => {
+    res.json({
+        success: true,
+        role: req.auth.role,
+        name: req.auth.name,
+        quota: req.auth.quota
+    });
+});
+
+/**
+ * GET /api/auth/keys
+ * List API keys (admin only, ?includeRevoked=true)
+ */
+router.get('/keys', requireRole('admin'), validate(schemas.apiKeys), async (req, res) => {
+    try {
+        const keys = await listApiKeys(req.query.includeRevoked);
+
+        res.json({
+            success: true,
+            keys
+        });
+
+    } catch (error) {
+        console.error('List API keys error:', error);
+        res.status(500).json({ error: 'Failed to list API keys' });
+    }
+});
+
+/**
+ * POST /api/auth/keys
+ * Issue an API key (admin only). The raw key is only returned once.
+ */
+router.post('/keys', requireRole('admin'), validate(schemas.createApiKey), async (req, res) => {
+    try {
+        const { name, role, quota } = req.body;
+
+        const apiKey = await createApiKey({ name, role, quota: quota ?? null });
+
+        res.status(201).json({
+            success: true,
+            apiKey
+        });
+
+    } catch (error) {
+        console.error('Create API key error:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to create API key'
+        });
+    }
+});
+
+/**
+ * DELETE /api/auth/keys/:id
+ * Revoke an API key (admin only)
+ */
+router.delete('/keys/:id', requireRole('admin'), validate(schemas.revokeApiKey), async (req, res) => {
+    try {
+        const apiKey = await revokeApiKey(req.params.id);
+
+        if (!apiKey) {
+            return res.status(404).json({ error: 'API key not found or already revoked' });
+        }
+
+        res.json({
+            success: true,
+            apiKey
+        });
+
+    } catch (error) {
+        console.error('Revoke API key error:', error);
+        res.status(500).json({ error: 'Failed to revoke API key' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const { getLatestReport } = require('../services/reports');
+const { getBadgeView, renderBadge, renderShareCard, renderShareCardPng } = require('../services/badges');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/badges');
+
+// Browsers and CDNs revalidate after this; the ETag changes with every new analysis
+const BADGE_MAX_AGE_SECONDS = parseInt(process.env.BADGE_MAX_AGE_SECONDS) || 300;
+
+/**
+ * Send an image rendered from the profile's latest report, cacheable until it's re-analyzed
+ * @param {string} type - Content type of what render returns
+ */
+async function sendImage(req, res, render, type = 'image/svg+xml') {
+    try {
+        const { username } = req.params;
+        const { platform, ...options } = req.query;
+
+        const report = await getLatestReport(username, platform);
+
+        res.set({
+            // Badges are embedded on other sites (helmet defaults to same-origin)
+            'Cross-Origin-Resource-Policy': 'cross-origin',
+            'Cache-Control': `public, max-age=${report ? BADGE_MAX_AGE_SECONDS : 60}`
+        });
+
+        if (report) {
+            res.set('ETag', `"${report.id}-${Object.values(options).join('-')}"`);
+            res.set('Last-Modified', new Date(report.createdAt).toUTCString());
+        }
+
+        res.status(report ? 200 : 404)
+            .type(type)
+            .send(render(getBadgeView(username, platform, report), options));
+
+    } catch (error) {
+        console.error('Badge error:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to render badge',
+            code: error.code
+        });
+    }
+}
+
+/**
+ * GET /api/badges/:username.svg
+ * Embeddable score badge (?platform=instagram|tiktok&theme=light|dark&size=small|medium|large)
+ */
+router.get('/:username.svg', validate(schemas.badge), (req, res) => sendImage(req, res, renderBadge));
+
+/**
+ * GET /api/badges/:username/card.svg
+ * 1200x630 share card (?platform=instagram|tiktok&theme=light|dark)
+ */
+router.get('/:username/card.svg', validate(schemas.shareCard), (req, res) => sendImage(req, res, renderShareCard));
+
+/**
+ * GET /api/badges/:username/card.png
+ * The share card as a PNG, for og:image / twitter:image (?platform=instagram|tiktok&theme=light|dark)
+ */
+router.get('/:username/card.png', validate(schemas.shareCardPng), (req, res) => sendImage(req, res, renderShareCardPng, 'image/png'));
+
+module.exports = router;
@@ -1,33 +1,71 @@
 const express = require('express');
 const router = express.Router();
-const { getBenchmarks } = require('../services/benchmark');
+const { getBenchmarks, formatBenchmarks } = require('../services/benchmark');
+const { resolveLocation, parseRadiusKm, getNearbyArea } = require('../services/locations');
+const { parseIndustry } = require('../services/industries');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/benchmarks');
+
+/**
+ * GET /api/benchmarks/:industry
+ * Get global benchmark data for an industry (?platform=instagram|tiktok)
+ */
+router.get('/:industry', validate(schemas.globalBenchmarks), async (req, res) => {
+    try {
+        const industry = parseIndustry(req.params.industry);
+
+        const benchmarks = await getBenchmarks(industry, null, null, null, null, req.query.platform);
+
+        res.json({
+            success: true,
+            benchmarks: {
+                industry,
+                location: null,
+                ...formatBenchmarks(benchmarks)
+            }
+        });
+
+    } catch (error) {
+        console.error('Benchmarks error:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to fetch benchmarks',
+            code: error.code
+        });
+    }
+});
 
 /**
  * GET /api/benchmarks/:industry/:location
- * Get benchmark data for industry/location
+ * Get benchmark data for industry/city (?state=&country= enable fallback to wider levels,
+ * ?radiusKm= benchmarks profiles within that distance of a known city first, ?platform=instagram|tiktok)
  */
-router.get('/:industry/:location', async (req, res) => {
+router.get('/:industry/:location', validate(schemas.benchmarks), async (req, res) => {
     try {
-        const { industry, location } = req.params;
+        const industry = parseIndustry(req.params.industry);
+        const location = resolveLocation({ city: req.params.location, state: req.query.state, country: req.query.country });
+        const nearby = getNearbyArea({
+            locationCity: location.city,
+            lat: location.lat,
+            lon: location.lon,
+            radiusKm: parseRadiusKm(req.query.radiusKm)
+        });
 
-        const benchmarks = await getBenchmarks(industry, location, null, null);
+        const benchmarks = await getBenchmarks(industry, location.city, location.state, location.country, nearby, req.query.platform);
 
         res.json({
             success: true,
             benchmarks: {
                 industry,
-                location,
-                avgFollowers: Math.round(benchmarks.avg_followers),
-                avgEngagement: parseFloat(benchmarks.avg_engagement).toFixed(1),
-                avgPostFrequency: parseFloat(benchmarks.avg_post_frequency).toFixed(1),
-                sampleSize: benchmarks.sample_size || 100
+                location: location.city,
+                ...formatBenchmarks(benchmarks)
             }
         });
 
     } catch (error) {
         console.error('Benchmarks error:', error);
-        res.status(500).json({
-            error: 'Failed to fetch benchmarks'
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to fetch benchmarks',
+            code: error.code
         });
     }
 });
@@ -1,16 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
+const { requireRole } = require('../middleware/auth');
+const { scheduleSequence, processDueEmails, getLeadSends } = require('../services/email-sequence');
+const { getAttributionReport } = require('../services/conversions');
+const { upsertContact, unsubscribe } = require('../services/leads');
+const { getFunnelTimeseries, getCohortCurves } = require('../services/funnel');
+const { resolveIndustry } = require('../services/industries');
+const { getReport } = require('../services/reports');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/email');
 
 /**
- * POST /api/email
- * Capture email lead
+ * POST /api/email/capture
+ * Capture email lead; with a reportId, the report fills in the results and is linked from the emails
  */
-router.post('/capture', async (req, res) => {
+router.post('/capture', validate(schemas.emailCapture), async (req, res) => {
     try {
         const {
             email,
             username,
+            platform,
             industry,
             locationCity,
             locationState,
@@ -21,65 +31,116 @@ router.post('/capture', async (req, res) => {
             cityRank,
             stateRank,
             nationalRank,
-            results,
+            reportId,
             utm
         } = req.body;
 
-        // Validation
-        if (!email || !email.includes('@')) {
-            return res.status(400).json({
-                error: 'Valid email address required'
-            });
-        }
+        // The saved report is what the lead saw, so it wins over a platform defaulted by validation
+        const report = reportId ? await getReport(reportId) : null;
+        const results = req.body.results || report?.result;
 
         console.log(`📧 Capturing email lead: ${email} (${username})`);
 
-        // Save to database
-        const saved = await db.query(`
-            INSERT INTO email_captures (
-                email, username, industry,
-                location_city, location_state, location_country,
-                overall_score, followers, engagement_rate,
-                city_rank, state_rank, national_rank,
-                results,
-                utm_source, utm_medium, utm_campaign,
-                captured_at
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, NOW())
-            RETURNING *
-        `, [
-            email, username, industry,
-            locationCity, locationState, locationCountry,
-            overallScore, followers, engagementRate,
-            cityRank, stateRank, nationalRank,
-            JSON.stringify(results || {}),
-            utm?.source, utm?.medium, utm?.campaign
-        ]);
+        // Save the lead and schedule its drip sequence together
+        const { lead, scheduled } = await db.transaction(async (client) => {
+            const contact = await upsertContact(email, client);
+
+            const saved = await client.query(`
+                INSERT INTO email_captures (
+                    contact_id, email, username, industry,
+                    location_city, location_state, location_country,
+                    overall_score, followers, engagement_rate,
+                    city_rank, state_rank, national_rank,
+                    results, scoring_model,
+                    utm_source, utm_medium, utm_campaign, platform, report_id,
+                    captured_at
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, NOW())
+                RETURNING *
+            `, [
+                // Known industries are stored by taxonomy id; anything else as sent
+                contact.id, contact.email, username || report?.username, resolveIndustry(industry)?.id || industry || report?.industry,
+                locationCity, locationState, locationCountry,
+                overallScore, followers, engagementRate,
+                cityRank, stateRank, nationalRank,
+                JSON.stringify(results || {}),
+                results?.score?.model ? `${results.score.model.name}@${results.score.model.version}` : null,
+                utm?.source, utm?.medium, utm?.campaign, report?.platform || platform, report?.id || null
+            ]);
+
+            const lead = saved.rows[0];
+
+            // Opted-out contacts are still recorded but never emailed
+            if (contact.unsubscribed_at) return { lead, scheduled: [] };
+
+            return { lead, scheduled: await scheduleSequence(lead, client) };
+        });
 
         console.log(`✓ Email captured: ${email}`);
 
-        // TODO: Trigger email sequence (SendGrid/Mailchimp)
-        // TODO: Add to Magnet Pro drip campaign
+        // Send the day 0 report now rather than waiting for the next scheduler tick
+        processDueEmails().catch(error => {
+            console.error('Immediate email send failed:', error.message);
+        });
 
         res.json({
             success: true,
             message: 'Email captured successfully',
-            leadId: saved.rows[0].id
+            leadId: lead.id,
+            emailsScheduled: scheduled.length
         });
 
     } catch (error) {
         console.error('Email capture error:', error);
-        res.status(500).json({
-            error: 'Failed to capture email',
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to capture email',
+            code: error.code,
             details: process.env.NODE_ENV === 'development' ? error.message : undefined
         });
     }
 });
 
+/**
+ * GET|POST /api/email/unsubscribe?token=
+ * Public opt-out link from every email; POST supports one-click unsubscribe (RFC 8058)
+ */
+async function handleUnsubscribe(req, res) {
+    try {
+        const token = req.query.token || req.body?.token;
+        const result = await unsubscribe(token);
+
+        if (!result) {
+            return res.status(404).json({ error: 'Unknown unsubscribe link' });
+        }
+
+        if (req.method === 'GET') {
+            return res.type('html').send(`<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Unsubscribed</title></head>
+<body style="font-family:Arial,Helvetica,sans-serif;text-align:center;padding:48px;">
+<h1>You're unsubscribed</h1>
+<p>You won't receive any more emails from Magnet Pro.</p>
+</body></html>`);
+        }
+
+        res.json({
+            success: true,
+            message: 'Unsubscribed',
+            unsubscribedAt: result.unsubscribedAt
+        });
+
+    } catch (error) {
+        console.error('Unsubscribe error:', error);
+        res.status(500).json({ error: 'Failed to unsubscribe' });
+    }
+}
+
+router.get('/unsubscribe', validate(schemas.unsubscribe), handleUnsubscribe);
+router.post('/unsubscribe', validate(schemas.unsubscribeOneClick), handleUnsubscribe);
+
 /**
  * GET /api/email/stats
  * Get email capture statistics (admin only)
  */
-router.get('/stats', async (req, res) => {
+router.get('/stats', requireRole('admin'), validate(schemas.emailStats), async (req, res) => {
     try {
         const stats = await db.query(`
             SELECT
@@ -91,6 +152,7 @@ router.get('/stats', async (req, res) => {
                     NULLIF(COUNT(*)::numeric, 0) * 100,
                     2
                 ) as conversion_rate,
+                COALESCE(SUM(CASE WHEN converted_to_magnet_pro = true THEN conversion_revenue END), 0) as revenue,
                 COUNT(CASE WHEN captured_at > NOW() - INTERVAL '24 hours' THEN 1 END) as last_24h,
                 COUNT(CASE WHEN captured_at > NOW() - INTERVAL '7 days' THEN 1 END) as last_7_days
             FROM email_captures
@@ -107,4 +169,76 @@ router.get('/stats', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/email/stats/timeseries
+ * Funnel buckets (analyses, leads, conversions, capture rate) and weekly cohort
+ * conversion curves (admin only) ?interval=day|week&from=&to=&weeks=
+ */
+router.get('/stats/timeseries', requireRole('admin'), validate(schemas.emailTimeseries), async (req, res) => {
+    try {
+        const { interval, from, to, weeks } = req.query;
+
+        const timeseries = await getFunnelTimeseries({ interval, from, to });
+        const cohorts = await getCohortCurves({ from, to, weeks });
+
+        res.json({
+            success: true,
+            ...timeseries,
+            cohortWeeks: cohorts.weeks,
+            cohorts: cohorts.cohorts
+        });
+
+    } catch (error) {
+        if (!error.status) console.error('Timeseries error:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to fetch timeseries',
+            code: error.code
+        });
+    }
+});
+
+/**
+ * GET /api/email/reports/attribution
+ * Captures, conversions and revenue by UTM, industry and location (admin only)
+ * ?from=&to= (dates, default last 30 days) &groupBy=source,medium,campaign,industry,city,state,country
+ */
+router.get('/reports/attribution', requireRole('admin'), validate(schemas.attribution), async (req, res) => {
+    try {
+        const { from, to, groupBy } = req.query;
+
+        const report = await getAttributionReport({ from, to, groupBy });
+
+        res.json({
+            success: true,
+            report
+        });
+
+    } catch (error) {
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to build attribution report',
+            code: error.code
+        });
+    }
+});
+
+/**
+ * GET /api/email/leads/:id/sends
+ * Get drip sequence send state for a lead (admin only)
+ */
+router.get('/leads/:id/sends', requireRole('admin'), validate(schemas.leadEmails), async (req, res) => {
+    try {
+        const sends = await getLeadSends(req.params.id);
+
+        res.json({
+            success: true,
+            leadId: req.params.id,
+            sends
+        });
+
+    } catch (error) {
+        console.error('Lead sends error:', error);
+        res.status(500).json({ error: 'Failed to fetch lead emails' });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const { listIndustries, suggestIndustry } = require('../services/industries');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/industries');
+
+/**
+ * GET /api/industries
+ * List the industry taxonomy (industries with their niches and synonyms)
+ */
+router.get('/', validate(schemas.industries), (req, res) => {
+    res.json({
+        success: true,
+        industries: listIndustries()
+    });
+});
+
+/**
+ * POST /api/industries/suggest
+ * Suggest an industry from a business category and/or biography
+ */
+router.post('/suggest', validate(schemas.suggestIndustry), (req, res) => {
+    const { businessCategory, biography } = req.body;
+
+    res.json({
+        success: true,
+        suggestion: suggestIndustry({ business_category: businessCategory, biography })
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+const { getRules, saveRule, dryRunRules } = require('../services/insights');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/insights');
+
+/**
+ * GET /api/insights/rules
+ * List insight rules (file defaults merged with database overrides)
+ */
+router.get('/rules', validate(schemas.insightRules), async (req, res) => {
+    try {
+        const rules = await getRules();
+
+        res.json({
+            success: true,
+            count: rules.length,
+            rules
+        });
+
+    } catch (error) {
+        console.error('Insight rules error:', error);
+        res.status(500).json({
+            error: 'Failed to list insight rules'
+        });
+    }
+});
+
+/**
+ * POST /api/insights/rules
+ * Create an insight rule
+ */
+router.post('/rules', validate(schemas.createInsightRule), async (req, res) => {
+    try {
+        const rule = await saveRule(req.body, { create: true });
+
+        res.status(201).json({
+            success: true,
+            rule
+        });
+
+    } catch (error) {
+        console.error('Create insight rule error:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to create insight rule'
+        });
+    }
+});
+
+/**
+ * PUT /api/insights/rules/:key
+ * Update an insight rule (partial; set "active": false to disable one)
+ */
+router.put('/rules/:key', validate(schemas.updateInsightRule), async (req, res) => {
+    try {
+        const rule = await saveRule({ ...req.body, key: req.params.key });
+
+        res.json({
+            success: true,
+            rule
+        });
+
+    } catch (error) {
+        console.error('Update insight rule error:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to update insight rule'
+        });
+    }
+});
+
+/**
+ * POST /api/insights/dry-run
+ * Evaluate rules against a profile without saving anything
+ */
+router.post('/dry-run', validate(schemas.insightDryRun), async (req, res) => {
+    try {
+        const result = await dryRunRules(req.body);
+
+        res.json({
+            success: true,
+            ...result
+        });
+
+    } catch (error) {
+        console.error('Insight dry-run error:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to evaluate insight rules'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const { getLeaderboard } = require('../services/leaderboard');
+const { parseIndustry } = require('../services/industries');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/leaderboards');
+
+/**
+ * GET /api/leaderboards/:industry/:locationType/:locationValue
+ * Get a leaderboard page (?state=&country= pick between same-named places,
+ * ?platform=instagram|tiktok&sort=overall|followers|engagement&limit=25&offset=0)
+ */
+router.get('/:industry/:locationType/:locationValue', validate(schemas.leaderboards), async (req, res) => {
+    try {
+        const { locationType, locationValue } = req.params;
+        const industry = parseIndustry(req.params.industry);
+        const { state, country, platform, sort, limit, offset } = req.query;
+
+        const leaderboard = await getLeaderboard(industry, locationType, locationValue, { state, country, platform, sort, limit, offset });
+
+        res.json({
+            success: true,
+            leaderboard
+        });
+
+    } catch (error) {
+        console.error('Leaderboard error:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to fetch leaderboard',
+            code: error.code
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,105 @@
+const express = require('express');
+const router = express.Router();
+const { listLeads, getLead, exportLeadsCsv, dedupeLeads } = require('../services/leads');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/leads');
+
+/**
+ * Read lead filters from the query string
+ */
+function getLeadFilters(query) {
+    const { q, industry, city, state, country, minScore, maxScore, from, to, converted, unsubscribed } = query;
+    return { q, industry, city, state, country, minScore, maxScore, from, to, converted, unsubscribed };
+}
+
+/**
+ * GET /api/leads
+ * List leads, one per contact (?q=&industry=&city=&state=&country=&minScore=&maxScore=
+ * &from=&to=&converted=&unsubscribed=&limit=&offset=)
+ */
+router.get('/', validate(schemas.leads), async (req, res) => {
+    try {
+        const result = await listLeads(getLeadFilters(req.query), {
+            limit: req.query.limit,
+            offset: req.query.offset
+        });
+
+        res.json({
+            success: true,
+            ...result
+        });
+
+    } catch (error) {
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to list leads',
+            code: error.code
+        });
+    }
+});
+
+/**
+ * GET /api/leads/export.csv
+ * Export the filtered leads as CSV (same filters as GET /api/leads)
+ */
+router.get('/export.csv', validate(schemas.leadExport), async (req, res) => {
+    try {
+        const csv = await exportLeadsCsv(getLeadFilters(req.query));
+        const date = new Date().toISOString().slice(0, 10);
+
+        res.set({
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': `attachment; filename="leads-${date}.csv"`
+        });
+        res.send(csv);
+
+    } catch (error) {
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to export leads',
+            code: error.code
+        });
+    }
+});
+
+/**
+ * POST /api/leads/dedupe
+ * Merge contacts and captures into one contact per normalized email address
+ */
+router.post('/dedupe', validate(schemas.dedupeLeads), async (req, res) => {
+    try {
+        const result = await dedupeLeads();
+
+        res.json({
+            success: true,
+            ...result
+        });
+
+    } catch (error) {
+        console.error('Lead dedupe error:', error);
+        res.status(500).json({ error: 'Failed to deduplicate leads' });
+    }
+});
+
+/**
+ * GET /api/leads/:id
+ * Get a contact with its capture history
+ */
+router.get('/:id', validate(schemas.lead), async (req, res) => {
+    try {
+        const lead = await getLead(req.params.id);
+
+        if (!lead) {
+            return res.status(404).json({ error: 'Lead not found' });
+        }
+
+        res.json({
+            success: true,
+            lead
+        });
+
+    } catch (error) {
+        console.error('Lead error:', error);
+        res.status(500).json({ error: 'Failed to fetch lead' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,104 @@
+const express = require('express');
+const router = express.Router();
+const { getProfileHistory } = require('../services/history');
+const { getPosts, getTopPosts } = require('../services/posts');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/profiles');
+
+/**
+ * GET /api/profiles/:username/history
+ * Get growth history for a profile (?platform=instagram|tiktok&days=90)
+ */
+router.get('/:username/history', validate(schemas.profileHistory), async (req, res) => {
+    try {
+        const { username } = req.params;
+        const { platform, days } = req.query;
+
+        const history = await getProfileHistory(username, days, platform);
+
+        if (!history) {
+            return res.status(404).json({
+                error: `No history found for @${username}`
+            });
+        }
+
+        res.json({
+            success: true,
+            ...history
+        });
+
+    } catch (error) {
+        console.error('History error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch profile history'
+        });
+    }
+});
+
+/**
+ * GET /api/profiles/:username/posts
+ * Get stored posts for a profile (?platform=instagram|tiktok&sort=recent|engagement|likes|comments|views&limit=50&offset=0)
+ */
+router.get('/:username/posts', validate(schemas.profilePosts), async (req, res) => {
+    try {
+        const { username } = req.params;
+        const { platform, sort, limit, offset } = req.query;
+
+        const posts = await getPosts(username, { platform, sort, limit, offset });
+
+        if (!posts) {
+            return res.status(404).json({
+                error: `Profile @${username} has not been analyzed yet`
+            });
+        }
+
+        res.json({
+            success: true,
+            platform,
+            username,
+            count: posts.length,
+            posts
+        });
+
+    } catch (error) {
+        console.error('Posts error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch posts'
+        });
+    }
+});
+
+/**
+ * GET /api/profiles/:username/top-posts
+ * Rank posts by engagement relative to follower count (?platform=instagram|tiktok&order=best|worst&limit=10)
+ */
+router.get('/:username/top-posts', validate(schemas.topPosts), async (req, res) => {
+    try {
+        const { username } = req.params;
+        const { platform, order, limit } = req.query;
+
+        const posts = await getTopPosts(username, { platform, limit, order });
+
+        if (!posts) {
+            return res.status(404).json({
+                error: `Profile @${username} has not been analyzed yet`
+            });
+        }
+
+        res.json({
+            success: true,
+            platform,
+            username,
+            order,
+            posts
+        });
+
+    } catch (error) {
+        console.error('Top posts error:', error);
+        res.status(500).json({
+            error: 'Failed to rank posts'
+        });
+    }
+});
+
+module.exports = router;
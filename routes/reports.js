@@ -0,0 +1,69 @@
+const express = require('express');
+const router = express.Router();
+const { getReport } = require('../services/reports');
+const { renderReportHtml, renderReportPdf } = require('../services/report-templates');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/reports');
+
+/**
+ * GET /api/reports/:id.html
+ * Report as a branded HTML page
+ */
+router.get('/:id.html', validate(schemas.reportHtml), async (req, res) => {
+    try {
+        const report = await getReport(req.params.id, { trackView: true });
+
+        res.type('html').send(renderReportHtml(report));
+
+    } catch (error) {
+        if (!error.status) console.error('Report HTML error:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to render report',
+            code: error.code
+        });
+    }
+});
+
+/**
+ * GET /api/reports/:id.pdf
+ * Report as a PDF
+ */
+router.get('/:id.pdf', validate(schemas.reportPdf), async (req, res) => {
+    try {
+        const report = await getReport(req.params.id, { trackView: true });
+
+        res.set('Content-Disposition', `inline; filename="magnet-pro-${report.platform}-${report.username}.pdf"`);
+        res.type('pdf').send(renderReportPdf(report));
+
+    } catch (error) {
+        if (!error.status) console.error('Report PDF error:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to render report',
+            code: error.code
+        });
+    }
+});
+
+/**
+ * GET /api/reports/:id
+ * Get a saved analysis report
+ */
+router.get('/:id', validate(schemas.report), async (req, res) => {
+    try {
+        const report = await getReport(req.params.id, { trackView: true });
+
+        res.json({
+            success: true,
+            report
+        });
+
+    } catch (error) {
+        if (!error.status) console.error('Report error:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to fetch report',
+            code: error.code
+        });
+    }
+});
+
+module.exports = router;
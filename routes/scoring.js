@@ -0,0 +1,101 @@
+const express = require('express');
+const router = express.Router();
+const { listScoringModels, createScoringModel, activateScoringModel, getScoringModel } = require('../services/scoring');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/scoring');
+
+/**
+ * GET /api/scoring/models
+ * List scoring models (every stored version plus the built-in ones)
+ */
+router.get('/models', validate(schemas.scoringModels), async (req, res) => {
+    try {
+        const models = await listScoringModels();
+
+        res.json({
+            success: true,
+            ...models
+        });
+
+    } catch (error) {
+        console.error('Scoring models error:', error);
+        res.status(500).json({
+            error: 'Failed to list scoring models'
+        });
+    }
+});
+
+/**
+ * GET /api/scoring/models/active/:industry
+ * Get the scoring model currently used for an industry
+ */
+router.get('/models/active/:industry', validate(schemas.activeScoringModel), async (req, res) => {
+    try {
+        const model = await getScoringModel(req.params.industry);
+
+        res.json({
+            success: true,
+            model
+        });
+
+    } catch (error) {
+        console.error('Scoring model error:', error);
+        res.status(500).json({
+            error: 'Failed to get scoring model'
+        });
+    }
+});
+
+/**
+ * POST /api/scoring/models
+ * Save a new version of a scoring model ({ name, industry, description, components, activate })
+ */
+router.post('/models', validate(schemas.createScoringModel), async (req, res) => {
+    try {
+        const { name, industry, description, components, activate } = req.body;
+
+        const model = await createScoringModel({ name, industry, description, components, activate });
+
+        res.status(201).json({
+            success: true,
+            model
+        });
+
+    } catch (error) {
+        console.error('Create scoring model error:', error);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to save scoring model'
+        });
+    }
+});
+
+/**
+ * POST /api/scoring/models/:name/:version/activate
+ * Make a stored model version the active one for its industry
+ */
+router.post('/models/:name/:version/activate', validate(schemas.activateScoringModel), async (req, res) => {
+    try {
+        const { name, version } = req.params;
+
+        const model = await activateScoringModel(name, version);
+
+        if (!model) {
+            return res.status(404).json({
+                error: `Scoring model ${name}@${version} not found`
+            });
+        }
+
+        res.json({
+            success: true,
+            model
+        });
+
+    } catch (error) {
+        console.error('Activate scoring model error:', error);
+        res.status(500).json({
+            error: 'Failed to activate scoring model'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const { listScrapeRuns, getScrapeUsage } = require('../services/scrape-runs');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/scrapes');
+
+/**
+ * GET /api/scrapes
+ * Ledger of scraper runs (?from=&to=&platform=&username=&trigger=&status=&limit=&offset=)
+ */
+router.get('/', validate(schemas.scrapeRuns), async (req, res) => {
+    try {
+        const { from, to, platform, username, trigger, status, limit, offset } = req.query;
+        const result = await listScrapeRuns({ from, to, platform, username, trigger, status }, { limit, offset });
+
+        res.json({
+            success: true,
+            ...result
+        });
+
+    } catch (error) {
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to list scrape runs',
+            code: error.code
+        });
+    }
+});
+
+/**
+ * GET /api/scrapes/usage
+ * Estimated spend against the scrape budgets, broken down for this month
+ */
+router.get('/usage', validate(schemas.scrapeUsage), async (req, res) => {
+    try {
+        const usage = await getScrapeUsage();
+
+        res.json({
+            success: true,
+            ...usage
+        });
+
+    } catch (error) {
+        res.status(error.status || 500).json({
+            error: 'Failed to get scrape usage',
+            code: error.code
+        });
+    }
+});
+
+module.exports = router;
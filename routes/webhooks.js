@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const { verifySignature } = require('../middleware/signature');
+const { recordConversion } = require('../services/conversions');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/webhooks');
+
+/**
+ * POST /api/webhooks/conversions
+ * Mark a lead converted to Magnet Pro (signed with CONVERSION_WEBHOOK_SECRET)
+ */
+router.post('/conversions', verifySignature('CONVERSION_WEBHOOK_SECRET'), validate(schemas.conversionWebhook), async (req, res) => {
+    try {
+        const { email, leadId, plan, revenue, eventId, convertedAt } = req.body;
+
+        const { conversion, duplicate } = await recordConversion({ email, leadId, plan, revenue, eventId, convertedAt });
+
+        res.json({
+            success: true,
+            duplicate,
+            conversion
+        });
+
+    } catch (error) {
+        console.error('Conversion webhook error:', error.message);
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to record conversion',
+            code: error.code
+        });
+    }
+});
+
+module.exports = router;
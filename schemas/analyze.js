@@ -0,0 +1,186 @@
+const { username, platform, industry, location, success, object, benchmarks } = require('./common');
+const { MAX_RADIUS_KM } = require('../services/locations');
+const { MAX_COMPETITORS } = require('../services/compare');
+const { DEFAULT_MAX_AGE_DAYS, MAX_AGE_DAYS_LIMIT } = require('../services/analysis');
+
+const analysisRequest = {
+    type: 'object',
+    required: ['username'],
+    properties: {
+        username,
+        platform,
+        industry: { ...industry, description: `${industry.description}; suggested from the profile when omitted` },
+        ...location,
+        radiusKm: {
+            type: 'number',
+            minimum: 1,
+            maximum: MAX_RADIUS_KM,
+            description: 'Benchmark profiles within this distance of the city first'
+        },
+        maxAgeDays: {
+            type: 'number',
+            minimum: 1,
+            maximum: MAX_AGE_DAYS_LIMIT,
+            description: `Use stored profiles scraped within this many days (default ${DEFAULT_MAX_AGE_DAYS}); older ones are returned while they are rescraped in the background`
+        },
+        forceRefresh: {
+            type: 'boolean',
+            default: false,
+            description: 'Scrape now instead of using stored profiles (admin only)'
+        }
+    }
+};
+
+const cache = {
+    type: 'object',
+    description: 'How the profile was loaded',
+    properties: {
+        status: { type: 'string', enum: ['fresh', 'stale', 'scraped'] },
+        ageDays: { type: 'number' },
+        maxAgeDays: { type: 'number' },
+        revalidating: { type: 'boolean', description: 'A background rescrape is refreshing a stale profile' }
+    }
+};
+
+const analysisResult = success({
+    platform: { type: 'string', enum: platform.enum },
+    profile: {
+        type: 'object',
+        properties: {
+            username: { type: 'string' },
+            fullName: { type: 'string' },
+            profilePicUrl: { type: 'string' },
+            followers: { type: 'integer' },
+            following: { type: 'integer' },
+            posts: { type: 'integer' },
+            engagementRate: { type: 'number' },
+            avgLikes: { type: 'integer' },
+            avgComments: { type: 'integer' },
+            verified: { type: 'boolean' },
+            biography: { type: 'string', nullable: true },
+            externalUrl: { type: 'string', nullable: true },
+            postFrequency: { type: 'number' },
+            reelPercentage: { type: 'integer' },
+            avgViews: { type: 'integer' },
+            totalLikes: { type: 'integer', nullable: true, description: 'Lifetime likes on the account (TikTok only)' }
+        }
+    },
+    industry: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            parent: { type: 'string', nullable: true },
+            source: { type: 'string', enum: ['request', 'profile', 'suggested'] },
+            confidence: { type: 'number', nullable: true },
+            signals: { type: 'array', items: { type: 'string' } }
+        }
+    },
+    score: {
+        type: 'object',
+        properties: {
+            overall: { type: 'integer', minimum: 0, maximum: 100 },
+            followerPercentile: { type: 'number' },
+            engagementPercentile: { type: 'number' },
+            percentiles: object('Percentile per metric (null without quantiles)'),
+            components: { type: 'array', items: object('Score component') },
+            model: object('{ name, version } of the scoring model')
+        }
+    },
+    location: object('Resolved { city, state, country, lat, lon, radiusKm }'),
+    benchmarks,
+    rankings: object('{ city, nearby, state, national } rank, total and per-metric neighbors'),
+    insights: { type: 'array', items: object('Insight') },
+    scrapedAt: { type: 'string', format: 'date-time' },
+    cache,
+    report: {
+        type: 'object',
+        description: 'The saved report (left out if saving failed); the links can be shared',
+        properties: {
+            id: { type: 'string' },
+            url: { type: 'string', description: 'JSON (GET /api/reports/:id)' },
+            htmlUrl: { type: 'string', description: 'Branded HTML page' },
+            pdfUrl: { type: 'string', description: 'PDF' }
+        }
+    }
+});
+
+// Cache policy and scrape budget errors
+const scrapeResponses = {
+    403: { description: 'forceRefresh without an admin key (FORCE_REFRESH_FORBIDDEN)' },
+    503: { description: 'Scraping needed but the scrape budget is used up (SCRAPE_BUDGET_EXCEEDED)' }
+};
+
+const job = object('Job { id, type, status, stage, progress, params, createdAt, updatedAt, result | error }');
+
+const jobId = {
+    type: 'object',
+    required: ['id'],
+    properties: { id: { type: 'string', format: 'uuid' } }
+};
+
+module.exports = {
+    analyze: {
+        method: 'post',
+        path: '/api/analyze',
+        summary: 'Analyze an Instagram or TikTok account',
+        body: analysisRequest,
+        responses: { 200: { description: 'Analysis result', schema: analysisResult }, ...scrapeResponses }
+    },
+    compare: {
+        method: 'post',
+        path: '/api/analyze/compare',
+        summary: 'Compare an account side by side with competitors in the same industry and platform',
+        body: {
+            ...analysisRequest,
+            required: ['username', 'industry', 'competitors'],
+            properties: {
+                ...analysisRequest.properties,
+                industry,
+                competitors: { type: 'array', minItems: 1, maxItems: MAX_COMPETITORS, items: username }
+            }
+        },
+        responses: { 200: { description: 'Comparison', schema: object('{ platform, primary, competitors, notFound, metrics, benchmarks, scoringModel, cache }') }, ...scrapeResponses }
+    },
+    analyzeJob: {
+        method: 'post',
+        path: '/api/analyze/jobs',
+        summary: 'Start an analysis in the background',
+        description: 'Identical requests already running attach to the existing job',
+        body: analysisRequest,
+        responses: {
+            202: {
+                description: 'Job started',
+                schema: success({
+                    jobId: { type: 'string', format: 'uuid' },
+                    attached: { type: 'boolean' },
+                    status: { type: 'string' },
+                    stage: { type: 'string' },
+                    statusUrl: { type: 'string' },
+                    streamUrl: { type: 'string' }
+                })
+            },
+            403: scrapeResponses[403]
+        }
+    },
+    analyzeJobStatus: {
+        method: 'get',
+        path: '/api/analyze/jobs/:id',
+        summary: 'Get analysis job status (and result once done)',
+        params: jobId,
+        responses: {
+            200: { description: 'Job', schema: success({ job }) },
+            404: { description: 'Job not found or expired' }
+        }
+    },
+    analyzeJobStream: {
+        method: 'get',
+        path: '/api/analyze/jobs/:id/stream',
+        summary: 'Stream job progress as Server-Sent Events (progress, then done or failed)',
+        params: jobId,
+        responses: {
+            200: { description: 'Event stream of job updates', contentType: 'text/event-stream', schema: { type: 'string' } },
+            404: { description: 'Job not found or expired' }
+        }
+    }
+};
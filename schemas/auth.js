@@ -0,0 +1,62 @@
+const { id, success, object } = require('./common');
+const { ROLES } = require('../services/auth');
+
+const apiKey = object('API key { id, name, role, quota, keyPrefix, createdAt, lastUsedAt, revokedAt }');
+
+module.exports = {
+    me: {
+        method: 'get',
+        path: '/api/auth/me',
+        summary: 'Describe the current caller',
+        responses: {
+            200: {
+                description: 'Caller',
+                schema: success({
+                    role: { type: 'string', enum: ROLES },
+                    name: { type: 'string', nullable: true },
+                    quota: { type: 'integer' }
+                })
+            }
+        }
+    },
+    apiKeys: {
+        method: 'get',
+        path: '/api/auth/keys',
+        summary: 'List API keys',
+        auth: 'admin',
+        query: {
+            type: 'object',
+            properties: {
+                includeRevoked: { type: 'boolean', default: false }
+            }
+        },
+        responses: { 200: { description: 'API keys', schema: success({ keys: { type: 'array', items: apiKey } }) } }
+    },
+    createApiKey: {
+        method: 'post',
+        path: '/api/auth/keys',
+        summary: 'Issue an API key (the raw key is only returned once)',
+        auth: 'admin',
+        body: {
+            type: 'object',
+            required: ['name'],
+            properties: {
+                name: { type: 'string', minLength: 1, maxLength: 255, example: 'Acme Agency' },
+                role: { type: 'string', enum: ROLES, default: 'partner' },
+                quota: { type: 'integer', minimum: 1, nullable: true, description: 'Requests per 15 minutes (default: the role quota)' }
+            }
+        },
+        responses: { 201: { description: 'Issued key, including the raw `key`', schema: success({ apiKey }) } }
+    },
+    revokeApiKey: {
+        method: 'delete',
+        path: '/api/auth/keys/:id',
+        summary: 'Revoke an API key',
+        auth: 'admin',
+        params: id('API key id'),
+        responses: {
+            200: { description: 'Revoked key', schema: success({ apiKey }) },
+            404: { description: 'API key not found or already revoked' }
+        }
+    }
+};
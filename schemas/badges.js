@@ -0,0 +1,52 @@
+const { username, platform } = require('./common');
+const { THEMES, SIZES } = require('../services/badges');
+
+const profile = {
+    type: 'object',
+    required: ['username'],
+    properties: { username }
+};
+
+const theme = { type: 'string', enum: Object.keys(THEMES), default: 'light' };
+
+const image = (description, contentType = 'image/svg+xml') => {
+    const schema = contentType === 'image/svg+xml' ? { type: 'string' } : { type: 'string', format: 'binary' };
+    return {
+        200: { description: `${description}; the ETag changes whenever the profile is re-analyzed`, contentType, schema },
+        404: { description: 'Profile has not been analyzed yet (a "not analyzed yet" image is still returned)', contentType, schema }
+    };
+};
+
+module.exports = {
+    badge: {
+        method: 'get',
+        path: '/api/badges/:username.svg',
+        summary: 'Embeddable score badge (latest overall score, rank and engagement percentile)',
+        params: profile,
+        query: {
+            type: 'object',
+            properties: {
+                platform,
+                theme,
+                size: { type: 'string', enum: Object.keys(SIZES), default: 'medium', description: 'Badge height (20, 28 or 40 px)' }
+            }
+        },
+        responses: image('SVG badge')
+    },
+    shareCard: {
+        method: 'get',
+        path: '/api/badges/:username/card.svg',
+        summary: '1200x630 share card for social posts (latest overall score, rank and engagement percentile)',
+        params: profile,
+        query: { type: 'object', properties: { platform, theme } },
+        responses: image('SVG share card')
+    },
+    shareCardPng: {
+        method: 'get',
+        path: '/api/badges/:username/card.png',
+        summary: 'The 1200x630 share card as a PNG, for og:image and twitter:image (which don\'t accept SVG)',
+        params: profile,
+        query: { type: 'object', properties: { platform, theme } },
+        responses: image('PNG share card', 'image/png')
+    }
+};
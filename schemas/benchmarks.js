@@ -0,0 +1,46 @@
+const { industry, platform, text, success, benchmarks } = require('./common');
+const { MAX_RADIUS_KM } = require('../services/locations');
+
+const response = { 200: { description: 'Benchmarks', schema: success({ benchmarks }) } };
+
+module.exports = {
+    globalBenchmarks: {
+        method: 'get',
+        path: '/api/benchmarks/:industry',
+        summary: 'Get global benchmark data for an industry',
+        params: {
+            type: 'object',
+            required: ['industry'],
+            properties: { industry }
+        },
+        query: {
+            type: 'object',
+            properties: { platform }
+        },
+        responses: response
+    },
+    benchmarks: {
+        method: 'get',
+        path: '/api/benchmarks/:industry/:location',
+        summary: 'Get benchmark data for an industry and city',
+        description: 'Falls back to wider levels (radius, state, country, global) when the city is too sparse',
+        params: {
+            type: 'object',
+            required: ['industry', 'location'],
+            properties: {
+                industry,
+                location: text('City', { example: 'Austin' })
+            }
+        },
+        query: {
+            type: 'object',
+            properties: {
+                platform,
+                state: text('State, allows falling back past the city level'),
+                country: text('Country, allows falling back past the state level'),
+                radiusKm: { type: 'number', minimum: 1, maximum: MAX_RADIUS_KM, description: 'Benchmark profiles within this distance of the city first' }
+            }
+        },
+        responses: response
+    }
+};
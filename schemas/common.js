@@ -0,0 +1,130 @@
+/**
+ * Schema fragments shared by the route schemas
+ * Schemas are the JSON Schema subset understood by middleware/validate.js and are
+ * published as-is in the OpenAPI document (services/openapi.js)
+ */
+
+const { PLATFORM_IDS, DEFAULT_PLATFORM } = require('../services/platforms');
+
+const username = {
+    type: 'string',
+    format: 'username',
+    description: 'Username, "@username" or Instagram/TikTok profile URL (normalized to the lowercase username)',
+    example: 'example_user'
+};
+
+const platform = {
+    type: 'string',
+    enum: PLATFORM_IDS,
+    default: DEFAULT_PLATFORM,
+    description: 'Platform the account is on; profiles are only compared with profiles on the same platform'
+};
+
+const industry = {
+    type: 'string',
+    format: 'industry',
+    description: 'Industry or niche id, name or synonym from GET /api/industries (normalized to its id)',
+    example: 'fitness'
+};
+
+const text = (description, extra = {}) => ({ type: 'string', maxLength: 255, description, ...extra });
+
+const location = {
+    locationCity: text('City; "Austin, TX" style values are understood', { example: 'Austin' }),
+    locationState: text('State or region', { example: 'Texas' }),
+    locationCountry: text('Country', { example: 'United States' })
+};
+
+const date = (description) => ({ type: 'string', format: 'date-time', description });
+
+const dateRange = {
+    from: date('Start date (YYYY-MM-DD or ISO 8601; default 30 days before `to`)'),
+    to: date('End date (a date-only value includes that whole day; default now)')
+};
+
+const id = (description) => ({
+    type: 'object',
+    required: ['id'],
+    properties: { id: { type: 'integer', minimum: 1, description } }
+});
+
+const pagination = (defaultLimit, maxLimit) => ({
+    limit: { type: 'integer', minimum: 1, maximum: maxLimit, default: defaultLimit, description: 'Page size' },
+    offset: { type: 'integer', minimum: 0, default: 0, description: 'Rows to skip' }
+});
+
+/**
+ * { success: true, ...properties } response body
+ */
+const success = (properties = {}, required = []) => ({
+    type: 'object',
+    required: ['success', ...required],
+    properties: {
+        success: { type: 'boolean', example: true },
+        ...properties
+    }
+});
+
+// Free-form object (documented in the README rather than field by field)
+const object = (description) => ({ type: 'object', description, additionalProperties: true });
+
+const benchmarks = {
+    type: 'object',
+    properties: {
+        platform: { type: 'string', enum: PLATFORM_IDS },
+        industry: { type: 'string' },
+        location: { type: 'string', nullable: true },
+        avgFollowers: { type: 'integer' },
+        avgEngagement: { type: 'string', example: '2.3' },
+        avgPostFrequency: { type: 'string', example: '5.2' },
+        avgReelPercentage: { type: 'integer' },
+        avgViews: { type: 'integer' },
+        distribution: object('p10-p90 per metric (null for default benchmarks)'),
+        sampleSize: { type: 'integer' },
+        level: { type: 'string', enum: ['radius', 'city', 'state', 'country', 'global'] },
+        levelLocation: { type: 'string' },
+        radiusKm: { type: 'number', nullable: true },
+        benchmarkIndustry: { type: 'string' },
+        rolledUp: { type: 'boolean' },
+        requestedLevel: { type: 'string' },
+        fallback: { type: 'boolean' },
+        isDefault: { type: 'boolean' }
+    }
+};
+
+const error = {
+    type: 'object',
+    required: ['error'],
+    properties: {
+        error: { type: 'string', description: 'Human-readable message' },
+        code: { type: 'string', description: 'Machine-readable code, e.g. VALIDATION_ERROR or INVALID_INDUSTRY' },
+        errors: {
+            type: 'array',
+            description: 'Every validation problem (VALIDATION_ERROR only)',
+            items: {
+                type: 'object',
+                properties: {
+                    field: { type: 'string', example: 'body.username' },
+                    rule: { type: 'string', example: 'format' },
+                    message: { type: 'string', example: 'body.username must be an Instagram or TikTok username or profile URL' }
+                }
+            }
+        }
+    }
+};
+
+module.exports = {
+    username,
+    platform,
+    industry,
+    location,
+    text,
+    date,
+    dateRange,
+    id,
+    pagination,
+    success,
+    object,
+    benchmarks,
+    error
+};
@@ -0,0 +1,145 @@
+const { username, platform, industry, location, text, dateRange, id, success, object } = require('./common');
+const { ATTRIBUTION_DIMENSIONS } = require('../services/conversions');
+const { REPORT_ID_PATTERN } = require('../services/reports');
+const { INTERVALS, MAX_COHORT_WEEKS } = require('../services/funnel');
+
+const token = { type: 'string', minLength: 1, maxLength: 255, description: 'Unsubscribe token from the email link' };
+
+const unsubscribeResponses = {
+    200: {
+        description: 'Unsubscribed (GET renders an HTML confirmation page)',
+        contentType: ['application/json', 'text/html'],
+        schema: success({ message: { type: 'string' }, unsubscribedAt: { type: 'string', format: 'date-time' } })
+    },
+    404: { description: 'Unknown unsubscribe link' }
+};
+
+module.exports = {
+    emailCapture: {
+        method: 'post',
+        path: '/api/email/capture',
+        summary: 'Capture an email lead and schedule its drip sequence',
+        body: {
+            type: 'object',
+            required: ['email'],
+            properties: {
+                email: { type: 'string', format: 'email', maxLength: 255, example: 'test@example.com' },
+                username,
+                platform,
+                industry: text('Industry (taxonomy ids, names and synonyms are stored as the id; other values as sent)', { example: 'fitness' }),
+                ...location,
+                overallScore: { type: 'integer', minimum: 0, maximum: 100, nullable: true },
+                followers: { type: 'integer', minimum: 0, nullable: true },
+                engagementRate: { type: 'number', minimum: 0, nullable: true },
+                cityRank: { type: 'integer', minimum: 1, nullable: true },
+                stateRank: { type: 'integer', minimum: 1, nullable: true },
+                nationalRank: { type: 'integer', minimum: 1, nullable: true },
+                results: object('The analysis result shown to the lead (included in the report email)'),
+                reportId: {
+                    type: 'string',
+                    pattern: REPORT_ID_PATTERN,
+                    'x-message': 'must be a report id',
+                    description: 'Report the lead was shown (`report.id` from the analysis); linked from the emails, and fills in results, username, platform and industry'
+                },
+                utm: {
+                    type: 'object',
+                    properties: {
+                        source: text('utm_source'),
+                        medium: text('utm_medium'),
+                        campaign: text('utm_campaign')
+                    }
+                }
+            }
+        },
+        responses: {
+            200: {
+                description: 'Lead captured',
+                schema: success({
+                    message: { type: 'string' },
+                    leadId: { type: 'integer' },
+                    emailsScheduled: { type: 'integer' }
+                })
+            },
+            404: { description: 'Unknown reportId (REPORT_NOT_FOUND)' }
+        }
+    },
+    unsubscribe: {
+        method: 'get',
+        path: '/api/email/unsubscribe',
+        summary: 'Opt out of emails (link included in every email)',
+        query: { type: 'object', required: ['token'], properties: { token } },
+        responses: unsubscribeResponses
+    },
+    unsubscribeOneClick: {
+        method: 'post',
+        path: '/api/email/unsubscribe',
+        summary: 'One-click unsubscribe (RFC 8058); the token may be in the query or body',
+        query: { type: 'object', properties: { token } },
+        body: { type: 'object', properties: { token } },
+        responses: unsubscribeResponses
+    },
+    emailStats: {
+        method: 'get',
+        path: '/api/email/stats',
+        summary: 'Get email capture statistics',
+        auth: 'admin',
+        responses: { 200: { description: 'Capture and conversion totals', schema: success({ stats: object('Totals') }) } }
+    },
+    emailTimeseries: {
+        method: 'get',
+        path: '/api/email/stats/timeseries',
+        summary: 'Funnel buckets and weekly cohort conversion curves',
+        auth: 'admin',
+        query: {
+            type: 'object',
+            properties: {
+                interval: { type: 'string', enum: INTERVALS, default: 'day' },
+                ...dateRange,
+                weeks: { type: 'integer', minimum: 1, maximum: MAX_COHORT_WEEKS, description: 'Cohort curve length (default 8)' }
+            }
+        },
+        responses: {
+            200: {
+                description: 'Timeseries',
+                schema: success({
+                    interval: { type: 'string' },
+                    totals: object('Totals over the range'),
+                    buckets: { type: 'array', items: object('Bucket') },
+                    cohortWeeks: { type: 'integer' },
+                    cohorts: { type: 'array', items: object('Cohort curve') }
+                })
+            }
+        }
+    },
+    attribution: {
+        method: 'get',
+        path: '/api/email/reports/attribution',
+        summary: 'Captures, conversions and revenue by UTM, industry and location',
+        auth: 'admin',
+        query: {
+            type: 'object',
+            properties: {
+                ...dateRange,
+                groupBy: {
+                    type: 'array',
+                    items: { type: 'string', enum: Object.keys(ATTRIBUTION_DIMENSIONS) },
+                    description: 'Comma-separated dimensions (default source)'
+                }
+            }
+        },
+        responses: { 200: { description: 'Report', schema: success({ report: object('{ from, to, groupBy, totals, rows }') }) } }
+    },
+    leadEmails: {
+        method: 'get',
+        path: '/api/email/leads/:id/sends',
+        summary: 'Get drip sequence send state for a lead',
+        auth: 'admin',
+        params: id('Lead (capture) id'),
+        responses: {
+            200: {
+                description: 'Sends',
+                schema: success({ leadId: { type: 'integer' }, sends: { type: 'array', items: object('Send') } })
+            }
+        }
+    }
+};
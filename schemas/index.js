@@ -0,0 +1,23 @@
+/**
+ * Request/response schemas for every route, grouped by route module
+ * Each operation: { method, path, summary, description, auth: 'public' (default) | 'admin' | 'signature',
+ *   params, query, body (object schemas validated by middleware/validate.js), responses: { status: { description, schema, contentType } } }
+ * The keys double as OpenAPI operation ids and as the names in the `/` endpoint list
+ */
+module.exports = {
+    meta: require('./meta'),
+    analyze: require('./analyze'),
+    reports: require('./reports'),
+    badges: require('./badges'),
+    industries: require('./industries'),
+    benchmarks: require('./benchmarks'),
+    leaderboards: require('./leaderboards'),
+    profiles: require('./profiles'),
+    email: require('./email'),
+    leads: require('./leads'),
+    scrapes: require('./scrapes'),
+    scoring: require('./scoring'),
+    insights: require('./insights'),
+    auth: require('./auth'),
+    webhooks: require('./webhooks')
+};
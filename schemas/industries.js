@@ -0,0 +1,54 @@
+const { text, success, object } = require('./common');
+
+const node = {
+    type: 'object',
+    properties: {
+        id: { type: 'string', example: 'yoga' },
+        name: { type: 'string', example: 'Yoga' },
+        synonyms: { type: 'array', items: { type: 'string' } }
+    }
+};
+
+module.exports = {
+    industries: {
+        method: 'get',
+        path: '/api/industries',
+        summary: 'List the industry taxonomy (industries with their niches and synonyms)',
+        responses: {
+            200: {
+                description: 'Taxonomy',
+                schema: success({
+                    industries: {
+                        type: 'array',
+                        items: { ...node, properties: { ...node.properties, niches: { type: 'array', items: node } } }
+                    }
+                })
+            }
+        }
+    },
+    suggestIndustry: {
+        method: 'post',
+        path: '/api/industries/suggest',
+        summary: 'Suggest an industry from a business category and/or biography',
+        body: {
+            type: 'object',
+            properties: {
+                businessCategory: text('Instagram business category', { example: 'Yoga Studio' }),
+                biography: { type: 'string', maxLength: 2200, example: 'Vinyasa and yin classes in Austin' }
+            },
+            anyOf: [{ required: ['businessCategory'] }, { required: ['biography'] }],
+            'x-message': 'needs businessCategory and/or biography'
+        },
+        responses: {
+            200: {
+                description: 'Suggestion (null when nothing matches)',
+                schema: success({
+                    suggestion: {
+                        ...object('{ industry, name, parent, confidence, signals }'),
+                        nullable: true
+                    }
+                })
+            }
+        }
+    }
+};
@@ -0,0 +1,92 @@
+const { username, platform, industry, location, success, object } = require('./common');
+const { SEVERITIES, OPERATORS } = require('../services/insights');
+
+const ruleProperties = {
+    key: { type: 'string', pattern: '^[A-Za-z0-9_-]+$', 'x-message': 'must only contain letters, numbers, dashes and underscores' },
+    name: { type: 'string', maxLength: 255 },
+    category: { type: 'string', minLength: 1, maxLength: 50, example: 'engagement' },
+    severity: { type: 'string', enum: SEVERITIES },
+    priority: { type: 'number' },
+    condition: object(`Condition tree: { all | any: [...] }, { not: {...} } or { field, op, value } (op: ${Object.keys(OPERATORS).join(', ')})`),
+    message: { type: 'string', minLength: 1, description: 'Template, e.g. "You\'re {{ vs.engagement | abs }}% above average"' },
+    recommendation: { type: 'string', nullable: true },
+    active: { type: 'boolean' }
+};
+
+const rule = { type: 'object', properties: ruleProperties };
+
+// The key of an existing rule comes from the path
+const { key: ruleKeyProperty, ...editableProperties } = ruleProperties;
+
+const ruleKey = {
+    type: 'object',
+    required: ['key'],
+    properties: { key: ruleKeyProperty }
+};
+
+module.exports = {
+    insightRules: {
+        method: 'get',
+        path: '/api/insights/rules',
+        summary: 'List insight rules (file defaults merged with database overrides)',
+        auth: 'admin',
+        responses: {
+            200: { description: 'Rules', schema: success({ count: { type: 'integer' }, rules: { type: 'array', items: rule } }) }
+        }
+    },
+    createInsightRule: {
+        method: 'post',
+        path: '/api/insights/rules',
+        summary: 'Create an insight rule',
+        auth: 'admin',
+        body: { ...rule, required: ['key', 'category', 'severity', 'condition', 'message'] },
+        responses: {
+            201: { description: 'Saved rule', schema: success({ rule }) },
+            409: { description: 'A rule with this key already exists' }
+        }
+    },
+    updateInsightRule: {
+        method: 'put',
+        path: '/api/insights/rules/:key',
+        summary: 'Update an insight rule (partial; set "active": false to disable one)',
+        auth: 'admin',
+        params: ruleKey,
+        body: { type: 'object', properties: editableProperties },
+        responses: {
+            200: { description: 'Saved rule', schema: success({ rule }) },
+            404: { description: 'Rule not found' }
+        }
+    },
+    insightDryRun: {
+        method: 'post',
+        path: '/api/insights/dry-run',
+        summary: 'Evaluate rules against a profile without saving anything',
+        auth: 'admin',
+        body: {
+            type: 'object',
+            properties: {
+                username: { ...username, description: 'A stored profile' },
+                platform,
+                profile: object('Profile row, e.g. { "followers": 1000, "engagement_rate": 1.2 }'),
+                industry,
+                ...location,
+                benchmarks: object('Benchmarks to use instead of looking them up'),
+                score: object('Score to use instead of calculating it'),
+                rules: { type: 'array', items: rule, description: 'Unsaved rules to test instead of the stored ones' }
+            },
+            anyOf: [{ required: ['username'] }, { required: ['profile'] }],
+            'x-message': 'needs a profile object or a username'
+        },
+        responses: {
+            200: {
+                description: 'Evaluation',
+                schema: success({
+                    context: object('Evaluation context'),
+                    insights: { type: 'array', items: object('Insight') },
+                    trace: { type: 'array', items: object('Per-rule result') }
+                })
+            },
+            404: { description: 'Profile has not been analyzed yet' }
+        }
+    }
+};
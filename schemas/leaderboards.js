@@ -0,0 +1,36 @@
+const { industry, platform, text, pagination, success, object } = require('./common');
+const { SORT_COLUMNS } = require('../services/leaderboard');
+
+module.exports = {
+    leaderboards: {
+        method: 'get',
+        path: '/api/leaderboards/:industry/:locationType/:locationValue',
+        summary: 'Get a leaderboard page',
+        description: 'Same-named places have separate leaderboards; state and country pick one, otherwise the one with the most accounts is returned',
+        params: {
+            type: 'object',
+            required: ['industry', 'locationType', 'locationValue'],
+            properties: {
+                industry,
+                locationType: { type: 'string', enum: ['city', 'state', 'country', 'global'] },
+                locationValue: text('Location name (case-insensitive; "global" for the global leaderboard)', { example: 'Austin' })
+            }
+        },
+        query: {
+            type: 'object',
+            properties: {
+                state: text('State the city is in (city leaderboards)', { example: 'Texas' }),
+                country: text('Country the city or state is in', { example: 'United States' }),
+                platform,
+                sort: { type: 'string', enum: Object.keys(SORT_COLUMNS), default: 'overall' },
+                ...pagination(25, 100)
+            }
+        },
+        responses: {
+            200: {
+                description: 'Leaderboard page',
+                schema: success({ leaderboard: object('{ platform, industry, locationType, locationValue, locationState, locationCountry, sort, total, calculatedAt, scoringModel, entries }') })
+            }
+        }
+    }
+};
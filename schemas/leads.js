@@ -0,0 +1,76 @@
+const { text, date, id, pagination, success, object } = require('./common');
+
+const lead = object('Lead { id, email, username, industry, location, overallScore, captures, converted, revenue, ... }');
+
+const filters = {
+    q: text('Email or username contains'),
+    industry: text('Industry of the latest capture'),
+    city: text('City of the latest capture'),
+    state: text('State of the latest capture'),
+    country: text('Country of the latest capture'),
+    minScore: { type: 'number', minimum: 0, maximum: 100 },
+    maxScore: { type: 'number', minimum: 0, maximum: 100 },
+    from: date('Latest capture on or after'),
+    to: date('Latest capture on or before'),
+    converted: { type: 'boolean' },
+    unsubscribed: { type: 'boolean' }
+};
+
+module.exports = {
+    leads: {
+        method: 'get',
+        path: '/api/leads',
+        summary: 'List leads, one per contact',
+        auth: 'admin',
+        query: {
+            type: 'object',
+            properties: { ...filters, ...pagination(50, 200) }
+        },
+        responses: {
+            200: {
+                description: 'Leads page',
+                schema: success({
+                    total: { type: 'integer' },
+                    limit: { type: 'integer' },
+                    offset: { type: 'integer' },
+                    leads: { type: 'array', items: lead }
+                })
+            }
+        }
+    },
+    leadExport: {
+        method: 'get',
+        path: '/api/leads/export.csv',
+        summary: 'Export the filtered leads as CSV',
+        auth: 'admin',
+        query: { type: 'object', properties: filters },
+        responses: { 200: { description: 'CSV file', contentType: 'text/csv', schema: { type: 'string' } } }
+    },
+    dedupeLeads: {
+        method: 'post',
+        path: '/api/leads/dedupe',
+        summary: 'Merge contacts and captures into one contact per normalized email address',
+        auth: 'admin',
+        responses: {
+            200: {
+                description: 'Dedupe result',
+                schema: success({
+                    contactsMerged: { type: 'integer' },
+                    contactsCreated: { type: 'integer' },
+                    capturesLinked: { type: 'integer' }
+                })
+            }
+        }
+    },
+    lead: {
+        method: 'get',
+        path: '/api/leads/:id',
+        summary: 'Get a contact with its capture history',
+        auth: 'admin',
+        params: id('Contact id'),
+        responses: {
+            200: { description: 'Lead', schema: success({ lead }) },
+            404: { description: 'Lead not found' }
+        }
+    }
+};
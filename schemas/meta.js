@@ -0,0 +1,22 @@
+const { object } = require('./common');
+
+module.exports = {
+    index: {
+        method: 'get',
+        path: '/',
+        summary: 'API name, version and endpoint list',
+        responses: { 200: { description: 'API info', schema: object('{ message, version, docs, endpoints }') } }
+    },
+    health: {
+        method: 'get',
+        path: '/health',
+        summary: 'Health check',
+        responses: { 200: { description: 'Healthy', schema: object('{ status, timestamp, version }') } }
+    },
+    openapi: {
+        method: 'get',
+        path: '/api/openapi.json',
+        summary: 'This API\'s OpenAPI 3 document (generated from the request schemas)',
+        responses: { 200: { description: 'OpenAPI document', schema: object('OpenAPI 3.0 document') } }
+    }
+};
@@ -0,0 +1,84 @@
+const { username, platform, pagination, success, object } = require('./common');
+const { SORT_COLUMNS } = require('../services/posts');
+
+const profile = {
+    type: 'object',
+    required: ['username'],
+    properties: { username }
+};
+
+const notAnalyzed = { 404: { description: 'Profile has not been analyzed yet' } };
+
+module.exports = {
+    profileHistory: {
+        method: 'get',
+        path: '/api/profiles/:username/history',
+        summary: 'Get growth history for a profile',
+        params: profile,
+        query: {
+            type: 'object',
+            properties: {
+                platform,
+                days: { type: 'integer', minimum: 1, maximum: 3650, default: 90, description: 'Days of history points to return' }
+            }
+        },
+        responses: {
+            200: {
+                description: 'History',
+                schema: success({
+                    platform: { type: 'string' },
+                    username: { type: 'string' },
+                    snapshotCount: { type: 'integer' },
+                    firstScrapedAt: { type: 'string', format: 'date-time' },
+                    lastScrapedAt: { type: 'string', format: 'date-time' },
+                    latest: object('Latest snapshot'),
+                    deltas: object('Change per window (null without an old enough snapshot)'),
+                    history: { type: 'array', items: object('Snapshot') }
+                })
+            },
+            ...notAnalyzed
+        }
+    },
+    profilePosts: {
+        method: 'get',
+        path: '/api/profiles/:username/posts',
+        summary: 'Get stored posts for a profile',
+        params: profile,
+        query: {
+            type: 'object',
+            properties: {
+                platform,
+                sort: { type: 'string', enum: Object.keys(SORT_COLUMNS), default: 'recent' },
+                ...pagination(50, 200)
+            }
+        },
+        responses: {
+            200: {
+                description: 'Posts',
+                schema: success({ platform: { type: 'string' }, username: { type: 'string' }, count: { type: 'integer' }, posts: { type: 'array', items: object('Post') } })
+            },
+            ...notAnalyzed
+        }
+    },
+    topPosts: {
+        method: 'get',
+        path: '/api/profiles/:username/top-posts',
+        summary: 'Rank posts by engagement relative to follower count',
+        params: profile,
+        query: {
+            type: 'object',
+            properties: {
+                platform,
+                order: { type: 'string', enum: ['best', 'worst'], default: 'best' },
+                limit: { type: 'integer', minimum: 1, maximum: 50, default: 10 }
+            }
+        },
+        responses: {
+            200: {
+                description: 'Ranked posts',
+                schema: success({ platform: { type: 'string' }, username: { type: 'string' }, order: { type: 'string' }, posts: { type: 'array', items: object('Post') } })
+            },
+            ...notAnalyzed
+        }
+    }
+};
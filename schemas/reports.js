@@ -0,0 +1,56 @@
+const { success, object } = require('./common');
+const { REPORT_ID_PATTERN } = require('../services/reports');
+
+const reportId = {
+    type: 'object',
+    required: ['id'],
+    properties: {
+        id: {
+            type: 'string',
+            pattern: REPORT_ID_PATTERN,
+            'x-message': 'must be a report id',
+            description: 'Report id (from `report.id` in the analysis result)'
+        }
+    }
+};
+
+const notFound = { description: 'Report not found (REPORT_NOT_FOUND)' };
+
+module.exports = {
+    report: {
+        method: 'get',
+        path: '/api/reports/:id',
+        summary: 'Get a saved analysis report',
+        description: 'Every analysis is saved as a report; anyone with the link can read it',
+        params: reportId,
+        responses: {
+            200: {
+                description: 'Report',
+                schema: success({
+                    report: object('{ id, platform, username, industry, overallScore, source, viewCount, createdAt, url, htmlUrl, pdfUrl, result } (result is the analysis as returned by /api/analyze)')
+                })
+            },
+            404: notFound
+        }
+    },
+    reportHtml: {
+        method: 'get',
+        path: '/api/reports/:id.html',
+        summary: 'Report as a branded HTML page (score, benchmarks, rankings, insights and charts)',
+        params: reportId,
+        responses: {
+            200: { description: 'HTML page', contentType: 'text/html', schema: { type: 'string' } },
+            404: notFound
+        }
+    },
+    reportPdf: {
+        method: 'get',
+        path: '/api/reports/:id.pdf',
+        summary: 'Report as a PDF',
+        params: reportId,
+        responses: {
+            200: { description: 'PDF document', contentType: 'application/pdf', schema: { type: 'string', format: 'binary' } },
+            404: notFound
+        }
+    }
+};
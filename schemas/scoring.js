@@ -0,0 +1,91 @@
+const { industry, success, object } = require('./common');
+const { SCORING_METRICS, SCORING_METHODS } = require('../services/benchmark');
+const { PLATFORM_IDS } = require('../services/platforms');
+
+const model = object('Scoring model { name, version, industry, description, components, active, createdAt, activatedAt }');
+const name = { type: 'string', pattern: '^[A-Za-z0-9_-]+$', 'x-message': 'must only contain letters, numbers, dashes and underscores' };
+const positive = { type: 'number', minimum: 0, exclusiveMinimum: true };
+
+module.exports = {
+    scoringModels: {
+        method: 'get',
+        path: '/api/scoring/models',
+        summary: 'List scoring models (every stored version plus the built-in ones)',
+        auth: 'admin',
+        responses: {
+            200: {
+                description: 'Models',
+                schema: success({
+                    models: { type: 'array', items: model },
+                    builtIn: { type: 'array', items: model },
+                    defaultModel: object('{ name, version }')
+                })
+            }
+        }
+    },
+    activeScoringModel: {
+        method: 'get',
+        path: '/api/scoring/models/active/:industry',
+        summary: 'Get the scoring model currently used for an industry',
+        auth: 'admin',
+        params: { type: 'object', required: ['industry'], properties: { industry } },
+        responses: { 200: { description: 'Active model', schema: success({ model }) } }
+    },
+    createScoringModel: {
+        method: 'post',
+        path: '/api/scoring/models',
+        summary: 'Save a new version of a scoring model',
+        auth: 'admin',
+        body: {
+            type: 'object',
+            required: ['name', 'components'],
+            properties: {
+                name,
+                industry: { ...industry, nullable: true, description: 'Industry the model applies to (null for every industry)' },
+                description: { type: 'string', nullable: true },
+                components: {
+                    type: 'array',
+                    minItems: 1,
+                    items: {
+                        type: 'object',
+                        required: ['metric', 'method', 'weight'],
+                        properties: {
+                            metric: { type: 'string', enum: Object.keys(SCORING_METRICS) },
+                            method: { type: 'string', enum: SCORING_METHODS },
+                            weight: positive,
+                            cap: positive,
+                            target: positive,
+                            steepness: positive,
+                            platforms: {
+                                type: 'array',
+                                minItems: 1,
+                                items: { type: 'string', enum: PLATFORM_IDS },
+                                description: 'Platforms the component applies to (omit for every platform)'
+                            }
+                        }
+                    }
+                },
+                activate: { type: 'boolean', default: false }
+            }
+        },
+        responses: { 201: { description: 'Saved model', schema: success({ model }) } }
+    },
+    activateScoringModel: {
+        method: 'post',
+        path: '/api/scoring/models/:name/:version/activate',
+        summary: 'Make a stored model version the active one for its industry',
+        auth: 'admin',
+        params: {
+            type: 'object',
+            required: ['name', 'version'],
+            properties: {
+                name,
+                version: { type: 'integer', minimum: 1 }
+            }
+        },
+        responses: {
+            200: { description: 'Activated model', schema: success({ model }) },
+            404: { description: 'Scoring model version not found' }
+        }
+    }
+};
@@ -0,0 +1,86 @@
+const { username, platform, dateRange, pagination, success, object } = require('./common');
+const { TRIGGERS, STATUSES } = require('../services/scrape-runs');
+
+const scrapeRun = {
+    type: 'object',
+    properties: {
+        id: { type: 'integer' },
+        provider: { type: 'string', example: 'apify' },
+        platform: { type: 'string', enum: platform.enum },
+        usernames: { type: 'array', items: { type: 'string' } },
+        trigger: { type: 'string', enum: TRIGGERS },
+        status: { type: 'string', enum: STATUSES },
+        profilesReturned: { type: 'integer', nullable: true },
+        errorCode: { type: 'string', nullable: true },
+        errorMessage: { type: 'string', nullable: true },
+        durationMs: { type: 'integer', nullable: true },
+        estimatedCost: { type: 'number', example: 0.0026 },
+        apiKeyId: { type: 'integer', nullable: true },
+        startedAt: { type: 'string', format: 'date-time' },
+        finishedAt: { type: 'string', format: 'date-time', nullable: true }
+    }
+};
+
+const budget = {
+    type: 'object',
+    properties: {
+        budget: { type: 'number', nullable: true, description: 'USD (null = unlimited)' },
+        spent: { type: 'number' },
+        remaining: { type: 'number', nullable: true },
+        exceeded: { type: 'boolean' }
+    }
+};
+
+module.exports = {
+    scrapeRuns: {
+        method: 'get',
+        path: '/api/scrapes',
+        summary: 'Ledger of scraper runs with estimated cost, newest first',
+        auth: 'admin',
+        query: {
+            type: 'object',
+            properties: {
+                ...dateRange,
+                platform: { type: 'string', enum: platform.enum },
+                username: { ...username, description: 'Runs that included this account' },
+                trigger: { type: 'string', enum: TRIGGERS },
+                status: { type: 'string', enum: STATUSES },
+                ...pagination(50, 200)
+            }
+        },
+        responses: {
+            200: {
+                description: 'Runs page',
+                schema: success({
+                    from: { type: 'string', format: 'date-time' },
+                    to: { type: 'string', format: 'date-time' },
+                    total: { type: 'integer' },
+                    estimatedCost: { type: 'number', description: 'Across every matching run' },
+                    limit: { type: 'integer' },
+                    offset: { type: 'integer' },
+                    runs: { type: 'array', items: scrapeRun }
+                })
+            }
+        }
+    },
+    scrapeUsage: {
+        method: 'get',
+        path: '/api/scrapes/usage',
+        summary: 'Estimated scrape spend against the daily and monthly budgets',
+        auth: 'admin',
+        responses: {
+            200: {
+                description: 'Usage this month',
+                schema: success({
+                    provider: { type: 'string' },
+                    budgets: { type: 'object', properties: { day: budget, month: budget } },
+                    byPlatform: { type: 'array', items: object('{ key, runs, estimatedCost }') },
+                    byTrigger: { type: 'array', items: object('{ key, runs, estimatedCost }') },
+                    byStatus: { type: 'array', items: object('{ key, runs, estimatedCost }') },
+                    byDay: { type: 'array', items: object('{ day, runs, profiles, estimatedCost }') },
+                    topUsernames: { type: 'array', items: object('{ platform, username, runs }') }
+                })
+            }
+        }
+    }
+};
@@ -0,0 +1,30 @@
+const { date, success, object } = require('./common');
+
+module.exports = {
+    conversionWebhook: {
+        method: 'post',
+        path: '/api/webhooks/conversions',
+        summary: 'Mark a lead converted to Magnet Pro',
+        description: 'Signed with CONVERSION_WEBHOOK_SECRET: `X-Magnet-Signature: t=<unix seconds>,v1=<HMAC-SHA256 of "<t>.<raw body>">`',
+        auth: 'signature',
+        body: {
+            type: 'object',
+            properties: {
+                email: { type: 'string', format: 'email', maxLength: 255 },
+                leadId: { type: 'integer', minimum: 1 },
+                plan: { type: 'string', maxLength: 100 },
+                revenue: { type: 'number', minimum: 0, nullable: true },
+                eventId: { type: 'string', maxLength: 255, description: 'Idempotency key; repeated events are reported as duplicates' },
+                convertedAt: date('Conversion time (default now)')
+            },
+            anyOf: [{ required: ['email'] }, { required: ['leadId'] }],
+            'x-message': 'needs email or leadId'
+        },
+        responses: {
+            200: {
+                description: 'Conversion recorded',
+                schema: success({ duplicate: { type: 'boolean' }, conversion: object('Conversion') })
+            }
+        }
+    }
+};
@@ -0,0 +1,400 @@
+const db = require('../config/database');
+const { scrapeProfile, scrapeMultipleProfiles } = require('./apify');
+const { recordSnapshot } = require('./history');
+const { savePosts } = require('./posts');
+const { getBenchmarks, calculateRankings, scoreProfile, getBenchmarkPercentiles, formatBenchmarks } = require('./benchmark');
+const { getScoringModel } = require('./scoring');
+const { generateInsights } = require('./insights');
+const { getNearbyArea } = require('./locations');
+const { resolveIndustry, suggestIndustry } = require('./industries');
+const { DEFAULT_PLATFORM } = require('./platforms');
+
+// Scrapes currently running, keyed by platform and username, so concurrent analyses and comparisons share one paid run
+const inFlightScrapes = new Map();
+const inFlightKey = (platform, username) => `${platform}:${username.toLowerCase()}`;
+
+// Profiles scraped within maxAgeDays are fresh (requests can ask for 1-365 days)
+const DEFAULT_MAX_AGE_DAYS = parseFloat(process.env.PROFILE_MAX_AGE_DAYS) || 7;
+const MAX_AGE_DAYS_LIMIT = 365;
+
+// Older profiles up to this age are returned immediately while a background rescrape refreshes them;
+// beyond it the caller waits for a scrape
+const STALE_MAX_AGE_DAYS = parseFloat(process.env.PROFILE_STALE_MAX_AGE_DAYS) || 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Save a scraped profile, appending a history snapshot and posts
+ * @param {string} username - Username
+ * @param {Object} scrapedData - Transformed profile from the scraper (its `platform` says where it's from)
+ * @param {Object} segment - { industry, locationCity, locationState, locationCountry, lat, lon } (missing values keep
+ *   what is stored; a new city without coordinates clears the stored ones)
+ * @returns {Promise<Object>} Saved profile row
+ */
+async function saveScrapedProfile(username, scrapedData, { industry, locationCity, locationState, locationCountry, lat, lon }) {
+    return db.transaction(async (client) => {
+        const saved = await client.query(`
+            INSERT INTO profiles (
+                username, full_name, profile_pic_url,
+                followers, following, posts,
+                engagement_rate, avg_likes, avg_comments, avg_views,
+                verified, biography, external_url, business_category,
+                industry, location_city, location_state, location_country,
+                post_frequency, reel_percentage, lat, lon,
+                platform, total_likes,
+                last_scraped, scrape_count
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, NOW(), 1)
+            ON CONFLICT (platform, username)
+            DO UPDATE SET
+                full_name = $2,
+                profile_pic_url = $3,
+                followers = $4,
+                following = $5,
+                posts = $6,
+                engagement_rate = $7,
+                avg_likes = $8,
+                avg_comments = $9,
+                avg_views = $10,
+                verified = $11,
+                biography = $12,
+                external_url = $13,
+                business_category = $14,
+                industry = COALESCE($15, profiles.industry),
+                location_city = COALESCE($16, profiles.location_city),
+                location_state = COALESCE($17, profiles.location_state),
+                location_country = COALESCE($18, profiles.location_country),
+                post_frequency = $19,
+                reel_percentage = $20,
+                lat = COALESCE($21, CASE WHEN $16 IS NULL THEN profiles.lat END),
+                lon = COALESCE($22, CASE WHEN $16 IS NULL THEN profiles.lon END),
+                total_likes = $24,
+                is_synthetic = FALSE,
+                last_scraped = NOW(),
+                scrape_count = profiles.scrape_count + 1,
+                updated_at = NOW()
+            RETURNING *
+        `, [
+            username, scrapedData.full_name, scrapedData.profile_pic_url,
+            scrapedData.followers, scrapedData.following, scrapedData.posts,
+            scrapedData.engagement_rate, scrapedData.avg_likes, scrapedData.avg_comments, scrapedData.avg_views,
+            scrapedData.verified, scrapedData.biography, scrapedData.external_url, scrapedData.business_category,
+            industry, locationCity, locationState, locationCountry,
+            scrapedData.post_frequency, scrapedData.reel_percentage,
+            lat ?? null, lon ?? null,
+            scrapedData.platform || DEFAULT_PLATFORM, scrapedData.total_likes ?? null
+        ]);
+
+        await recordSnapshot(saved.rows[0], client);
+        await savePosts(saved.rows[0], scrapedData.latest_posts, client);
+
+        return saved.rows[0];
+    });
+}
+
+const getProfileAgeDays = (profile) => (Date.now() - new Date(profile.last_scraped).getTime()) / DAY_MS;
+
+/**
+ * How a stored profile can be used under a cache policy
+ * @returns {string|null} 'fresh', 'stale' (serve and revalidate) or null (too old, scrape first)
+ */
+function getCacheStatus(profile, maxAgeDays = DEFAULT_MAX_AGE_DAYS) {
+    if (!profile || !profile.last_scraped) return null;
+
+    const ageDays = getProfileAgeDays(profile);
+    if (ageDays <= maxAgeDays) return 'fresh';
+    if (ageDays <= STALE_MAX_AGE_DAYS) return 'stale';
+    return null;
+}
+
+/**
+ * Cache details for API responses
+ */
+function formatCache(status, profile, maxAgeDays, revalidating = false) {
+    return {
+        status,
+        ageDays: status === 'scraped' ? 0 : Math.round(getProfileAgeDays(profile) * 10) / 10,
+        maxAgeDays,
+        revalidating
+    };
+}
+
+/**
+ * Scrape and save a profile; concurrent calls for the same account share a single scrape
+ * @param {Object} context - { platform, trigger, apiKeyId } (see scrapeProfile)
+ */
+function scrapeAndSaveProfile(username, segment, context) {
+    const key = inFlightKey(context.platform, username);
+
+    if (inFlightScrapes.has(key)) {
+        console.log(`Waiting for in-flight scrape of @${username}...`);
+        return inFlightScrapes.get(key);
+    }
+
+    console.log(`Scraping fresh data for @${username}...`);
+
+    const scrape = (async () => {
+        const scrapedData = await scrapeProfile(username, context);
+        return saveScrapedProfile(username, scrapedData, segment);
+    })().finally(() => inFlightScrapes.delete(key));
+
+    inFlightScrapes.set(key, scrape);
+    return scrape;
+}
+
+/**
+ * Scrape and save several profiles in a single scraper run
+ * Accounts already being scraped are waited for rather than scraped again, and each account in
+ * the run is registered as in flight so concurrent analyses of it wait for this run too
+ * @param {Array<string>} usernames - Usernames, all on context.platform
+ * @param {Function} segmentFor - username => segment to save the profile with (see saveScrapedProfile)
+ * @param {Object} context - { platform, trigger, apiKeyId } (see scrapeMultipleProfiles)
+ * @returns {Promise<Map<string, Object>>} Saved profiles keyed by lowercase username (missing or private accounts are left out)
+ */
+async function scrapeAndSaveProfiles(usernames, segmentFor, context) {
+    const scrapes = new Map(usernames
+        .filter(username => inFlightScrapes.has(inFlightKey(context.platform, username)))
+        .map(username => [username, inFlightScrapes.get(inFlightKey(context.platform, username))]));
+    const pending = usernames.filter(username => !scrapes.has(username));
+
+    if (pending.length > 0) {
+        console.log(`Scraping fresh data for ${pending.map(u => '@' + u).join(', ')} in one run...`);
+        const run = scrapeMultipleProfiles(pending, context);
+
+        for (const username of pending) {
+            const key = inFlightKey(context.platform, username);
+
+            const scrape = run.then((items) => {
+                const scrapedData = items.find(item => (item.username || '').toLowerCase() === username.toLowerCase());
+
+                if (!scrapedData) {
+                    const notFound = new Error(`Profile @${username} not found or is private`);
+                    notFound.status = 404;
+                    notFound.code = 'PROFILE_NOT_FOUND';
+                    throw notFound;
+                }
+
+                return saveScrapedProfile(username, scrapedData, segmentFor(username));
+            }).finally(() => inFlightScrapes.delete(key));
+
+            inFlightScrapes.set(key, scrape);
+            scrapes.set(username, scrape);
+        }
+    }
+
+    const results = await Promise.allSettled(usernames.map(username => scrapes.get(username)));
+    const profiles = new Map();
+
+    results.forEach((result, index) => {
+        if (result.status === 'fulfilled') {
+            profiles.set(usernames[index].toLowerCase(), result.value);
+        } else if (result.reason.status !== 404 && result.reason.code !== 'PROFILE_PRIVATE') {
+            throw result.reason;
+        }
+    });
+
+    return profiles;
+}
+
+/**
+ * Get a profile from cache or scrape it
+ * Fresh profiles are returned as they are; stale ones are returned immediately while a
+ * background rescrape refreshes them (stale-while-revalidate); anything older, or a
+ * forced refresh, waits for a scrape
+ * @param {Object} options - { platform, maxAgeDays, forceRefresh, apiKeyId }
+ * @returns {Promise<Object>} { profile, cache: { status: 'fresh' | 'stale' | 'scraped', ageDays, maxAgeDays, revalidating } }
+ */
+async function getOrScrapeProfile(username, segment, {
+    platform = DEFAULT_PLATFORM, maxAgeDays = DEFAULT_MAX_AGE_DAYS, forceRefresh = false, apiKeyId = null
+} = {}) {
+    if (!forceRefresh) {
+        const existing = await db.query('SELECT * FROM profiles WHERE platform = $1 AND username = $2', [platform, username]);
+        const cached = existing.rows[0];
+        const status = getCacheStatus(cached, maxAgeDays);
+
+        if (status === 'fresh') {
+            console.log(`✓ Using cached profile for @${username}`);
+            return { profile: cached, cache: formatCache(status, cached, maxAgeDays) };
+        }
+
+        if (status === 'stale') {
+            console.log(`✓ Using stale profile for @${username}, revalidating in the background`);
+
+            scrapeAndSaveProfile(username, segment, { platform, trigger: 'revalidate', apiKeyId })
+                .catch(error => console.error(`Background revalidation of @${username} failed:`, error.message));
+
+            return { profile: cached, cache: formatCache(status, cached, maxAgeDays, true) };
+        }
+    }
+
+    const profile = await scrapeAndSaveProfile(username, segment, { platform, trigger: 'analyze', apiKeyId });
+    return { profile, cache: formatCache('scraped', profile, maxAgeDays) };
+}
+
+/**
+ * Pick the industry to analyze a profile in: the requested one, else the one stored
+ * for the profile, else a suggestion from its business category and biography
+ * @param {string} requested - Canonical industry id or null (see parseIndustry)
+ * @returns {Object} { id, name, parent, source: 'request' | 'profile' | 'suggested', confidence, signals }
+ * @throws {Error} with status 400 when there's nothing to go on
+ */
+function chooseIndustry(requested, profile) {
+    const format = (node, source, suggestion = null) => ({
+        id: node.id,
+        name: node.name,
+        parent: node.parent,
+        source,
+        confidence: suggestion ? suggestion.confidence : null,
+        signals: suggestion ? suggestion.signals : []
+    });
+
+    if (requested) return format(resolveIndustry(requested), 'request');
+
+    const stored = resolveIndustry(profile.industry);
+    if (stored) return format(stored, 'profile');
+
+    const suggestion = suggestIndustry(profile);
+    if (suggestion) return format(resolveIndustry(suggestion.industry), 'suggested', suggestion);
+
+    const error = new Error('Could not determine an industry for this profile; please choose one (see GET /api/industries)');
+    error.status = 400;
+    error.code = 'INDUSTRY_REQUIRED';
+    throw error;
+}
+
+/**
+ * Run the full analysis pipeline for an Instagram or TikTok account
+ * @param {Object} params - { username, platform, industry, locationCity, locationState, locationCountry, lat, lon, radiusKm,
+ *   maxAgeDays, forceRefresh, apiKeyId } (location already resolved, see resolveLocation; industry is optional
+ *   and suggested when missing; see getOrScrapeProfile for the cache policy). Benchmarks and rankings
+ *   only include profiles on the same platform
+ * @param {Function} onStage - Optional progress callback, called with 'scraping', 'benchmarking', 'ranking'
+ * @returns {Promise<Object>} Analysis result (the /api/analyze response body)
+ */
+async function analyzeProfile(params, onStage = () => {}) {
+    const { username, locationCity, locationState, locationCountry, lat, lon } = params;
+    const platform = params.platform || DEFAULT_PLATFORM;
+    const nearby = getNearbyArea(params);
+
+    try {
+        console.log(`\n📊 Analyzing @${username} on ${platform} (${params.industry || 'industry not given'}) in ${locationCity || 'unknown location'}`);
+
+        onStage('scraping');
+        const { profile, cache } = await getOrScrapeProfile(username, {
+            industry: params.industry,
+            locationCity,
+            locationState,
+            locationCountry,
+            lat,
+            lon
+        }, { ...params, platform });
+
+        const industryChoice = chooseIndustry(params.industry, profile);
+        const industry = industryChoice.id;
+
+        if (industryChoice.source === 'suggested') {
+            console.log(`  Suggested industry for @${username}: ${industry} (confidence ${industryChoice.confidence})`);
+            await db.query('UPDATE profiles SET industry = $1 WHERE id = $2 AND industry IS NULL', [industry, profile.id]);
+        }
+
+        // Get benchmarks for industry/location
+        onStage('benchmarking');
+        const benchmarks = await getBenchmarks(industry, locationCity, locationState, locationCountry, nearby, platform);
+
+        // Calculate overall score with the industry's scoring model
+        const scoringModel = await getScoringModel(industry);
+        const score = scoreProfile(profile, benchmarks, scoringModel);
+        const overallScore = score.overall;
+
+        // Other analyses rank against the stored score
+        await db.query('UPDATE profiles SET overall_score = $1, scored_at = NOW() WHERE id = $2', [overallScore, profile.id]);
+
+        // Calculate rankings (counted against peers' stored scores)
+        onStage('ranking');
+        const rankings = await calculateRankings(
+            username,
+            industry,
+            locationCity,
+            locationState,
+            locationCountry,
+            { benchmarks, scoringModel, nearby, platform }
+        );
+
+        // Percentile for every metric (null when the benchmarks are defaults without quantiles)
+        const percentiles = getBenchmarkPercentiles(profile, benchmarks);
+
+        const insights = await generateInsights(profile, benchmarks, score);
+
+        // Build response
+        const result = {
+            success: true,
+            platform,
+            profile: {
+                username: profile.username,
+                fullName: profile.full_name,
+                profilePicUrl: profile.profile_pic_url,
+                followers: parseInt(profile.followers),
+                following: parseInt(profile.following),
+                posts: parseInt(profile.posts),
+                engagementRate: parseFloat(profile.engagement_rate),
+                avgLikes: parseInt(profile.avg_likes),
+                avgComments: parseInt(profile.avg_comments),
+                verified: profile.verified,
+                biography: profile.biography,
+                externalUrl: profile.external_url,
+                postFrequency: parseFloat(profile.post_frequency || 0),
+                reelPercentage: parseInt(profile.reel_percentage || 0),
+                avgViews: parseInt(profile.avg_views || 0),
+                totalLikes: profile.total_likes !== null ? parseInt(profile.total_likes) : null
+            },
+            industry: industryChoice,
+            score: {
+                overall: overallScore,
+                followerPercentile: percentiles.followers ?? 50,
+                engagementPercentile: percentiles.engagementRate ?? 50,
+                percentiles,
+                components: score.components,
+                model: score.model
+            },
+            location: {
+                city: locationCity || null,
+                state: locationState || null,
+                country: locationCountry || null,
+                lat: lat ?? null,
+                lon: lon ?? null,
+                radiusKm: nearby ? nearby.radiusKm : null
+            },
+            benchmarks: {
+                industry: industry,
+                location: locationCity,
+                ...formatBenchmarks(benchmarks)
+            },
+            rankings: rankings,
+            insights: insights,
+            scrapedAt: profile.last_scraped,
+            cache
+        };
+
+        console.log(`✓ Analysis complete for @${username}`);
+        console.log(`  Overall Score: ${overallScore}/100`);
+        if (rankings.city) {
+            console.log(`  City Rank: #${rankings.city.rank}/${rankings.city.total}`);
+        }
+
+        return result;
+
+    } catch (error) {
+        console.error(`Error analyzing @${username}:`, error.message);
+        throw error;
+    }
+}
+
+module.exports = {
+    DEFAULT_MAX_AGE_DAYS,
+    MAX_AGE_DAYS_LIMIT,
+    analyzeProfile,
+    getOrScrapeProfile,
+    scrapeAndSaveProfiles,
+    getCacheStatus,
+    formatCache,
+    saveScrapedProfile
+};
@@ -1,56 +1,33 @@
-const { ApifyClient } = require('apify-client');
 require('dotenv').config();
-
-const client = new ApifyClient({
-    token: process.env.APIFY_TOKEN
-});
+const { getProvider } = require('./scrapers');
+const { runScrape } = require('./scrape-runs');
+const { transformTikTokProfile } = require('./tiktok');
+const { DEFAULT_PLATFORM, getPlatform } = require('./platforms');
 
 /**
- * Scrape Instagram profile using Apify
- * @param {string} username - Instagram username (without @)
+ * Scrape a profile using the configured scraper provider
+ * @param {string} username - Username (without @)
+ * @param {Object} context - { platform } plus the scrape ledger context { trigger, apiKeyId } (see runScrape)
  * @returns {Promise<Object>} Profile data
  */
-async function scrapeInstagramProfile(username) {
-    try {
-        console.log(`Scraping Instagram profile: @${username}`);
-
-        const input = {
-            usernames: [username],
-            resultsLimit: 1,
-            addParentData: false
-        };
+async function scrapeProfile(username, context = {}) {
+    const platform = getPlatform(context.platform || DEFAULT_PLATFORM);
 
-        // Run the actor
-        const run = await client.actor('apify/instagram-profile-scraper').call(input);
+    try {
+        console.log(`Scraping ${platform.name} profile: @${username} (${getProvider().name})`);
 
-        // Fetch results
-        const { items } = await client.dataset(run.defaultDatasetId).listItems();
+        const items = await runScrape([username], { ...context, platform: platform.id });
 
         if (!items || items.length === 0) {
-            throw new Error(`Profile @${username} not found or is private`);
+            const notFound = new Error(`Profile @${username} not found or is private`);
+            notFound.status = 404;
+            notFound.code = 'PROFILE_NOT_FOUND';
+            throw notFound;
         }
 
         const profile = items[0];
 
-        // Transform Apify data to our schema
-        const transformedProfile = {
-            username: profile.username,
-            full_name: profile.fullName || null,
-            profile_pic_url: profile.profilePicUrl || profile.profilePicUrlHD || null,
-            followers: profile.followersCount || 0,
-            following: profile.followsCount || 0,
-            posts: profile.postsCount || 0,
-            verified: profile.verified || false,
-            biography: profile.biography || null,
-            external_url: profile.externalUrl || null,
-            business_category: profile.businessCategoryName || null,
-
-            // Calculate engagement metrics from recent posts
-            ...calculateEngagementMetrics(profile),
-
-            // Metadata
-            raw_data: profile // Store full Apify response for reference
-        };
+        const transformedProfile = NORMALIZERS[platform.id](profile);
 
         console.log(`✓ Successfully scraped @${username}`);
         console.log(`  Followers: ${transformedProfile.followers.toLocaleString()}`);
@@ -60,10 +37,42 @@ async function scrapeInstagramProfile(username) {
 
     } catch (error) {
         console.error(`Error scraping @${username}:`, error.message);
-        throw new Error(`Failed to scrape Instagram profile: ${error.message}`);
+        const wrapped = new Error(`Failed to scrape ${platform.name} profile: ${error.message}`);
+        wrapped.status = error.status;
+        wrapped.code = error.code;
+        throw wrapped;
     }
 }
 
+/**
+ * Transform Apify profile data to our schema
+ */
+function transformProfile(profile) {
+    return {
+        platform: 'instagram',
+        username: profile.username,
+        full_name: profile.fullName || null,
+        profile_pic_url: profile.profilePicUrl || profile.profilePicUrlHD || null,
+        followers: profile.followersCount || 0,
+        following: profile.followsCount || 0,
+        posts: profile.postsCount || 0,
+        total_likes: null,
+        verified: profile.verified || false,
+        biography: profile.biography || null,
+        external_url: profile.externalUrl || null,
+        business_category: profile.businessCategoryName || null,
+
+        // Calculate engagement metrics from recent posts
+        ...calculateEngagementMetrics(profile),
+
+        // Individual recent posts
+        latest_posts: extractPosts(profile),
+
+        // Metadata
+        raw_data: profile // Store full Apify response for reference
+    };
+}
+
 /**
  * Calculate engagement metrics from profile data
  */
@@ -125,26 +134,46 @@ function calculateEngagementMetrics(profile) {
 }
 
 /**
- * Scrape multiple profiles in parallel
+ * Extract individual posts from profile data
  */
-async function scrapeMultipleProfiles(usernames) {
-    try {
-        const input = {
-            usernames: usernames,
-            resultsLimit: usernames.length,
-            addParentData: false
-        };
-
-        const run = await client.actor('apify/instagram-profile-scraper').call(input);
-        const { items } = await client.dataset(run.defaultDatasetId).listItems();
+function extractPosts(profile) {
+    const posts = profile.latestPosts || [];
 
-        return items.map(profile => ({
-            username: profile.username,
-            full_name: profile.fullName,
-            profile_pic_url: profile.profilePicUrl,
-            followers: profile.followersCount,
-            engagement_rate: calculateEngagementMetrics(profile).engagement_rate
+    return posts
+        .filter(post => post.shortCode)
+        .map(post => ({
+            shortcode: post.shortCode,
+            type: post.type || null,
+            url: post.url || `https://www.instagram.com/p/${post.shortCode}/`,
+            posted_at: post.timestamp ? new Date(post.timestamp) : null,
+            likes: Math.max(0, post.likesCount || 0),
+            comments: Math.max(0, post.commentsCount || 0),
+            views: post.videoViewCount || 0,
+            caption: post.caption || null,
+            hashtags: post.hashtags && post.hashtags.length > 0
+                ? post.hashtags
+                : (post.caption || '').match(/#[\w]+/g)?.map(tag => tag.slice(1)) || []
         }));
+}
+
+// Raw provider item to our schema, per platform
+const NORMALIZERS = {
+    instagram: transformProfile,
+    tiktok: transformTikTokProfile
+};
+
+/**
+ * Scrape multiple profiles on one platform in a single provider run
+ * @param {Array<string>} usernames - Usernames (without @)
+ * @param {Object} context - { platform } plus the scrape ledger context { trigger, apiKeyId } (see runScrape)
+ * @returns {Promise<Array<Object>>} Transformed profiles (missing/private accounts are omitted)
+ */
+async function scrapeMultipleProfiles(usernames, context = {}) {
+    try {
+        const platform = getPlatform(context.platform || DEFAULT_PLATFORM);
+        const items = await runScrape(usernames, { ...context, platform: platform.id });
+
+        return items.map(NORMALIZERS[platform.id]);
 
     } catch (error) {
         console.error('Error scraping multiple profiles:', error);
@@ -153,6 +182,6 @@ async function scrapeMultipleProfiles(usernames) {
 }
 
 module.exports = {
-    scrapeInstagramProfile,
+    scrapeProfile,
     scrapeMultipleProfiles
 };
@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+const db = require('../config/database');
+
+const ROLES = ['admin', 'partner', 'public'];
+
+// Requests allowed per 15-minute window when a key has no quota of its own
+const DEFAULT_QUOTAS = {
+    admin: parseInt(process.env.QUOTA_ADMIN) || 5000,
+    partner: parseInt(process.env.QUOTA_PARTNER) || 1000,
+    public: parseInt(process.env.QUOTA_PUBLIC) || 100
+};
+
+const KEY_PREFIX = 'mp_';
+const LOOKUP_PREFIX_LENGTH = 12;
+
+// Key hash -> key record, so each request doesn't hit the database
+const keyCache = new NodeCache({ stdTTL: 60, useClones: false });
+
+/**
+ * Hash an API key for storage (keys are random, so a fast hash is enough)
+ */
+function hashApiKey(key) {
+    return crypto
+        .createHmac('sha256', process.env.API_KEY_PEPPER || '')
+        .update(key)
+        .digest('hex');
+}
+
+/**
+ * Public view of an api_keys row (never includes the hash)
+ */
+function toApiKey(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        role: row.role,
+        keyPrefix: row.key_prefix,
+        quota: row.quota || DEFAULT_QUOTAS[row.role],
+        createdAt: row.created_at,
+        lastUsedAt: row.last_used_at,
+        revokedAt: row.revoked_at
+    };
+}
+
+/**
+ * Issue a new API key
+ * @param {Object} options - { name, role, quota }
+ * @returns {Promise<Object>} Key record plus the raw `key` (only ever returned here)
+ */
+async function createApiKey({ name, role = 'partner', quota = null }) {
+    if (!name) {
+        const error = new Error('name is required');
+        error.status = 400;
+        throw error;
+    }
+
+    if (!ROLES.includes(role)) {
+        const error = new Error(`role must be one of: ${ROLES.join(', ')}`);
+        error.status = 400;
+        throw error;
+    }
+
+    if (quota !== null && (!Number.isInteger(quota) || quota <= 0)) {
+        const error = new Error('quota must be a positive integer');
+        error.status = 400;
+        throw error;
+    }
+
+    try {
+        const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+
+        const saved = await db.query(`
+            INSERT INTO api_keys (name, role, key_prefix, key_hash, quota)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING *
+        `, [name, role, key.slice(0, LOOKUP_PREFIX_LENGTH), hashApiKey(key), quota]);
+
+        console.log(`🔑 Issued ${role} API key #${saved.rows[0].id} (${name})`);
+
+        return { ...toApiKey(saved.rows[0]), key };
+
+    } catch (error) {
+        console.error('Error creating API key:', error);
+        throw error;
+    }
+}
+
+/**
+ * List API keys
+ * @param {boolean} includeRevoked - Include revoked keys
+ */
+async function listApiKeys(includeRevoked = false) {
+    try {
+        const result = await db.query(`
+            SELECT * FROM api_keys
+            ${includeRevoked ? '' : 'WHERE revoked_at IS NULL'}
+            ORDER BY created_at DESC
+        `);
+
+        return result.rows.map(toApiKey);
+
+    } catch (error) {
+        console.error('Error listing API keys:', error);
+        throw error;
+    }
+}
+
+/**
+ * Revoke an API key
+ * @returns {Promise<Object|null>} Revoked key, or null if not found/already revoked
+ */
+async function revokeApiKey(id) {
+    try {
+        const result = await db.query(`
+            UPDATE api_keys
+            SET revoked_at = NOW()
+            WHERE id = $1 AND revoked_at IS NULL
+            RETURNING *
+        `, [id]);
+
+        if (result.rows.length === 0) return null;
+
+        keyCache.del(result.rows[0].key_hash);
+        console.log(`🔒 Revoked API key #${id}`);
+
+        return toApiKey(result.rows[0]);
+
+    } catch (error) {
+        console.error('Error revoking API key:', error);
+        throw error;
+    }
+}
+
+/**
+ * Constant-time check against ADMIN_API_KEY
+ * Compares SHA-256 digests, which are always the same length whatever the keys' byte lengths
+ */
+function isAdminEnvKey(key) {
+    if (!process.env.ADMIN_API_KEY) return false;
+
+    const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(digest(key), digest(process.env.ADMIN_API_KEY));
+}
+
+/**
+ * Resolve a raw API key to the caller it belongs to
+ * ADMIN_API_KEY (env) is always accepted as an admin, to bootstrap the first keys
+ * @returns {Promise<Object|null>} { keyId, name, role, quota }, or null if unknown/revoked
+ */
+async function findApiKey(key) {
+    if (!key) return null;
+
+    if (isAdminEnvKey(key)) {
+        return { keyId: 'env', name: 'ADMIN_API_KEY', role: 'admin', quota: DEFAULT_QUOTAS.admin };
+    }
+
+    const hash = hashApiKey(key);
+    const cached = keyCache.get(hash);
+    if (cached !== undefined) return cached;
+
+    const result = await db.query(`
+        SELECT * FROM api_keys
+        WHERE key_hash = $1 AND revoked_at IS NULL
+    `, [hash]);
+
+    const caller = result.rows.length > 0
+        ? {
+            keyId: result.rows[0].id,
+            name: result.rows[0].name,
+            role: result.rows[0].role,
+            quota: result.rows[0].quota || DEFAULT_QUOTAS[result.rows[0].role]
+        }
+        : null;
+
+    keyCache.set(hash, caller);
+
+    if (caller) {
+        // Best-effort usage tracking, at most every 5 minutes per key
+        db.query(`
+            UPDATE api_keys SET last_used_at = NOW()
+            WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '5 minutes')
+        `, [caller.keyId]).catch(error => console.error('Error tracking API key usage:', error.message));
+    }
+
+    return caller;
+}
+
+module.exports = {
+    ROLES,
+    DEFAULT_QUOTAS,
+    createApiKey,
+    listApiKeys,
+    revokeApiKey,
+    findApiKey
+};
@@ -0,0 +1,198 @@
+/**
+ * Embeddable score badges and 1200x630 share cards (SVG, and PNG for sites that don't take SVG
+ * previews), rendered from a profile's latest report
+ */
+const NodeCache = require('node-cache');
+const { Resvg } = require('@resvg/resvg-js');
+const { getPlatform } = require('./platforms');
+const { resolveIndustry } = require('./industries');
+const { escapeHtml } = require('./email-templates');
+const { measureText } = require('./pdf');
+const { scoreColor, ordinal } = require('./report-templates');
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+const THEMES = {
+    light: { background: '#ffffff', panel: '#f4f4f7', text: '#1f2937', muted: '#6b7280', track: '#e5e7eb', brand: '#4f46e5' },
+    dark: { background: '#111827', panel: '#1f2937', text: '#f9fafb', muted: '#9ca3af', track: '#374151', brand: '#818cf8' }
+};
+
+// Badge height in pixels (the layout is drawn at 'medium' and scaled)
+const SIZES = { small: 20, medium: 28, large: 40 };
+
+const CARD_WIDTH = 1200;
+const CARD_HEIGHT = 630;
+
+// Rasterized with bundled fonts, so PNGs look the same whatever fonts the host has
+const PNG_FONTS = {
+    fontFiles: ['DejaVuSans.ttf', 'DejaVuSans-Bold.ttf'].map(file => require.resolve(`dejavu-fonts-ttf/ttf/${file}`)),
+    loadSystemFonts: false,
+    defaultFontFamily: 'DejaVu Sans',
+    sansSerifFamily: 'DejaVu Sans'
+};
+
+// Rasterizing takes tens of milliseconds, so PNG cards are kept until their figures change
+const pngCards = new NodeCache({ stdTTL: 3600, maxKeys: 1000, useClones: false });
+
+// Ranking levels in the order a badge prefers them
+const RANK_LEVELS = ['city', 'nearby', 'state', 'national'];
+
+const formatNumber = (value) => Number(value || 0).toLocaleString('en-US');
+
+/**
+ * What a badge or card shows, from the latest report (null when the profile hasn't been analyzed)
+ * @returns {Object} { username, platform, industry, score, rank: { rank, total, text } | null, engagementPercentile }
+ */
+function getBadgeView(username, platformId, report) {
+    const platform = getPlatform(platformId);
+
+    if (!report) return { username, platform, score: null, rank: null, engagementPercentile: null };
+
+    const result = report.result || {};
+    const industry = result.industry?.name || resolveIndustry(report.industry)?.name || report.industry || null;
+
+    const level = RANK_LEVELS.find(key => result.rankings?.[key]?.rank);
+    const ranking = level && result.rankings[level];
+    const place = ranking && (level === 'nearby'
+        ? `within ${ranking.radiusKm} km of ${ranking.name}`
+        : `in ${ranking.name || ranking.country}`);
+
+    // The engagement percentile is only real with benchmark quantiles (not for default benchmarks)
+    const engagementPercentile = result.score?.percentiles?.engagementRate;
+
+    return {
+        username: report.username,
+        platform,
+        fullName: result.profile?.fullName || null,
+        industry,
+        score: result.score?.overall ?? report.overallScore,
+        rank: ranking ? {
+            rank: ranking.rank,
+            total: ranking.total,
+            text: `#${formatNumber(ranking.rank)} of ${formatNumber(ranking.total)} ${industry ? `${industry.toLowerCase()} ` : ''}accounts ${place}`
+        } : null,
+        engagementPercentile: engagementPercentile !== null && engagementPercentile !== undefined
+            ? Math.round(engagementPercentile)
+            : null
+    };
+}
+
+/**
+ * Shields-style badge: brand, score, rank and engagement segments
+ * @param {Object} options - { theme: 'light' | 'dark', size: 'small' | 'medium' | 'large' }
+ * @returns {string} SVG
+ */
+function renderBadge(view, { theme = 'light', size = 'medium' } = {}) {
+    const colors = THEMES[theme] || THEMES.light;
+    const height = 28;
+    const fontSize = 12;
+    const padding = 10;
+
+    const segments = [
+        { text: `Magnet Pro · @${view.username}`, background: colors.brand, color: '#ffffff', bold: true },
+        ...(view.score === null
+            ? [{ text: 'not analyzed yet', background: colors.panel, color: colors.muted }]
+            : [
+                { text: `${view.score}/100`, background: scoreColor(view.score), color: '#ffffff', bold: true },
+                ...(view.rank ? [{ text: view.rank.text, background: colors.background, color: colors.text }] : []),
+                ...(view.engagementPercentile !== null
+                    ? [{ text: `${ordinal(view.engagementPercentile)} percentile engagement`, background: colors.panel, color: colors.text }]
+                    : [])
+            ])
+    ];
+
+    let x = 0;
+    const placed = segments.map(segment => {
+        const width = Math.ceil(measureText(segment.text, { size: fontSize, font: segment.bold ? 'bold' : 'regular' })) + padding * 2;
+        const placedSegment = { ...segment, x, width };
+        x += width;
+        return placedSegment;
+    });
+
+    const scale = (SIZES[size] || SIZES.medium) / height;
+    const label = [view.platform.name, ...segments.slice(1).map(segment => segment.text)].join(', ');
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${Math.round(x * scale)}" height="${Math.round(height * scale)}" viewBox="0 0 ${x} ${height}" role="img" aria-label="${escapeHtml(`@${view.username}: ${label}`)}">
+<title>${escapeHtml(`@${view.username} on ${label}`)}</title>
+<clipPath id="r"><rect width="${x}" height="${height}" rx="4"/></clipPath>
+<g clip-path="url(#r)">
+${placed.map(segment => `<rect x="${segment.x}" width="${segment.width}" height="${height}" fill="${segment.background}"/>`).join('\n')}
+<rect width="${x}" height="${height}" fill="none" stroke="${colors.track}" rx="4"/>
+</g>
+<g font-family="Arial,Helvetica,sans-serif" font-size="${fontSize}">
+${placed.map(segment => `<text x="${segment.x + padding}" y="18"${segment.bold ? ' font-weight="bold"' : ''} fill="${segment.color}">${escapeHtml(segment.text)}</text>`).join('\n')}
+</g>
+</svg>`;
+}
+
+/**
+ * 1200x630 share card (the Open Graph / Twitter card size)
+ * @param {Object} options - { theme: 'light' | 'dark' }
+ * @returns {string} SVG
+ */
+function renderShareCard(view, { theme = 'light' } = {}) {
+    const colors = THEMES[theme] || THEMES.light;
+    const site = APP_URL.replace(/^https?:\/\//, '').replace(/\/$/, '');
+    const analyzed = view.score !== null;
+    const scoreWidth = analyzed ? 1040 * view.score / 100 : 0;
+
+    // Stats sit in the right column; long labels (city names) shrink to fit it, with room for
+    // fonts wider than Helvetica (the PNG's DejaVu Sans)
+    const stat = (y, value, label) => {
+        const labelSize = Math.min(26, Math.floor(26 * 420 / measureText(label, { size: 26 })));
+        return `<text x="660" y="${y}" font-size="56" font-weight="bold" fill="${colors.text}">${escapeHtml(value)}</text>
+<text x="660" y="${y + 40}" font-size="${labelSize}" fill="${colors.muted}">${escapeHtml(label)}</text>`;
+    };
+
+    // "#3 of 120 fitness accounts in Austin" splits into the rank and what it's out of
+    const rankStat = view.rank && stat(300, `#${formatNumber(view.rank.rank)}`, view.rank.text.replace(/^#\S+ /, ''));
+    const engagementStat = view.engagementPercentile !== null && view.engagementPercentile !== undefined
+        && stat(rankStat ? 430 : 300, `${ordinal(view.engagementPercentile)} percentile`, 'engagement rate');
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${CARD_WIDTH}" height="${CARD_HEIGHT}" viewBox="0 0 ${CARD_WIDTH} ${CARD_HEIGHT}" role="img" aria-label="${escapeHtml(`@${view.username} ${view.platform.name} score${analyzed ? ` ${view.score}/100` : ''}`)}">
+<rect width="${CARD_WIDTH}" height="${CARD_HEIGHT}" fill="${colors.background}"/>
+<rect width="${CARD_WIDTH}" height="12" fill="${colors.brand}"/>
+<g font-family="Arial,Helvetica,sans-serif">
+<text x="80" y="96" font-size="32" font-weight="bold" fill="${colors.brand}">Magnet Pro</text>
+<text x="1120" y="96" font-size="28" text-anchor="end" fill="${colors.muted}">${escapeHtml(view.platform.name)} score</text>
+<text x="80" y="190" font-size="60" font-weight="bold" fill="${colors.text}">@${escapeHtml(view.username)}</text>
+${view.fullName || view.industry ? `<text x="80" y="236" font-size="28" fill="${colors.muted}">${escapeHtml([view.fullName, view.industry].filter(Boolean).join(' · '))}</text>` : ''}
+${analyzed ? `<text x="80" y="440" font-size="200" font-weight="bold" fill="${scoreColor(view.score)}">${escapeHtml(view.score)}</text>
+<text x="${Math.round(80 + measureText(String(view.score), { size: 200, font: 'bold' }) + 12)}" y="440" font-size="48" fill="${colors.muted}">/100</text>
+${rankStat || ''}
+${engagementStat || ''}
+<rect x="80" y="496" width="1040" height="20" rx="10" fill="${colors.track}"/>
+<rect x="80" y="496" width="${scoreWidth.toFixed(1)}" height="20" rx="10" fill="${scoreColor(view.score)}"/>` : `<text x="80" y="400" font-size="48" fill="${colors.muted}">Not analyzed yet</text>`}
+<text x="80" y="584" font-size="26" fill="${colors.muted}">Get your free score at ${escapeHtml(site)}</text>
+</g>
+</svg>`;
+}
+
+/**
+ * The share card as a PNG (Open Graph and Twitter previews don't accept SVG)
+ * @param {Object} options - { theme: 'light' | 'dark' }
+ * @returns {Buffer} PNG
+ */
+function renderShareCardPng(view, options = {}) {
+    const key = JSON.stringify([view, options]);
+    const cached = pngCards.get(key);
+    if (cached) return cached;
+
+    const png = new Resvg(renderShareCard(view, options), { font: PNG_FONTS }).render().asPng();
+
+    try {
+        pngCards.set(key, png);
+    } catch (error) {
+        // Cache full (maxKeys); serve this one uncached
+    }
+    return png;
+}
+
+module.exports = {
+    THEMES,
+    SIZES,
+    getBadgeView,
+    renderBadge,
+    renderShareCard,
+    renderShareCardPng
+};
@@ -1,46 +1,169 @@
 const db = require('../config/database');
+const { withinRadiusSql } = require('./locations');
+const { getParentIndustry, getIndustryMembers, getIndustryDefaults } = require('./industries');
+const { DEFAULT_PLATFORM, getPlatform } = require('./platforms');
+
+// Metrics summarized in benchmarks, keyed by profile column
+const BENCHMARK_METRICS = {
+    followers: { average: 'avg_followers', response: 'followers' },
+    engagement_rate: { average: 'avg_engagement', response: 'engagementRate' },
+    post_frequency: { average: 'avg_post_frequency', response: 'postFrequency' },
+    reel_percentage: { average: 'avg_reel_percentage', response: 'reelPercentage' },
+    avg_views: { average: 'avg_views', response: 'avgViews' }
+};
+
+// Percentiles stored for each metric; denser in the tails where ranks spread out
+const QUANTILE_BREAKPOINTS = [0, 1, 2, 5, 10, 15, 20, 25, 30, 35, 40, 45, 50, 55, 60, 65, 70, 75, 80, 85, 90, 95, 98, 99, 100];
 
 /**
- * Calculate percentile ranking for a value
+ * Interpolated percentile (0-100) of a value within a metric's quantile summary
+ * Values tied with a flat run of quantiles get the middle of that run
  * @param {number} value - The value to rank
- * @param {Array<number>} distribution - Array of all values to compare against
- * @returns {number} Percentile (0-100)
+ * @param {Object} quantiles - Benchmark quantiles ({ p: breakpoints, <metric>: values })
+ * @param {string} metric - Metric key (profile column)
+ * @returns {number|null} Percentile, or null when the benchmarks have no summary for the metric
  */
-function calculatePercentile(value, distribution) {
-    if (!distribution || distribution.length === 0) return 50;
+function calculatePercentile(value, quantiles, metric) {
+    const points = quantiles?.p;
+    const values = quantiles?.[metric];
+
+    if (!points || !values || values.length !== points.length || value === null || isNaN(value)) {
+        return null;
+    }
+
+    const last = values.length - 1;
+    if (value < values[0]) return 0;
+    if (value > values[last]) return 100;
+
+    // below: last quantile strictly under the value; atOrBelow: last quantile not above it
+    let below = -1;
+    let atOrBelow = -1;
+    for (let i = 0; i <= last; i++) {
+        if (values[i] < value) below = i;
+        if (values[i] <= value) atOrBelow = i;
+    }
 
-    const sorted = distribution.sort((a, b) => a - b);
-    const index = sorted.findIndex(v => v >= value);
+    if (atOrBelow > below) {
+        return Math.round((points[below + 1] + points[atOrBelow]) / 2);
+    }
 
-    if (index === -1) return 100; // Value is higher than all
+    const fraction = (value - values[below]) / (values[below + 1] - values[below]);
+    return Math.round(points[below] + fraction * (points[below + 1] - points[below]));
+}
 
-    const percentile = (index / sorted.length) * 100;
-    return Math.round(percentile);
+/**
+ * Percentile of a profile for every benchmark metric
+ * @returns {Object} { followers, engagementRate, postFrequency, reelPercentage, avgViews } (null without data)
+ */
+function getBenchmarkPercentiles(profile, benchmarks) {
+    return Object.fromEntries(Object.entries(BENCHMARK_METRICS).map(([metric, { response }]) => [
+        response,
+        calculatePercentile(parseFloat(profile[metric] || 0), benchmarks.quantiles, metric)
+    ]));
 }
 
+// Minimum profiles a level needs before its benchmarks are trusted
+const MIN_SAMPLE_SIZE = parseInt(process.env.BENCHMARK_MIN_SAMPLE) || 10;
+
+// Synthetic (seeded) profiles count towards benchmarks and rankings unless excluded;
+// excluded by default in production (SYNTHETIC_PROFILES=include|exclude)
+const INCLUDE_SYNTHETIC = (process.env.SYNTHETIC_PROFILES
+    || (process.env.NODE_ENV === 'production' ? 'exclude' : 'include')) === 'include';
+const SYNTHETIC_FILTER = INCLUDE_SYNTHETIC ? '' : 'AND is_synthetic = FALSE';
+
+// Benchmarks and rankings only use profiles scraped within this window
+const FRESH_FILTER = `AND last_scraped > NOW() - INTERVAL '30 days'`;
+
+// Profile column that defines the population at each location level
+// ('radius' levels are matched by distance from a point instead)
+const LOCATION_COLUMNS = {
+    city: 'location_city',
+    state: 'location_state',
+    country: 'location_country',
+    radius: null,
+    global: null
+};
+
+/**
+ * Cache key for a radius level; centers are rounded to ~1 km so nearby requests share it
+ */
+function radiusKey({ lat, lon, radiusKm }) {
+    return `${lat.toFixed(2)},${lon.toFixed(2)}:${radiusKm}km`;
+}
+
+/**
+ * Location levels to try, most specific first
+ * A city level is the city within its state and country, and a state level the state within its
+ * country, so same-named places (Portland, Maine and Portland, Oregon) never share a pool.
+ * With a nearby area, the radius level comes right after the city (so suburbs
+ * don't land in empty buckets), or first when the radius was requested explicitly
+ * @param {Object} nearby - Optional { name, lat, lon, radiusKm, explicit } (from getNearbyArea)
+ * @returns {Array<Object>} { type, value, state, country, area } (state and country are '' when they don't apply)
+ */
+function getLocationLevels(locationCity, locationState, locationCountry, nearby = null) {
+    const level = (type, value, state = '', country = '') => ({ type, value, state, country });
+    const radius = nearby && { ...level('radius', radiusKey(nearby)), area: nearby };
+
+    return [
+        nearby?.explicit && radius,
+        level('city', locationCity, locationState || '', locationCountry || ''),
+        nearby && !nearby.explicit && radius,
+        level('state', locationState, '', locationCountry || ''),
+        level('country', locationCountry),
+        level('global', 'global')
+    ].filter(entry => entry && entry.value);
+}
+
+/**
+ * "Portland, Maine, United States" for log lines
+ */
+const levelName = (level) => [level.value, level.state, level.country].filter(Boolean).join(', ');
+
 /**
  * Get or calculate benchmarks for industry/location
+ * Walks city -> (radius) -> state -> country -> global and uses the first level with
+ * at least MIN_SAMPLE_SIZE profiles; the result says which level was used.
+ * For a niche, each level tries the niche and then its parent industry, so a sparse
+ * niche rolls up to the parent before the location widens.
+ * Only profiles on the given platform are included
+ * @param {Object} nearby - Optional area for radius benchmarks (from getNearbyArea)
+ * @param {string} platform - 'instagram' (default) or 'tiktok'
  */
-async function getBenchmarks(industry, locationCity, locationState, locationCountry) {
+async function getBenchmarks(industry, locationCity, locationState, locationCountry, nearby = null, platform = DEFAULT_PLATFORM) {
     try {
-        // Try to get cached benchmarks (updated within last 24 hours)
-        const cached = await db.query(`
-            SELECT * FROM benchmarks
-            WHERE industry = $1
-            AND location_type = 'city'
-            AND location_value = $2
-            AND updated_at > NOW() - INTERVAL '24 hours'
-            LIMIT 1
-        `, [industry, locationCity]);
-
-        if (cached.rows.length > 0) {
-            console.log(`Using cached benchmarks for ${industry} in ${locationCity}`);
-            return cached.rows[0];
+        const levels = getLocationLevels(locationCity, locationState, locationCountry, nearby);
+        const requestedLevel = levels[0].type;
+        const segments = [industry, getParentIndustry(industry)].filter(Boolean);
+
+        for (const level of levels) {
+            for (const segment of segments) {
+                const benchmarks = await getLevelBenchmarks(segment, level, platform);
+
+                if (benchmarks.sample_size >= MIN_SAMPLE_SIZE) {
+                    if (level.type !== requestedLevel || segment !== industry) {
+                        console.log(`${platform} benchmarks for ${industry} fell back from ${requestedLevel} to ${segment} ${level.type} (${levelName(level)})`);
+                    }
+                    return {
+                        ...benchmarks,
+                        area: level.area || null,
+                        requested_industry: industry,
+                        requested_level: requestedLevel,
+                        rolled_up: segment !== industry,
+                        fallback: level.type !== requestedLevel
+                    };
+                }
+            }
         }
 
-        // Calculate fresh benchmarks
-        console.log(`Calculating fresh benchmarks for ${industry} in ${locationCity}`);
-        return await calculateBenchmarks(industry, locationCity, locationState, locationCountry);
+        // Not enough data anywhere - use hard-coded industry defaults
+        console.log(`Not enough data for ${platform} ${industry} benchmarks, using defaults`);
+        return {
+            ...getGlobalBenchmarks(industry, platform),
+            requested_industry: industry,
+            requested_level: requestedLevel,
+            rolled_up: false,
+            fallback: true
+        };
 
     } catch (error) {
         console.error('Error getting benchmarks:', error);
@@ -49,76 +172,159 @@ async function getBenchmarks(industry, locationCity, locationState, locationCoun
 }
 
 /**
- * Calculate benchmarks from database profiles
+ * Get or calculate benchmarks for a single location level
+ * @param {string} industry - Industry
+ * @param {Object} level - { type: 'city' | 'state' | 'country' | 'radius' | 'global', value, state, country, area }
+ *   (see getLocationLevels; value is 'global' for the global level, radiusKey for radius)
+ * @param {string} platform - Platform whose profiles are benchmarked
  */
-async function calculateBenchmarks(industry, locationCity, locationState, locationCountry) {
+async function getLevelBenchmarks(industry, level, platform = DEFAULT_PLATFORM) {
+    // Try to get cached benchmarks (updated within last 24 hours)
+    const cached = await db.query(`
+        SELECT * FROM benchmarks
+        WHERE industry = $1
+        AND location_type = $2
+        AND location_value = $3
+        AND location_state = $4
+        AND location_country = $5
+        AND platform = $6
+        AND updated_at > NOW() - INTERVAL '24 hours'
+        LIMIT 1
+    `, [industry, level.type, level.value, level.state || '', level.country || '', platform]);
+
+    if (cached.rows.length > 0) {
+        console.log(`Using cached ${platform} ${level.type} benchmarks for ${industry} in ${levelName(level)}`);
+        return cached.rows[0];
+    }
+
+    // Calculate fresh benchmarks
+    console.log(`Calculating fresh ${platform} ${level.type} benchmarks for ${industry} in ${levelName(level)}`);
+    return await calculateBenchmarks(industry, level, platform);
+}
+
+/**
+ * Calculate benchmarks for one location level from database profiles
+ * An industry's benchmarks include the profiles of its niches
+ * @param {string} industry - Industry
+ * @param {Object} level - { type, value, state, country, area } (see getLevelBenchmarks)
+ * @param {string} platform - Platform whose profiles are benchmarked
+ */
+async function calculateBenchmarks(industry, level, platform = DEFAULT_PLATFORM) {
+    const { type: locationType, value: locationValue, area = null } = level;
+    const locationState = level.state || '';
+    const locationCountry = level.country || '';
+
     try {
-        // Get all profiles matching industry and location
-        const profiles = await db.query(`
-            SELECT followers, engagement_rate, post_frequency, reel_percentage
+        if (!(locationType in LOCATION_COLUMNS)) {
+            throw new Error(`Unknown location type: ${locationType}`);
+        }
+        if (locationType === 'radius' && !area) {
+            throw new Error('Radius benchmarks need an area');
+        }
+
+        const column = LOCATION_COLUMNS[locationType];
+
+        // Averages and quantile summaries are aggregated in the database,
+        // so the cost doesn't depend on how many profiles a market has
+        const metrics = Object.keys(BENCHMARK_METRICS);
+        const fractions = QUANTILE_BREAKPOINTS.map(p => p / 100);
+        const params = [getIndustryMembers(industry), fractions, platform];
+
+        let locationCondition = '';
+        if (area && locationType === 'radius') {
+            locationCondition = `AND ${withinRadiusSql(area, params)}`;
+        } else if (column) {
+            params.push(locationValue);
+            locationCondition = `AND ${column} = $4`;
+
+            // Cities are told apart by state and country, states by country
+            if (locationType === 'city') {
+                params.push(locationState, locationCountry);
+                locationCondition += ` AND COALESCE(location_state, '') = $5 AND COALESCE(location_country, '') = $6`;
+            } else if (locationType === 'state') {
+                params.push(locationCountry);
+                locationCondition += ` AND COALESCE(location_country, '') = $5`;
+            }
+        }
+
+        const summary = await db.query(`
+            SELECT
+                COUNT(*) as sample_size,
+                ${metrics.map(metric => `
+                AVG(COALESCE(${metric}, 0)) as avg_${metric},
+                percentile_cont($2::float8[]) WITHIN GROUP (ORDER BY COALESCE(${metric}, 0)::float8) as q_${metric}`).join(',')}
             FROM profiles
-            WHERE industry = $1
-            AND (
-                location_city = $2
-                OR location_state = $3
-                OR location_country = $4
-            )
-            AND last_scraped > NOW() - INTERVAL '30 days'
-        `, [industry, locationCity, locationState, locationCountry]);
-
-        if (profiles.rows.length === 0) {
-            // Return global averages if no local data
-            return getGlobalBenchmarks(industry);
+            WHERE industry = ANY($1)
+            AND platform = $3
+            ${locationCondition}
+            ${FRESH_FILTER}
+            ${SYNTHETIC_FILTER}
+        `, params);
+
+        const row = summary.rows[0];
+        const sampleSize = parseInt(row.sample_size);
+
+        if (sampleSize === 0) {
+            return {
+                platform,
+                industry,
+                location_type: locationType,
+                location_value: locationValue,
+                location_state: locationState,
+                location_country: locationCountry,
+                sample_size: 0
+            };
         }
 
-        // Calculate averages
-        const data = profiles.rows;
-        const avgFollowers = data.reduce((sum, p) => sum + p.followers, 0) / data.length;
-        const avgEngagement = data.reduce((sum, p) => sum + parseFloat(p.engagement_rate), 0) / data.length;
-        const avgPostFreq = data.reduce((sum, p) => sum + parseFloat(p.post_frequency || 0), 0) / data.length;
-        const avgReels = data.reduce((sum, p) => sum + (p.reel_percentage || 0), 0) / data.length;
+        const averages = Object.fromEntries(metrics.map(metric => [
+            BENCHMARK_METRICS[metric].average,
+            parseFloat(parseFloat(row[`avg_${metric}`]).toFixed(2))
+        ]));
 
-        // Store distributions for percentile calculations
-        const followerDistribution = data.map(p => p.followers);
-        const engagementDistribution = data.map(p => parseFloat(p.engagement_rate));
+        const quantiles = { p: QUANTILE_BREAKPOINTS };
+        for (const metric of metrics) {
+            quantiles[metric] = row[`q_${metric}`].map(v => Math.round(v * 100) / 100);
+        }
 
         // Save to database
         await db.query(`
             INSERT INTO benchmarks (
                 industry, location_type, location_value,
-                avg_followers, avg_engagement, avg_post_frequency, avg_reel_percentage,
-                follower_distribution, engagement_distribution,
-                sample_size, last_calculated
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
-            ON CONFLICT (industry, location_type, location_value)
+                avg_followers, avg_engagement, avg_post_frequency, avg_reel_percentage, avg_views,
+                quantiles, sample_size, platform, location_state, location_country, last_calculated
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW())
+            ON CONFLICT (platform, industry, location_type, location_value, location_state, location_country)
             DO UPDATE SET
                 avg_followers = $4,
                 avg_engagement = $5,
                 avg_post_frequency = $6,
                 avg_reel_percentage = $7,
-                follower_distribution = $8,
-                engagement_distribution = $9,
+                avg_views = $8,
+                quantiles = $9,
                 sample_size = $10,
+                last_calculated = NOW(),
                 updated_at = NOW()
         `, [
-            industry, 'city', locationCity,
-            avgFollowers.toFixed(2), avgEngagement.toFixed(2), avgPostFreq.toFixed(2), avgReels.toFixed(2),
-            JSON.stringify(followerDistribution),
-            JSON.stringify(engagementDistribution),
-            data.length
+            industry, locationType, locationValue,
+            averages.avg_followers, averages.avg_engagement, averages.avg_post_frequency,
+            averages.avg_reel_percentage, averages.avg_views,
+            JSON.stringify(quantiles),
+            sampleSize,
+            platform,
+            locationState,
+            locationCountry
         ]);
 
         return {
+            platform,
             industry,
-            location_type: 'city',
-            location_value: locationCity,
-            avg_followers: avgFollowers,
-            avg_engagement: avgEngagement,
-            avg_post_frequency: avgPostFreq,
-            avg_reel_percentage: avgReels,
-            follower_distribution: followerDistribution,
-            engagement_distribution: engagementDistribution,
-            sample_size: data.length
+            location_type: locationType,
+            location_value: locationValue,
+            location_state: locationState,
+            location_country: locationCountry,
+            ...averages,
+            quantiles,
+            sample_size: sampleSize
         };
 
     } catch (error) {
@@ -129,131 +335,359 @@ async function calculateBenchmarks(industry, locationCity, locationState, locati
 
 /**
  * Get global industry benchmarks (fallback)
+ * Hard-coded averages come from the taxonomy (config/industries.json) until there's real data,
+ * scaled for the platform (see services/platforms.js)
  */
-function getGlobalBenchmarks(industry) {
-    // Hardcoded industry benchmarks (will be replaced with real data over time)
-    const benchmarks = {
-        'fitness': { avg_followers: 15000, avg_engagement: 3.5, avg_post_frequency: 5.2 },
-        'beauty': { avg_followers: 25000, avg_engagement: 4.2, avg_post_frequency: 7.5 },
-        'health': { avg_followers: 18000, avg_engagement: 3.8, avg_post_frequency: 4.8 },
-        'fashion': { avg_followers: 35000, avg_engagement: 3.2, avg_post_frequency: 9.2 },
-        'food': { avg_followers: 20000, avg_engagement: 4.5, avg_post_frequency: 8.0 },
-        'business': { avg_followers: 12000, avg_engagement: 2.5, avg_post_frequency: 4.0 },
-        'default': { avg_followers: 15000, avg_engagement: 3.0, avg_post_frequency: 5.0 }
+function getGlobalBenchmarks(industry, platform = DEFAULT_PLATFORM) {
+    const scale = getPlatform(platform).defaultBenchmarkScale;
+    const defaults = Object.fromEntries(Object.entries(getIndustryDefaults(industry)).map(([key, value]) => [
+        key,
+        parseFloat((value * (scale[key] ?? 1)).toFixed(2))
+    ]));
+
+    return {
+        platform,
+        industry,
+        location_type: 'global',
+        location_value: 'global',
+        avg_reel_percentage: 0,
+        avg_views: 0,
+        ...defaults,
+        sample_size: 0,
+        is_default: true
     };
+}
 
-    return benchmarks[industry] || benchmarks['default'];
+// Quantiles included in API responses (the full summary stays server-side)
+const RESPONSE_QUANTILES = [10, 25, 50, 75, 90];
+
+/**
+ * Selected quantiles per metric, e.g. { followers: { p10, p25, p50, p75, p90 } }
+ * @returns {Object|null} null for default benchmarks without quantiles
+ */
+function formatDistribution(quantiles) {
+    if (!quantiles?.p) return null;
+
+    return Object.fromEntries(Object.entries(BENCHMARK_METRICS)
+        .filter(([metric]) => quantiles[metric])
+        .map(([metric, { response }]) => [
+            response,
+            Object.fromEntries(RESPONSE_QUANTILES.map(p => [`p${p}`, quantiles[metric][quantiles.p.indexOf(p)]]))
+        ]));
 }
 
 /**
- * Calculate geographic rankings
+ * Format benchmarks for API responses
  */
-async function calculateRankings(username, industry, locationCity, locationState, locationCountry) {
-    try {
-        const profile = await db.query(
-            'SELECT followers, engagement_rate FROM profiles WHERE username = $1',
-            [username]
-        );
+function formatBenchmarks(benchmarks) {
+    return {
+        platform: benchmarks.platform || DEFAULT_PLATFORM,
+        avgFollowers: Math.round(benchmarks.avg_followers),
+        avgEngagement: parseFloat(benchmarks.avg_engagement).toFixed(1),
+        avgPostFrequency: parseFloat(benchmarks.avg_post_frequency).toFixed(1),
+        avgReelPercentage: Math.round(benchmarks.avg_reel_percentage || 0),
+        avgViews: Math.round(benchmarks.avg_views || 0),
+        distribution: formatDistribution(benchmarks.quantiles),
+        sampleSize: benchmarks.sample_size || 0,
+        level: benchmarks.location_type,
+        levelLocation: benchmarks.area ? benchmarks.area.name : benchmarks.location_value,
+        benchmarkIndustry: benchmarks.industry,
+        rolledUp: benchmarks.rolled_up || false,
+        radiusKm: benchmarks.area ? benchmarks.area.radiusKm : null,
+        requestedLevel: benchmarks.requested_level || benchmarks.location_type,
+        fallback: benchmarks.fallback || false,
+        isDefault: benchmarks.is_default || false
+    };
+}
 
-        if (profile.rows.length === 0) {
-            throw new Error('Profile not found in database');
-        }
+// Geographic levels a profile is ranked at; levels without a known location are omitted
+const RANKING_LEVELS = [
+    { key: 'city', column: 'location_city', label: 'name' },
+    { key: 'nearby', column: null, label: 'name' },
+    { key: 'state', column: 'location_state', label: 'name' },
+    { key: 'national', column: 'location_country', label: 'country' }
+];
+
+// Profile column each ranking metric sorts by (higher ranks first)
+const RANKING_METRICS = {
+    overall: 'overall_score',
+    followers: 'followers',
+    engagement: 'engagement_rate'
+};
 
-        const { followers, engagement_rate } = profile.rows[0];
+// Profiles listed directly above and below the ranked profile
+const RANKING_NEIGHBORS = parseInt(process.env.RANKING_NEIGHBORS) || 2;
 
-        // City ranking
-        const cityRank = await db.query(`
-            SELECT COUNT(*) + 1 as rank
-            FROM profiles
-            WHERE location_city = $1
-            AND industry = $2
-            AND (followers > $3 OR (followers = $3 AND engagement_rate > $4))
-        `, [locationCity, industry, followers, engagement_rate]);
+/**
+ * SQL condition selecting one ranking level's profiles (params is mutated)
+ * Cities are matched with their state and country, and states with their country, as benchmarks are
+ */
+function rankingLevelSql(level, locations, nearby, params) {
+    if (!level.column) return withinRadiusSql(nearby, params);
 
-        const cityTotal = await db.query(`
-            SELECT COUNT(*) as total
-            FROM profiles
-            WHERE location_city = $1 AND industry = $2
-        `, [locationCity, industry]);
+    const param = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+    };
+    const state = () => `COALESCE(location_state, '') = ${param(locations.location_state || '')}`;
+    const country = () => `COALESCE(location_country, '') = ${param(locations.location_country || '')}`;
 
-        // State ranking
-        const stateRank = await db.query(`
-            SELECT COUNT(*) + 1 as rank
-            FROM profiles
-            WHERE location_state = $1
-            AND industry = $2
-            AND (followers > $3 OR (followers = $3 AND engagement_rate > $4))
-        `, [locationState, industry, followers, engagement_rate]);
+    if (level.key === 'city') return `location_city = ${param(locations.location_city)} AND ${state()} AND ${country()}`;
+    if (level.key === 'state') return `location_state = ${param(locations.location_state)} AND ${country()}`;
+    return `location_country = ${param(locations.location_country)}`;
+}
 
-        const stateTotal = await db.query(`
-            SELECT COUNT(*) as total
+/**
+ * Rank a profile at one level by every ranking metric, in the database
+ * Peers are the level's other scored, recently scraped profiles; the profile itself counts at the
+ * requested location even if its stored location differs. Ties share a rank (1, 2, 2, 4), and
+ * neighbors are the entries around the profile when sorted by value, then username
+ * @param {Object} self - { username, overall_score, followers, engagement_rate }
+ * @returns {Promise<Object>} { total, metrics: { overall, followers, engagement: { rank, value, above, below } } }
+ */
+async function rankAtLevel(self, peerConditions, params) {
+    const metrics = Object.entries(RANKING_METRICS);
+    const values = Object.fromEntries(metrics.map(([metric, column]) => {
+        params.push(self[column]);
+        return [metric, `$${params.length}`];
+    }));
+    params.push(RANKING_NEIGHBORS);
+    const limit = `$${params.length}`;
+
+    // Neighbors closest to the profile first; ranks count the peers strictly ahead of them
+    const neighbors = (column, value, direction) => `(
+        SELECT COALESCE(json_agg(n), '[]') FROM (
+            SELECT p.username, p.${column} as value, 1 + (SELECT COUNT(*) FROM peers ahead WHERE ahead.${column} > p.${column}) as peer_rank
+            FROM peers p
+            WHERE ${direction === 'above'
+                ? `p.${column} > ${value} OR (p.${column} = ${value} AND p.username < $1)`
+                : `p.${column} < ${value} OR (p.${column} = ${value} AND p.username > $1)`}
+            ORDER BY p.${column} ${direction === 'above' ? 'ASC' : 'DESC'}, p.username ${direction === 'above' ? 'DESC' : 'ASC'}
+            LIMIT ${limit}
+        ) n
+    )`;
+
+    const result = await db.query(`
+        WITH peers AS (
+            SELECT username, overall_score, COALESCE(followers, 0) as followers, COALESCE(engagement_rate, 0) as engagement_rate
             FROM profiles
-            WHERE location_state = $1 AND industry = $2
-        `, [locationState, industry]);
+            WHERE ${peerConditions}
+        )
+        SELECT
+            COUNT(*) as total,
+            ${metrics.map(([metric, column]) => `
+            COUNT(*) FILTER (WHERE ${column} > ${values[metric]}) as ${metric}_ahead,
+            ${neighbors(column, values[metric], 'above')} as ${metric}_above,
+            ${neighbors(column, values[metric], 'below')} as ${metric}_below`).join(',')}
+        FROM peers
+    `, params);
+
+    const row = result.rows[0];
+    const toNumber = (value) => (value === null ? null : Number(value));
+
+    // A neighbor's rank also counts the profile itself when it's ahead of them
+    const toNeighbor = (entry, value) => ({
+        rank: parseInt(entry.peer_rank) + (value > Number(entry.value) ? 1 : 0),
+        username: entry.username,
+        value: Number(entry.value)
+    });
+
+    return {
+        total: parseInt(row.total) + 1,
+        metrics: Object.fromEntries(metrics.map(([metric, column]) => {
+            const value = toNumber(self[column]);
+            return [metric, {
+                rank: parseInt(row[`${metric}_ahead`]) + 1,
+                value,
+                above: row[`${metric}_above`].reverse().map(entry => toNeighbor(entry, value)),
+                below: row[`${metric}_below`].map(entry => toNeighbor(entry, value))
+            }];
+        }))
+    };
+}
 
-        // National ranking
-        const nationalRank = await db.query(`
-            SELECT COUNT(*) + 1 as rank
-            FROM profiles
-            WHERE location_country = $1
-            AND industry = $2
-            AND (followers > $3 OR (followers = $3 AND engagement_rate > $4))
-        `, [locationCountry, industry, followers, engagement_rate]);
+/**
+ * Calculate geographic rankings by overall score, followers and engagement
+ * Ranks are counted in the database against each peer's stored overall score (written when a
+ * profile is analyzed or leaderboards are recalculated); peers are scored, recently scraped
+ * profiles in the industry on the same platform, like the profiles benchmarks use
+ * @param {Object} options - { benchmarks, scoringModel, nearby, platform } (looked up / built-in default / instagram
+ *   when omitted; nearby is an area from getNearbyArea and adds a 'nearby' level of profiles within its radius)
+ * @returns {Promise<Object>} { city, nearby, state, national } with only the levels whose location is known
+ */
+async function calculateRankings(username, industry, locationCity, locationState, locationCountry, options = {}) {
+    try {
+        const locations = { location_city: locationCity, location_state: locationState, location_country: locationCountry };
+        const nearby = options.nearby || null;
+        const platform = options.platform || DEFAULT_PLATFORM;
+        const levels = RANKING_LEVELS.filter(level => (level.column ? locations[level.column] : nearby));
 
-        const nationalTotal = await db.query(`
-            SELECT COUNT(*) as total
+        const result = await db.query(`
+            SELECT username, followers, engagement_rate, post_frequency, reel_percentage, avg_views
             FROM profiles
-            WHERE location_country = $1 AND industry = $2
-        `, [locationCountry, industry]);
+            WHERE platform = $1 AND username = $2
+        `, [platform, username]);
 
-        return {
-            city: {
-                rank: parseInt(cityRank.rows[0].rank),
-                total: parseInt(cityTotal.rows[0].total || 1000), // Fallback if no data
-                name: locationCity
-            },
-            state: {
-                rank: parseInt(stateRank.rows[0].rank),
-                total: parseInt(stateTotal.rows[0].total || 5000),
-                name: locationState
-            },
-            national: {
-                rank: parseInt(nationalRank.rows[0].rank),
-                total: parseInt(nationalTotal.rows[0].total || 50000),
-                country: locationCountry
-            }
+        const profile = result.rows[0];
+
+        if (!profile) {
+            throw new Error('Profile not found in database');
+        }
+
+        if (levels.length === 0) return {};
+
+        const benchmarks = options.benchmarks
+            || await getBenchmarks(industry, locationCity, locationState, locationCountry, null, platform);
+        const scoringModel = options.scoringModel || DEFAULT_SCORING_MODEL;
+
+        const self = {
+            username,
+            overall_score: calculateOverallScore(profile, benchmarks, scoringModel),
+            followers: parseInt(profile.followers || 0),
+            engagement_rate: parseFloat(profile.engagement_rate || 0)
         };
 
+        const rankings = {};
+        for (const level of levels) {
+            const params = [username, getIndustryMembers(industry), platform];
+            const peerConditions = `
+                username <> $1 AND industry = ANY($2) AND platform = $3
+                AND overall_score IS NOT NULL
+                AND ${rankingLevelSql(level, locations, nearby, params)}
+                ${FRESH_FILTER}
+                ${SYNTHETIC_FILTER}
+            `;
+
+            const { total, metrics } = await rankAtLevel(self, peerConditions, params);
+
+            rankings[level.key] = {
+                [level.label]: level.column ? locations[level.column] : nearby.name,
+                ...(level.column ? {} : { radiusKm: nearby.radiusKm }),
+                rank: metrics.overall.rank,
+                total,
+                metrics
+            };
+        }
+
+        return rankings;
+
     } catch (error) {
         console.error('Error calculating rankings:', error);
         throw error;
     }
 }
 
+// Built-in scoring models (used when none are stored in the database)
+const BUILT_IN_SCORING_MODELS = require('../config/scoring-models.json');
+const DEFAULT_SCORING_MODEL = BUILT_IN_SCORING_MODELS.find(m => m.default) || BUILT_IN_SCORING_MODELS[0];
+
+// Every benchmark metric can be scored
+const SCORING_METRICS = BENCHMARK_METRICS;
+
+const SCORING_METHODS = ['ratio', 'curve', 'percentile'];
+
+/**
+ * Score one model component (0-100)
+ * - ratio: value / reference, capped at `cap` (default 1) and scaled so the cap scores 100
+ * - curve: r^s / (r^s + 1) where r = value / reference, so average scores 50 and it never saturates
+ * - percentile: interpolated percentile in the benchmark quantiles (falls back to curve without them)
+ * The reference is the component's fixed `target` if set, otherwise the benchmark average
+ */
+function scoreComponent(component, value, benchmarks) {
+    const metric = SCORING_METRICS[component.metric];
+    const reference = component.target ?? parseFloat(benchmarks[metric.average]);
+    const percentile = component.method === 'percentile'
+        ? calculatePercentile(value, benchmarks.quantiles, component.metric)
+        : null;
+
+    if (percentile !== null) {
+        return { reference: null, score: percentile };
+    }
+
+    // No usable reference - neutral score
+    if (!reference || reference <= 0) {
+        return { reference: null, score: 50 };
+    }
+
+    const ratio = Math.max(0, value) / reference;
+
+    if (component.method === 'ratio') {
+        const cap = component.cap || 1;
+        return { reference, score: (Math.min(cap, ratio) / cap) * 100 };
+    }
+
+    const steepness = component.steepness || 1;
+    return { reference, score: (Math.pow(ratio, steepness) / (Math.pow(ratio, steepness) + 1)) * 100 };
+}
+
 /**
- * Calculate overall performance score (0-100)
+ * Components of a model that apply to a platform (components without a
+ * platforms list apply everywhere)
  */
-function calculateOverallScore(profile, benchmarks) {
-    // Weighted scoring:
-    // 30% - Follower count vs benchmark
-    // 50% - Engagement rate vs benchmark
-    // 20% - Post frequency vs benchmark
+function componentsForPlatform(model, platform) {
+    return model.components.filter(c => !c.platforms || c.platforms.includes(platform));
+}
+
+/**
+ * Score a profile against benchmarks with a scoring model
+ * @param {Object} profile - Profile row
+ * @param {Object} benchmarks - Benchmarks (from getBenchmarks)
+ * @param {Object} model - Scoring model definition (defaults to the built-in default)
+ * @returns {Object} { overall, components, model: { name, version } }
+ */
+function scoreProfile(profile, benchmarks, model = DEFAULT_SCORING_MODEL) {
+    const platform = benchmarks.platform || profile.platform || DEFAULT_PLATFORM;
+    const applicable = componentsForPlatform(model, platform);
+    const totalWeight = applicable.reduce((sum, c) => sum + c.weight, 0);
 
-    const followerScore = Math.min(100, (profile.followers / benchmarks.avg_followers) * 100);
-    const engagementScore = Math.min(100, (profile.engagement_rate / benchmarks.avg_engagement) * 100);
-    const postScore = Math.min(100, (profile.post_frequency / benchmarks.avg_post_frequency) * 100);
+    const components = applicable.map(component => {
+        const value = parseFloat(profile[component.metric] || 0);
+        const { reference, score } = scoreComponent(component, value, benchmarks);
+
+        return {
+            metric: component.metric,
+            method: component.method,
+            weight: parseFloat((component.weight / totalWeight).toFixed(4)),
+            value,
+            reference: reference !== null ? parseFloat(reference.toFixed(2)) : null,
+            score: Math.round(score)
+        };
+    });
 
-    const overallScore = Math.round(
-        (followerScore * 0.3) + (engagementScore * 0.5) + (postScore * 0.2)
-    );
+    const weighted = applicable.reduce((sum, component, i) => (
+        sum + components[i].score * component.weight
+    ), 0) / totalWeight;
 
-    return Math.min(100, Math.max(0, overallScore));
+    return {
+        overall: Math.min(100, Math.max(0, Math.round(weighted))),
+        components,
+        model: { name: model.name, version: model.version }
+    };
+}
+
+/**
+ * Calculate overall performance score (0-100)
+ * @param {Object} model - Scoring model definition (defaults to the built-in default)
+ */
+function calculateOverallScore(profile, benchmarks, model = DEFAULT_SCORING_MODEL) {
+    return scoreProfile(profile, benchmarks, model).overall;
 }
 
 module.exports = {
     calculatePercentile,
+    getBenchmarkPercentiles,
     getBenchmarks,
+    getLevelBenchmarks,
+    formatBenchmarks,
     calculateBenchmarks,
     calculateRankings,
-    calculateOverallScore
+    calculateOverallScore,
+    scoreProfile,
+    BUILT_IN_SCORING_MODELS,
+    DEFAULT_SCORING_MODEL,
+    SCORING_METRICS,
+    SCORING_METHODS,
+    BENCHMARK_METRICS,
+    QUANTILE_BREAKPOINTS,
+    SYNTHETIC_FILTER
 };
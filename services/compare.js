@@ -0,0 +1,167 @@
+const db = require('../config/database');
+const { scrapeAndSaveProfiles, getCacheStatus, DEFAULT_MAX_AGE_DAYS } = require('./analysis');
+const { getBenchmarks, calculateOverallScore, formatBenchmarks } = require('./benchmark');
+const { getScoringModel } = require('./scoring');
+const { getNearbyArea } = require('./locations');
+const { DEFAULT_PLATFORM } = require('./platforms');
+
+const MAX_COMPETITORS = parseInt(process.env.COMPARE_MAX_COMPETITORS) || 5;
+
+// Metrics compared side by side
+const COMPARE_METRICS = ['followers', 'engagementRate', 'postFrequency', 'reelPercentage', 'overallScore'];
+
+/**
+ * Load profiles under the cache policy (see getOrScrapeProfile): stale ones are used and
+ * refreshed together in one background run, missing or too old ones are scraped in a single run
+ * @param {Array<string>} usernames - Usernames, all on one platform
+ * @param {Function} segmentFor - username => segment to save a scraped profile with
+ * @param {Object} options - { platform, maxAgeDays, forceRefresh, apiKeyId }
+ * @returns {Promise<Object>} { profiles: Map keyed by lowercase username, cache: { maxAgeDays, scraped, stale, revalidating } }
+ */
+async function loadProfiles(usernames, segmentFor, {
+    platform = DEFAULT_PLATFORM, maxAgeDays = DEFAULT_MAX_AGE_DAYS, forceRefresh = false, apiKeyId = null
+} = {}) {
+    const profiles = new Map();
+    const stale = [];
+
+    if (!forceRefresh) {
+        const cached = await db.query(`
+            SELECT *
+            FROM profiles
+            WHERE platform = $1 AND LOWER(username) = ANY($2)
+        `, [platform, usernames.map(u => u.toLowerCase())]);
+
+        for (const row of cached.rows) {
+            const status = getCacheStatus(row, maxAgeDays);
+            if (!status) continue;
+
+            profiles.set(row.username.toLowerCase(), row);
+            if (status === 'stale') stale.push(usernames.find(u => u.toLowerCase() === row.username.toLowerCase()));
+        }
+    }
+
+    const missing = usernames.filter(u => !profiles.has(u.toLowerCase()));
+
+    if (stale.length > 0) {
+        console.log(`Revalidating ${stale.length} stale profile(s) in the background: ${stale.map(u => '@' + u).join(', ')}`);
+        scrapeAndSaveProfiles(stale, segmentFor, { platform, trigger: 'revalidate', apiKeyId })
+            .catch(error => console.error('Background revalidation failed:', error.message));
+    }
+
+    if (missing.length > 0) {
+        console.log(`Scraping ${missing.length} profile(s) for comparison: ${missing.map(u => '@' + u).join(', ')}`);
+        const scraped = await scrapeAndSaveProfiles(missing, segmentFor, { platform, trigger: 'compare', apiKeyId });
+
+        for (const [key, profile] of scraped) profiles.set(key, profile);
+    }
+
+    return {
+        profiles,
+        cache: { maxAgeDays, scraped: missing, stale, revalidating: stale.length > 0 }
+    };
+}
+
+/**
+ * Build a comparison row for one account
+ */
+function toComparisonRow(profile, benchmarks, scoringModel) {
+    return {
+        username: profile.username,
+        fullName: profile.full_name,
+        profilePicUrl: profile.profile_pic_url,
+        followers: parseInt(profile.followers || 0),
+        engagementRate: parseFloat(profile.engagement_rate || 0),
+        postFrequency: parseFloat(profile.post_frequency || 0),
+        reelPercentage: parseInt(profile.reel_percentage || 0),
+        overallScore: calculateOverallScore(profile, benchmarks, scoringModel)
+    };
+}
+
+/**
+ * Compare a primary account against competitors in the same industry on the same platform
+ * @param {Object} params - { username, competitors, platform, industry, locationCity, locationState, locationCountry, lat, lon,
+ *   radiusKm, maxAgeDays, forceRefresh, apiKeyId }
+ * @returns {Promise<Object>} Side-by-side table, per-metric gaps and leaders
+ */
+async function compareProfiles(params) {
+    const { username, competitors, industry, locationCity, locationState, locationCountry, lat, lon } = params;
+    const platform = params.platform || DEFAULT_PLATFORM;
+
+    try {
+        const competitorNames = [...new Set(competitors)]
+            .filter(c => c.toLowerCase() !== username.toLowerCase())
+            .slice(0, MAX_COMPETITORS);
+
+        console.log(`\n⚔️  Comparing @${username} against ${competitorNames.length} competitor(s) on ${platform} (${industry})`);
+
+        // Competitors keep their own stored industry and location (a new one gets its suggested industry
+        // when it's analyzed): being compared with this account says nothing about where they belong
+        const { profiles, cache } = await loadProfiles([username, ...competitorNames], (name) => (
+            name === username
+                ? { industry, locationCity, locationState, locationCountry, lat, lon }
+                : {}
+        ), { ...params, platform });
+
+        const primary = profiles.get(username.toLowerCase());
+        if (!primary) {
+            const notFound = new Error(`Profile @${username} not found or is private`);
+            notFound.status = 404;
+            notFound.code = 'PROFILE_NOT_FOUND';
+            throw notFound;
+        }
+
+        const benchmarks = await getBenchmarks(industry, locationCity, locationState, locationCountry, getNearbyArea(params), platform);
+        const scoringModel = await getScoringModel(industry);
+
+        const primaryRow = toComparisonRow(primary, benchmarks, scoringModel);
+        const competitorRows = competitorNames
+            .filter(c => profiles.has(c.toLowerCase()))
+            .map(c => toComparisonRow(profiles.get(c.toLowerCase()), benchmarks, scoringModel));
+
+        const notFound = competitorNames.filter(c => !profiles.has(c.toLowerCase()));
+        const allRows = [primaryRow, ...competitorRows];
+
+        // Per-metric leader and the primary account's gap to each competitor
+        const metrics = {};
+        for (const metric of COMPARE_METRICS) {
+            const leader = allRows.reduce((best, row) => (row[metric] > best[metric] ? row : best), allRows[0]);
+
+            metrics[metric] = {
+                leader: leader.username,
+                leaderValue: leader[metric],
+                primaryValue: primaryRow[metric],
+                primaryLeads: leader.username === primaryRow.username,
+                gapToLeader: parseFloat((primaryRow[metric] - leader[metric]).toFixed(2)),
+                gaps: competitorRows.map(row => ({
+                    username: row.username,
+                    gap: parseFloat((primaryRow[metric] - row[metric]).toFixed(2))
+                }))
+            };
+        }
+
+        return {
+            success: true,
+            platform,
+            industry,
+            location: locationCity,
+            primary: primaryRow,
+            competitors: competitorRows,
+            notFound,
+            metrics,
+            scoringModel: { name: scoringModel.name, version: scoringModel.version },
+            benchmarks: {
+                ...formatBenchmarks(benchmarks)
+            },
+            cache
+        };
+
+    } catch (error) {
+        console.error(`Error comparing @${username}:`, error.message);
+        throw error;
+    }
+}
+
+module.exports = {
+    MAX_COMPETITORS,
+    compareProfiles
+};
@@ -0,0 +1,240 @@
+const db = require('../config/database');
+
+/**
+ * Attribution report dimensions and the email_captures columns behind them
+ */
+const ATTRIBUTION_DIMENSIONS = {
+    source: 'utm_source',
+    medium: 'utm_medium',
+    campaign: 'utm_campaign',
+    industry: 'industry',
+    city: 'location_city',
+    state: 'location_state',
+    country: 'location_country'
+};
+
+const DEFAULT_RANGE_DAYS = 30;
+
+/**
+ * Create an error with an HTTP status and machine-readable code
+ */
+function conversionError(message, status, code) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+}
+
+/**
+ * Validate a conversion event
+ * @throws {Error} with status 400 describing the first problem found
+ */
+function validateConversion(event) {
+    if (!event.email && !event.leadId) {
+        throw conversionError('email or leadId is required', 400, 'INVALID_CONVERSION');
+    }
+    if (event.leadId !== undefined && !Number.isInteger(Number(event.leadId))) {
+        throw conversionError('leadId must be an integer', 400, 'INVALID_CONVERSION');
+    }
+    if (event.revenue !== undefined && event.revenue !== null
+        && (typeof event.revenue !== 'number' || event.revenue < 0)) {
+        throw conversionError('revenue must be a non-negative number', 400, 'INVALID_CONVERSION');
+    }
+    if (event.convertedAt && isNaN(new Date(event.convertedAt))) {
+        throw conversionError('convertedAt must be a date', 400, 'INVALID_CONVERSION');
+    }
+}
+
+/**
+ * Format an email_captures row's conversion fields
+ */
+function toConversion(lead) {
+    return {
+        leadId: lead.id,
+        email: lead.email,
+        converted: lead.converted_to_magnet_pro,
+        convertedAt: lead.conversion_date,
+        plan: lead.conversion_plan,
+        revenue: lead.conversion_revenue !== null ? parseFloat(lead.conversion_revenue) : null,
+        eventId: lead.conversion_event_id
+    };
+}
+
+/**
+ * Mark a lead converted to Magnet Pro
+ * By email, the most recent capture for that address gets the conversion (last touch).
+ * Replaying the same eventId is a no-op, and remaining drip emails for the contact are skipped.
+ * @param {Object} event - { email | leadId, plan, revenue, eventId, convertedAt }
+ * @returns {Promise<Object>} { conversion, duplicate }
+ */
+async function recordConversion(event) {
+    validateConversion(event);
+
+    try {
+        return await db.transaction(async (client) => {
+            if (event.eventId) {
+                const replay = await client.query(
+                    'SELECT * FROM email_captures WHERE conversion_event_id = $1',
+                    [String(event.eventId)]
+                );
+                if (replay.rows.length > 0) {
+                    return { conversion: toConversion(replay.rows[0]), duplicate: true };
+                }
+            }
+
+            const found = event.leadId
+                ? await client.query('SELECT * FROM email_captures WHERE id = $1 FOR UPDATE', [event.leadId])
+                : await client.query(`
+                    SELECT * FROM email_captures
+                    WHERE LOWER(email) = LOWER($1)
+                    ORDER BY captured_at DESC
+                    LIMIT 1
+                    FOR UPDATE
+                `, [event.email]);
+
+            if (found.rows.length === 0) {
+                throw conversionError('Lead not found', 404, 'LEAD_NOT_FOUND');
+            }
+
+            const lead = found.rows[0];
+
+            if (lead.converted_to_magnet_pro) {
+                return { conversion: toConversion(lead), duplicate: true };
+            }
+
+            const updated = await client.query(`
+                UPDATE email_captures
+                SET converted_to_magnet_pro = TRUE,
+                    conversion_date = COALESCE($2::timestamp, NOW()),
+                    conversion_plan = $3,
+                    conversion_revenue = $4,
+                    conversion_event_id = $5
+                WHERE id = $1
+                RETURNING *
+            `, [
+                lead.id,
+                event.convertedAt ? new Date(event.convertedAt).toISOString() : null,
+                event.plan || null,
+                event.revenue ?? null,
+                event.eventId ? String(event.eventId) : null
+            ]);
+
+            await client.query(`
+                UPDATE email_sends
+                SET status = 'skipped', last_error = 'lead converted', updated_at = NOW()
+                WHERE LOWER(email) = LOWER($1) AND status = 'pending'
+            `, [lead.email]);
+
+            console.log(`💰 Lead ${lead.id} (${lead.email}) converted${event.plan ? ` to ${event.plan}` : ''}`);
+
+            return { conversion: toConversion(updated.rows[0]), duplicate: false };
+        });
+
+    } catch (error) {
+        if (!error.status) console.error('Error recording conversion:', error);
+        throw error;
+    }
+}
+
+/**
+ * Resolve a from/to query into a half-open [from, to) range
+ * Date-only `to` values include that whole day; defaults to the last 30 days
+ */
+function parseDateRange(from, to) {
+    const end = to ? new Date(to) : new Date();
+    if (to && /^\d{4}-\d{2}-\d{2}$/.test(to)) end.setUTCDate(end.getUTCDate() + 1);
+
+    const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+    if (isNaN(start) || isNaN(end)) {
+        throw conversionError('from and to must be dates (YYYY-MM-DD or ISO 8601)', 400, 'INVALID_RANGE');
+    }
+    if (start >= end) {
+        throw conversionError('from must be before to', 400, 'INVALID_RANGE');
+    }
+
+    return { start, end };
+}
+
+/**
+ * Captures, conversions and revenue broken down by attribution dimensions
+ * Conversions and revenue are credited to the capture they were recorded against,
+ * so the range selects capture cohorts
+ * @param {Object} options - { from, to, groupBy: ['source', 'campaign', ...] }
+ * @returns {Promise<Object>} Report with totals and one row per group
+ */
+async function getAttributionReport({ from, to, groupBy = ['source'] } = {}) {
+    const dimensions = groupBy.length > 0 ? groupBy : ['source'];
+    const unknown = dimensions.filter(dimension => !ATTRIBUTION_DIMENSIONS[dimension]);
+
+    if (unknown.length > 0) {
+        throw conversionError(
+            `Unknown groupBy dimension(s): ${unknown.join(', ')} (expected ${Object.keys(ATTRIBUTION_DIMENSIONS).join(', ')})`,
+            400,
+            'INVALID_GROUP_BY'
+        );
+    }
+
+    const { start, end } = parseDateRange(from, to);
+    const columns = dimensions.map(dimension => ATTRIBUTION_DIMENSIONS[dimension]);
+
+    const metrics = `
+        COUNT(*) as captures,
+        COUNT(DISTINCT LOWER(email)) as unique_emails,
+        COUNT(CASE WHEN converted_to_magnet_pro = true THEN 1 END) as conversions,
+        COALESCE(SUM(CASE WHEN converted_to_magnet_pro = true THEN conversion_revenue END), 0) as revenue
+    `;
+
+    try {
+        const rows = await db.query(`
+            SELECT ${columns.map((column, i) => `${column} as dim_${i}`).join(', ')}, ${metrics}
+            FROM email_captures
+            WHERE captured_at >= $1 AND captured_at < $2
+            GROUP BY ${columns.join(', ')}
+            ORDER BY revenue DESC, conversions DESC, captures DESC
+        `, [start, end]);
+
+        const totals = await db.query(`
+            SELECT ${metrics}
+            FROM email_captures
+            WHERE captured_at >= $1 AND captured_at < $2
+        `, [start, end]);
+
+        const formatMetrics = (row) => {
+            const captures = parseInt(row.captures);
+            const conversions = parseInt(row.conversions);
+            const revenue = parseFloat(row.revenue);
+
+            return {
+                captures,
+                uniqueEmails: parseInt(row.unique_emails),
+                conversions,
+                conversionRate: captures > 0 ? Math.round(conversions / captures * 10000) / 100 : 0,
+                revenue,
+                revenuePerCapture: captures > 0 ? Math.round(revenue / captures * 100) / 100 : 0
+            };
+        };
+
+        return {
+            from: start,
+            to: end,
+            groupBy: dimensions,
+            totals: formatMetrics(totals.rows[0]),
+            rows: rows.rows.map(row => ({
+                ...Object.fromEntries(dimensions.map((dimension, i) => [dimension, row[`dim_${i}`]])),
+                ...formatMetrics(row)
+            }))
+        };
+
+    } catch (error) {
+        console.error('Error building attribution report:', error);
+        throw error;
+    }
+}
+
+module.exports = {
+    ATTRIBUTION_DIMENSIONS,
+    recordConversion,
+    getAttributionReport,
+    parseDateRange
+};
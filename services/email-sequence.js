@@ -0,0 +1,253 @@
+const db = require('../config/database');
+const { getTransport } = require('./mailers');
+const { renderTemplate } = require('./email-templates');
+
+const EMAIL_FROM = process.env.EMAIL_FROM || 'Magnet Pro <hello@magnetpro.ai>';
+const API_URL = process.env.API_URL || `http://localhost:${process.env.PORT || 3000}`;
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 3;
+const BATCH_SIZE = 50;
+
+// Sends claimed longer ago than this are assumed abandoned (e.g. the process died mid-send)
+const CLAIM_TIMEOUT_MINUTES = 15;
+
+/**
+ * Drip sequences: each step sends a template a number of days after capture
+ */
+const SEQUENCES = {
+    magnet_pro: [
+        { step: 1, template: 'report', delayDays: 0 },
+        { step: 2, template: 'tips', delayDays: 2 },
+        { step: 3, template: 'offer', delayDays: 7 }
+    ]
+};
+
+const DEFAULT_SEQUENCE = 'magnet_pro';
+
+/**
+ * Schedule every step of a sequence for a newly captured lead
+ * Pending steps from earlier captures of the same email are skipped so
+ * a contact only ever receives one sequence at a time
+ * @param {Object} lead - email_captures row
+ * @param {Object} client - Optional transaction client
+ * @param {string} sequence - Sequence name (defaults to the Magnet Pro drip)
+ * @returns {Promise<Array>} Scheduled email_sends rows
+ */
+async function scheduleSequence(lead, client = db, sequence = DEFAULT_SEQUENCE) {
+    const steps = SEQUENCES[sequence];
+
+    if (!steps) {
+        throw new Error(`Unknown email sequence: ${sequence}`);
+    }
+
+    await client.query(`
+        UPDATE email_sends
+        SET status = 'skipped', last_error = 'superseded by a newer capture', updated_at = NOW()
+        WHERE LOWER(email) = LOWER($1) AND lead_id <> $2 AND status = 'pending'
+    `, [lead.email, lead.id]);
+
+    const scheduled = [];
+    for (const { step, template, delayDays } of steps) {
+        const result = await client.query(`
+            INSERT INTO email_sends (
+                lead_id, email, sequence, step, template, status, scheduled_for
+            )
+            SELECT id, email, $2, $3, $4, 'pending', captured_at + ($5 || ' days')::INTERVAL
+            FROM email_captures WHERE id = $1
+            ON CONFLICT (lead_id, sequence, step) DO NOTHING
+            RETURNING *
+        `, [lead.id, sequence, step, template, delayDays]);
+
+        if (result.rows.length > 0) scheduled.push(result.rows[0]);
+    }
+
+    return scheduled;
+}
+
+/**
+ * Claim due sends so concurrent workers never pick up the same row
+ */
+async function claimDueSends(limit) {
+    const result = await db.query(`
+        UPDATE email_sends
+        SET status = 'sending', attempts = attempts + 1, claimed_at = NOW(), updated_at = NOW()
+        WHERE id IN (
+            SELECT id FROM email_sends
+            WHERE (status = 'pending' AND scheduled_for <= NOW())
+            OR (status = 'sending' AND claimed_at < NOW() - ($2 || ' minutes')::INTERVAL)
+            ORDER BY scheduled_for
+            LIMIT $1
+            FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+    `, [limit, CLAIM_TIMEOUT_MINUTES]);
+
+    return result.rows;
+}
+
+/**
+ * Decide whether a claimed send should go out
+ * @returns {string|null} Reason to skip, or null to send
+ */
+function getSkipReason(lead) {
+    if (!lead) return 'lead deleted';
+    if (lead.unsubscribed_at) return 'unsubscribed';
+    if (lead.converted_to_magnet_pro) return 'lead converted';
+    return null;
+}
+
+/**
+ * Send one claimed email and record the outcome
+ * @returns {Promise<string>} Final status ('sent', 'skipped', 'pending' for a retry, or 'failed')
+ */
+async function deliver(send) {
+    const leadResult = await db.query(`
+        SELECT ec.*, c.unsubscribe_token, c.unsubscribed_at
+        FROM email_captures ec
+        LEFT JOIN email_contacts c ON c.id = ec.contact_id
+        WHERE ec.id = $1
+    `, [send.lead_id]);
+    const lead = leadResult.rows[0];
+
+    const skipReason = getSkipReason(lead);
+    if (skipReason) {
+        await db.query(`
+            UPDATE email_sends SET status = 'skipped', last_error = $2, updated_at = NOW() WHERE id = $1
+        `, [send.id, skipReason]);
+        return 'skipped';
+    }
+
+    let transport = null;
+
+    try {
+        // Inside the try so a misconfigured transport is recorded on the send
+        transport = getTransport();
+
+        const unsubscribeUrl = lead.unsubscribe_token
+            ? `${API_URL}/api/email/unsubscribe?token=${lead.unsubscribe_token}`
+            : null;
+
+        const { subject, html, text } = renderTemplate(send.template, lead, { unsubscribeUrl });
+        const { messageId } = await transport.send({
+            from: EMAIL_FROM,
+            to: lead.email,
+            subject,
+            html,
+            text,
+            headers: {
+                'X-Magnet-Sequence': `${send.sequence}:${send.step}`,
+                ...(unsubscribeUrl && {
+                    'List-Unsubscribe': `<${unsubscribeUrl}>`,
+                    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+                })
+            }
+        });
+
+        await db.query(`
+            UPDATE email_sends
+            SET status = 'sent', sent_at = NOW(), transport = $2, message_id = $3,
+                subject = $4, last_error = NULL, updated_at = NOW()
+            WHERE id = $1
+        `, [send.id, transport.name, messageId, subject]);
+
+        console.log(`✓ Sent ${send.template} email to ${lead.email} (step ${send.step})`);
+        return 'sent';
+
+    } catch (error) {
+        // Retry with a 15 minute backoff per attempt; give up after MAX_ATTEMPTS
+        const status = send.attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+        const retryMinutes = status === 'pending' ? send.attempts * 15 : null;
+
+        await db.query(`
+            UPDATE email_sends
+            SET status = $2, last_error = $3, transport = $4,
+                scheduled_for = COALESCE(NOW() + ($5 || ' minutes')::INTERVAL, scheduled_for),
+                updated_at = NOW()
+            WHERE id = $1
+        `, [send.id, status, error.message, transport?.name || null, retryMinutes]);
+
+        console.error(`✗ Failed to send ${send.template} email to ${lead.email} (attempt ${send.attempts}):`, error.message);
+        return status;
+    }
+}
+
+/**
+ * Send every email that is due
+ * @param {Object} options - { limit } maximum sends per batch
+ * @returns {Promise<Object>} Counts by outcome
+ */
+async function processDueEmails({ limit = BATCH_SIZE } = {}) {
+    const counts = { sent: 0, skipped: 0, retrying: 0, failed: 0 };
+
+    try {
+        const sends = await claimDueSends(limit);
+
+        for (const send of sends) {
+            const status = await deliver(send);
+            if (status === 'pending') counts.retrying++;
+            else counts[status]++;
+        }
+
+        return counts;
+
+    } catch (error) {
+        console.error('Error processing due emails:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get the send state of every sequence step for a lead
+ */
+async function getLeadSends(leadId) {
+    const result = await db.query(`
+        SELECT id, sequence, step, template, status, scheduled_for, sent_at,
+               attempts, subject, transport, message_id, last_error
+        FROM email_sends
+        WHERE lead_id = $1
+        ORDER BY sequence, step
+    `, [leadId]);
+
+    return result.rows.map(row => ({
+        id: row.id,
+        sequence: row.sequence,
+        step: row.step,
+        template: row.template,
+        status: row.status,
+        scheduledFor: row.scheduled_for,
+        sentAt: row.sent_at,
+        attempts: row.attempts,
+        subject: row.subject,
+        transport: row.transport,
+        messageId: row.message_id,
+        error: row.last_error
+    }));
+}
+
+let schedulerTimer = null;
+
+/**
+ * Run processDueEmails on an interval inside this process
+ * Disable with EMAIL_SCHEDULER=false when `npm run emails:send` runs from cron instead
+ */
+function startEmailScheduler(intervalMs = parseInt(process.env.EMAIL_SCHEDULER_INTERVAL_MS) || 60000) {
+    if (schedulerTimer || process.env.EMAIL_SCHEDULER === 'false') return;
+
+    schedulerTimer = setInterval(() => {
+        processDueEmails().catch(error => {
+            console.error('Scheduled email run failed:', error.message);
+        });
+    }, intervalMs);
+
+    // Never keep the process alive just for the scheduler
+    schedulerTimer.unref();
+
+    console.log(`📬 Email scheduler running every ${Math.round(intervalMs / 1000)}s (${process.env.EMAIL_TRANSPORT || 'console'} transport)`);
+}
+
+module.exports = {
+    SEQUENCES,
+    scheduleSequence,
+    processDueEmails,
+    getLeadSends,
+    startEmailScheduler
+};
@@ -0,0 +1,228 @@
+const { getPlatform, DEFAULT_PLATFORM } = require('./platforms');
+const { getReportUrls } = require('./reports');
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+const MAGNET_PRO_URL = process.env.MAGNET_PRO_URL || 'https://magnetpro.ai';
+
+/**
+ * Escape a value for interpolation into HTML
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+const formatNumber = (value) => Number(value || 0).toLocaleString('en-US');
+
+/**
+ * Pull the fields templates need from a lead, preferring the captured results JSON
+ * and falling back to the snapshot columns on email_captures
+ */
+function getReportData(lead) {
+    const results = lead.results || {};
+    const profile = results.profile || {};
+    const score = results.score || {};
+    const benchmarks = results.benchmarks || {};
+    const rankings = results.rankings || {};
+
+    return {
+        platform: getPlatform(results.platform || lead.platform || DEFAULT_PLATFORM),
+        username: profile.username || lead.username,
+        fullName: profile.fullName || null,
+        industry: benchmarks.industry || lead.industry,
+        city: benchmarks.location || lead.location_city,
+        followers: profile.followers ?? lead.followers,
+        engagementRate: profile.engagementRate ?? parseFloat(lead.engagement_rate || 0),
+        postFrequency: profile.postFrequency,
+        reelPercentage: profile.reelPercentage,
+        overallScore: score.overall ?? lead.overall_score,
+        avgEngagement: benchmarks.avgEngagement,
+        avgPostFrequency: benchmarks.avgPostFrequency,
+        cityRank: rankings.city || (lead.city_rank ? { rank: lead.city_rank } : null),
+        stateRank: rankings.state || (lead.state_rank ? { rank: lead.state_rank } : null),
+        nationalRank: rankings.national || (lead.national_rank ? { rank: lead.national_rank } : null),
+        insights: Array.isArray(results.insights) ? results.insights : [],
+        reportUrl: lead.report_id ? getReportUrls(lead.report_id).htmlUrl : null
+    };
+}
+
+/**
+ * Wrap body HTML in the shared email layout
+ * @param {Object} options - { unsubscribeUrl }
+ */
+function layout(title, bodyHtml, { unsubscribeUrl } = {}) {
+    return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body style="margin:0;padding:0;background:#f4f4f7;font-family:Arial,Helvetica,sans-serif;color:#1f2937;">
+<table width="100%" cellpadding="0" cellspacing="0"><tr><td align="center" style="padding:24px;">
+<table width="600" cellpadding="0" cellspacing="0" style="background:#ffffff;border-radius:8px;padding:32px;">
+<tr><td>
+${bodyHtml}
+<p style="margin-top:32px;font-size:12px;color:#6b7280;">Magnet Pro · Instagram and TikTok analytics for local businesses${unsubscribeUrl ? `<br><a href="${escapeHtml(unsubscribeUrl)}" style="color:#6b7280;">Unsubscribe</a>` : ''}</p>
+</td></tr>
+</table>
+</td></tr></table>
+</body>
+</html>`;
+}
+
+/**
+ * Plain-text counterpart of the layout footer
+ */
+function textFooter({ unsubscribeUrl } = {}) {
+    return unsubscribeUrl ? ['', '--', `Unsubscribe: ${unsubscribeUrl}`] : [];
+}
+
+const rankLine = (label, ranking) => ranking && ranking.rank
+    ? `${label}: #${formatNumber(ranking.rank)}${ranking.total ? ` of ${formatNumber(ranking.total)}` : ''}`
+    : null;
+
+/**
+ * Day 0: the personalized report
+ */
+function report(lead, options) {
+    const data = getReportData(lead);
+    const subject = `Your ${data.platform.name} score: ${data.overallScore}/100 for @${data.username}`;
+
+    const ranks = [
+        rankLine(data.city ? `Rank in ${data.city}` : 'City rank', data.cityRank),
+        rankLine('State rank', data.stateRank),
+        rankLine('National rank', data.nationalRank)
+    ].filter(Boolean);
+
+    const insights = data.insights.slice(0, 3);
+
+    const html = layout(subject, `
+<h1 style="font-size:22px;">Your results for @${escapeHtml(data.username)}</h1>
+<p style="font-size:40px;font-weight:bold;margin:16px 0;">${escapeHtml(data.overallScore)}<span style="font-size:18px;color:#6b7280;">/100</span></p>
+<table cellpadding="6" cellspacing="0" style="font-size:14px;">
+<tr><td>Followers</td><td><strong>${formatNumber(data.followers)}</strong></td></tr>
+<tr><td>Engagement rate</td><td><strong>${escapeHtml(data.engagementRate)}%</strong>${data.avgEngagement ? ` (${escapeHtml(data.industry)} average ${escapeHtml(data.avgEngagement)}%)` : ''}</td></tr>
+${ranks.map(line => `<tr><td colspan="2">${escapeHtml(line)}</td></tr>`).join('\n')}
+</table>
+${insights.length ? `<h2 style="font-size:18px;margin-top:24px;">What we found</h2>
+${insights.map(insight => `<p><strong>${escapeHtml(insight.message)}</strong><br>${escapeHtml(insight.recommendation)}</p>`).join('\n')}` : ''}
+${data.reportUrl ? `<p><a href="${escapeHtml(data.reportUrl)}" style="display:inline-block;background:#4f46e5;color:#ffffff;padding:12px 20px;border-radius:6px;text-decoration:none;">View your full report</a></p>` : ''}
+<p><a href="${escapeHtml(APP_URL)}" style="color:#4f46e5;">Run another analysis</a></p>`, options);
+
+    const text = [
+        `Your results for @${data.username}`,
+        '',
+        `Overall score: ${data.overallScore}/100`,
+        `Followers: ${formatNumber(data.followers)}`,
+        `Engagement rate: ${data.engagementRate}%${data.avgEngagement ? ` (${data.industry} average ${data.avgEngagement}%)` : ''}`,
+        ...ranks,
+        ...(insights.length ? ['', 'What we found:', ...insights.map(i => `- ${i.message} ${i.recommendation}`)] : []),
+        '',
+        ...(data.reportUrl ? [`View your full report: ${data.reportUrl}`] : []),
+        `Run another analysis: ${APP_URL}`,
+        ...textFooter(options)
+    ].join('\n');
+
+    return { subject, html, text };
+}
+
+/**
+ * Day 2: follow-up tips based on the weakest areas
+ */
+function tips(lead, options) {
+    const data = getReportData(lead);
+    const subject = `3 ways to grow @${data.username} this week`;
+
+    const recommendations = data.insights
+        .filter(insight => insight.type !== 'success')
+        .map(insight => insight.recommendation)
+        .filter(Boolean);
+
+    const fallbacks = [
+        'Post consistently. Accounts posting 4+ times a week see the strongest reach.',
+        'Lead with Reels. Short video is still the fastest way to reach new local followers.',
+        'Reply to every comment within the first hour to boost engagement signals.'
+    ];
+
+    const list = [...recommendations, ...fallbacks].slice(0, 3);
+
+    const html = layout(subject, `
+<h1 style="font-size:22px;">Quick wins for @${escapeHtml(data.username)}</h1>
+<p>Based on your score of ${escapeHtml(data.overallScore)}/100, here's where we'd start:</p>
+<ol>
+${list.map(item => `<li style="margin-bottom:8px;">${escapeHtml(item)}</li>`).join('\n')}
+</ol>
+${data.reportUrl ? `<p><a href="${escapeHtml(data.reportUrl)}" style="color:#4f46e5;">Your full report</a> has the benchmarks behind these tips.</p>` : ''}
+<p><a href="${escapeHtml(APP_URL)}" style="color:#4f46e5;">Re-check your score</a></p>`, options);
+
+    const text = [
+        `Quick wins for @${data.username}`,
+        '',
+        `Based on your score of ${data.overallScore}/100, here's where we'd start:`,
+        ...list.map((item, index) => `${index + 1}. ${item}`),
+        '',
+        ...(data.reportUrl ? [`Your full report: ${data.reportUrl}`] : []),
+        `Re-check your score: ${APP_URL}`,
+        ...textFooter(options)
+    ].join('\n');
+
+    return { subject, html, text };
+}
+
+/**
+ * Day 7: Magnet Pro offer
+ */
+function offer(lead, options) {
+    const data = getReportData(lead);
+    const subject = `Beat the top ${data.industry || 'accounts'} in ${data.city || 'your area'} with Magnet Pro`;
+    const rank = data.cityRank && data.cityRank.rank ? `#${formatNumber(data.cityRank.rank)}` : null;
+
+    const html = layout(subject, `
+<h1 style="font-size:22px;">Ready to move up${rank ? ` from ${escapeHtml(rank)}` : ''}?</h1>
+<p>Magnet Pro tracks @${escapeHtml(data.username)} against your local competitors every week and tells you exactly what to post next.</p>
+<ul>
+<li>Weekly score and ranking updates</li>
+<li>Competitor tracking for your ${escapeHtml(data.industry || 'industry')}</li>
+<li>Content recommendations based on your best posts</li>
+</ul>
+<p><a href="${escapeHtml(MAGNET_PRO_URL)}" style="display:inline-block;background:#4f46e5;color:#ffffff;padding:12px 20px;border-radius:6px;text-decoration:none;">Start with Magnet Pro</a></p>`, options);
+
+    const text = [
+        `Ready to move up${rank ? ` from ${rank}` : ''}?`,
+        '',
+        `Magnet Pro tracks @${data.username} against your local competitors every week and tells you exactly what to post next.`,
+        '- Weekly score and ranking updates',
+        `- Competitor tracking for your ${data.industry || 'industry'}`,
+        '- Content recommendations based on your best posts',
+        '',
+        `Start with Magnet Pro: ${MAGNET_PRO_URL}`,
+        ...textFooter(options)
+    ].join('\n');
+
+    return { subject, html, text };
+}
+
+const templates = { report, tips, offer };
+
+/**
+ * Render an email template for a lead
+ * @param {string} name - Template name ('report', 'tips', 'offer')
+ * @param {Object} lead - email_captures row
+ * @param {Object} options - { unsubscribeUrl } for the footer and List-Unsubscribe
+ * @returns {Object} { subject, html, text }
+ */
+function renderTemplate(name, lead, options = {}) {
+    const template = templates[name];
+
+    if (!template) {
+        throw new Error(`Unknown email template: ${name}`);
+    }
+
+    return template(lead, options);
+}
+
+module.exports = {
+    renderTemplate,
+    escapeHtml
+};
@@ -0,0 +1,72 @@
+const db = require('../config/database');
+const { DEFAULT_PLATFORM } = require('./platforms');
+
+/**
+ * Record one analysis run in analysis_events
+ * Never throws: losing an event must not fail the analysis itself
+ * @param {Object} event - { username, platform, industry, locationCity, locationState, locationCountry,
+ *   source, status, errorCode, durationMs, overallScore, apiKeyId }
+ */
+async function recordAnalysisEvent(event) {
+    try {
+        await db.query(`
+            INSERT INTO analysis_events (
+                username, industry, location_city, location_state, location_country,
+                source, status, error_code, duration_ms, overall_score, api_key_id, platform,
+                created_at
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW())
+        `, [
+            event.username, event.industry,
+            event.locationCity || null, event.locationState || null, event.locationCountry || null,
+            event.source, event.status, event.errorCode || null, event.durationMs,
+            event.overallScore ?? null,
+            // The ADMIN_API_KEY caller ('env') has no api_keys row
+            Number.isInteger(event.apiKeyId) ? event.apiKeyId : null,
+            event.platform || DEFAULT_PLATFORM
+        ]);
+
+    } catch (error) {
+        console.error('Error recording analysis event:', error.message);
+    }
+}
+
+/**
+ * Run an analysis and record its outcome as an event
+ * @param {Object} context - { source: 'analyze' | 'job' | 'compare', params, apiKeyId }
+ * @param {Function} run - async () => analysis result
+ * @returns {Promise<Object>} The analysis result
+ */
+async function trackAnalysis({ source, params, apiKeyId }, run) {
+    const startedAt = Date.now();
+    const event = { ...params, source, apiKeyId };
+
+    try {
+        const result = await run();
+
+        recordAnalysisEvent({
+            ...event,
+            status: 'success',
+            // An industry suggested during the analysis is only known from the result
+            industry: event.industry || result?.industry?.id,
+            durationMs: Date.now() - startedAt,
+            overallScore: result?.score?.overall ?? result?.primary?.overallScore
+        });
+
+        return result;
+
+    } catch (error) {
+        recordAnalysisEvent({
+            ...event,
+            status: 'failed',
+            errorCode: error.code || (error.status ? String(error.status) : 'ERROR'),
+            durationMs: Date.now() - startedAt
+        });
+
+        throw error;
+    }
+}
+
+module.exports = {
+    recordAnalysisEvent,
+    trackAnalysis
+};
@@ -0,0 +1,192 @@
+const db = require('../config/database');
+const { parseDateRange } = require('./conversions');
+
+const INTERVALS = ['day', 'week'];
+
+// Cohort curves track conversions up to this many weeks after capture
+const DEFAULT_COHORT_WEEKS = 8;
+const MAX_COHORT_WEEKS = 26;
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const rate = (numerator, denominator) =>
+    (denominator > 0 ? Math.round(numerator / denominator * 10000) / 100 : null);
+
+/**
+ * Analyses, leads and conversions per day or week
+ * Conversions are counted in the bucket of their conversion date
+ * @param {Object} options - { interval: 'day' | 'week', from, to }
+ * @returns {Promise<Object>} { interval, from, to, totals, buckets }
+ */
+async function getFunnelTimeseries({ interval = 'day', from, to } = {}) {
+    if (!INTERVALS.includes(interval)) {
+        const error = new Error(`interval must be one of: ${INTERVALS.join(', ')}`);
+        error.status = 400;
+        error.code = 'INVALID_INTERVAL';
+        throw error;
+    }
+
+    const { start, end } = parseDateRange(from, to);
+
+    try {
+        const result = await db.query(`
+            WITH buckets AS (
+                SELECT generate_series(
+                    date_trunc($3, $1::timestamp),
+                    date_trunc($3, $2::timestamp - INTERVAL '1 millisecond'),
+                    ('1 ' || $3)::INTERVAL
+                ) as bucket
+            ),
+            analyses AS (
+                SELECT date_trunc($3, created_at) as bucket,
+                       COUNT(CASE WHEN status = 'success' THEN 1 END) as analyses,
+                       COUNT(CASE WHEN status = 'failed' THEN 1 END) as failed_analyses,
+                       COUNT(DISTINCT CASE WHEN status = 'success' THEN LOWER(username) END) as accounts
+                FROM analysis_events
+                WHERE created_at >= $1 AND created_at < $2
+                GROUP BY 1
+            ),
+            captures AS (
+                SELECT date_trunc($3, captured_at) as bucket,
+                       COUNT(*) as leads,
+                       COUNT(DISTINCT LOWER(email)) as unique_leads
+                FROM email_captures
+                WHERE captured_at >= $1 AND captured_at < $2
+                GROUP BY 1
+            ),
+            conversions AS (
+                SELECT date_trunc($3, conversion_date) as bucket,
+                       COUNT(*) as conversions,
+                       COALESCE(SUM(conversion_revenue), 0) as revenue
+                FROM email_captures
+                WHERE converted_to_magnet_pro = true
+                AND conversion_date >= $1 AND conversion_date < $2
+                GROUP BY 1
+            )
+            SELECT b.bucket,
+                   COALESCE(a.analyses, 0) as analyses,
+                   COALESCE(a.failed_analyses, 0) as failed_analyses,
+                   COALESCE(a.accounts, 0) as accounts,
+                   COALESCE(c.leads, 0) as leads,
+                   COALESCE(c.unique_leads, 0) as unique_leads,
+                   COALESCE(v.conversions, 0) as conversions,
+                   COALESCE(v.revenue, 0) as revenue
+            FROM buckets b
+            LEFT JOIN analyses a ON a.bucket = b.bucket
+            LEFT JOIN captures c ON c.bucket = b.bucket
+            LEFT JOIN conversions v ON v.bucket = b.bucket
+            ORDER BY b.bucket
+        `, [start, end, interval]);
+
+        const buckets = result.rows.map(row => {
+            const analyses = parseInt(row.analyses);
+            const leads = parseInt(row.leads);
+            const conversions = parseInt(row.conversions);
+
+            return {
+                bucket: row.bucket,
+                analyses,
+                failedAnalyses: parseInt(row.failed_analyses),
+                accounts: parseInt(row.accounts),
+                leads,
+                uniqueLeads: parseInt(row.unique_leads),
+                captureRate: rate(leads, analyses),
+                conversions,
+                revenue: parseFloat(row.revenue)
+            };
+        });
+
+        const sum = (field) => buckets.reduce((total, bucket) => total + bucket[field], 0);
+        const totals = {
+            analyses: sum('analyses'),
+            failedAnalyses: sum('failedAnalyses'),
+            leads: sum('leads'),
+            conversions: sum('conversions'),
+            revenue: Math.round(sum('revenue') * 100) / 100
+        };
+        totals.captureRate = rate(totals.leads, totals.analyses);
+
+        return { interval, from: start, to: end, totals, buckets };
+
+    } catch (error) {
+        console.error('Error building funnel timeseries:', error);
+        throw error;
+    }
+}
+
+/**
+ * Cumulative conversion curves for weekly capture cohorts
+ * curve[k] is the % of the cohort's leads converted within k+1 weeks of capture;
+ * weeks the cohort hasn't reached yet are null
+ * @param {Object} options - { from, to, weeks }
+ * @returns {Promise<Object>} { weeks, cohorts }
+ */
+async function getCohortCurves({ from, to, weeks = DEFAULT_COHORT_WEEKS } = {}) {
+    const { start, end } = parseDateRange(from, to);
+    const horizon = Math.min(Math.max(parseInt(weeks) || DEFAULT_COHORT_WEEKS, 1), MAX_COHORT_WEEKS);
+
+    try {
+        const result = await db.query(`
+            SELECT date_trunc('week', captured_at) as cohort,
+                   FLOOR(EXTRACT(EPOCH FROM (conversion_date - captured_at)) / 604800) as week,
+                   COUNT(*) as leads
+            FROM email_captures
+            WHERE captured_at >= $1 AND captured_at < $2
+            GROUP BY 1, 2
+            ORDER BY 1
+        `, [start, end]);
+
+        // One row per (cohort, weeks-to-convert); week is NULL for unconverted leads
+        const cohorts = new Map();
+        for (const row of result.rows) {
+            const key = row.cohort.toISOString();
+            if (!cohorts.has(key)) {
+                cohorts.set(key, { cohort: row.cohort, size: 0, converted: 0, byWeek: new Array(horizon).fill(0) });
+            }
+
+            const cohort = cohorts.get(key);
+            const leads = parseInt(row.leads);
+            cohort.size += leads;
+
+            if (row.week !== null) {
+                cohort.converted += leads;
+                const week = Math.max(parseInt(row.week), 0);
+                if (week < horizon) cohort.byWeek[week] += leads;
+            }
+        }
+
+        const now = Date.now();
+
+        return {
+            weeks: horizon,
+            cohorts: [...cohorts.values()].map(({ cohort, size, converted, byWeek }) => {
+                const weeksElapsed = Math.floor((now - cohort.getTime()) / WEEK_MS);
+                let cumulative = 0;
+
+                const curve = byWeek.map((count, week) => {
+                    cumulative += count;
+                    return week <= weeksElapsed ? rate(cumulative, size) : null;
+                });
+
+                return {
+                    cohort,
+                    leads: size,
+                    conversions: converted,
+                    conversionRate: rate(converted, size),
+                    curve
+                };
+            })
+        };
+
+    } catch (error) {
+        console.error('Error building cohort curves:', error);
+        throw error;
+    }
+}
+
+module.exports = {
+    INTERVALS,
+    MAX_COHORT_WEEKS,
+    getFunnelTimeseries,
+    getCohortCurves
+};
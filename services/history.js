@@ -0,0 +1,129 @@
+const db = require('../config/database');
+const { DEFAULT_PLATFORM } = require('./platforms');
+
+// Metrics exposed in the growth history
+const HISTORY_METRICS = ['followers', 'engagementRate', 'postFrequency', 'reelPercentage'];
+
+// Comparison windows for growth deltas
+const DELTA_WINDOWS = {
+    weekOverWeek: 7,
+    monthOverMonth: 30
+};
+
+/**
+ * Append a snapshot of a freshly scraped profile
+ * @param {Object} profile - Saved profile row (from profiles table)
+ * @param {Object} client - Query executor (db module or transaction client)
+ */
+async function recordSnapshot(profile, client = db) {
+    try {
+        await client.query(`
+            INSERT INTO profile_snapshots (
+                profile_id, username, platform,
+                followers, following, posts,
+                engagement_rate, avg_likes, avg_comments, avg_views,
+                post_frequency, reel_percentage,
+                scraped_at
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW())
+        `, [
+            profile.id, profile.username, profile.platform,
+            profile.followers, profile.following, profile.posts,
+            profile.engagement_rate, profile.avg_likes, profile.avg_comments, profile.avg_views,
+            profile.post_frequency, profile.reel_percentage
+        ]);
+    } catch (error) {
+        console.error(`Error recording snapshot for @${profile.username}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Convert a snapshot row into a history point
+ */
+function toHistoryPoint(row) {
+    return {
+        scrapedAt: row.scraped_at,
+        followers: parseInt(row.followers || 0),
+        engagementRate: parseFloat(row.engagement_rate || 0),
+        postFrequency: parseFloat(row.post_frequency || 0),
+        reelPercentage: parseInt(row.reel_percentage || 0)
+    };
+}
+
+/**
+ * Calculate change between the latest point and the newest point
+ * at least `days` older than it
+ */
+function calculateDelta(points, days) {
+    if (points.length < 2) return null;
+
+    const latest = points[points.length - 1];
+    const cutoff = new Date(latest.scrapedAt).getTime() - days * 24 * 60 * 60 * 1000;
+
+    const baseline = [...points].reverse().find(p => new Date(p.scrapedAt).getTime() <= cutoff);
+    if (!baseline) return null;
+
+    const delta = { since: baseline.scrapedAt };
+    for (const metric of HISTORY_METRICS) {
+        const change = latest[metric] - baseline[metric];
+        delta[metric] = {
+            change: parseFloat(change.toFixed(2)),
+            percentChange: baseline[metric] !== 0
+                ? parseFloat(((change / baseline[metric]) * 100).toFixed(2))
+                : null
+        };
+    }
+
+    return delta;
+}
+
+/**
+ * Get growth history and deltas for a profile
+ * @param {string} username - Username
+ * @param {number} days - Number of days of history points to return
+ * @param {string} platform - Platform the account is on
+ * @returns {Promise<Object|null>} History, or null if no snapshots exist
+ */
+async function getProfileHistory(username, days = 90, platform = DEFAULT_PLATFORM) {
+    try {
+        const snapshots = await db.query(`
+            SELECT scraped_at, followers, engagement_rate, post_frequency, reel_percentage
+            FROM profile_snapshots
+            WHERE platform = $1 AND username = $2
+            ORDER BY scraped_at ASC
+        `, [platform, username]);
+
+        if (snapshots.rows.length === 0) {
+            return null;
+        }
+
+        const points = snapshots.rows.map(toHistoryPoint);
+
+        const deltas = {};
+        for (const [name, windowDays] of Object.entries(DELTA_WINDOWS)) {
+            deltas[name] = calculateDelta(points, windowDays);
+        }
+
+        const since = Date.now() - days * 24 * 60 * 60 * 1000;
+
+        return {
+            platform,
+            username,
+            snapshotCount: points.length,
+            firstScrapedAt: points[0].scrapedAt,
+            lastScrapedAt: points[points.length - 1].scrapedAt,
+            latest: points[points.length - 1],
+            deltas,
+            history: points.filter(p => new Date(p.scrapedAt).getTime() >= since)
+        };
+
+    } catch (error) {
+        console.error(`Error getting history for @${username}:`, error);
+        throw error;
+    }
+}
+
+module.exports = {
+    recordSnapshot,
+    getProfileHistory
+};
@@ -0,0 +1,250 @@
+const db = require('../config/database');
+const taxonomy = require('../config/industries.json');
+
+// Weights for classification signals
+const CATEGORY_MATCH_WEIGHT = 3;
+const CATEGORY_KEYWORD_WEIGHT = 2;
+const BIO_KEYWORD_WEIGHT = 1;
+
+// A niche is only suggested when its own signals reach this score
+const MIN_NICHE_SCORE = 2;
+
+/**
+ * Matching form of a term: case and punctuation are ignored
+ */
+function normalizeTerm(value) {
+    return String(value)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Flatten the taxonomy into nodes keyed by id
+ * Niches carry their parent industry's id; ids must be unique across the whole tree
+ */
+function buildTaxonomy() {
+    const nodes = new Map();
+    const terms = new Map();
+
+    const add = (entry, parent) => {
+        if (nodes.has(entry.id)) {
+            throw new Error(`Duplicate industry id in config/industries.json: ${entry.id}`);
+        }
+
+        const node = {
+            id: entry.id,
+            name: entry.name,
+            parent: parent ? parent.id : null,
+            synonyms: entry.synonyms || [],
+            categories: (entry.categories || []).map(normalizeTerm),
+            keywords: [...new Set([entry.name, ...(entry.synonyms || []), ...(entry.keywords || [])].map(normalizeTerm))],
+            benchmarks: entry.benchmarks || (parent && parent.benchmarks) || taxonomy.defaults,
+            niches: []
+        };
+        nodes.set(node.id, node);
+
+        for (const term of [entry.id, entry.name, ...(entry.synonyms || [])].map(normalizeTerm)) {
+            if (!terms.has(term)) terms.set(term, node);
+        }
+
+        return node;
+    };
+
+    for (const industry of taxonomy.industries) {
+        const node = add(industry, null);
+        node.niches = (industry.niches || []).map(niche => add(niche, node));
+    }
+
+    return { nodes, terms };
+}
+
+const { nodes: INDUSTRIES, terms: INDUSTRY_TERMS } = buildTaxonomy();
+
+/**
+ * Resolve an industry id, name or synonym ("Fitness", "gym", "Yoga Studio")
+ * @returns {Object|null} Taxonomy node { id, name, parent, ... }
+ */
+function resolveIndustry(value) {
+    if (typeof value !== 'string' || !value.trim()) return null;
+    return INDUSTRIES.get(value.trim().toLowerCase()) || INDUSTRY_TERMS.get(normalizeTerm(value)) || null;
+}
+
+/**
+ * Validate a requested industry
+ * @returns {string|null} Canonical industry id, or null when none was requested
+ * @throws {Error} with status 400 for values that aren't in the taxonomy
+ */
+function parseIndustry(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const industry = resolveIndustry(value);
+    if (!industry) {
+        const error = new Error(`Unknown industry: ${value} (see GET /api/industries)`);
+        error.status = 400;
+        error.code = 'INVALID_INDUSTRY';
+        throw error;
+    }
+
+    return industry.id;
+}
+
+/**
+ * Parent industry id of a niche (null for top-level and unknown industries)
+ */
+function getParentIndustry(id) {
+    return INDUSTRIES.get(id)?.parent || null;
+}
+
+/**
+ * Industry ids whose profiles belong to an industry: itself plus its niches
+ * Unknown (legacy) values only match themselves
+ */
+function getIndustryMembers(id) {
+    const node = INDUSTRIES.get(id);
+    return node ? [node.id, ...node.niches.map(niche => niche.id)] : [id];
+}
+
+/**
+ * Hard-coded fallback benchmark averages for an industry (niches use their parent's)
+ */
+function getIndustryDefaults(id) {
+    return INDUSTRIES.get(id)?.benchmarks || taxonomy.defaults;
+}
+
+/**
+ * The taxonomy for API responses
+ */
+function listIndustries() {
+    const format = (node) => ({ id: node.id, name: node.name, synonyms: node.synonyms });
+
+    return [...INDUSTRIES.values()]
+        .filter(node => !node.parent)
+        .map(node => ({ ...format(node), niches: node.niches.map(format) }));
+}
+
+/**
+ * Does folded text contain a term as whole words?
+ */
+const containsTerm = (text, term) => ` ${text} `.includes(` ${term} `);
+
+/**
+ * Suggest an industry (or niche) from a profile's business category and biography
+ * Scores each node by category matches and keywords; a niche is picked over its parent
+ * when its own signals are strong enough and it is the clear leader among siblings
+ * @param {Object} profile - { business_category, biography }
+ * @returns {Object|null} { industry, name, parent, confidence (0-1), signals } or null without any signal
+ */
+function suggestIndustry({ business_category: businessCategory, biography } = {}) {
+    const category = businessCategory ? normalizeTerm(businessCategory) : '';
+    const bio = biography ? normalizeTerm(biography) : '';
+
+    const scores = new Map();
+    const signals = new Map();
+
+    for (const node of INDUSTRIES.values()) {
+        let score = 0;
+        const found = [];
+
+        if (category && node.categories.includes(category)) {
+            score += CATEGORY_MATCH_WEIGHT;
+            found.push(`category: ${businessCategory}`);
+        }
+
+        for (const keyword of node.keywords) {
+            if (category && containsTerm(category, keyword)) {
+                score += CATEGORY_KEYWORD_WEIGHT;
+                found.push(`category keyword: ${keyword}`);
+            }
+            if (bio && containsTerm(bio, keyword)) {
+                score += BIO_KEYWORD_WEIGHT;
+                found.push(`bio keyword: ${keyword}`);
+            }
+        }
+
+        scores.set(node.id, score);
+        signals.set(node.id, found);
+    }
+
+    // Industry totals include their niches' signals
+    const totals = [...INDUSTRIES.values()]
+        .filter(node => !node.parent)
+        .map(node => ({
+            node,
+            total: scores.get(node.id) + node.niches.reduce((sum, niche) => sum + scores.get(niche.id), 0)
+        }))
+        .sort((a, b) => b.total - a.total);
+
+    const overall = totals.reduce((sum, entry) => sum + entry.total, 0);
+    if (overall === 0) return null;
+
+    const { node: industry, total } = totals[0];
+    const niches = industry.niches
+        .map(niche => ({ niche, score: scores.get(niche.id) }))
+        .sort((a, b) => b.score - a.score);
+
+    const leader = niches[0];
+    const clearNiche = leader && leader.score >= MIN_NICHE_SCORE && leader.score > (niches[1]?.score || 0);
+    const chosen = clearNiche ? leader.niche : industry;
+
+    return {
+        industry: chosen.id,
+        name: chosen.name,
+        parent: chosen.parent,
+        confidence: Math.round(total / overall * 100) / 100,
+        signals: [industry, ...industry.niches].flatMap(node => signals.get(node.id))
+    };
+}
+
+/**
+ * Map stored free-text industries ("Fitness", "gym") onto taxonomy ids
+ * Unknown values are left alone; cached benchmarks are cleared
+ * @returns {Promise<Object>} { values, profiles, captures } distinct values seen and rows updated
+ */
+async function normalizeStoredIndustries() {
+    try {
+        const distinct = await db.query(`
+            SELECT industry FROM profiles WHERE industry IS NOT NULL
+            UNION
+            SELECT industry FROM email_captures WHERE industry IS NOT NULL
+        `);
+
+        const counts = { values: distinct.rows.length, profiles: 0, captures: 0 };
+
+        await db.transaction(async (client) => {
+            for (const { industry } of distinct.rows) {
+                const node = resolveIndustry(industry);
+                if (!node || node.id === industry) continue;
+
+                const profiles = await client.query('UPDATE profiles SET industry = $2 WHERE industry = $1', [industry, node.id]);
+                const captures = await client.query('UPDATE email_captures SET industry = $2 WHERE industry = $1', [industry, node.id]);
+
+                counts.profiles += profiles.rowCount;
+                counts.captures += captures.rowCount;
+            }
+
+            await client.query('DELETE FROM benchmarks');
+        });
+
+        console.log(`✓ Normalized ${counts.profiles} profile(s) and ${counts.captures} capture(s) across ${counts.values} distinct industr${counts.values === 1 ? 'y' : 'ies'}`);
+        return counts;
+
+    } catch (error) {
+        console.error('Error normalizing stored industries:', error);
+        throw error;
+    }
+}
+
+module.exports = {
+    resolveIndustry,
+    parseIndustry,
+    getParentIndustry,
+    getIndustryMembers,
+    getIndustryDefaults,
+    listIndustries,
+    suggestIndustry,
+    normalizeStoredIndustries
+};
@@ -0,0 +1,417 @@
+const NodeCache = require('node-cache');
+const db = require('../config/database');
+const DEFAULT_RULES = require('../config/insight-rules.json');
+const { getBenchmarks, scoreProfile, calculatePercentile, BENCHMARK_METRICS } = require('./benchmark');
+const { getScoringModel } = require('./scoring');
+const { DEFAULT_PLATFORM } = require('./platforms');
+
+// Rules are cached briefly so edits apply within a minute
+const ruleCache = new NodeCache({ stdTTL: 60, useClones: false });
+
+const SEVERITIES = ['success', 'warning', 'info'];
+
+// Leaf comparison operators
+const OPERATORS = {
+    lt: (a, b) => a < b,
+    lte: (a, b) => a <= b,
+    gt: (a, b) => a > b,
+    gte: (a, b) => a >= b,
+    eq: (a, b) => a === b,
+    neq: (a, b) => a !== b,
+    between: (a, [min, max]) => a >= min && a <= max,
+    in: (a, list) => list.includes(a),
+    exists: (a) => a !== null && a !== undefined
+};
+
+// Template formatters: {{path|name:arg}}
+const FORMATTERS = {
+    fixed: (value, digits = 0) => Number(value).toFixed(parseInt(digits)),
+    round: (value) => Math.round(Number(value)).toString(),
+    abs: (value) => Math.abs(Number(value)).toString(),
+    number: (value) => Number(value).toLocaleString('en-US')
+};
+
+/**
+ * Read a dotted path (e.g. 'profile.engagement_rate') from the context
+ */
+function getField(context, path) {
+    return path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), context);
+}
+
+/**
+ * Resolve a condition value: a literal, or { field, multiply, add } relative to another field
+ */
+function resolveValue(value, context) {
+    if (value && typeof value === 'object' && !Array.isArray(value) && value.field) {
+        const base = getField(context, value.field);
+        if (base === null || base === undefined || Number.isNaN(base)) return undefined;
+        return base * (value.multiply ?? 1) + (value.add ?? 0);
+    }
+    return value;
+}
+
+/**
+ * Evaluate a condition tree against the context
+ * Nodes are { all: [...] }, { any: [...] }, { not: {...} } or a leaf { field, op, value }
+ */
+function evaluateCondition(condition, context) {
+    if (condition.all) return condition.all.every(c => evaluateCondition(c, context));
+    if (condition.any) return condition.any.some(c => evaluateCondition(c, context));
+    if (condition.not) return !evaluateCondition(condition.not, context);
+
+    const actual = getField(context, condition.field);
+
+    if (condition.op === 'exists') {
+        return OPERATORS.exists(actual);
+    }
+
+    const expected = resolveValue(condition.value, context);
+
+    // Missing data never matches
+    if (actual === null || actual === undefined || Number.isNaN(actual) || expected === undefined) {
+        return false;
+    }
+
+    return Object.hasOwn(OPERATORS, condition.op) && OPERATORS[condition.op](actual, expected);
+}
+
+/**
+ * Fill {{path}} / {{path|formatter:arg}} placeholders from the context
+ */
+function renderTemplate(template, context) {
+    if (!template) return template;
+
+    return template.replace(/\{\{\s*([\w.]+)\s*(?:\|\s*(\w+)(?::(\w+))?)?\s*\}\}/g, (match, path, formatter, arg) => {
+        const value = getField(context, path);
+        if (value === null || value === undefined) return '';
+        return formatter && Object.hasOwn(FORMATTERS, formatter) ? FORMATTERS[formatter](value, arg) : String(value);
+    });
+}
+
+/**
+ * Percent difference of a value from a reference (e.g. 39 for 39% above)
+ */
+function percentVs(value, reference) {
+    return reference > 0 ? (value / reference - 1) * 100 : null;
+}
+
+/**
+ * Build the data rules are evaluated against
+ * @param {Object} profile - Profile row
+ * @param {Object} benchmarks - Benchmarks (from getBenchmarks)
+ * @param {Object|number} score - Score (from scoreProfile) or a bare overall score
+ */
+function buildInsightContext(profile, benchmarks, score) {
+    const num = (value) => (value === null || value === undefined || value === '' ? null : parseFloat(value));
+
+    const context = {
+        // Rules that only make sense on one platform gate on this
+        platform: profile.platform || benchmarks.platform || DEFAULT_PLATFORM,
+        profile: {
+            followers: num(profile.followers),
+            following: num(profile.following),
+            posts: num(profile.posts),
+            engagement_rate: num(profile.engagement_rate),
+            avg_likes: num(profile.avg_likes),
+            avg_comments: num(profile.avg_comments),
+            avg_views: num(profile.avg_views),
+            post_frequency: num(profile.post_frequency) ?? 0,
+            reel_percentage: num(profile.reel_percentage) ?? 0,
+            verified: !!profile.verified
+        },
+        benchmarks: {
+            avg_followers: num(benchmarks.avg_followers),
+            avg_engagement: num(benchmarks.avg_engagement),
+            avg_post_frequency: num(benchmarks.avg_post_frequency),
+            avg_reel_percentage: num(benchmarks.avg_reel_percentage),
+            avg_views: num(benchmarks.avg_views),
+            sample_size: num(benchmarks.sample_size) ?? 0,
+            level: benchmarks.location_type || null
+        },
+        // Percentile per metric, null when the benchmarks have no quantiles
+        percentiles: Object.fromEntries(Object.keys(BENCHMARK_METRICS).map(metric => [
+            metric,
+            calculatePercentile(num(profile[metric]) ?? 0, benchmarks.quantiles, metric)
+        ])),
+        score: {
+            overall: typeof score === 'number' ? score : score?.overall ?? null,
+            components: Object.fromEntries((score?.components || []).map(c => [c.metric, c.score]))
+        }
+    };
+
+    context.derived = {
+        engagement_vs_average_pct: percentVs(context.profile.engagement_rate, context.benchmarks.avg_engagement),
+        followers_vs_average_pct: percentVs(context.profile.followers, context.benchmarks.avg_followers),
+        post_frequency_vs_average_pct: percentVs(context.profile.post_frequency, context.benchmarks.avg_post_frequency)
+    };
+
+    return context;
+}
+
+/**
+ * Validate an insight rule
+ * @throws {Error} with status 400 describing the first problem found
+ */
+function validateRule(rule) {
+    const fail = (message) => {
+        const error = new Error(`Invalid insight rule: ${message}`);
+        error.status = 400;
+        throw error;
+    };
+
+    const validateCondition = (condition, path) => {
+        if (!condition || typeof condition !== 'object') fail(`${path} must be an object`);
+
+        if (condition.all || condition.any) {
+            const children = condition.all || condition.any;
+            if (!Array.isArray(children) || children.length === 0) fail(`${path}.${condition.all ? 'all' : 'any'} must be a non-empty array`);
+            children.forEach((c, i) => validateCondition(c, `${path}[${i}]`));
+            return;
+        }
+        if (condition.not) {
+            validateCondition(condition.not, `${path}.not`);
+            return;
+        }
+
+        if (!condition.field || typeof condition.field !== 'string') fail(`${path}.field is required`);
+        if (!Object.hasOwn(OPERATORS, condition.op)) fail(`${path}.op must be one of ${Object.keys(OPERATORS).join(', ')}`);
+        if (condition.op === 'between' && !(Array.isArray(condition.value) && condition.value.length === 2)) {
+            fail(`${path}.value must be [min, max] for between`);
+        }
+        if (condition.op === 'in' && !Array.isArray(condition.value)) fail(`${path}.value must be an array for in`);
+        if (condition.op !== 'exists' && condition.value === undefined) fail(`${path}.value is required`);
+    };
+
+    if (!rule.key || !/^[a-z0-9_-]+$/i.test(rule.key)) fail('key is required (letters, numbers, dashes, underscores)');
+    if (!rule.category) fail('category is required');
+    if (!SEVERITIES.includes(rule.severity)) fail(`severity must be one of ${SEVERITIES.join(', ')}`);
+    if (rule.priority !== undefined && typeof rule.priority !== 'number') fail('priority must be a number');
+    if (!rule.message) fail('message is required');
+
+    validateCondition(rule.condition, 'condition');
+
+    for (const template of [rule.message, rule.recommendation]) {
+        for (const [, formatter] of (template || '').matchAll(/\|\s*(\w+)/g)) {
+            if (!Object.hasOwn(FORMATTERS, formatter)) fail(`unknown formatter "${formatter}" (expected ${Object.keys(FORMATTERS).join(', ')})`);
+        }
+    }
+}
+
+/**
+ * Convert an insight_rules row into a rule
+ */
+function toRule(row) {
+    return {
+        key: row.key,
+        name: row.name,
+        category: row.category,
+        severity: row.severity,
+        priority: row.priority,
+        condition: row.condition,
+        message: row.message,
+        recommendation: row.recommendation,
+        active: row.active,
+        source: 'database',
+        updatedAt: row.updated_at
+    };
+}
+
+/**
+ * Get all rules: defaults from config/insight-rules.json, overridden by key
+ * (or extended) by rows in the insight_rules table
+ */
+async function getRules() {
+    const cached = ruleCache.get('rules');
+    if (cached) return cached;
+
+    try {
+        const stored = await db.query('SELECT * FROM insight_rules');
+
+        const rules = new Map(DEFAULT_RULES.map(rule => [rule.key, { active: true, ...rule, source: 'file' }]));
+        for (const row of stored.rows) {
+            rules.set(row.key, toRule(row));
+        }
+
+        const list = [...rules.values()];
+        ruleCache.set('rules', list);
+        return list;
+
+    } catch (error) {
+        console.error('Error loading insight rules:', error);
+        throw error;
+    }
+}
+
+/**
+ * Evaluate rules against a context
+ * @param {Array<Object>} rules - Rules to evaluate (inactive ones are skipped)
+ * @param {Object} context - From buildInsightContext
+ * @returns {{ insights: Array<Object>, trace: Array<Object> }}
+ */
+function evaluateRules(rules, context) {
+    const trace = [];
+    const matched = [];
+
+    for (const rule of rules) {
+        if (rule.active === false) {
+            trace.push({ key: rule.key, active: false, matched: false });
+            continue;
+        }
+
+        const isMatch = evaluateCondition(rule.condition, context);
+        trace.push({ key: rule.key, active: true, matched: isMatch });
+
+        if (isMatch) matched.push(rule);
+    }
+
+    // Highest priority first; rule order breaks ties
+    const insights = matched
+        .map((rule, index) => ({ rule, index }))
+        .sort((a, b) => ((b.rule.priority || 0) - (a.rule.priority || 0)) || (a.index - b.index))
+        .map(({ rule }) => ({
+            type: rule.severity,
+            category: rule.category,
+            message: renderTemplate(rule.message, context),
+            recommendation: renderTemplate(rule.recommendation, context),
+            priority: rule.priority || 0,
+            rule: rule.key
+        }));
+
+    return { insights, trace };
+}
+
+/**
+ * Generate personalized insights based on profile data
+ * @param {Object} profile - Profile row
+ * @param {Object} benchmarks - Benchmarks (from getBenchmarks)
+ * @param {Object|number} score - Score (from scoreProfile) or a bare overall score
+ * @returns {Promise<Array<Object>>} Insights
+ */
+async function generateInsights(profile, benchmarks, score) {
+    const rules = await getRules();
+    return evaluateRules(rules, buildInsightContext(profile, benchmarks, score)).insights;
+}
+
+/**
+ * Create a rule, or update/override one by key
+ * Overriding a file rule stores a database copy that takes precedence
+ * @param {Object} rule - Rule fields
+ * @param {Object} options - { create: true } fails if the key already exists
+ * @returns {Promise<Object>} Saved rule
+ */
+async function saveRule(rule, { create = false } = {}) {
+    const existing = (await getRules()).find(r => r.key === rule.key);
+
+    if (create && existing) {
+        const error = new Error(`Insight rule "${rule.key}" already exists`);
+        error.status = 409;
+        throw error;
+    }
+
+    if (!create && !existing) {
+        const error = new Error(`Insight rule "${rule.key}" not found`);
+        error.status = 404;
+        throw error;
+    }
+
+    // Updates may be partial
+    const merged = { active: true, ...(existing || {}), ...rule };
+    validateRule(merged);
+
+    try {
+        const saved = await db.query(`
+            INSERT INTO insight_rules (
+                key, name, category, severity, priority,
+                condition, message, recommendation, active
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            ON CONFLICT (key)
+            DO UPDATE SET
+                name = $2,
+                category = $3,
+                severity = $4,
+                priority = $5,
+                condition = $6,
+                message = $7,
+                recommendation = $8,
+                active = $9,
+                updated_at = NOW()
+            RETURNING *
+        `, [
+            merged.key, merged.name || null, merged.category, merged.severity, merged.priority || 0,
+            JSON.stringify(merged.condition), merged.message, merged.recommendation || null, merged.active !== false
+        ]);
+
+        ruleCache.flushAll();
+        console.log(`✓ Saved insight rule ${merged.key}`);
+        return toRule(saved.rows[0]);
+
+    } catch (error) {
+        console.error('Error saving insight rule:', error);
+        throw error;
+    }
+}
+
+/**
+ * Evaluate rules against a given profile without storing anything
+ * Uses the stored profile when only a username is given; benchmarks and
+ * score are looked up/calculated unless provided
+ * @param {Object} input - { profile | username, platform, industry, locationCity, locationState, locationCountry,
+ *   benchmarks, score, rules } (a profile object's own `platform` takes precedence)
+ * @returns {Promise<Object>} { context, insights, trace }
+ */
+async function dryRunRules(input) {
+    const { username, industry, locationCity, locationState, locationCountry } = input;
+    let profile = input.profile;
+
+    if (!profile && username) {
+        const result = await db.query('SELECT * FROM profiles WHERE platform = $1 AND username = $2', [
+            input.platform || DEFAULT_PLATFORM, username
+        ]);
+        if (result.rows.length === 0) {
+            const error = new Error(`Profile @${username} has not been analyzed yet`);
+            error.status = 404;
+            throw error;
+        }
+        profile = result.rows[0];
+    }
+
+    if (!profile) {
+        const error = new Error('Provide a profile object or a username');
+        error.status = 400;
+        throw error;
+    }
+    profile = { ...profile, platform: profile.platform || input.platform || DEFAULT_PLATFORM };
+
+    const profileIndustry = industry || profile.industry;
+    const benchmarks = input.benchmarks || await getBenchmarks(
+        profileIndustry,
+        locationCity || profile.location_city,
+        locationState || profile.location_state,
+        locationCountry || profile.location_country,
+        null,
+        profile.platform
+    );
+    const score = input.score ?? scoreProfile(profile, benchmarks, await getScoringModel(profileIndustry));
+
+    // Unsaved rules can be tested before they are created
+    if (input.rules) {
+        input.rules.forEach(validateRule);
+    }
+    const rules = input.rules || await getRules();
+
+    const context = buildInsightContext(profile, benchmarks, score);
+
+    return { context, ...evaluateRules(rules, context) };
+}
+
+module.exports = {
+    SEVERITIES,
+    OPERATORS,
+    dryRunRules,
+    generateInsights,
+    buildInsightContext,
+    evaluateRules,
+    validateRule,
+    getRules,
+    saveRule
+};
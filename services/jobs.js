@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const NodeCache = require('node-cache');
+
+// Finished jobs stay readable for an hour
+const JOB_TTL_SECONDS = parseInt(process.env.JOB_TTL_SECONDS) || 3600;
+
+// Rough progress for each stage, for progress bars
+const STAGE_PROGRESS = {
+    queued: 0,
+    scraping: 10,
+    benchmarking: 60,
+    ranking: 80,
+    done: 100,
+    failed: 100
+};
+
+const jobs = new NodeCache({ stdTTL: JOB_TTL_SECONDS, checkperiod: 600, useClones: false });
+const activeJobs = new Map(); // dedupe key -> job id
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+/**
+ * Public view of a job
+ */
+function serializeJob(job) {
+    return {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        stage: job.stage,
+        progress: STAGE_PROGRESS[job.stage] ?? 0,
+        params: job.params,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+        ...(job.status === 'done' && { result: job.result }),
+        ...(job.status === 'failed' && { error: job.error })
+    };
+}
+
+/**
+ * Move a job to a new stage and notify subscribers
+ */
+function updateJob(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    events.emit(job.id, serializeJob(job));
+}
+
+/**
+ * Create a background job, or attach to the running job with the same key
+ * @param {string} type - Job type (e.g. 'analyze')
+ * @param {string} key - Dedupe key; identical keys share one running job
+ * @param {Object} params - Job parameters (returned in job status)
+ * @param {Function} runner - async (setStage) => result
+ * @returns {{ job: Object, attached: boolean }}
+ */
+function createJob(type, key, params, runner) {
+    const activeId = activeJobs.get(key);
+    const active = activeId && jobs.get(activeId);
+
+    if (active) {
+        console.log(`↪ Attaching to in-flight job ${active.id} (${key})`);
+        return { job: serializeJob(active), attached: true };
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+        id: crypto.randomUUID(),
+        type,
+        key,
+        params,
+        status: 'running',
+        stage: 'queued',
+        createdAt: now,
+        updatedAt: now
+    };
+
+    jobs.set(job.id, job);
+    activeJobs.set(key, job.id);
+
+    setImmediate(async () => {
+        try {
+            const result = await runner((stage) => updateJob(job, { stage }));
+            updateJob(job, { status: 'done', stage: 'done', result });
+        } catch (error) {
+            console.error(`Job ${job.id} failed:`, error.message);
+            updateJob(job, {
+                status: 'failed',
+                stage: 'failed',
+                error: { message: error.message, code: error.code, status: error.status || 500 }
+            });
+        } finally {
+            activeJobs.delete(key);
+            // Refresh TTL so finished jobs stay readable for the full window
+            jobs.ttl(job.id, JOB_TTL_SECONDS);
+        }
+    });
+
+    return { job: serializeJob(job), attached: false };
+}
+
+/**
+ * Get a job by id
+ * @returns {Object|null} Serialized job, or null if unknown/expired
+ */
+function getJob(id) {
+    const job = jobs.get(id);
+    return job ? serializeJob(job) : null;
+}
+
+/**
+ * Subscribe to progress updates for a job
+ * @returns {Function} Unsubscribe function
+ */
+function subscribeToJob(id, listener) {
+    events.on(id, listener);
+    return () => events.off(id, listener);
+}
+
+module.exports = {
+    createJob,
+    getJob,
+    subscribeToJob
+};
@@ -0,0 +1,252 @@
+const db = require('../config/database');
+const { getBenchmarks, calculateOverallScore, SYNTHETIC_FILTER } = require('./benchmark');
+const { getScoringModel, modelTag } = require('./scoring');
+const { getParentIndustry, getIndustryMembers } = require('./industries');
+const { DEFAULT_PLATFORM, PLATFORM_IDS } = require('./platforms');
+const { resolveLocation } = require('./locations');
+
+// Only profiles scraped within this window make the leaderboards
+const MAX_AGE_DAYS = parseInt(process.env.LEADERBOARD_MAX_AGE_DAYS) || 90;
+
+const SORT_COLUMNS = {
+    overall: 'tp.overall_score DESC, tp.followers DESC',
+    followers: 'tp.followers DESC, tp.engagement_rate DESC',
+    engagement: 'tp.engagement_rate DESC, tp.followers DESC'
+};
+
+/**
+ * Group profiles into leaderboards for each location level
+ * Cities are grouped with their state and country, and states with their country, so
+ * same-named places (Springfield, Illinois and Springfield, Missouri) stay apart
+ * @returns {Map<string, Object>} Groups keyed by 'type|value|state|country'
+ */
+function groupByLocation(profiles) {
+    const groups = new Map();
+
+    const add = (type, value, region, benchmarkArgs, profile) => {
+        const key = `${type}|${value}|${region.state}|${region.country}`;
+        if (!groups.has(key)) {
+            groups.set(key, { type, value, ...region, benchmarkArgs, profiles: [] });
+        }
+        groups.get(key).profiles.push(profile);
+    };
+
+    for (const profile of profiles) {
+        const { location_city: city, location_state: state, location_country: country } = profile;
+
+        if (city) add('city', city, { state: state || '', country: country || '' }, [city, state, country], profile);
+        if (state) add('state', state, { state: '', country: country || '' }, [null, state, country], profile);
+        if (country) add('country', country, { state: '', country: '' }, [null, null, country], profile);
+        add('global', 'global', { state: '', country: '' }, [null, null, null], profile);
+    }
+
+    return groups;
+}
+
+/**
+ * Recalculate the top_performers leaderboards for one industry on one platform
+ * An industry's leaderboards include the profiles of its niches
+ * @param {string} industry - Industry to recalculate
+ * @param {string} platform - Platform to recalculate
+ * @returns {Promise<number>} Number of leaderboards written
+ */
+async function recalculateIndustryLeaderboards(industry, platform = DEFAULT_PLATFORM) {
+    const profiles = await db.query(`
+        SELECT id, username, industry, followers, engagement_rate, post_frequency, reel_percentage, avg_views,
+               location_city, location_state, location_country
+        FROM profiles
+        WHERE industry = ANY($1)
+        AND platform = $3
+        AND last_scraped > NOW() - ($2 || ' days')::INTERVAL
+        ${SYNTHETIC_FILTER}
+    `, [getIndustryMembers(industry), MAX_AGE_DAYS, platform]);
+
+    const groups = groupByLocation(profiles.rows);
+    const scoringModel = await getScoringModel(industry);
+
+    // Score every group against the benchmarks for its level
+    const leaderboards = [];
+    for (const group of groups.values()) {
+        const benchmarks = await getBenchmarks(industry, ...group.benchmarkArgs, null, platform);
+
+        const ranked = group.profiles
+            .map(profile => ({ ...profile, overall_score: calculateOverallScore(profile, benchmarks, scoringModel) }))
+            .sort((a, b) => (b.overall_score - a.overall_score) || (b.followers - a.followers));
+
+        leaderboards.push({ ...group, ranked });
+    }
+
+    // A profile's most specific leaderboard scores it against the same benchmarks an analysis
+    // would, so that score is stored for rankings (niche profiles are stored by their niche's run)
+    const stored = new Map();
+    const bySpecificity = ['city', 'state', 'country', 'global']
+        .flatMap(type => leaderboards.filter(leaderboard => leaderboard.type === type));
+    for (const leaderboard of bySpecificity) {
+        for (const profile of leaderboard.ranked) {
+            if (profile.industry === industry && !stored.has(profile.id)) stored.set(profile.id, profile.overall_score);
+        }
+    }
+
+    await db.transaction(async (client) => {
+        await client.query('DELETE FROM top_performers WHERE industry = $1 AND platform = $2', [industry, platform]);
+
+        for (const leaderboard of leaderboards) {
+            for (const [index, profile] of leaderboard.ranked.entries()) {
+                await client.query(`
+                    INSERT INTO top_performers (
+                        username, industry, location_type, location_value, location_state, location_country,
+                        followers, engagement_rate, overall_score, rank_position,
+                        scoring_model, platform, calculated_at
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW())
+                `, [
+                    profile.username, industry, leaderboard.type, leaderboard.value, leaderboard.state, leaderboard.country,
+                    profile.followers, profile.engagement_rate, profile.overall_score, index + 1,
+                    modelTag(scoringModel), platform
+                ]);
+            }
+        }
+
+        for (const [id, score] of stored) {
+            await client.query('UPDATE profiles SET overall_score = $1, scored_at = NOW() WHERE id = $2', [score, id]);
+        }
+    });
+
+    console.log(`✓ Recalculated ${leaderboards.length} ${platform} leaderboard(s) for ${industry} (${profiles.rows.length} profiles)`);
+    return leaderboards.length;
+}
+
+/**
+ * Recalculate leaderboards for every industry and platform (or just the given ones)
+ * @param {string} industry - Optional industry to limit the recalculation to
+ * @param {string} platform - Optional platform to limit the recalculation to
+ * @returns {Promise<Object>} { industries, leaderboards }
+ */
+async function recalculateLeaderboards(industry = null, platform = null) {
+    try {
+        const platforms = platform ? [platform] : PLATFORM_IDS;
+        let industries = [industry];
+
+        if (!industry) {
+            const result = await db.query(`
+                SELECT DISTINCT industry FROM profiles WHERE industry IS NOT NULL AND platform = ANY($1)
+            `, [platforms]);
+            // Parents get their own leaderboards even when all their profiles are in niches
+            industries = [...new Set(result.rows.flatMap(r => [r.industry, getParentIndustry(r.industry)]))]
+                .filter(Boolean);
+        }
+
+        let total = 0;
+        for (const name of industries) {
+            for (const id of platforms) {
+                total += await recalculateIndustryLeaderboards(name, id);
+            }
+        }
+
+        return { industries: industries.length, leaderboards: total };
+
+    } catch (error) {
+        console.error('Error recalculating leaderboards:', error);
+        throw error;
+    }
+}
+
+/**
+ * The place a leaderboard request names, with canonical names (see resolveLocation)
+ * The state only narrows down cities, and the country cities and states
+ * @returns {Object} { value, state, country } (state and country are null when not given)
+ */
+function resolveLeaderboardPlace(locationType, locationValue, { state, country }) {
+    if (locationType === 'global') return { value: 'global', state: null, country: null };
+    if (locationType === 'country') return { value: resolveLocation({ country: locationValue }).country, state: null, country: null };
+
+    const region = resolveLocation({ state: locationType === 'city' ? state : null, country });
+
+    return {
+        value: locationType === 'city'
+            ? resolveLocation({ city: locationValue, state: region.state, country: region.country }).city
+            : resolveLocation({ state: locationValue, country: region.country }).state,
+        state: region.state,
+        country: region.country
+    };
+}
+
+/**
+ * Get a page of a leaderboard
+ * When more than one place has the name (and state/country don't narrow it down), the
+ * leaderboard with the most accounts is returned; locationState and locationCountry say which
+ * @param {string} industry - Industry
+ * @param {string} locationType - 'city', 'state', 'country' or 'global'
+ * @param {string} locationValue - Location name (case-insensitive)
+ * @param {Object} options - { state, country, platform, sort: 'overall' | 'followers' | 'engagement', limit, offset }
+ */
+async function getLeaderboard(industry, locationType, locationValue, {
+    state = null, country = null, platform = DEFAULT_PLATFORM, sort = 'overall', limit = 25, offset = 0
+} = {}) {
+    try {
+        const orderBy = SORT_COLUMNS[sort] || SORT_COLUMNS.overall;
+        const place = resolveLeaderboardPlace(locationType, locationValue, { state, country });
+
+        const found = await db.query(`
+            SELECT location_value, location_state, location_country, COUNT(*) as total,
+                   MAX(calculated_at) as calculated_at, MAX(scoring_model) as scoring_model
+            FROM top_performers
+            WHERE industry = $1 AND location_type = $2 AND LOWER(location_value) = LOWER($3) AND platform = $4
+            AND ($5::text IS NULL OR LOWER(location_state) = LOWER($5))
+            AND ($6::text IS NULL OR LOWER(location_country) = LOWER($6))
+            GROUP BY location_value, location_state, location_country
+            ORDER BY total DESC, location_country, location_state
+            LIMIT 1
+        `, [industry, locationType, place.value, platform, place.state, place.country]);
+
+        const leaderboard = found.rows[0] || {
+            location_value: place.value, location_state: place.state || '', location_country: place.country || '', total: 0
+        };
+
+        const entries = await db.query(`
+            SELECT tp.*, p.full_name, p.profile_pic_url, p.verified
+            FROM top_performers tp
+            LEFT JOIN profiles p ON p.platform = tp.platform AND p.username = tp.username
+            WHERE tp.industry = $1 AND tp.location_type = $2 AND tp.location_value = $3
+            AND tp.location_state = $4 AND tp.location_country = $5 AND tp.platform = $6
+            ORDER BY ${orderBy}, tp.username
+            LIMIT $7 OFFSET $8
+        `, [
+            industry, locationType, leaderboard.location_value, leaderboard.location_state, leaderboard.location_country,
+            platform, limit, offset
+        ]);
+
+        return {
+            platform,
+            industry,
+            locationType,
+            locationValue: leaderboard.location_value,
+            locationState: leaderboard.location_state || null,
+            locationCountry: leaderboard.location_country || null,
+            sort: SORT_COLUMNS[sort] ? sort : 'overall',
+            total: parseInt(leaderboard.total),
+            calculatedAt: leaderboard.calculated_at || null,
+            scoringModel: leaderboard.scoring_model || null,
+            entries: entries.rows.map((row, index) => ({
+                position: offset + index + 1,
+                scoreRank: row.rank_position,
+                username: row.username,
+                fullName: row.full_name,
+                profilePicUrl: row.profile_pic_url,
+                verified: row.verified || false,
+                followers: parseInt(row.followers || 0),
+                engagementRate: parseFloat(row.engagement_rate || 0),
+                overallScore: row.overall_score
+            }))
+        };
+
+    } catch (error) {
+        console.error('Error getting leaderboard:', error);
+        throw error;
+    }
+}
+
+module.exports = {
+    SORT_COLUMNS,
+    recalculateLeaderboards,
+    getLeaderboard
+};
@@ -0,0 +1,455 @@
+const db = require('../config/database');
+const { UUID_PATTERN } = require('../middleware/validate');
+
+// Largest page the list endpoint returns; exports are unpaginated up to EXPORT_LIMIT
+const MAX_PAGE_SIZE = 200;
+const EXPORT_LIMIT = 50000;
+
+/**
+ * Create an error with an HTTP status and machine-readable code
+ */
+function leadError(message, status, code) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+}
+
+/**
+ * Normalize an email address for contact matching
+ */
+function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Find or create the contact for an email address
+ * @param {string} email - Email address (any case)
+ * @param {Object} client - Optional transaction client
+ * @returns {Promise<Object>} email_contacts row
+ */
+async function upsertContact(email, client = db) {
+    const result = await client.query(`
+        INSERT INTO email_contacts (email)
+        VALUES ($1)
+        ON CONFLICT (email) DO UPDATE SET updated_at = NOW()
+        RETURNING *
+    `, [normalizeEmail(email)]);
+
+    return result.rows[0];
+}
+
+// Every contact with the oldest contact sharing its normalized address (keep_id = id for that one)
+const CONTACT_GROUPS_SQL = `
+    SELECT id, unsubscribed_at, MIN(id) OVER (PARTITION BY LOWER(TRIM(email))) as keep_id
+    FROM email_contacts
+`;
+
+/**
+ * Merge contacts whose addresses only differ by case or whitespace into the oldest one
+ * (keeping the earliest opt-out), then normalize every contact's address
+ * @param {Object} client - Transaction client
+ * @returns {Promise<number>} Contacts merged away
+ */
+async function mergeDuplicateContacts(client) {
+    // Keeps new contacts from being inserted while addresses are rewritten
+    await client.query('LOCK TABLE email_contacts IN SHARE ROW EXCLUSIVE MODE');
+
+    await client.query(`
+        UPDATE email_captures ec
+        SET contact_id = g.keep_id
+        FROM (${CONTACT_GROUPS_SQL}) g
+        WHERE ec.contact_id = g.id AND g.id <> g.keep_id
+    `);
+
+    await client.query(`
+        UPDATE email_contacts c
+        SET unsubscribed_at = g.unsubscribed_at, updated_at = NOW()
+        FROM (
+            SELECT keep_id, MIN(unsubscribed_at) as unsubscribed_at
+            FROM (${CONTACT_GROUPS_SQL}) contact_groups
+            GROUP BY keep_id
+        ) g
+        WHERE c.id = g.keep_id AND c.unsubscribed_at IS DISTINCT FROM g.unsubscribed_at
+    `);
+
+    const merged = await client.query(`
+        DELETE FROM email_contacts c
+        USING (${CONTACT_GROUPS_SQL}) g
+        WHERE c.id = g.id AND g.id <> g.keep_id
+    `);
+
+    await client.query(`
+        UPDATE email_contacts
+        SET email = LOWER(TRIM(email)), updated_at = NOW()
+        WHERE email <> LOWER(TRIM(email))
+    `);
+
+    return merged.rowCount;
+}
+
+/**
+ * Merge contacts whose addresses only differ by case or whitespace, then link
+ * captures that have no contact yet (e.g. captured before contacts existed)
+ * to one contact per normalized email address
+ * Merged-away contacts' unsubscribe links stop working; an opt-out on any of them carries over
+ * @returns {Promise<Object>} { contactsMerged, contactsCreated, capturesLinked }
+ */
+async function dedupeLeads() {
+    try {
+        return await db.transaction(async (client) => {
+            const contactsMerged = await mergeDuplicateContacts(client);
+
+            const contacts = await client.query(`
+                INSERT INTO email_contacts (email)
+                SELECT DISTINCT LOWER(TRIM(email)) FROM email_captures WHERE contact_id IS NULL
+                ON CONFLICT (email) DO NOTHING
+            `);
+
+            const linked = await client.query(`
+                UPDATE email_captures ec
+                SET contact_id = c.id
+                FROM email_contacts c
+                WHERE ec.contact_id IS NULL AND c.email = LOWER(TRIM(ec.email))
+            `);
+
+            console.log(`✓ Lead dedupe: ${contactsMerged} contact(s) merged, ${contacts.rowCount} contact(s) created, ${linked.rowCount} capture(s) linked`);
+
+            return { contactsMerged, contactsCreated: contacts.rowCount, capturesLinked: linked.rowCount };
+        });
+
+    } catch (error) {
+        console.error('Error deduplicating leads:', error);
+        throw error;
+    }
+}
+
+/**
+ * Build the WHERE clause for lead filters
+ * Location, score and date filters apply to each contact's latest capture
+ * @param {Object} filters - { q, industry, city, state, country, minScore, maxScore, from, to, converted, unsubscribed }
+ * @returns {Object} { where, params }
+ */
+function buildLeadFilters(filters = {}) {
+    const conditions = [];
+    const params = [];
+    const add = (sql, value) => {
+        params.push(value);
+        conditions.push(sql.replace(/\?/g, `$${params.length}`));
+    };
+
+    const number = (name) => {
+        const value = parseFloat(filters[name]);
+        if (isNaN(value)) throw leadError(`${name} must be a number`, 400, 'INVALID_FILTER');
+        return value;
+    };
+    const date = (name) => {
+        const value = new Date(filters[name]);
+        if (isNaN(value)) throw leadError(`${name} must be a date`, 400, 'INVALID_FILTER');
+        return value;
+    };
+    const bool = (name) => {
+        if (!['true', 'false'].includes(String(filters[name]))) {
+            throw leadError(`${name} must be true or false`, 400, 'INVALID_FILTER');
+        }
+        return String(filters[name]) === 'true';
+    };
+
+    if (filters.q) add('(c.email ILIKE ? OR l.username ILIKE ?)', `%${filters.q}%`);
+    if (filters.industry) add('LOWER(l.industry) = LOWER(?)', filters.industry);
+    if (filters.city) add('LOWER(l.location_city) = LOWER(?)', filters.city);
+    if (filters.state) add('LOWER(l.location_state) = LOWER(?)', filters.state);
+    if (filters.country) add('LOWER(l.location_country) = LOWER(?)', filters.country);
+    if (filters.minScore !== undefined) add('l.overall_score >= ?', number('minScore'));
+    if (filters.maxScore !== undefined) add('l.overall_score <= ?', number('maxScore'));
+    if (filters.from) add('l.captured_at >= ?', date('from'));
+    if (filters.to) add('l.captured_at <= ?', date('to'));
+    if (filters.converted !== undefined) add('s.converted = ?', bool('converted'));
+    if (filters.unsubscribed !== undefined) {
+        conditions.push(bool('unsubscribed') ? 'c.unsubscribed_at IS NOT NULL' : 'c.unsubscribed_at IS NULL');
+    }
+
+    return {
+        where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+        params
+    };
+}
+
+// Contacts joined with their latest capture (l) and capture history stats (s)
+const CONTACTS_QUERY = `
+    FROM email_contacts c
+    JOIN LATERAL (
+        SELECT * FROM email_captures
+        WHERE contact_id = c.id
+        ORDER BY captured_at DESC
+        LIMIT 1
+    ) l ON TRUE
+    JOIN LATERAL (
+        SELECT
+            COUNT(*) as capture_count,
+            MIN(captured_at) as first_captured_at,
+            BOOL_OR(converted_to_magnet_pro) as converted,
+            MAX(conversion_date) as conversion_date,
+            COALESCE(SUM(conversion_revenue), 0) as revenue
+        FROM email_captures
+        WHERE contact_id = c.id
+    ) s ON TRUE
+`;
+
+const CONTACT_COLUMNS = `
+    c.id, c.email, c.unsubscribed_at, c.created_at,
+    l.id as latest_capture_id, l.username, l.platform, l.industry,
+    l.location_city, l.location_state, l.location_country,
+    l.overall_score, l.followers, l.engagement_rate, l.city_rank,
+    l.utm_source, l.utm_medium, l.utm_campaign, l.captured_at as last_captured_at,
+    s.capture_count, s.first_captured_at, s.converted, s.conversion_date, s.revenue
+`;
+
+/**
+ * Convert a contact row into an API lead
+ */
+function toLead(row) {
+    return {
+        id: row.id,
+        email: row.email,
+        username: row.username,
+        platform: row.platform,
+        industry: row.industry,
+        location: {
+            city: row.location_city,
+            state: row.location_state,
+            country: row.location_country
+        },
+        overallScore: row.overall_score,
+        followers: row.followers,
+        engagementRate: row.engagement_rate !== null ? parseFloat(row.engagement_rate) : null,
+        cityRank: row.city_rank,
+        utm: {
+            source: row.utm_source,
+            medium: row.utm_medium,
+            campaign: row.utm_campaign
+        },
+        captureCount: parseInt(row.capture_count),
+        firstCapturedAt: row.first_captured_at,
+        lastCapturedAt: row.last_captured_at,
+        latestCaptureId: row.latest_capture_id,
+        converted: row.converted,
+        conversionDate: row.conversion_date,
+        revenue: parseFloat(row.revenue),
+        unsubscribed: row.unsubscribed_at !== null,
+        unsubscribedAt: row.unsubscribed_at
+    };
+}
+
+/**
+ * List leads (one per contact, newest capture first)
+ * @param {Object} filters - See buildLeadFilters
+ * @param {Object} options - { limit, offset }
+ * @returns {Promise<Object>} { total, leads }
+ */
+async function listLeads(filters = {}, { limit = 50, offset = 0 } = {}) {
+    const { where, params } = buildLeadFilters(filters);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_PAGE_SIZE);
+    const skip = Math.max(parseInt(offset) || 0, 0);
+
+    try {
+        const total = await db.query(`SELECT COUNT(*) as total ${CONTACTS_QUERY} ${where}`, params);
+
+        const leads = await db.query(`
+            SELECT ${CONTACT_COLUMNS}
+            ${CONTACTS_QUERY}
+            ${where}
+            ORDER BY l.captured_at DESC, c.id DESC
+            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `, [...params, pageSize, skip]);
+
+        return {
+            total: parseInt(total.rows[0].total),
+            limit: pageSize,
+            offset: skip,
+            leads: leads.rows.map(toLead)
+        };
+
+    } catch (error) {
+        console.error('Error listing leads:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get one contact with its full capture history
+ * @returns {Promise<Object|null>} Lead with `captures`, or null if not found
+ */
+async function getLead(contactId) {
+    try {
+        const contact = await db.query(`
+            SELECT ${CONTACT_COLUMNS}
+            ${CONTACTS_QUERY}
+            WHERE c.id = $1
+        `, [contactId]);
+
+        if (contact.rows.length === 0) return null;
+
+        const captures = await db.query(`
+            SELECT id, email, username, platform, industry, location_city, location_state, location_country,
+                   overall_score, followers, engagement_rate, city_rank, state_rank, national_rank,
+                   scoring_model, utm_source, utm_medium, utm_campaign, captured_at,
+                   converted_to_magnet_pro, conversion_date, conversion_plan, conversion_revenue
+            FROM email_captures
+            WHERE contact_id = $1
+            ORDER BY captured_at DESC
+        `, [contactId]);
+
+        return {
+            ...toLead(contact.rows[0]),
+            captures: captures.rows.map(row => ({
+                id: row.id,
+                email: row.email,
+                username: row.username,
+                platform: row.platform,
+                industry: row.industry,
+                location: {
+                    city: row.location_city,
+                    state: row.location_state,
+                    country: row.location_country
+                },
+                overallScore: row.overall_score,
+                followers: row.followers,
+                engagementRate: row.engagement_rate !== null ? parseFloat(row.engagement_rate) : null,
+                rankings: {
+                    city: row.city_rank,
+                    state: row.state_rank,
+                    national: row.national_rank
+                },
+                scoringModel: row.scoring_model,
+                utm: {
+                    source: row.utm_source,
+                    medium: row.utm_medium,
+                    campaign: row.utm_campaign
+                },
+                capturedAt: row.captured_at,
+                converted: row.converted_to_magnet_pro,
+                conversionDate: row.conversion_date,
+                conversionPlan: row.conversion_plan,
+                conversionRevenue: row.conversion_revenue !== null ? parseFloat(row.conversion_revenue) : null
+            }))
+        };
+
+    } catch (error) {
+        console.error('Error getting lead:', error);
+        throw error;
+    }
+}
+
+const CSV_COLUMNS = [
+    ['email', lead => lead.email],
+    ['username', lead => lead.username],
+    ['platform', lead => lead.platform],
+    ['industry', lead => lead.industry],
+    ['city', lead => lead.location.city],
+    ['state', lead => lead.location.state],
+    ['country', lead => lead.location.country],
+    ['overall_score', lead => lead.overallScore],
+    ['followers', lead => lead.followers],
+    ['engagement_rate', lead => lead.engagementRate],
+    ['city_rank', lead => lead.cityRank],
+    ['utm_source', lead => lead.utm.source],
+    ['utm_medium', lead => lead.utm.medium],
+    ['utm_campaign', lead => lead.utm.campaign],
+    ['capture_count', lead => lead.captureCount],
+    ['first_captured_at', lead => lead.firstCapturedAt?.toISOString()],
+    ['last_captured_at', lead => lead.lastCapturedAt?.toISOString()],
+    ['converted', lead => lead.converted],
+    ['revenue', lead => lead.revenue],
+    ['unsubscribed', lead => lead.unsubscribed]
+];
+
+/**
+ * Quote a CSV cell; text starting with a formula character is prefixed
+ * with a quote so spreadsheets don't evaluate it
+ */
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export the filtered leads as CSV (up to EXPORT_LIMIT rows)
+ * @param {Object} filters - See buildLeadFilters
+ * @returns {Promise<string>} CSV document
+ */
+async function exportLeadsCsv(filters = {}) {
+    const { where, params } = buildLeadFilters(filters);
+
+    try {
+        const result = await db.query(`
+            SELECT ${CONTACT_COLUMNS}
+            ${CONTACTS_QUERY}
+            ${where}
+            ORDER BY l.captured_at DESC, c.id DESC
+            LIMIT ${EXPORT_LIMIT}
+        `, params);
+
+        const lines = [CSV_COLUMNS.map(([name]) => name).join(',')];
+        for (const lead of result.rows.map(toLead)) {
+            lines.push(CSV_COLUMNS.map(([, get]) => csvCell(get(lead))).join(','));
+        }
+
+        return lines.join('\r\n') + '\r\n';
+
+    } catch (error) {
+        console.error('Error exporting leads:', error);
+        throw error;
+    }
+}
+
+/**
+ * Opt a contact out of all future emails
+ * @param {string} token - The contact's unsubscribe token
+ * @returns {Promise<Object|null>} { email, unsubscribedAt }, or null for an unknown token
+ */
+async function unsubscribe(token) {
+    // Tokens are UUIDs; anything else can't match
+    if (!UUID_PATTERN.test(String(token || ''))) return null;
+
+    try {
+        return await db.transaction(async (client) => {
+            const contact = await client.query(`
+                UPDATE email_contacts
+                SET unsubscribed_at = COALESCE(unsubscribed_at, NOW()), updated_at = NOW()
+                WHERE unsubscribe_token = $1
+                RETURNING *
+            `, [token]);
+
+            if (contact.rows.length === 0) return null;
+
+            const { id, email, unsubscribed_at: unsubscribedAt } = contact.rows[0];
+
+            await client.query(`
+                UPDATE email_sends
+                SET status = 'skipped', last_error = 'unsubscribed', updated_at = NOW()
+                WHERE status = 'pending'
+                AND lead_id IN (SELECT id FROM email_captures WHERE contact_id = $1)
+            `, [id]);
+
+            console.log(`✓ Unsubscribed ${email}`);
+            return { email, unsubscribedAt };
+        });
+
+    } catch (error) {
+        console.error('Error unsubscribing:', error);
+        throw error;
+    }
+}
+
+module.exports = {
+    normalizeEmail,
+    upsertContact,
+    dedupeLeads,
+    listLeads,
+    getLead,
+    exportLeadsCsv,
+    unsubscribe
+};
@@ -0,0 +1,273 @@
+const db = require('../config/database');
+const gazetteer = require('../config/gazetteer.json');
+
+// Radius used for "nearby" benchmarks and rankings when a request doesn't set one
+const DEFAULT_RADIUS_KM = parseInt(process.env.LOCATION_RADIUS_KM) || 50;
+const MAX_RADIUS_KM = 500;
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Lookup key for a place name: case, accents, punctuation and spacing are ignored
+ */
+function foldName(value) {
+    return String(value)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\./g, '')
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Index gazetteer entries by folded name, code and aliases
+ * @returns {Map<string, Array<Object>>}
+ */
+function buildIndex(entries) {
+    const index = new Map();
+
+    for (const entry of entries) {
+        const keys = [entry.name, entry.code, ...(entry.aliases || [])].filter(Boolean).map(foldName);
+        for (const key of new Set(keys)) {
+            if (!index.has(key)) index.set(key, []);
+            index.get(key).push(entry);
+        }
+    }
+
+    return index;
+}
+
+const COUNTRIES = buildIndex(gazetteer.countries);
+const STATES = buildIndex(gazetteer.states);
+const CITIES = buildIndex(gazetteer.cities);
+
+const clean = (value) => (typeof value === 'string' && value.trim() ? value.trim().replace(/\s+/g, ' ') : null);
+
+// Unknown city names are title-cased so "springdale" and "Springdale" share a bucket
+const titleCase = (value) => value.toLowerCase().replace(/(^|[\s-])(\S)/g, (match, sep, char) => sep + char.toUpperCase());
+
+function findCountry(value) {
+    return value ? (COUNTRIES.get(foldName(value)) || [])[0] || null : null;
+}
+
+/**
+ * Find a state in the given country, preferring one that has the given city
+ * ("WA" is Washington, unless the country is Australia or the city is Perth)
+ */
+function findState(value, country, cityName) {
+    if (!value) return null;
+
+    const matches = (STATES.get(foldName(value)) || [])
+        .filter(state => !country || state.country === country.name);
+    const cities = cityName ? CITIES.get(foldName(cityName)) || [] : [];
+
+    return matches.find(state => cities.some(city => city.state === state.name)) || matches[0] || null;
+}
+
+/**
+ * Find a city within the given state/country; the most populous match wins
+ */
+function findCity(value, state, country) {
+    const matches = (CITIES.get(foldName(value)) || [])
+        .filter(city => !state || city.state === state.name)
+        .filter(city => !country || city.country === country.name);
+
+    return matches.sort((a, b) => b.population - a.population)[0] || null;
+}
+
+/**
+ * Resolve free-text location input to canonical names and coordinates
+ * Accepts "Austin, TX" style cities, infers state and country from known cities
+ * and country from known states. Unknown names are kept (tidied), without coordinates.
+ * @param {Object} input - { city, state, country }
+ * @returns {Object} { city, state, country, lat, lon, matched: 'city' | 'state' | 'country' | null }
+ */
+function resolveLocation({ city, state, country } = {}) {
+    let cityInput = clean(city);
+    let stateInput = clean(state);
+    let countryInput = clean(country);
+
+    // "Austin, TX" / "London, UK" / "Portland, Maine, USA"
+    if (cityInput && cityInput.includes(',')) {
+        const [name, ...rest] = cityInput.split(',').map(clean).filter(Boolean);
+        cityInput = name || null;
+
+        for (const part of rest) {
+            if (!stateInput && findState(part, findCountry(countryInput), cityInput)) stateInput = part;
+            else if (!countryInput && findCountry(part)) countryInput = part;
+            else if (!stateInput) stateInput = part;
+        }
+    }
+
+    const countryMatch = findCountry(countryInput);
+    const stateMatch = findState(stateInput, countryMatch, cityInput);
+    const cityMatch = cityInput ? findCity(cityInput, stateMatch, countryMatch) : null;
+
+    // A given state or country that contradicts the city wins; the city is then unknown
+    if (cityMatch && (!stateInput || stateMatch) && (!countryInput || countryMatch)) {
+        return {
+            city: cityMatch.name,
+            state: cityMatch.state,
+            country: cityMatch.country,
+            lat: cityMatch.lat,
+            lon: cityMatch.lon,
+            matched: 'city'
+        };
+    }
+
+    const inferredCountry = countryMatch
+        ? countryMatch.name
+        : stateMatch ? stateMatch.country : countryInput;
+
+    return {
+        city: cityInput ? titleCase(cityInput) : null,
+        state: stateMatch ? stateMatch.name : stateInput,
+        country: inferredCountry,
+        lat: null,
+        lon: null,
+        matched: stateMatch ? 'state' : countryMatch ? 'country' : null
+    };
+}
+
+/**
+ * Validate a requested radius
+ * @returns {number|null} Radius in km, or null when none was requested
+ * @throws {Error} with status 400 when it isn't a number between 1 and MAX_RADIUS_KM
+ */
+function parseRadiusKm(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const radius = Number(value);
+    if (!Number.isFinite(radius) || radius < 1 || radius > MAX_RADIUS_KM) {
+        const error = new Error(`radiusKm must be a number between 1 and ${MAX_RADIUS_KM}`);
+        error.status = 400;
+        error.code = 'INVALID_RADIUS';
+        throw error;
+    }
+
+    return radius;
+}
+
+/**
+ * The "nearby" area for analysis params with resolved coordinates
+ * An explicitly requested radius is tried before the city itself
+ * @param {Object} params - { locationCity, lat, lon, radiusKm }
+ * @returns {Object|null} { name, lat, lon, radiusKm, explicit }
+ */
+function getNearbyArea({ locationCity, lat, lon, radiusKm }) {
+    if (lat === null || lat === undefined || lon === null || lon === undefined) return null;
+
+    return {
+        name: locationCity,
+        lat: parseFloat(lat),
+        lon: parseFloat(lon),
+        radiusKm: radiusKm || DEFAULT_RADIUS_KM,
+        explicit: !!radiusKm
+    };
+}
+
+/**
+ * Great-circle distance in km (haversine)
+ */
+function distanceKm(lat1, lon1, lat2, lon2) {
+    const rad = (degrees) => degrees * Math.PI / 180;
+    const a = Math.sin(rad(lat2 - lat1) / 2) ** 2
+        + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(rad(lon2 - lon1) / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * SQL condition for profiles within an area, appending its values to params
+ * A lat/lon bounding box narrows rows (and can use the index) before the exact distance check
+ * @param {Object} area - { lat, lon, radiusKm }
+ * @param {Array} params - Query parameters (mutated)
+ * @returns {string} SQL condition
+ */
+function withinRadiusSql({ lat, lon, radiusKm }, params) {
+    const param = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+    };
+
+    const latDelta = radiusKm / 111.32;
+    const lonDelta = radiusKm / (111.32 * Math.max(Math.cos(lat * Math.PI / 180), 0.01));
+    const latParam = param(lat);
+    const lonParam = param(lon);
+
+    return `(
+        lat BETWEEN ${param(lat - latDelta)} AND ${param(lat + latDelta)}
+        AND lon BETWEEN ${param(lon - lonDelta)} AND ${param(lon + lonDelta)}
+        AND 2 * ${EARTH_RADIUS_KM} * ASIN(SQRT(
+            POWER(SIN(RADIANS(lat - ${latParam}) / 2), 2)
+            + COS(RADIANS(${latParam})) * COS(RADIANS(lat)) * POWER(SIN(RADIANS(lon - ${lonParam}) / 2), 2)
+        )) <= ${param(radiusKm)}
+    )`;
+}
+
+/**
+ * Re-resolve every stored profile location, filling in coordinates
+ * Cached benchmarks are cleared since profiles may move between buckets
+ * @returns {Promise<Object>} { locations, profiles } distinct locations seen and profiles updated
+ */
+async function normalizeStoredLocations() {
+    try {
+        const distinct = await db.query(`
+            SELECT DISTINCT location_city, location_state, location_country
+            FROM profiles
+            WHERE location_city IS NOT NULL OR location_state IS NOT NULL OR location_country IS NOT NULL
+        `);
+
+        let updated = 0;
+
+        await db.transaction(async (client) => {
+            for (const row of distinct.rows) {
+                const location = resolveLocation({
+                    city: row.location_city,
+                    state: row.location_state,
+                    country: row.location_country
+                });
+
+                const result = await client.query(`
+                    UPDATE profiles
+                    SET location_city = $4, location_state = $5, location_country = $6,
+                        lat = $7, lon = $8, updated_at = NOW()
+                    WHERE location_city IS NOT DISTINCT FROM $1
+                    AND location_state IS NOT DISTINCT FROM $2
+                    AND location_country IS NOT DISTINCT FROM $3
+                    AND is_synthetic = FALSE
+                    AND (
+                        location_city IS DISTINCT FROM $4 OR location_state IS DISTINCT FROM $5
+                        OR location_country IS DISTINCT FROM $6 OR (lat IS NULL AND $7::numeric IS NOT NULL)
+                    )
+                `, [
+                    row.location_city, row.location_state, row.location_country,
+                    location.city, location.state, location.country, location.lat, location.lon
+                ]);
+
+                updated += result.rowCount;
+            }
+
+            await client.query('DELETE FROM benchmarks');
+        });
+
+        console.log(`✓ Normalized ${updated} profile(s) across ${distinct.rows.length} distinct location(s)`);
+        return { locations: distinct.rows.length, profiles: updated };
+
+    } catch (error) {
+        console.error('Error normalizing stored locations:', error);
+        throw error;
+    }
+}
+
+module.exports = {
+    resolveLocation,
+    parseRadiusKm,
+    getNearbyArea,
+    distanceKm,
+    withinRadiusSql,
+    normalizeStoredLocations,
+    DEFAULT_RADIUS_KM,
+    MAX_RADIUS_KM
+};
@@ -0,0 +1,15 @@
+/**
+ * Console transport (development)
+ * Prints each message instead of sending it
+ */
+async function send(message) {
+    console.log(`📨 [console mail] To: ${message.to} | Subject: ${message.subject}`);
+    console.log(message.text);
+
+    return { messageId: `console-${Date.now()}` };
+}
+
+module.exports = {
+    name: 'console',
+    send
+};
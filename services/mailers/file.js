@@ -0,0 +1,25 @@
+const fs = require('fs');
+const path = require('path');
+
+const OUTBOX_DIR = process.env.EMAIL_OUTBOX_DIR
+    || path.join(__dirname, '../../outbox');
+
+/**
+ * File transport (development)
+ * Writes each message to EMAIL_OUTBOX_DIR as `<timestamp>-<to>.json`
+ * plus a `.html` file that can be opened in a browser
+ */
+async function send(message) {
+    fs.mkdirSync(OUTBOX_DIR, { recursive: true });
+
+    const id = `${Date.now()}-${message.to.replace(/[^a-z0-9@._-]/gi, '_')}`;
+    fs.writeFileSync(path.join(OUTBOX_DIR, `${id}.json`), JSON.stringify(message, null, 2));
+    fs.writeFileSync(path.join(OUTBOX_DIR, `${id}.html`), message.html);
+
+    return { messageId: `file-${id}` };
+}
+
+module.exports = {
+    name: 'file',
+    send
+};
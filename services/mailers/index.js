@@ -0,0 +1,43 @@
+const smtpTransport = require('./smtp');
+const fileTransport = require('./file');
+const consoleTransport = require('./console');
+
+/**
+ * Email transports
+ * A transport is `{ name, send(message) }` where message is
+ * `{ from, to, subject, html, text, headers }`, resolving to `{ messageId }`
+ */
+const transports = {
+    [smtpTransport.name]: smtpTransport,
+    [fileTransport.name]: fileTransport,
+    [consoleTransport.name]: consoleTransport
+};
+
+/**
+ * Register an additional email transport
+ */
+function registerTransport(transport) {
+    if (!transport || !transport.name || typeof transport.send !== 'function') {
+        throw new Error('Email transport must have a name and a send function');
+    }
+    transports[transport.name] = transport;
+}
+
+/**
+ * Get the configured email transport (EMAIL_TRANSPORT, defaults to console)
+ * @param {string} name - Optional transport name override
+ */
+function getTransport(name = process.env.EMAIL_TRANSPORT || 'console') {
+    const transport = transports[name];
+
+    if (!transport) {
+        throw new Error(`Unknown email transport: ${name}`);
+    }
+
+    return transport;
+}
+
+module.exports = {
+    getTransport,
+    registerTransport
+};
@@ -0,0 +1,36 @@
+const nodemailer = require('nodemailer');
+
+// Created lazily so the server boots without SMTP settings when another transport is used
+let transporter;
+
+function getTransporter() {
+    if (!transporter) {
+        if (!process.env.SMTP_HOST) {
+            throw new Error('SMTP_HOST is required for the smtp email transport');
+        }
+
+        transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? {
+                user: process.env.SMTP_USER,
+                pass: process.env.SMTP_PASS
+            } : undefined
+        });
+    }
+    return transporter;
+}
+
+/**
+ * Send a message over SMTP
+ */
+async function send(message) {
+    const info = await getTransporter().sendMail(message);
+    return { messageId: info.messageId };
+}
+
+module.exports = {
+    name: 'smtp',
+    send
+};
@@ -0,0 +1,224 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const db = require('../config/database');
+
+const MIGRATIONS_DIR = process.env.MIGRATIONS_DIR || path.join(__dirname, '../migrations');
+
+// Migration files: <version>_<name>.up.sql with an optional matching .down.sql
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Serializes migrators across processes (arbitrary constant key)
+const LOCK_KEY = 4827301;
+
+/**
+ * Create an error with a machine-readable code
+ */
+function migrationError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Checksum of a migration file, ignoring line-ending differences
+ */
+function checksum(sql) {
+    return crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+/**
+ * Load migrations from disk, ordered by version
+ * @returns {Array<Object>} [{ version, name, up, down, checksum }]
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = new Map();
+
+    for (const file of fs.readdirSync(dir).sort()) {
+        const match = file.match(FILE_PATTERN);
+        if (!match) continue;
+
+        const [, version, name, direction] = match;
+        const existing = migrations.get(version);
+
+        if (existing && existing.name !== name) {
+            throw migrationError(`Duplicate migration version ${version} (${existing.name}, ${name})`, 'DUPLICATE_VERSION');
+        }
+
+        const migration = existing || { version, name, up: null, down: null };
+        migration[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+        migrations.set(version, migration);
+    }
+
+    return [...migrations.values()]
+        .map(migration => {
+            if (!migration.up) {
+                throw migrationError(`Migration ${migration.version}_${migration.name} has no .up.sql file`, 'MISSING_UP');
+            }
+            return { ...migration, checksum: checksum(migration.up) };
+        })
+        .sort((a, b) => parseInt(a.version) - parseInt(b.version));
+}
+
+/**
+ * Create the tracking table if needed
+ */
+async function ensureMigrationsTable() {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version VARCHAR(20) PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            checksum VARCHAR(64) NOT NULL,
+            execution_ms INTEGER,
+            applied_at TIMESTAMP DEFAULT NOW()
+        )
+    `);
+}
+
+/**
+ * Applied and pending migrations, flagging applied files that changed on disk
+ * @returns {Promise<Array<Object>>} [{ version, name, status: 'applied' | 'pending' | 'modified' | 'missing', appliedAt }]
+ */
+async function getMigrationStatus() {
+    await ensureMigrationsTable();
+
+    const migrations = loadMigrations();
+    const applied = await db.query('SELECT * FROM schema_migrations ORDER BY version');
+    const appliedByVersion = new Map(applied.rows.map(row => [row.version, row]));
+
+    const status = migrations.map(migration => {
+        const row = appliedByVersion.get(migration.version);
+        return {
+            version: migration.version,
+            name: migration.name,
+            status: !row ? 'pending' : row.checksum === migration.checksum ? 'applied' : 'modified',
+            appliedAt: row ? row.applied_at : null
+        };
+    });
+
+    // Applied migrations whose files were deleted
+    for (const row of applied.rows) {
+        if (!migrations.some(m => m.version === row.version)) {
+            status.push({ version: row.version, name: row.name, status: 'missing', appliedAt: row.applied_at });
+        }
+    }
+
+    return status.sort((a, b) => parseInt(a.version) - parseInt(b.version));
+}
+
+/**
+ * Apply pending migrations in order, each in its own transaction
+ * Refuses to run while an applied migration has been edited since it was applied
+ * @param {Object} options - { to } stop after this version
+ * @returns {Promise<Array<Object>>} Applied migrations
+ */
+async function migrateUp({ to = null } = {}) {
+    const status = await getMigrationStatus();
+
+    const modified = status.filter(m => m.status === 'modified');
+    if (modified.length > 0) {
+        throw migrationError(
+            `Applied migration(s) changed on disk: ${modified.map(m => `${m.version}_${m.name}`).join(', ')}. ` +
+            'Add a new migration instead of editing an applied one.',
+            'CHECKSUM_MISMATCH'
+        );
+    }
+
+    const pending = loadMigrations()
+        .filter(migration => status.find(m => m.version === migration.version).status === 'pending')
+        .filter(migration => !to || parseInt(migration.version) <= parseInt(to));
+
+    const applied = [];
+    for (const migration of pending) {
+        const started = Date.now();
+
+        const ran = await db.transaction(async (client) => {
+            await client.query('SELECT pg_advisory_xact_lock($1)', [LOCK_KEY]);
+
+            // Another process may have applied it while we waited for the lock
+            const already = await client.query('SELECT 1 FROM schema_migrations WHERE version = $1', [migration.version]);
+            if (already.rows.length > 0) return false;
+
+            await client.query(migration.up);
+            await client.query(`
+                INSERT INTO schema_migrations (version, name, checksum, execution_ms)
+                VALUES ($1, $2, $3, $4)
+            `, [migration.version, migration.name, migration.checksum, Date.now() - started]);
+
+            return true;
+        }).catch((error) => {
+            error.message = `${migration.version}_${migration.name}: ${error.message}`;
+            throw error;
+        });
+
+        if (ran) {
+            console.log(`✓ Applied ${migration.version}_${migration.name} (${Date.now() - started}ms)`);
+            applied.push({ version: migration.version, name: migration.name });
+        }
+    }
+
+    return applied;
+}
+
+/**
+ * Roll back the most recently applied migrations using their .down.sql files
+ * @param {Object} options - { steps } number of migrations to roll back (default 1)
+ * @returns {Promise<Array<Object>>} Rolled back migrations
+ */
+async function migrateDown({ steps = 1 } = {}) {
+    await ensureMigrationsTable();
+
+    const migrations = loadMigrations();
+    const applied = await db.query('SELECT * FROM schema_migrations ORDER BY version DESC LIMIT $1', [steps]);
+
+    const rolledBack = [];
+    for (const row of applied.rows) {
+        const migration = migrations.find(m => m.version === row.version);
+
+        if (!migration || !migration.down) {
+            throw migrationError(`Migration ${row.version}_${row.name} has no .down.sql file and can't be rolled back`, 'MISSING_DOWN');
+        }
+
+        await db.transaction(async (client) => {
+            await client.query('SELECT pg_advisory_xact_lock($1)', [LOCK_KEY]);
+            await client.query(migration.down);
+            await client.query('DELETE FROM schema_migrations WHERE version = $1', [row.version]);
+        });
+
+        console.log(`✓ Rolled back ${row.version}_${row.name}`);
+        rolledBack.push({ version: row.version, name: row.name });
+    }
+
+    return rolledBack;
+}
+
+/**
+ * Create empty up/down files for a new migration with the next version number
+ * @returns {Array<string>} Created file paths
+ */
+function createMigration(name) {
+    const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+    if (!slug) {
+        throw migrationError('Migration name is required', 'INVALID_NAME');
+    }
+
+    const last = loadMigrations().pop();
+    const version = String((last ? parseInt(last.version) : 0) + 1).padStart(4, '0');
+
+    const files = ['up', 'down'].map(direction => {
+        const file = path.join(MIGRATIONS_DIR, `${version}_${slug}.${direction}.sql`);
+        fs.writeFileSync(file, `-- ${version}_${slug} (${direction})\n\n`);
+        return file;
+    });
+
+    return files;
+}
+
+module.exports = {
+    loadMigrations,
+    getMigrationStatus,
+    migrateUp,
+    migrateDown,
+    createMigration
+};
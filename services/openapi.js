@@ -0,0 +1,155 @@
+const schemas = require('../schemas');
+const { error: errorSchema } = require('../schemas/common');
+const { version } = require('../package.json');
+
+// Caller requirements per operation `auth` value
+const SECURITY = {
+    public: [{}, { apiKey: [] }, { bearerAuth: [] }],
+    admin: [{ apiKey: [] }, { bearerAuth: [] }],
+    signature: [{ webhookSignature: [] }]
+};
+
+const errorResponse = (description) => ({
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+/**
+ * Every operation with its route module, in schemas/index.js order
+ * @returns {Array<Object>} [{ id, tag, ...operation }]
+ */
+function listOperations() {
+    return Object.entries(schemas).flatMap(([tag, operations]) =>
+        Object.entries(operations).map(([id, operation]) => ({ id, tag, ...operation })));
+}
+
+/**
+ * Express path to OpenAPI path (/jobs/:id -> /jobs/{id})
+ */
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+/**
+ * Path and query schemas as OpenAPI parameters
+ */
+function toParameters(schema, location) {
+    if (!schema) return [];
+
+    return Object.entries(schema.properties || {}).map(([name, { description, ...property }]) => ({
+        name,
+        in: location,
+        required: location === 'path' || (schema.required || []).includes(name),
+        ...(description && { description }),
+        schema: property,
+        // Arrays are comma-separated (?groupBy=source,campaign)
+        ...(property.type === 'array' && { style: 'form', explode: false })
+    }));
+}
+
+/**
+ * Declared responses plus the errors every operation of its kind can return
+ */
+function toResponses(operation) {
+    const responses = {};
+
+    for (const [status, response] of Object.entries(operation.responses || {})) {
+        const contentTypes = [].concat(response.contentType || 'application/json');
+
+        responses[status] = response.schema
+            ? {
+                description: response.description,
+                content: Object.fromEntries(contentTypes.map(type => [type, { schema: response.schema }]))
+            }
+            : errorResponse(response.description);
+    }
+
+    const standard = {
+        400: (operation.params || operation.query || operation.body) && 'Invalid request (VALIDATION_ERROR lists every problem)',
+        401: operation.auth === 'admin' ? 'API key required' : operation.auth === 'signature' ? 'Missing or invalid signature' : null,
+        403: operation.auth === 'admin' && 'Insufficient permissions',
+        429: operation.path.startsWith('/api/') && operation.auth !== 'signature' && 'Quota exceeded',
+        500: 'Server error'
+    };
+
+    for (const [status, description] of Object.entries(standard)) {
+        if (description && !responses[status]) responses[status] = errorResponse(description);
+    }
+
+    return responses;
+}
+
+/**
+ * Build the OpenAPI 3.0 document from the route schemas
+ */
+function buildOpenApiDocument() {
+    const paths = {};
+
+    for (const operation of listOperations()) {
+        const path = toOpenApiPath(operation.path);
+        paths[path] = paths[path] || {};
+
+        paths[path][operation.method] = {
+            operationId: operation.id,
+            tags: [operation.tag],
+            summary: operation.summary,
+            ...(operation.description && { description: operation.description }),
+            security: operation.path.startsWith('/api/') ? SECURITY[operation.auth || 'public'] : [],
+            parameters: [
+                ...toParameters(operation.params, 'path'),
+                ...toParameters(operation.query, 'query')
+            ],
+            ...(operation.body && {
+                requestBody: {
+                    required: (operation.body.required || []).length > 0,
+                    content: { 'application/json': { schema: operation.body } }
+                }
+            }),
+            responses: toResponses(operation)
+        };
+    }
+
+    // Deep copy, so the served document never aliases the live schemas
+    return JSON.parse(JSON.stringify({
+        openapi: '3.0.3',
+        info: {
+            title: 'Magnet Pro Instagram Analyzer API',
+            version,
+            description: 'Send an API key as `X-API-Key` or `Authorization: Bearer`; requests without one are public.'
+        },
+        ...(process.env.API_URL && { servers: [{ url: process.env.API_URL }] }),
+        tags: Object.keys(schemas).map(name => ({ name })),
+        paths,
+        components: {
+            securitySchemes: {
+                apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+                bearerAuth: { type: 'http', scheme: 'bearer' },
+                webhookSignature: { type: 'apiKey', in: 'header', name: 'X-Magnet-Signature' }
+            },
+            schemas: { Error: errorSchema }
+        }
+    }));
+}
+
+let cachedDocument = null;
+
+/**
+ * The OpenAPI document (built once; schemas don't change at runtime)
+ */
+function getOpenApiDocument() {
+    if (!cachedDocument) cachedDocument = buildOpenApiDocument();
+    return cachedDocument;
+}
+
+/**
+ * Endpoint list for the `/` route, e.g. { analyze: 'POST /api/analyze' }
+ */
+function listEndpoints() {
+    return Object.fromEntries(listOperations()
+        .filter(operation => operation.tag !== 'meta' || operation.id === 'openapi')
+        .map(operation => [operation.id, `${operation.method.toUpperCase()} ${operation.path}`]));
+}
+
+module.exports = {
+    listOperations,
+    getOpenApiDocument,
+    listEndpoints
+};
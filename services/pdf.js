@@ -0,0 +1,218 @@
+/**
+ * Minimal PDF writer for generated documents (reports)
+ * Supports the standard Helvetica fonts, filled rectangles and lines, which is all
+ * the report layout needs. Coordinates are in points from the top-left corner of the page
+ */
+const zlib = require('zlib');
+
+const PAGE_SIZES = {
+    letter: [612, 792],
+    a4: [595.28, 841.89]
+};
+
+const FONTS = {
+    regular: 'Helvetica',
+    bold: 'Helvetica-Bold'
+};
+
+// Helvetica advance widths (1/1000 em) for ASCII 32-126, from the standard AFM metrics
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+// Helvetica-Bold runs about 6% wider; close enough for wrapping
+const BOLD_WIDTH_FACTOR = 1.06;
+
+// Typographic characters outside Latin-1 that WinAnsiEncoding still has
+const WIN_ANSI = {
+    '–': 0x96, '—': 0x97, '‘': 0x91, '’': 0x92,
+    '“': 0x93, '”': 0x94, '•': 0x95, '…': 0x85, '€': 0x80
+};
+
+/**
+ * Encode text as WinAnsi bytes (characters the standard fonts can't show become '?')
+ */
+function encodeText(text) {
+    return Buffer.from([...String(text ?? '')].map(char => {
+        if (WIN_ANSI[char]) return WIN_ANSI[char];
+        const code = char.charCodeAt(0);
+        return code < 256 && char.length === 1 ? code : 0x3f;
+    }));
+}
+
+/**
+ * PDF string literal with (, ) and \ escaped
+ */
+function toPdfString(text) {
+    return `(${encodeText(text).toString('latin1').replace(/[\\()]/g, '\\$&').replace(/\r?\n/g, ' ')})`;
+}
+
+/**
+ * '#4f46e5' to a PDF color operand ('0.310 0.275 0.898')
+ */
+function toPdfColor(hex) {
+    const value = parseInt(String(hex).replace('#', ''), 16);
+    return [16, 8, 0].map(shift => (((value >> shift) & 0xff) / 255).toFixed(3)).join(' ');
+}
+
+const round = (value) => Number(value.toFixed(2));
+
+/**
+ * Width of a string in points
+ */
+function measureText(text, { size = 11, font = 'regular' } = {}) {
+    const units = [...String(text ?? '')].reduce((sum, char) => {
+        const code = char.charCodeAt(0);
+        return sum + (code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556);
+    }, 0);
+
+    return units * size / 1000 * (font === 'bold' ? BOLD_WIDTH_FACTOR : 1);
+}
+
+/**
+ * Break text into lines no wider than maxWidth
+ * @param {Object} options - { size, font } as for measureText
+ */
+function wrapText(text, maxWidth, options = {}) {
+    const lines = [];
+    let line = '';
+
+    for (const word of String(text ?? '').split(/\s+/).filter(Boolean)) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && measureText(candidate, options) > maxWidth) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = candidate;
+        }
+    }
+
+    if (line) lines.push(line);
+    return lines;
+}
+
+/**
+ * Serialize pages of content-stream operators into a PDF file
+ */
+function serialize(pages, width, height, title) {
+    // Objects 1-4 are fixed; each page adds a page object and its content stream
+    const objects = [];
+    const pageIds = pages.map((page, index) => 5 + index * 2);
+
+    objects[1] = Buffer.from('<< /Type /Catalog /Pages 2 0 R >>');
+    objects[2] = Buffer.from(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+    objects[3] = Buffer.from(`<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS.regular} /Encoding /WinAnsiEncoding >>`);
+    objects[4] = Buffer.from(`<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS.bold} /Encoding /WinAnsiEncoding >>`);
+
+    pages.forEach((page, index) => {
+        const pageId = pageIds[index];
+        const content = zlib.deflateSync(Buffer.from(page.join('\n'), 'latin1'));
+
+        objects[pageId] = Buffer.from(
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+            `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`
+        );
+        objects[pageId + 1] = Buffer.concat([
+            Buffer.from(`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`),
+            content,
+            Buffer.from('\nendstream')
+        ]);
+    });
+
+    const infoId = objects.length;
+    objects[infoId] = Buffer.from(`<< /Producer (Magnet Pro)${title ? ` /Title ${toPdfString(title)}` : ''} >>`, 'latin1');
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    const offsets = [];
+    let length = chunks[0].length;
+
+    for (let id = 1; id < objects.length; id++) {
+        const chunk = Buffer.concat([Buffer.from(`${id} 0 obj\n`), objects[id], Buffer.from('\nendobj\n')]);
+        offsets[id] = length;
+        length += chunk.length;
+        chunks.push(chunk);
+    }
+
+    // Cross-reference entries are fixed-width (20 bytes including the line end)
+    const xref = [
+        'xref',
+        `0 ${objects.length}`,
+        '0000000000 65535 f ',
+        ...offsets.slice(1).map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+        'trailer',
+        `<< /Size ${objects.length} /Root 1 0 R /Info ${infoId} 0 R >>`,
+        'startxref',
+        String(length),
+        '%%EOF'
+    ];
+    chunks.push(Buffer.from(xref.join('\n') + '\n'));
+
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Start a PDF document on its first page
+ * @param {Object} options - { size: 'letter' | 'a4', title }
+ * @returns {Object} { width, height, addPage, text, rect, line, toBuffer }
+ */
+function createPdf({ size = 'letter', title = null } = {}) {
+    const [width, height] = PAGE_SIZES[size] || PAGE_SIZES.letter;
+    const pages = [[]];
+    const current = () => pages[pages.length - 1];
+
+    const doc = {
+        width,
+        height,
+
+        addPage() {
+            pages.push([]);
+            return doc;
+        },
+
+        /**
+         * Draw text with its baseline at y
+         * @param {Object} options - { size, font: 'regular' | 'bold', color, align: 'left' | 'right' | 'center' }
+         */
+        text(x, y, text, { size = 11, font = 'regular', color = '#1f2937', align = 'left' } = {}) {
+            const textWidth = align === 'left' ? 0 : measureText(text, { size, font });
+            const left = align === 'right' ? x - textWidth : align === 'center' ? x - textWidth / 2 : x;
+
+            current().push(
+                `BT /${font === 'bold' ? 'F2' : 'F1'} ${size} Tf ${toPdfColor(color)} rg ` +
+                `${round(left)} ${round(height - y)} Td ${toPdfString(text)} Tj ET`
+            );
+            return doc;
+        },
+
+        /**
+         * Filled rectangle with its top-left corner at (x, y)
+         */
+        rect(x, y, rectWidth, rectHeight, { color = '#e5e7eb' } = {}) {
+            current().push(`${toPdfColor(color)} rg ${round(x)} ${round(height - y - rectHeight)} ${round(rectWidth)} ${round(rectHeight)} re f`);
+            return doc;
+        },
+
+        line(x1, y1, x2, y2, { color = '#e5e7eb', lineWidth = 1 } = {}) {
+            current().push(`${toPdfColor(color)} RG ${lineWidth} w ${round(x1)} ${round(height - y1)} m ${round(x2)} ${round(height - y2)} l S`);
+            return doc;
+        },
+
+        /**
+         * @returns {Buffer} PDF file contents
+         */
+        toBuffer: () => serialize(pages, width, height, title)
+    };
+
+    return doc;
+}
+
+module.exports = {
+    createPdf,
+    measureText,
+    wrapText
+};
@@ -0,0 +1,49 @@
+/**
+ * Social platforms profiles can be analyzed on
+ * Profiles, benchmarks and leaderboards are kept per platform: a username is only
+ * unique within its platform, and accounts are only ever compared with accounts
+ * on the same platform
+ */
+const PLATFORMS = {
+    instagram: {
+        id: 'instagram',
+        name: 'Instagram',
+        profileUrl: (username) => `https://www.instagram.com/${username}/`,
+        // Multipliers applied to the taxonomy's default benchmarks (config/industries.json)
+        defaultBenchmarkScale: { avg_followers: 1, avg_engagement: 1, avg_post_frequency: 1 }
+    },
+    tiktok: {
+        id: 'tiktok',
+        name: 'TikTok',
+        profileUrl: (username) => `https://www.tiktok.com/@${username}`,
+        // TikTok accounts typically see higher engagement per follower and post more often
+        defaultBenchmarkScale: { avg_followers: 1, avg_engagement: 1.5, avg_post_frequency: 1.2 }
+    }
+};
+
+const DEFAULT_PLATFORM = 'instagram';
+const PLATFORM_IDS = Object.keys(PLATFORMS);
+
+/**
+ * Look up a platform by id
+ * @throws {Error} with status 400 and code INVALID_PLATFORM for unknown ids
+ */
+function getPlatform(id = DEFAULT_PLATFORM) {
+    const platform = PLATFORMS[id];
+
+    if (!platform) {
+        const error = new Error(`Unknown platform: ${id} (expected one of: ${PLATFORM_IDS.join(', ')})`);
+        error.status = 400;
+        error.code = 'INVALID_PLATFORM';
+        throw error;
+    }
+
+    return platform;
+}
+
+module.exports = {
+    PLATFORMS,
+    PLATFORM_IDS,
+    DEFAULT_PLATFORM,
+    getPlatform
+};
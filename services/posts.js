@@ -0,0 +1,153 @@
+const db = require('../config/database');
+const { DEFAULT_PLATFORM } = require('./platforms');
+
+// A post is over/under-performing when its engagement is this far from the account average
+const PERFORMANCE_THRESHOLDS = {
+    over: 1.3,
+    under: 0.7
+};
+
+const SORT_COLUMNS = {
+    recent: 'p.posted_at DESC NULLS LAST',
+    engagement: 'engagement_rate DESC NULLS LAST',
+    likes: 'p.likes DESC',
+    comments: 'p.comments DESC',
+    views: 'p.views DESC'
+};
+
+/**
+ * Upsert the posts from a scrape
+ * @param {Object} profile - Saved profile row (from profiles table)
+ * @param {Array<Object>} posts - Posts extracted by the scraper
+ * @param {Object} client - Query executor (db module or transaction client)
+ */
+async function savePosts(profile, posts, client = db) {
+    try {
+        for (const post of posts || []) {
+            await client.query(`
+                INSERT INTO posts (
+                    profile_id, username, shortcode, type, url, posted_at,
+                    likes, comments, views, caption, hashtags, platform
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+                ON CONFLICT (platform, shortcode)
+                DO UPDATE SET
+                    likes = $7,
+                    comments = $8,
+                    views = $9,
+                    caption = $10,
+                    hashtags = $11,
+                    updated_at = NOW()
+            `, [
+                profile.id, profile.username, post.shortcode, post.type, post.url, post.posted_at,
+                post.likes, post.comments, post.views, post.caption, post.hashtags, profile.platform
+            ]);
+        }
+    } catch (error) {
+        console.error(`Error saving posts for @${profile.username}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Format a post row with engagement relative to followers
+ */
+function formatPost(row, accountEngagement) {
+    const engagementRate = parseFloat(row.engagement_rate || 0);
+    const relative = accountEngagement > 0 ? engagementRate / accountEngagement : null;
+
+    let performance = 'average';
+    if (relative !== null && relative >= PERFORMANCE_THRESHOLDS.over) {
+        performance = 'over';
+    } else if (relative !== null && relative <= PERFORMANCE_THRESHOLDS.under) {
+        performance = 'under';
+    }
+
+    return {
+        shortcode: row.shortcode,
+        type: row.type,
+        url: row.url,
+        postedAt: row.posted_at,
+        likes: parseInt(row.likes || 0),
+        comments: parseInt(row.comments || 0),
+        views: parseInt(row.views || 0),
+        caption: row.caption,
+        hashtags: row.hashtags || [],
+        engagementRate: parseFloat(engagementRate.toFixed(2)),
+        relativeEngagement: relative !== null ? parseFloat(relative.toFixed(2)) : null,
+        performance
+    };
+}
+
+/**
+ * Query posts for a profile with per-post engagement rate
+ */
+async function queryPosts(username, platform, orderBy, limit, offset) {
+    const profile = await db.query(
+        'SELECT id, followers, engagement_rate FROM profiles WHERE platform = $1 AND username = $2',
+        [platform, username]
+    );
+
+    if (profile.rows.length === 0) {
+        return null;
+    }
+
+    const result = await db.query(`
+        SELECT
+            p.*,
+            (p.likes + p.comments)::numeric / NULLIF(pr.followers, 0) * 100 as engagement_rate
+        FROM posts p
+        JOIN profiles pr ON pr.id = p.profile_id
+        WHERE p.profile_id = $1
+        ORDER BY ${orderBy}
+        LIMIT $2 OFFSET $3
+    `, [profile.rows[0].id, limit, offset]);
+
+    const accountEngagement = parseFloat(profile.rows[0].engagement_rate || 0);
+
+    return result.rows.map(row => formatPost(row, accountEngagement));
+}
+
+/**
+ * Get stored posts for a profile
+ * @param {string} username - Username
+ * @param {Object} options - { platform, sort, limit, offset }
+ * @returns {Promise<Array|null>} Posts, or null if the profile is unknown
+ */
+async function getPosts(username, { platform = DEFAULT_PLATFORM, sort = 'recent', limit = 50, offset = 0 } = {}) {
+    try {
+        const orderBy = SORT_COLUMNS[sort] || SORT_COLUMNS.recent;
+        return await queryPosts(username, platform, orderBy, limit, offset);
+    } catch (error) {
+        console.error(`Error getting posts for @${username}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Rank posts by engagement relative to the account's follower count
+ * @param {string} username - Username
+ * @param {Object} options - { platform, limit, order: 'best' | 'worst' }
+ * @returns {Promise<Array|null>} Ranked posts, or null if the profile is unknown
+ */
+async function getTopPosts(username, { platform = DEFAULT_PLATFORM, limit = 10, order = 'best' } = {}) {
+    try {
+        const orderBy = order === 'worst'
+            ? 'engagement_rate ASC NULLS FIRST'
+            : 'engagement_rate DESC NULLS LAST';
+
+        const posts = await queryPosts(username, platform, orderBy, limit, 0);
+        if (!posts) return null;
+
+        return posts.map((post, index) => ({ rank: index + 1, ...post }));
+    } catch (error) {
+        console.error(`Error ranking posts for @${username}:`, error);
+        throw error;
+    }
+}
+
+module.exports = {
+    SORT_COLUMNS,
+    savePosts,
+    getPosts,
+    getTopPosts
+};
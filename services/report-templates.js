@@ -0,0 +1,379 @@
+const { getPlatform, DEFAULT_PLATFORM } = require('./platforms');
+const { resolveIndustry } = require('./industries');
+const { escapeHtml } = require('./email-templates');
+const { createPdf, wrapText } = require('./pdf');
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+const COLORS = {
+    brand: '#4f46e5',
+    text: '#1f2937',
+    muted: '#6b7280',
+    track: '#e5e7eb',
+    benchmark: '#9ca3af',
+    good: '#16a34a',
+    fair: '#d97706',
+    poor: '#dc2626'
+};
+
+const COMPONENT_LABELS = {
+    followers: 'Followers',
+    engagement_rate: 'Engagement rate',
+    post_frequency: 'Posting frequency',
+    reel_percentage: 'Video content',
+    avg_views: 'Views'
+};
+
+const RANK_LABELS = { city: 'City', nearby: 'Nearby', state: 'State', national: 'National' };
+
+const formatNumber = (value) => Number(value || 0).toLocaleString('en-US');
+const scoreColor = (score) => score >= 70 ? COLORS.good : score >= 40 ? COLORS.fair : COLORS.poor;
+const percent = (value, max) => max > 0 ? Math.min(Math.max(value / max, 0), 1) * 100 : 0;
+const ordinal = (value) => {
+    const suffix = [11, 12, 13].includes(value % 100) ? 'th' : { 1: 'st', 2: 'nd', 3: 'rd' }[value % 10] || 'th';
+    return `${value}${suffix}`;
+};
+const toNumber = (value) => value === null || value === undefined || value === '' ? null : parseFloat(value);
+
+/**
+ * Everything the HTML and PDF layouts show, derived from a stored report
+ * @param {Object} report - Report (from getReport)
+ */
+function getReportView(report) {
+    const result = report.result || {};
+    const profile = result.profile || {};
+    const score = result.score || {};
+    const benchmarks = result.benchmarks || {};
+    const location = result.location || {};
+    const platform = getPlatform(result.platform || report.platform || DEFAULT_PLATFORM);
+    const industryId = result.industry?.id || benchmarks.industry || report.industry;
+    const videoLabel = platform.id === 'tiktok' ? 'Videos (vs. slideshows)' : 'Reels';
+
+    // Benchmarks of 0 are unknown (default benchmarks only carry followers, engagement and frequency)
+    const comparisons = [
+        { label: 'Followers', value: profile.followers, benchmark: toNumber(benchmarks.avgFollowers), format: formatNumber },
+        { label: 'Engagement rate', value: profile.engagementRate, benchmark: toNumber(benchmarks.avgEngagement), format: (value) => `${value}%` },
+        { label: 'Posts per week', value: profile.postFrequency, benchmark: toNumber(benchmarks.avgPostFrequency), format: String },
+        { label: videoLabel, value: profile.reelPercentage, benchmark: toNumber(benchmarks.avgReelPercentage), format: (value) => `${value}%` },
+        { label: 'Average views', value: profile.avgViews, benchmark: toNumber(benchmarks.avgViews), format: formatNumber }
+    ]
+        .filter(row => row.value !== null && row.value !== undefined)
+        .map(row => ({ ...row, benchmark: row.benchmark > 0 ? row.benchmark : null }));
+
+    // Listed in a fixed order (stored results come back from JSONB with their keys reordered)
+    const percentileLabels = {
+        followers: 'Followers',
+        engagementRate: 'Engagement rate',
+        postFrequency: 'Posts per week',
+        reelPercentage: videoLabel,
+        avgViews: 'Average views'
+    };
+    const percentiles = Object.entries(percentileLabels)
+        .filter(([metric]) => score.percentiles?.[metric] !== null && score.percentiles?.[metric] !== undefined)
+        .map(([metric, label]) => ({ label, value: Math.round(score.percentiles[metric]) }));
+
+    const rankings = Object.entries(result.rankings || {})
+        .filter(([, ranking]) => ranking && ranking.rank)
+        .map(([level, ranking]) => ({
+            label: `${RANK_LABELS[level] || level}${ranking.name || ranking.country ? ` (${ranking.name || ranking.country}` +
+                `${ranking.radiusKm ? `, ${ranking.radiusKm} km` : ''})` : ''}`,
+            rank: ranking.rank,
+            total: ranking.total
+        }));
+
+    return {
+        id: report.id,
+        platform,
+        username: profile.username || report.username,
+        fullName: profile.fullName || null,
+        profileUrl: platform.profileUrl(profile.username || report.username),
+        industry: resolveIndustry(industryId)?.name || industryId,
+        location: [location.city, location.state, location.country].filter(Boolean).join(', ') || null,
+        createdAt: new Date(report.createdAt),
+        overallScore: score.overall ?? report.overallScore ?? 0,
+        components: (score.components || []).map(component => ({
+            label: COMPONENT_LABELS[component.metric] || component.metric,
+            score: component.score,
+            weight: Math.round((component.weight || 0) * 100)
+        })),
+        comparisons,
+        percentiles,
+        benchmarkLevel: benchmarks.isDefault ? 'industry defaults' : benchmarks.levelLocation || benchmarks.level || null,
+        sampleSize: benchmarks.sampleSize || 0,
+        rankings,
+        insights: (Array.isArray(result.insights) ? result.insights : []).filter(insight => insight.message)
+    };
+}
+
+const formatDate = (date) => date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+
+/**
+ * Score ring (SVG)
+ */
+function scoreGaugeSvg(score) {
+    const radius = 54;
+    const circumference = 2 * Math.PI * radius;
+    const filled = circumference * percent(score, 100) / 100;
+
+    return `<svg width="140" height="140" viewBox="0 0 140 140" role="img" aria-label="Score ${escapeHtml(score)} out of 100">
+<circle cx="70" cy="70" r="${radius}" fill="none" stroke="${COLORS.track}" stroke-width="14"/>
+<circle cx="70" cy="70" r="${radius}" fill="none" stroke="${scoreColor(score)}" stroke-width="14" stroke-linecap="round"
+ stroke-dasharray="${filled.toFixed(1)} ${circumference.toFixed(1)}" transform="rotate(-90 70 70)"/>
+<text x="70" y="78" text-anchor="middle" font-size="34" font-weight="bold" fill="${COLORS.text}">${escapeHtml(score)}</text>
+<text x="70" y="98" text-anchor="middle" font-size="12" fill="${COLORS.muted}">/ 100</text>
+</svg>`;
+}
+
+/**
+ * Horizontal bars on a 0-100 scale (SVG)
+ * @param {Array<Object>} rows - [{ label, value, note }]
+ */
+function barChartSvg(rows) {
+    const rowHeight = 30;
+    const barX = 170;
+    const barWidth = 380;
+
+    return `<svg width="100%" viewBox="0 0 640 ${rows.length * rowHeight}" role="img">
+${rows.map((row, index) => {
+        const y = index * rowHeight;
+        return `<text x="0" y="${y + 19}" font-size="13" fill="${COLORS.text}">${escapeHtml(row.label)}</text>
+<rect x="${barX}" y="${y + 8}" width="${barWidth}" height="14" rx="7" fill="${COLORS.track}"/>
+<rect x="${barX}" y="${y + 8}" width="${(barWidth * percent(row.value, 100) / 100).toFixed(1)}" height="14" rx="7" fill="${scoreColor(row.value)}"/>
+<text x="${barX + barWidth + 10}" y="${y + 19}" font-size="13" fill="${COLORS.text}">${escapeHtml(row.note ?? row.value)}</text>`;
+    }).join('\n')}
+</svg>`;
+}
+
+/**
+ * Account vs. benchmark bars, each metric scaled to the larger of the two (SVG)
+ */
+function comparisonChartSvg(rows) {
+    const rowHeight = 44;
+    const barX = 170;
+    const barWidth = 320;
+
+    return `<svg width="100%" viewBox="0 0 640 ${rows.length * rowHeight + 20}" role="img">
+${rows.map((row, index) => {
+        const y = index * rowHeight;
+        const max = Math.max(row.value || 0, row.benchmark || 0);
+        return `<text x="0" y="${y + 22}" font-size="13" fill="${COLORS.text}">${escapeHtml(row.label)}</text>
+<rect x="${barX}" y="${y + 6}" width="${(barWidth * percent(row.value, max) / 100).toFixed(1)}" height="12" fill="${COLORS.brand}"/>
+<text x="${barX + barWidth + 10}" y="${y + 16}" font-size="12" fill="${COLORS.text}">${escapeHtml(row.format(row.value))}</text>
+${row.benchmark !== null ? `<rect x="${barX}" y="${y + 22}" width="${(barWidth * percent(row.benchmark, max) / 100).toFixed(1)}" height="12" fill="${COLORS.benchmark}"/>
+<text x="${barX + barWidth + 10}" y="${y + 32}" font-size="12" fill="${COLORS.muted}">${escapeHtml(row.format(row.benchmark))}</text>` : `<text x="${barX}" y="${y + 32}" font-size="12" fill="${COLORS.muted}">No benchmark yet</text>`}`;
+    }).join('\n')}
+<rect x="${barX}" y="${rows.length * rowHeight + 6}" width="10" height="10" fill="${COLORS.brand}"/>
+<text x="${barX + 16}" y="${rows.length * rowHeight + 15}" font-size="12" fill="${COLORS.muted}">This account</text>
+<rect x="${barX + 110}" y="${rows.length * rowHeight + 6}" width="10" height="10" fill="${COLORS.benchmark}"/>
+<text x="${barX + 126}" y="${rows.length * rowHeight + 15}" font-size="12" fill="${COLORS.muted}">Industry benchmark</text>
+</svg>`;
+}
+
+/**
+ * Branded HTML page for a report (charts are inline SVG, so the page is self-contained)
+ * @param {Object} report - Report (from getReport)
+ * @returns {string} HTML document
+ */
+function renderReportHtml(report) {
+    const view = getReportView(report);
+    const title = `${view.platform.name} report for @${view.username}`;
+
+    const section = (heading, body) => `<section><h2>${escapeHtml(heading)}</h2>${body}</section>`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)} · Magnet Pro</title>
+<style>
+body{margin:0;background:#f4f4f7;font-family:Arial,Helvetica,sans-serif;color:${COLORS.text};}
+header{background:${COLORS.brand};color:#fff;padding:20px 24px;}
+header a{color:#fff;text-decoration:none;font-weight:bold;font-size:18px;}
+main{max-width:720px;margin:24px auto;padding:0 16px;}
+section{background:#fff;border-radius:8px;padding:24px;margin-bottom:16px;}
+h1{font-size:24px;margin:0 0 4px;}
+h2{font-size:18px;margin:0 0 16px;}
+.muted{color:${COLORS.muted};font-size:14px;}
+.summary{display:flex;align-items:center;gap:24px;flex-wrap:wrap;}
+table{width:100%;border-collapse:collapse;font-size:14px;}
+td{padding:8px 0;border-bottom:1px solid ${COLORS.track};}
+td:last-child{text-align:right;font-weight:bold;}
+.insight{margin:0 0 12px;}
+.actions a{display:inline-block;background:${COLORS.brand};color:#fff;padding:10px 16px;border-radius:6px;text-decoration:none;margin-right:8px;}
+footer{text-align:center;font-size:12px;color:${COLORS.muted};padding:24px;}
+</style>
+</head>
+<body>
+<header><a href="${escapeHtml(APP_URL)}">Magnet Pro</a></header>
+<main>
+<section class="summary">
+${scoreGaugeSvg(view.overallScore)}
+<div>
+<h1>@${escapeHtml(view.username)}</h1>
+${view.fullName ? `<p style="margin:0 0 8px;">${escapeHtml(view.fullName)}</p>` : ''}
+<p class="muted">${escapeHtml(view.platform.name)} · ${escapeHtml(view.industry)}${view.location ? ` · ${escapeHtml(view.location)}` : ''}<br>
+Analyzed ${escapeHtml(formatDate(view.createdAt))} · <a href="${escapeHtml(view.profileUrl)}" style="color:${COLORS.brand};">View profile</a></p>
+</div>
+</section>
+${view.components.length ? section('Score breakdown', barChartSvg(view.components.map(component => ({
+        label: component.label,
+        value: component.score,
+        note: `${component.score} (${component.weight}% of score)`
+    })))) : ''}
+${view.comparisons.length ? section('You vs. the benchmark', `${comparisonChartSvg(view.comparisons)}
+<p class="muted">Benchmark: ${escapeHtml(view.industry)}, ${escapeHtml(view.benchmarkLevel || 'all locations')}${view.sampleSize ? ` (${formatNumber(view.sampleSize)} accounts)` : ''}</p>`) : ''}
+${view.percentiles.length ? section('Percentiles', `${barChartSvg(view.percentiles.map(row => ({ ...row, note: ordinal(row.value) })))}
+<p class="muted">Share of ${escapeHtml(view.industry)} accounts this account is ahead of</p>`) : ''}
+${view.rankings.length ? section('Rankings', `<table>
+${view.rankings.map(ranking => `<tr><td>${escapeHtml(ranking.label)}</td><td>#${formatNumber(ranking.rank)} of ${formatNumber(ranking.total)}</td></tr>`).join('\n')}
+</table>`) : ''}
+${view.insights.length ? section('What we found', view.insights.map(insight => `<p class="insight"><strong>${escapeHtml(insight.message)}</strong>${insight.recommendation ? `<br>${escapeHtml(insight.recommendation)}` : ''}</p>`).join('\n')) : ''}
+<section class="actions">
+<a href="${escapeHtml(report.pdfUrl)}">Download PDF</a>
+<a href="${escapeHtml(APP_URL)}">Analyze another account</a>
+</section>
+</main>
+<footer>Magnet Pro · Instagram and TikTok analytics for local businesses</footer>
+</body>
+</html>`;
+}
+
+/**
+ * PDF version of the report (Letter size; the same sections as the HTML page)
+ * @param {Object} report - Report (from getReport)
+ * @returns {Buffer} PDF file contents
+ */
+function renderReportPdf(report) {
+    const view = getReportView(report);
+    const doc = createPdf({ title: `${view.platform.name} report for @${view.username}` });
+
+    const margin = 48;
+    const contentWidth = doc.width - margin * 2;
+    const labelWidth = 150;
+    const barWidth = 260;
+    let y = 0;
+
+    // Start a new page when the next block doesn't fit
+    const ensureSpace = (height) => {
+        if (y + height <= doc.height - margin) return;
+        doc.addPage();
+        y = margin;
+    };
+
+    const heading = (text) => {
+        ensureSpace(60);
+        y += 28;
+        doc.text(margin, y, text, { size: 15, font: 'bold' });
+        y += 18;
+    };
+
+    const bar = (x, top, value, max, color) => {
+        doc.rect(x, top, barWidth, 10, { color: COLORS.track });
+        doc.rect(x, top, barWidth * percent(value, max) / 100, 10, { color });
+    };
+
+    // Header band
+    doc.rect(0, 0, doc.width, 56, { color: COLORS.brand });
+    doc.text(margin, 35, 'Magnet Pro', { size: 18, font: 'bold', color: '#ffffff' });
+    doc.text(doc.width - margin, 35, `${view.platform.name} report`, { size: 12, color: '#ffffff', align: 'right' });
+
+    // Summary: big score next to the account details
+    y = 100;
+    doc.text(margin, y + 10, String(view.overallScore), { size: 44, font: 'bold', color: scoreColor(view.overallScore) });
+    doc.text(margin + 4, y + 30, 'out of 100', { size: 10, color: COLORS.muted });
+    doc.text(margin + 120, y - 12, `@${view.username}`, { size: 20, font: 'bold' });
+    const details = [
+        view.fullName,
+        [view.platform.name, view.industry, view.location].filter(Boolean).join(' · '),
+        `Analyzed ${formatDate(view.createdAt)}`
+    ].filter(Boolean);
+    details.forEach((line, index) => doc.text(margin + 120, y + 8 + index * 15, line, { size: 11, color: COLORS.muted }));
+    y += 8 + details.length * 15;
+    doc.line(margin, y, margin + contentWidth, y, { color: COLORS.track });
+
+    if (view.components.length) {
+        heading('Score breakdown');
+        for (const component of view.components) {
+            ensureSpace(22);
+            doc.text(margin, y + 9, component.label, { size: 11 });
+            bar(margin + labelWidth, y, component.score, 100, scoreColor(component.score));
+            doc.text(margin + labelWidth + barWidth + 10, y + 9, `${component.score} (${component.weight}% of score)`, { size: 10, color: COLORS.muted });
+            y += 22;
+        }
+    }
+
+    if (view.comparisons.length) {
+        heading('You vs. the benchmark');
+        for (const row of view.comparisons) {
+            ensureSpace(34);
+            const max = Math.max(row.value || 0, row.benchmark || 0);
+            doc.text(margin, y + 14, row.label, { size: 11 });
+            bar(margin + labelWidth, y, row.value, max, COLORS.brand);
+            doc.text(margin + labelWidth + barWidth + 10, y + 9, row.format(row.value), { size: 10 });
+            if (row.benchmark !== null) {
+                bar(margin + labelWidth, y + 14, row.benchmark, max, COLORS.benchmark);
+                doc.text(margin + labelWidth + barWidth + 10, y + 23, row.format(row.benchmark), { size: 10, color: COLORS.muted });
+            } else {
+                doc.text(margin + labelWidth, y + 23, 'No benchmark yet', { size: 10, color: COLORS.muted });
+            }
+            y += 34;
+        }
+        ensureSpace(16);
+        doc.rect(margin + labelWidth, y, 8, 8, { color: COLORS.brand });
+        doc.text(margin + labelWidth + 12, y + 8, 'This account', { size: 9, color: COLORS.muted });
+        doc.rect(margin + labelWidth + 90, y, 8, 8, { color: COLORS.benchmark });
+        doc.text(margin + labelWidth + 102, y + 8,
+            `Benchmark: ${view.industry}, ${view.benchmarkLevel || 'all locations'}${view.sampleSize ? ` (${formatNumber(view.sampleSize)} accounts)` : ''}`,
+            { size: 9, color: COLORS.muted });
+        y += 16;
+    }
+
+    if (view.percentiles.length) {
+        heading('Percentiles');
+        for (const row of view.percentiles) {
+            ensureSpace(22);
+            doc.text(margin, y + 9, row.label, { size: 11 });
+            bar(margin + labelWidth, y, row.value, 100, scoreColor(row.value));
+            doc.text(margin + labelWidth + barWidth + 10, y + 9, ordinal(row.value), { size: 10, color: COLORS.muted });
+            y += 22;
+        }
+    }
+
+    if (view.rankings.length) {
+        heading('Rankings');
+        for (const ranking of view.rankings) {
+            ensureSpace(22);
+            doc.text(margin, y + 10, ranking.label, { size: 11 });
+            doc.text(margin + contentWidth, y + 10, `#${formatNumber(ranking.rank)} of ${formatNumber(ranking.total)}`, { size: 11, font: 'bold', align: 'right' });
+            doc.line(margin, y + 17, margin + contentWidth, y + 17, { color: COLORS.track });
+            y += 22;
+        }
+    }
+
+    if (view.insights.length) {
+        heading('What we found');
+        for (const insight of view.insights) {
+            const message = wrapText(insight.message, contentWidth, { size: 11, font: 'bold' });
+            const recommendation = wrapText(insight.recommendation, contentWidth, { size: 10 });
+            ensureSpace((message.length + recommendation.length) * 14 + 10);
+
+            message.forEach(line => { y += 14; doc.text(margin, y, line, { size: 11, font: 'bold' }); });
+            recommendation.forEach(line => { y += 14; doc.text(margin, y, line, { size: 10, color: COLORS.muted }); });
+            y += 10;
+        }
+    }
+
+    ensureSpace(40);
+    doc.text(margin, doc.height - 28, `Magnet Pro · Instagram and TikTok analytics for local businesses · ${report.htmlUrl}`, { size: 8, color: COLORS.muted });
+
+    return doc.toBuffer();
+}
+
+module.exports = {
+    renderReportHtml,
+    renderReportPdf,
+    scoreColor,
+    ordinal
+};
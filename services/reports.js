@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+const db = require('../config/database');
+const { DEFAULT_PLATFORM } = require('./platforms');
+
+const API_URL = process.env.API_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+// Reports are shared by link, so the id is the only thing protecting one: 128 random bits
+const REPORT_ID_PATTERN = '^[A-Za-z0-9_-]{22}$';
+
+const generateReportId = () => crypto.randomBytes(16).toString('base64url');
+
+// Latest report per profile (badges and share cards); dropped as soon as a newer report is saved
+const latestReports = new NodeCache({ stdTTL: 300, useClones: false });
+const latestKey = (platform, username) => `${platform}:${username.toLowerCase()}`;
+
+/**
+ * Public links to a report (JSON, branded HTML page, PDF)
+ */
+function getReportUrls(id) {
+    const url = `${API_URL}/api/reports/${id}`;
+    return { url, htmlUrl: `${url}.html`, pdfUrl: `${url}.pdf` };
+}
+
+/**
+ * Format a reports row for API responses
+ */
+function toReport(row) {
+    return {
+        id: row.id,
+        platform: row.platform,
+        username: row.username,
+        industry: row.industry,
+        overallScore: row.overall_score,
+        source: row.source,
+        viewCount: row.view_count,
+        createdAt: row.created_at,
+        ...getReportUrls(row.id),
+        result: row.result
+    };
+}
+
+/**
+ * Persist an analysis result as a report
+ * @param {Object} result - Analysis result (from analyzeProfile)
+ * @param {Object} context - { source: 'analyze' | 'job', apiKeyId }
+ * @returns {Promise<Object>} Report (see toReport)
+ */
+async function createReport(result, { source = 'analyze', apiKeyId = null } = {}) {
+    // How the profile was loaded only describes the original request
+    const { success, cache, ...snapshot } = result;
+
+    try {
+        const saved = await db.query(`
+            INSERT INTO reports (id, platform, username, industry, overall_score, result, source, api_key_id, created_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
+            RETURNING *
+        `, [
+            generateReportId(),
+            snapshot.platform,
+            snapshot.profile.username,
+            snapshot.industry?.id || snapshot.benchmarks?.industry || null,
+            snapshot.score?.overall ?? null,
+            JSON.stringify(snapshot),
+            source,
+            // The ADMIN_API_KEY caller ('env') has no api_keys row
+            Number.isInteger(apiKeyId) ? apiKeyId : null
+        ]);
+
+        latestReports.del(latestKey(saved.rows[0].platform, saved.rows[0].username));
+
+        return toReport(saved.rows[0]);
+
+    } catch (error) {
+        console.error(`Error saving report for @${snapshot.profile?.username}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Save an analysis result as a report and add its links to the result
+ * The analysis already succeeded, so a failed save only leaves the links out
+ * @returns {Promise<Object>} The result with `report: { id, url, htmlUrl, pdfUrl }`
+ */
+async function attachReport(result, context) {
+    try {
+        const { id, url, htmlUrl, pdfUrl } = await createReport(result, context);
+        return { ...result, report: { id, url, htmlUrl, pdfUrl } };
+    } catch (error) {
+        console.error('Error saving report:', error.message);
+        return result;
+    }
+}
+
+/**
+ * Get a report by id
+ * @param {string} id - Report id
+ * @param {Object} options - { trackView } counts the read as a view of the shared link
+ * @returns {Promise<Object>} Report (see toReport)
+ * @throws {Error} with status 404 and code REPORT_NOT_FOUND
+ */
+async function getReport(id, { trackView = false } = {}) {
+    const result = trackView
+        ? await db.query(`
+            UPDATE reports SET view_count = view_count + 1, last_viewed_at = NOW()
+            WHERE id = $1
+            RETURNING *
+        `, [id])
+        : await db.query('SELECT * FROM reports WHERE id = $1', [id]);
+
+    if (!result.rows[0]) {
+        const error = new Error('Report not found');
+        error.status = 404;
+        error.code = 'REPORT_NOT_FOUND';
+        throw error;
+    }
+
+    return toReport(result.rows[0]);
+}
+
+/**
+ * The most recent report for a profile
+ * @returns {Promise<Object|null>} Report (see toReport), or null if the profile has never been analyzed
+ */
+async function getLatestReport(username, platform = DEFAULT_PLATFORM) {
+    const key = latestKey(platform, username);
+    const cached = latestReports.get(key);
+    if (cached !== undefined) return cached;
+
+    try {
+        const result = await db.query(`
+            SELECT * FROM reports
+            WHERE platform = $1 AND username = $2
+            ORDER BY created_at DESC, id
+            LIMIT 1
+        `, [platform, username.toLowerCase()]);
+
+        const report = result.rows[0] ? toReport(result.rows[0]) : null;
+        latestReports.set(key, report);
+        return report;
+
+    } catch (error) {
+        console.error(`Error fetching latest report for @${username}:`, error);
+        throw error;
+    }
+}
+
+module.exports = {
+    REPORT_ID_PATTERN,
+    getReportUrls,
+    createReport,
+    attachReport,
+    getReport,
+    getLatestReport
+};
@@ -0,0 +1,237 @@
+const NodeCache = require('node-cache');
+const db = require('../config/database');
+const { BUILT_IN_SCORING_MODELS, DEFAULT_SCORING_MODEL, SCORING_METRICS, SCORING_METHODS } = require('./benchmark');
+const { parseIndustry, getParentIndustry } = require('./industries');
+const { PLATFORM_IDS } = require('./platforms');
+
+// Active model per industry, cached briefly so edits apply within a minute
+const modelCache = new NodeCache({ stdTTL: 60, useClones: false });
+
+/**
+ * Convert a scoring_models row into a model definition
+ */
+function toModel(row) {
+    return {
+        name: row.name,
+        version: row.version,
+        industry: row.industry,
+        description: row.description,
+        active: row.active,
+        components: row.components,
+        createdAt: row.created_at,
+        activatedAt: row.activated_at
+    };
+}
+
+/**
+ * Validate a scoring model definition
+ * @throws {Error} with status 400 describing the first problem found
+ */
+function validateModel(definition) {
+    const fail = (message) => {
+        const error = new Error(`Invalid scoring model: ${message}`);
+        error.status = 400;
+        throw error;
+    };
+
+    if (!definition.name || !/^[a-z0-9_-]+$/i.test(definition.name)) {
+        fail('name is required (letters, numbers, dashes, underscores)');
+    }
+
+    if (!Array.isArray(definition.components) || definition.components.length === 0) {
+        fail('components must be a non-empty array');
+    }
+
+    for (const component of definition.components) {
+        if (!SCORING_METRICS[component.metric]) {
+            fail(`unknown metric "${component.metric}" (expected ${Object.keys(SCORING_METRICS).join(', ')})`);
+        }
+        if (!SCORING_METHODS.includes(component.method)) {
+            fail(`unknown method "${component.method}" (expected ${SCORING_METHODS.join(', ')})`);
+        }
+        if (typeof component.weight !== 'number' || component.weight <= 0) {
+            fail(`weight for ${component.metric} must be a positive number`);
+        }
+        for (const option of ['cap', 'target', 'steepness']) {
+            if (component[option] !== undefined && (typeof component[option] !== 'number' || component[option] <= 0)) {
+                fail(`${option} for ${component.metric} must be a positive number`);
+            }
+        }
+        if (component.platforms !== undefined) {
+            if (!Array.isArray(component.platforms) || component.platforms.length === 0
+                || component.platforms.some(p => !PLATFORM_IDS.includes(p))) {
+                fail(`platforms for ${component.metric} must be a non-empty list of ${PLATFORM_IDS.join(', ')}`);
+            }
+        }
+    }
+
+    for (const platform of PLATFORM_IDS) {
+        if (!definition.components.some(c => !c.platforms || c.platforms.includes(platform))) {
+            fail(`no components apply to ${platform} profiles`);
+        }
+    }
+}
+
+/**
+ * Get the active scoring model for an industry
+ * Industry-specific models win over the parent industry's (for niches), then global ones;
+ * falls back to the built-in default
+ * @param {string} industry - Industry
+ * @returns {Promise<Object>} Scoring model definition
+ */
+async function getScoringModel(industry) {
+    const cacheKey = industry || '*';
+    const cached = modelCache.get(cacheKey);
+    if (cached) return cached;
+
+    try {
+        const result = await db.query(`
+            SELECT * FROM scoring_models
+            WHERE active = TRUE
+            AND (industry = ANY($1::text[]) OR industry IS NULL)
+            ORDER BY array_position($1::text[], industry::text) NULLS LAST, activated_at DESC
+            LIMIT 1
+        `, [[industry, getParentIndustry(industry)].filter(Boolean)]);
+
+        const model = result.rows.length > 0 ? toModel(result.rows[0]) : DEFAULT_SCORING_MODEL;
+        modelCache.set(cacheKey, model);
+        return model;
+
+    } catch (error) {
+        console.error('Error getting scoring model:', error);
+        throw error;
+    }
+}
+
+/**
+ * List stored scoring models (all versions) plus the built-in ones
+ */
+async function listScoringModels() {
+    try {
+        const result = await db.query(`
+            SELECT * FROM scoring_models
+            ORDER BY name, version DESC
+        `);
+
+        return {
+            models: result.rows.map(toModel),
+            builtIn: BUILT_IN_SCORING_MODELS,
+            defaultModel: { name: DEFAULT_SCORING_MODEL.name, version: DEFAULT_SCORING_MODEL.version }
+        };
+
+    } catch (error) {
+        console.error('Error listing scoring models:', error);
+        throw error;
+    }
+}
+
+/**
+ * Store a new version of a scoring model
+ * Versions are immutable; each save gets the next version number for the name
+ * @param {Object} definition - { name, industry, description, components, activate }
+ * @returns {Promise<Object>} Saved model
+ */
+async function createScoringModel(definition) {
+    validateModel(definition);
+    const industry = parseIndustry(definition.industry);
+
+    try {
+        const model = await db.transaction(async (client) => {
+            // Built-in versions count too, so stored versions never collide with them
+            const builtInVersion = Math.max(0, ...BUILT_IN_SCORING_MODELS
+                .filter(m => m.name === definition.name)
+                .map(m => m.version));
+
+            const latest = await client.query(
+                'SELECT COALESCE(MAX(version), 0) as version FROM scoring_models WHERE name = $1',
+                [definition.name]
+            );
+            const version = Math.max(builtInVersion, parseInt(latest.rows[0].version)) + 1;
+
+            if (definition.activate) {
+                await client.query('UPDATE scoring_models SET active = FALSE WHERE name = $1', [definition.name]);
+            }
+
+            const saved = await client.query(`
+                INSERT INTO scoring_models (
+                    name, version, industry, description, components,
+                    active, activated_at
+                ) VALUES ($1, $2, $3, $4, $5, $6, ${definition.activate ? 'NOW()' : 'NULL'})
+                RETURNING *
+            `, [
+                definition.name, version, industry, definition.description || null,
+                JSON.stringify(definition.components), !!definition.activate
+            ]);
+
+            return toModel(saved.rows[0]);
+        });
+
+        modelCache.flushAll();
+        console.log(`✓ Saved scoring model ${model.name}@${model.version}${model.active ? ' (active)' : ''}`);
+        return model;
+
+    } catch (error) {
+        console.error('Error creating scoring model:', error);
+        throw error;
+    }
+}
+
+/**
+ * Activate one version of a scoring model (deactivating its other versions)
+ * Built-in versions can be activated too, e.g. to roll back to them
+ * @returns {Promise<Object|null>} Activated model, or null if not found
+ */
+async function activateScoringModel(name, version) {
+    try {
+        const model = await db.transaction(async (client) => {
+            const found = await client.query(
+                'SELECT id FROM scoring_models WHERE name = $1 AND version = $2',
+                [name, version]
+            );
+
+            if (found.rows.length === 0) {
+                // Built-in versions are copied into the table on first activation
+                const builtIn = BUILT_IN_SCORING_MODELS.find(m => m.name === name && m.version === version);
+                if (!builtIn) return null;
+
+                await client.query(`
+                    INSERT INTO scoring_models (name, version, industry, description, components)
+                    VALUES ($1, $2, $3, $4, $5)
+                `, [builtIn.name, builtIn.version, builtIn.industry, builtIn.description, JSON.stringify(builtIn.components)]);
+            }
+
+            await client.query('UPDATE scoring_models SET active = FALSE WHERE name = $1', [name]);
+            const activated = await client.query(`
+                UPDATE scoring_models
+                SET active = TRUE, activated_at = NOW()
+                WHERE name = $1 AND version = $2
+                RETURNING *
+            `, [name, version]);
+
+            return toModel(activated.rows[0]);
+        });
+
+        modelCache.flushAll();
+        return model;
+
+    } catch (error) {
+        console.error('Error activating scoring model:', error);
+        throw error;
+    }
+}
+
+/**
+ * Format a model reference for storage alongside results ('name@version')
+ */
+function modelTag(model) {
+    return `${model.name}@${model.version}`;
+}
+
+module.exports = {
+    getScoringModel,
+    listScoringModels,
+    createScoringModel,
+    activateScoringModel,
+    validateModel,
+    modelTag
+};
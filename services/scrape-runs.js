@@ -0,0 +1,313 @@
+const db = require('../config/database');
+const { getProvider, supportsPlatform } = require('./scrapers');
+const { DEFAULT_PLATFORM, getPlatform } = require('./platforms');
+const { parseDateRange } = require('./conversions');
+
+// Spend limits in USD of estimated scrape cost (unset = unlimited)
+const BUDGETS = {
+    day: parseFloat(process.env.SCRAPE_BUDGET_DAILY_USD) || null,
+    month: parseFloat(process.env.SCRAPE_BUDGET_MONTHLY_USD) || null
+};
+
+const TRIGGERS = ['analyze', 'revalidate', 'compare'];
+const STATUSES = ['running', 'succeeded', 'failed'];
+
+const MAX_PAGE_SIZE = 200;
+
+// Serializes budget checks and run reservations across processes (arbitrary constant key)
+const BUDGET_LOCK_KEY = 4827302;
+
+const roundCost = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Estimated cost of a run: the provider's per-run charge plus its per-result charge on the platform
+ */
+function estimateRunCost(provider, platform, profileCount) {
+    const { perRun = 0, perProfile = 0 } = provider.cost?.[platform] || {};
+    return roundCost(perRun + perProfile * profileCount);
+}
+
+/**
+ * Estimated spend so far in the current day and month, including runs still in progress
+ * @param {Object} client - Query runner (db, or a transaction client)
+ */
+async function getCurrentSpend(client = db) {
+    const result = await client.query(`
+        SELECT
+            COALESCE(SUM(estimated_cost) FILTER (WHERE started_at >= date_trunc('day', NOW())), 0) as day,
+            COALESCE(SUM(estimated_cost), 0) as month
+        FROM scrape_runs
+        WHERE started_at >= date_trunc('month', NOW())
+    `);
+
+    return {
+        day: parseFloat(result.rows[0].day),
+        month: parseFloat(result.rows[0].month)
+    };
+}
+
+/**
+ * Refuse a run that would take the day's or month's spend over budget
+ * Takes the budget lock, so concurrent runs see each other's reservations; call it in the
+ * transaction that reserves the run
+ * @param {Object} client - Transaction client
+ * @throws {Error} with status 503 and code SCRAPE_BUDGET_EXCEEDED
+ */
+async function checkBudget(client, estimatedCost) {
+    if (!BUDGETS.day && !BUDGETS.month) return;
+
+    await client.query('SELECT pg_advisory_xact_lock($1)', [BUDGET_LOCK_KEY]);
+    const spend = await getCurrentSpend(client);
+
+    for (const period of ['day', 'month']) {
+        const budget = BUDGETS[period];
+        if (!budget || spend[period] + estimatedCost <= budget) continue;
+
+        const label = period === 'day' ? 'daily' : 'monthly';
+        const error = new Error(
+            `Scraping would exceed the ${label} scrape budget of $${budget.toFixed(2)} ($${spend[period].toFixed(2)} spent); ` +
+            `new profiles can't be scraped until it resets, cached profiles are still available`
+        );
+        error.status = 503;
+        error.code = 'SCRAPE_BUDGET_EXCEEDED';
+        throw error;
+    }
+}
+
+/**
+ * Run the configured scraper provider once, within budget, and record the run in the ledger
+ * @param {Array<string>} usernames - Usernames (without @)
+ * @param {Object} context - { platform, trigger: 'analyze' | 'revalidate' | 'compare', apiKeyId }
+ * @returns {Promise<Array<Object>>} Raw provider items
+ * @throws {Error} with status 400 when the provider can't scrape the platform,
+ *   or 503 when the run would exceed the scrape budget
+ */
+async function runScrape(usernames, { platform = DEFAULT_PLATFORM, trigger = 'analyze', apiKeyId = null } = {}) {
+    const provider = getProvider();
+
+    if (!supportsPlatform(provider, platform)) {
+        const error = new Error(`The ${provider.name} scraper provider doesn't support ${getPlatform(platform).name}`);
+        error.status = 400;
+        error.code = 'PLATFORM_NOT_SUPPORTED';
+        throw error;
+    }
+
+    const estimatedCost = estimateRunCost(provider, platform, usernames.length);
+
+    // Reserve the estimate while running so concurrent runs count it against the budget; the check and
+    // the reservation commit together, so two runs can't both fit under the last of the budget
+    const runId = await db.transaction(async (client) => {
+        await checkBudget(client, estimatedCost);
+
+        const run = await client.query(`
+            INSERT INTO scrape_runs (provider, platform, usernames, trigger, status, estimated_cost, api_key_id, started_at)
+            VALUES ($1, $2, $3, $4, 'running', $5, $6, NOW())
+            RETURNING id
+        `, [
+            provider.name, platform, usernames, trigger, estimatedCost,
+            // The ADMIN_API_KEY caller ('env') has no api_keys row
+            Number.isInteger(apiKeyId) ? apiKeyId : null
+        ]);
+
+        return run.rows[0].id;
+    });
+    const startedAt = Date.now();
+
+    const finish = (fields) => db.query(`
+        UPDATE scrape_runs
+        SET status = $2, profiles_returned = $3, error_code = $4, error_message = $5,
+            duration_ms = $6, estimated_cost = $7, finished_at = NOW()
+        WHERE id = $1
+    `, [
+        runId, fields.status, fields.profilesReturned ?? null, fields.errorCode || null, fields.errorMessage || null,
+        Date.now() - startedAt, fields.estimatedCost
+    ]).catch(error => console.error(`Error recording scrape run ${runId}:`, error.message));
+
+    try {
+        const items = await provider.fetchProfiles(usernames, platform);
+
+        await finish({
+            status: 'succeeded',
+            profilesReturned: (items || []).length,
+            // Results are billed per profile returned
+            estimatedCost: estimateRunCost(provider, platform, (items || []).length)
+        });
+
+        return items;
+
+    } catch (error) {
+        await finish({
+            status: 'failed',
+            errorCode: error.code || (error.status ? String(error.status) : 'ERROR'),
+            errorMessage: error.message,
+            estimatedCost: estimateRunCost(provider, platform, 0)
+        });
+
+        throw error;
+    }
+}
+
+/**
+ * Format a scrape_runs row for API responses
+ */
+function toScrapeRun(row) {
+    return {
+        id: row.id,
+        provider: row.provider,
+        platform: row.platform,
+        usernames: row.usernames,
+        trigger: row.trigger,
+        status: row.status,
+        profilesReturned: row.profiles_returned,
+        errorCode: row.error_code,
+        errorMessage: row.error_message,
+        durationMs: row.duration_ms,
+        estimatedCost: parseFloat(row.estimated_cost),
+        apiKeyId: row.api_key_id,
+        startedAt: row.started_at,
+        finishedAt: row.finished_at
+    };
+}
+
+/**
+ * List ledger entries, newest first
+ * @param {Object} filters - { from, to, platform, username, trigger, status }
+ * @param {Object} page - { limit, offset }
+ * @returns {Promise<Object>} { total, estimatedCost, limit, offset, runs }
+ */
+async function listScrapeRuns({ from, to, platform, username, trigger, status } = {}, { limit = 50, offset = 0 } = {}) {
+    const { start, end } = parseDateRange(from, to);
+    const conditions = ['started_at >= $1', 'started_at < $2'];
+    const params = [start, end];
+
+    if (platform) {
+        params.push(platform);
+        conditions.push(`platform = $${params.length}`);
+    }
+    if (username) {
+        params.push(username.toLowerCase());
+        conditions.push(`$${params.length} = ANY(usernames)`);
+    }
+    if (trigger) {
+        params.push(trigger);
+        conditions.push(`trigger = $${params.length}`);
+    }
+    if (status) {
+        params.push(status);
+        conditions.push(`status = $${params.length}`);
+    }
+
+    const where = `WHERE ${conditions.join(' AND ')}`;
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_PAGE_SIZE);
+    const skip = Math.max(parseInt(offset) || 0, 0);
+
+    try {
+        const total = await db.query(`
+            SELECT COUNT(*) as total, COALESCE(SUM(estimated_cost), 0) as estimated_cost
+            FROM scrape_runs ${where}
+        `, params);
+
+        const runs = await db.query(`
+            SELECT * FROM scrape_runs ${where}
+            ORDER BY started_at DESC, id DESC
+            LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+        `, [...params, pageSize, skip]);
+
+        return {
+            from: start,
+            to: end,
+            total: parseInt(total.rows[0].total),
+            estimatedCost: roundCost(parseFloat(total.rows[0].estimated_cost)),
+            limit: pageSize,
+            offset: skip,
+            runs: runs.rows.map(toScrapeRun)
+        };
+
+    } catch (error) {
+        console.error('Error listing scrape runs:', error);
+        throw error;
+    }
+}
+
+/**
+ * Spend against the daily and monthly budgets, and what this month's runs went on
+ * @returns {Promise<Object>} { budgets: { day, month }, byPlatform, byTrigger, byStatus, topUsernames, byDay }
+ */
+async function getScrapeUsage() {
+    try {
+        const spend = await getCurrentSpend();
+
+        const breakdown = (column) => db.query(`
+            SELECT ${column} as key, COUNT(*) as runs, COALESCE(SUM(estimated_cost), 0) as estimated_cost
+            FROM scrape_runs
+            WHERE started_at >= date_trunc('month', NOW())
+            GROUP BY ${column}
+            ORDER BY estimated_cost DESC, runs DESC
+        `);
+
+        const [byPlatform, byTrigger, byStatus, byDay, topUsernames] = await Promise.all([
+            breakdown('platform'),
+            breakdown('trigger'),
+            breakdown('status'),
+            db.query(`
+                SELECT date_trunc('day', started_at) as day, COUNT(*) as runs,
+                       COALESCE(SUM(profiles_returned), 0) as profiles, COALESCE(SUM(estimated_cost), 0) as estimated_cost
+                FROM scrape_runs
+                WHERE started_at >= date_trunc('month', NOW())
+                GROUP BY 1
+                ORDER BY 1
+            `),
+            // Accounts scraped most often are the first place to look for waste
+            db.query(`
+                SELECT platform, username, COUNT(*) as runs
+                FROM scrape_runs, UNNEST(usernames) as username
+                WHERE started_at >= date_trunc('month', NOW())
+                GROUP BY platform, username
+                ORDER BY runs DESC, username, platform
+                LIMIT 10
+            `)
+        ]);
+
+        const budget = (period) => ({
+            budget: BUDGETS[period],
+            spent: roundCost(spend[period]),
+            remaining: BUDGETS[period] ? roundCost(Math.max(BUDGETS[period] - spend[period], 0)) : null,
+            exceeded: BUDGETS[period] ? spend[period] >= BUDGETS[period] : false
+        });
+
+        const toGroup = (row) => ({
+            key: row.key,
+            runs: parseInt(row.runs),
+            estimatedCost: roundCost(parseFloat(row.estimated_cost))
+        });
+
+        return {
+            provider: getProvider().name,
+            budgets: { day: budget('day'), month: budget('month') },
+            byPlatform: byPlatform.rows.map(toGroup),
+            byTrigger: byTrigger.rows.map(toGroup),
+            byStatus: byStatus.rows.map(toGroup),
+            byDay: byDay.rows.map(row => ({
+                day: row.day,
+                runs: parseInt(row.runs),
+                profiles: parseInt(row.profiles),
+                estimatedCost: roundCost(parseFloat(row.estimated_cost))
+            })),
+            topUsernames: topUsernames.rows.map(row => ({ platform: row.platform, username: row.username, runs: parseInt(row.runs) }))
+        };
+
+    } catch (error) {
+        console.error('Error building scrape usage:', error);
+        throw error;
+    }
+}
+
+module.exports = {
+    TRIGGERS,
+    STATUSES,
+    runScrape,
+    estimateRunCost,
+    checkBudget,
+    listScrapeRuns,
+    getScrapeUsage
+};
@@ -0,0 +1,77 @@
+const { ApifyClient } = require('apify-client');
+const { groupVideosByAuthor } = require('../tiktok');
+
+const ACTOR_ID = process.env.APIFY_ACTOR_ID || 'apify/instagram-profile-scraper';
+const TIKTOK_ACTOR_ID = process.env.APIFY_TIKTOK_ACTOR_ID || 'clockworks/tiktok-profile-scraper';
+
+// Recent videos fetched per TikTok profile (the actor returns one item per video)
+const TIKTOK_VIDEOS_PER_PROFILE = parseInt(process.env.TIKTOK_VIDEOS_PER_PROFILE) || 12;
+
+// Estimated actor pricing (USD): a fixed charge per run plus one per profile returned
+const COST_PER_RUN = parseFloat(process.env.APIFY_COST_PER_RUN) || 0;
+const COST_PER_PROFILE = parseFloat(process.env.APIFY_COST_PER_PROFILE) || 0.0026;
+// The TikTok actor bills per video, so a profile costs its videos
+const TIKTOK_COST_PER_VIDEO = parseFloat(process.env.APIFY_TIKTOK_COST_PER_VIDEO) || 0.004;
+
+let client = null;
+
+/**
+ * Lazily create the Apify client so the app can boot without a token
+ */
+function getClient() {
+    if (!client) {
+        if (!process.env.APIFY_TOKEN) {
+            throw new Error('APIFY_TOKEN is not configured');
+        }
+        client = new ApifyClient({
+            token: process.env.APIFY_TOKEN
+        });
+    }
+    return client;
+}
+
+/**
+ * Run an actor and return its dataset items
+ */
+async function runActor(actorId, input) {
+    const run = await getClient().actor(actorId).call(input);
+    const { items } = await getClient().dataset(run.defaultDatasetId).listItems();
+    return items || [];
+}
+
+// Actor input per platform
+const INPUTS = {
+    instagram: (usernames) => ({
+        usernames: usernames,
+        resultsLimit: usernames.length,
+        addParentData: false
+    }),
+    tiktok: (usernames) => ({
+        profiles: usernames,
+        resultsPerPage: TIKTOK_VIDEOS_PER_PROFILE
+    })
+};
+
+/**
+ * Run the platform's profile scraper actor
+ * @param {Array<string>} usernames - Usernames (without @)
+ * @param {string} platform - 'instagram' or 'tiktok'
+ * @returns {Promise<Array<Object>>} Raw items, one per profile (TikTok videos grouped by author)
+ */
+async function fetchProfiles(usernames, platform = 'instagram') {
+    if (platform === 'tiktok') {
+        return groupVideosByAuthor(await runActor(TIKTOK_ACTOR_ID, INPUTS.tiktok(usernames)));
+    }
+
+    return runActor(ACTOR_ID, INPUTS.instagram(usernames));
+}
+
+module.exports = {
+    name: 'apify',
+    platforms: ['instagram', 'tiktok'],
+    cost: {
+        instagram: { perRun: COST_PER_RUN, perProfile: COST_PER_PROFILE },
+        tiktok: { perRun: COST_PER_RUN, perProfile: TIKTOK_COST_PER_VIDEO * TIKTOK_VIDEOS_PER_PROFILE }
+    },
+    fetchProfiles
+};
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const { groupVideosByAuthor } = require('../tiktok');
+
+// Fixture directory per platform
+const FIXTURES_DIRS = {
+    instagram: process.env.SCRAPER_FIXTURES_DIR || path.join(__dirname, '../../fixtures/instagram'),
+    tiktok: process.env.SCRAPER_TIKTOK_FIXTURES_DIR || path.join(__dirname, '../../fixtures/tiktok')
+};
+
+// Simulated latency for every fixture read (ms)
+const DEFAULT_DELAY = parseInt(process.env.SCRAPER_FIXTURE_DELAY_MS) || 0;
+
+// Simulated cost per profile returned (USD), to exercise scrape budgets offline
+const COST_PER_PROFILE = parseFloat(process.env.SCRAPER_FIXTURE_COST_PER_PROFILE) || 0;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Create a scrape error with an HTTP status and machine-readable code
+ */
+function scrapeError(message, status, code) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+}
+
+/**
+ * Load a recorded Apify item for a username
+ * Fixture files are `<username>.json` and contain either a raw Apify
+ * profile item (for TikTok, the array of video items the actor returns for the profile),
+ * or `{ "simulate": "private" | "not_found" | "timeout", "delayMs": 1000 }`
+ */
+function loadFixture(username, platform) {
+    const file = path.join(FIXTURES_DIRS[platform], `${path.basename(username.toLowerCase())}.json`);
+
+    if (!fs.existsSync(file)) {
+        return null;
+    }
+
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Serve one username from disk, honouring simulation directives
+ */
+async function fetchProfile(username, platform) {
+    const fixture = loadFixture(username, platform);
+
+    await sleep(fixture?.delayMs ?? DEFAULT_DELAY);
+
+    if (!fixture || fixture.simulate === 'not_found') {
+        return null;
+    }
+
+    if (fixture.simulate === 'private') {
+        throw scrapeError(`Profile @${username} is private`, 403, 'PROFILE_PRIVATE');
+    }
+
+    if (fixture.simulate === 'timeout') {
+        throw scrapeError(`Scrape of @${username} timed out`, 504, 'SCRAPE_TIMEOUT');
+    }
+
+    if (platform === 'tiktok') {
+        return groupVideosByAuthor(fixture)[0] || null;
+    }
+
+    return fixture;
+}
+
+/**
+ * Serve recorded Apify profile items from fixture files
+ * @param {Array<string>} usernames - Usernames (without @)
+ * @param {string} platform - 'instagram' or 'tiktok'
+ * @returns {Promise<Array<Object>>} Raw items, one per profile (TikTok videos grouped by author)
+ */
+async function fetchProfiles(usernames, platform = 'instagram') {
+    const items = [];
+
+    for (const username of usernames) {
+        // A batch run skips missing accounts, like the real actor does
+        try {
+            const item = await fetchProfile(username, platform);
+            if (item) items.push(item);
+        } catch (error) {
+            if (usernames.length === 1) throw error;
+            console.warn(`Fixture provider skipped @${username}: ${error.message}`);
+        }
+    }
+
+    return items;
+}
+
+module.exports = {
+    name: 'fixture',
+    platforms: Object.keys(FIXTURES_DIRS),
+    cost: {
+        instagram: { perRun: 0, perProfile: COST_PER_PROFILE },
+        tiktok: { perRun: 0, perProfile: COST_PER_PROFILE }
+    },
+    fetchProfiles
+};
@@ -0,0 +1,52 @@
+const apifyProvider = require('./apify');
+const fixtureProvider = require('./fixture');
+
+/**
+ * Scraper providers
+ * A provider is `{ name, fetchProfiles(usernames, platform) }` resolving to raw
+ * Apify-format items, one per profile (TikTok video items grouped with
+ * groupVideosByAuthor), with optional `platforms` it supports (default
+ * ['instagram']) and a `cost: { <platform>: { perRun, perProfile } }`
+ * estimate in USD for the scrape ledger
+ */
+const providers = {
+    [apifyProvider.name]: apifyProvider,
+    [fixtureProvider.name]: fixtureProvider
+};
+
+/**
+ * Register an additional scraper provider
+ */
+function registerProvider(provider) {
+    if (!provider || !provider.name || typeof provider.fetchProfiles !== 'function') {
+        throw new Error('Scraper provider must have a name and a fetchProfiles function');
+    }
+    providers[provider.name] = provider;
+}
+
+/**
+ * Get the configured scraper provider (SCRAPER_PROVIDER, defaults to apify)
+ * @param {string} name - Optional provider name override
+ */
+function getProvider(name = process.env.SCRAPER_PROVIDER || 'apify') {
+    const provider = providers[name];
+
+    if (!provider) {
+        throw new Error(`Unknown scraper provider: ${name}`);
+    }
+
+    return provider;
+}
+
+/**
+ * Whether a provider can scrape a platform
+ */
+function supportsPlatform(provider, platform) {
+    return (provider.platforms || ['instagram']).includes(platform);
+}
+
+module.exports = {
+    getProvider,
+    supportsPlatform,
+    registerProvider
+};
@@ -0,0 +1,230 @@
+const db = require('../config/database');
+const config = require('../config/synthetic-profiles.json');
+const { resolveLocation } = require('./locations');
+const { DEFAULT_PLATFORM, getPlatform } = require('./platforms');
+
+// Prefix for generated usernames (real scrapes of the same name replace the synthetic row)
+const USERNAME_PREFIX = 'synthetic_';
+
+// Spread of generated coordinates around the city center, in degrees (~5 km)
+const COORDINATE_SPREAD = 0.05;
+const BATCH_SIZE = 500;
+
+/**
+ * Seeded pseudo-random generator (mulberry32) so a seed always produces the same dataset
+ * @returns {Function} () => number in [0, 1)
+ */
+function createRng(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Standard normal sample (Box-Muller)
+ */
+function normal(rng) {
+    const u = 1 - rng();
+    const v = rng();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+const slug = (value) => String(value).toLowerCase().replace(/[^a-z0-9]+/g, '');
+
+// Platform benchmark scale (see services/platforms.js) applied to each distribution's median
+const SCALED_MEDIANS = {
+    followers: 'avg_followers',
+    engagement: 'avg_engagement',
+    postFrequency: 'avg_post_frequency'
+};
+
+/**
+ * Distribution parameters for an industry on a platform (defaults merged with the
+ * industry's overrides, medians scaled for the platform, then the platform's overrides)
+ */
+function getIndustryParams(industry, platform = DEFAULT_PLATFORM) {
+    const overrides = config.industries[industry] || {};
+    const platformOverrides = config.platforms?.[platform] || {};
+    const scale = getPlatform(platform).defaultBenchmarkScale;
+
+    return Object.fromEntries(Object.entries(config.defaults).map(([metric, params]) => {
+        const merged = { ...params, ...(overrides[metric] || {}) };
+        if (SCALED_MEDIANS[metric]) merged.median *= scale[SCALED_MEDIANS[metric]] ?? 1;
+        return [metric, { ...merged, ...(platformOverrides[metric] || {}) }];
+    }));
+}
+
+/**
+ * Generate one synthetic profile
+ * Followers are log-normal; engagement falls with audience size (power law with
+ * `elasticity`) plus log-normal noise, so bigger accounts engage less like real ones
+ * @param {Object} options - { platform, params } (params default to getIndustryParams for the platform)
+ * @returns {Object} Row for the profiles table
+ */
+function generateProfile(industry, location, index, rng, {
+    platform = DEFAULT_PLATFORM, params = getIndustryParams(industry, platform)
+} = {}) {
+    const { followers: f, engagement: e, postFrequency: p, reelPercentage: r } = params;
+
+    const followers = Math.max(f.min, Math.round(f.median * Math.exp(f.sigma * normal(rng))));
+    const engagementRate = clamp(
+        e.median * Math.pow(followers / f.median, -e.elasticity) * Math.exp(e.sigma * normal(rng)),
+        0.1,
+        25
+    );
+    const postFrequency = clamp(p.median * Math.exp(p.sigma * normal(rng)), 0.2, 28);
+    const reelPercentage = Math.round(clamp(r.mean + r.sd * normal(rng), 0, 100));
+
+    const interactions = followers * engagementRate / 100;
+    const posts = Math.round(postFrequency * (20 + rng() * 200));
+    const hasCoordinates = location.lat !== null && location.lat !== undefined;
+
+    return {
+        platform,
+        username: `${USERNAME_PREFIX}${slug(industry)}_${slug(location.city)}_${String(index + 1).padStart(4, '0')}`,
+        full_name: `Synthetic ${industry} ${location.city} #${index + 1}`,
+        followers,
+        following: Math.round(200 + rng() * 1500),
+        posts,
+        engagement_rate: Math.round(engagementRate * 100) / 100,
+        avg_likes: Math.round(interactions * 0.95),
+        avg_comments: Math.round(interactions * 0.05),
+        avg_views: Math.round(interactions * (8 + rng() * 12)),
+        industry,
+        location_city: location.city,
+        location_state: location.state,
+        location_country: location.country,
+        post_frequency: Math.round(postFrequency * 100) / 100,
+        reel_percentage: reelPercentage,
+        lat: hasCoordinates ? Math.round((location.lat + COORDINATE_SPREAD * normal(rng)) * 1e6) / 1e6 : null,
+        lon: hasCoordinates ? Math.round((location.lon + COORDINATE_SPREAD * normal(rng)) * 1e6) / 1e6 : null
+    };
+}
+
+const PROFILE_COLUMNS = [
+    'platform', 'username', 'full_name', 'followers', 'following', 'posts',
+    'engagement_rate', 'avg_likes', 'avg_comments', 'avg_views',
+    'industry', 'location_city', 'location_state', 'location_country',
+    'post_frequency', 'reel_percentage', 'lat', 'lon'
+];
+
+/**
+ * Insert or refresh a batch of synthetic profiles; never overwrites real profiles
+ * @returns {Promise<number>} Rows written
+ */
+async function upsertProfiles(client, profiles) {
+    const params = [];
+    const values = profiles.map(profile => {
+        const placeholders = PROFILE_COLUMNS.map(column => {
+            params.push(profile[column]);
+            return `$${params.length}`;
+        });
+        return `(${placeholders.join(', ')}, TRUE, NOW())`;
+    });
+
+    const result = await client.query(`
+        INSERT INTO profiles (${PROFILE_COLUMNS.join(', ')}, is_synthetic, last_scraped)
+        VALUES ${values.join(', ')}
+        ON CONFLICT (platform, username) DO UPDATE SET
+            ${PROFILE_COLUMNS.filter(c => c !== 'platform' && c !== 'username').map(c => `${c} = EXCLUDED.${c}`).join(', ')},
+            last_scraped = NOW(),
+            updated_at = NOW()
+        WHERE profiles.is_synthetic = TRUE
+    `, params);
+
+    return result.rowCount;
+}
+
+/**
+ * Generate and store synthetic profiles for every industry/location pair
+ * Re-running with the same seed refreshes the same usernames; cached benchmarks
+ * for the seeded industries are cleared so they are recalculated. Cities known to the
+ * gazetteer get coordinates scattered around their center for radius benchmarks
+ * @param {Object} options - { industries, locations, count (per industry and location), seed, platform }
+ * @returns {Promise<Object>} { profiles, industries, locations }
+ */
+async function seedSyntheticProfiles({
+    industries = Object.keys(config.industries),
+    locations = config.locations,
+    count = 50,
+    seed = 1,
+    platform = DEFAULT_PLATFORM
+} = {}) {
+    try {
+        const rng = createRng(seed);
+        let written = 0;
+
+        await db.transaction(async (client) => {
+            for (const industry of industries) {
+                const params = getIndustryParams(industry, platform);
+
+                for (const location of locations.map(location => resolveLocation(location))) {
+                    const profiles = Array.from({ length: count }, (_, i) => generateProfile(industry, location, i, rng, { platform, params }));
+
+                    for (let i = 0; i < profiles.length; i += BATCH_SIZE) {
+                        written += await upsertProfiles(client, profiles.slice(i, i + BATCH_SIZE));
+                    }
+                }
+            }
+
+            await client.query('DELETE FROM benchmarks WHERE industry = ANY($1) AND platform = $2', [industries, platform]);
+        });
+
+        console.log(`✓ Seeded ${written} synthetic ${platform} profile(s) across ${industries.length} industr${industries.length === 1 ? 'y' : 'ies'} and ${locations.length} location(s)`);
+        return { profiles: written, industries: industries.length, locations: locations.length };
+
+    } catch (error) {
+        console.error('Error seeding synthetic profiles:', error);
+        throw error;
+    }
+}
+
+/**
+ * Delete synthetic profiles (optionally only some industries or one platform) and the
+ * benchmarks and leaderboard rows derived from them
+ * @returns {Promise<number>} Profiles deleted
+ */
+async function clearSyntheticProfiles({ industries = null, platform = null } = {}) {
+    try {
+        return await db.transaction(async (client) => {
+            const deleted = await client.query(`
+                DELETE FROM profiles
+                WHERE is_synthetic = TRUE
+                AND ($1::text[] IS NULL OR industry = ANY($1))
+                AND ($2::text IS NULL OR platform = $2)
+                RETURNING platform, username, industry
+            `, [industries, platform]);
+
+            for (const id of new Set(deleted.rows.map(row => row.platform))) {
+                const rows = deleted.rows.filter(row => row.platform === id);
+
+                await client.query('DELETE FROM benchmarks WHERE platform = $1 AND industry = ANY($2)', [
+                    id, [...new Set(rows.map(row => row.industry))]
+                ]);
+                await client.query('DELETE FROM top_performers WHERE platform = $1 AND username = ANY($2)', [
+                    id, rows.map(row => row.username)
+                ]);
+            }
+
+            console.log(`✓ Deleted ${deleted.rowCount} synthetic profile(s)`);
+            return deleted.rowCount;
+        });
+
+    } catch (error) {
+        console.error('Error clearing synthetic profiles:', error);
+        throw error;
+    }
+}
+
+module.exports = {
+    createRng,
+    generateProfile,
+    seedSyntheticProfiles,
+    clearSyntheticProfiles
+};
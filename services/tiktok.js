@@ -0,0 +1,135 @@
+/**
+ * TikTok scraper output to our profile schema
+ * The TikTok profile actor returns one item per video, each carrying its author's
+ * `authorMeta` (fans, following, heart, video counts); groupVideosByAuthor turns
+ * those into one `{ authorMeta, videos }` item per profile for transformTikTokProfile
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Group raw video items into one item per author, keeping the actor's video order
+ * @param {Array<Object>} items - Raw TikTok video items
+ * @returns {Array<Object>} [{ authorMeta, videos }]
+ */
+function groupVideosByAuthor(items) {
+    const authors = new Map();
+
+    for (const item of items || []) {
+        const name = item.authorMeta?.name?.toLowerCase();
+        if (!name) continue;
+
+        if (!authors.has(name)) authors.set(name, { authorMeta: item.authorMeta, videos: [] });
+        authors.get(name).videos.push(item);
+    }
+
+    return [...authors.values()];
+}
+
+/**
+ * Posting time of a video (createTime is in seconds)
+ */
+function getPostedAt(video) {
+    if (video.createTimeISO) return new Date(video.createTimeISO);
+    if (video.createTime) return new Date(video.createTime * 1000);
+    return null;
+}
+
+/**
+ * Calculate engagement metrics from recent videos
+ * Engagement uses the same formula as Instagram ((avg likes + avg comments) / followers);
+ * reel_percentage is the share of videos that aren't photo slideshows
+ */
+function calculateEngagementMetrics(authorMeta, videos) {
+    const followers = authorMeta.fans || 0;
+
+    if (videos.length === 0 || !followers) {
+        return {
+            engagement_rate: 0,
+            avg_likes: 0,
+            avg_comments: 0,
+            avg_views: 0,
+            post_frequency: 0,
+            reel_percentage: 0
+        };
+    }
+
+    const average = (field) => Math.floor(videos.reduce((sum, video) => sum + (video[field] || 0), 0) / videos.length);
+
+    const avgLikes = average('diggCount');
+    const avgComments = average('commentCount');
+    const avgViews = average('playCount');
+
+    const engagementRate = ((avgLikes + avgComments) / followers * 100).toFixed(2);
+
+    const clips = videos.filter(video => !video.isSlideshow);
+    const reelPercentage = Math.floor((clips.length / videos.length) * 100);
+
+    // Posts per week across the span of the recent videos
+    const times = videos.map(getPostedAt).filter(Boolean).map(date => date.getTime());
+    let postFrequency = 0;
+    if (times.length >= 2) {
+        const daysDiff = (Math.max(...times) - Math.min(...times)) / DAY_MS;
+        postFrequency = daysDiff > 0 ? parseFloat(((times.length / daysDiff) * 7).toFixed(1)) : times.length;
+    }
+
+    return {
+        engagement_rate: parseFloat(engagementRate),
+        avg_likes: avgLikes,
+        avg_comments: avgComments,
+        avg_views: avgViews,
+        post_frequency: postFrequency,
+        reel_percentage: reelPercentage
+    };
+}
+
+/**
+ * Recent videos in the posts schema (the video id stands in for the shortcode)
+ */
+function extractVideos(authorMeta, videos) {
+    return videos
+        .filter(video => video.id)
+        .map(video => ({
+            shortcode: String(video.id),
+            type: video.isSlideshow ? 'Slideshow' : 'Video',
+            url: video.webVideoUrl || `https://www.tiktok.com/@${authorMeta.name}/video/${video.id}`,
+            posted_at: getPostedAt(video),
+            likes: Math.max(0, video.diggCount || 0),
+            comments: Math.max(0, video.commentCount || 0),
+            views: video.playCount || 0,
+            caption: video.text || null,
+            hashtags: (video.hashtags || []).map(tag => tag.name).filter(Boolean)
+        }));
+}
+
+/**
+ * Transform a grouped TikTok item (see groupVideosByAuthor) to our schema
+ */
+function transformTikTokProfile({ authorMeta, videos }) {
+    return {
+        platform: 'tiktok',
+        username: authorMeta.name.toLowerCase(),
+        full_name: authorMeta.nickName || null,
+        profile_pic_url: authorMeta.avatar || null,
+        followers: authorMeta.fans || 0,
+        following: authorMeta.following || 0,
+        posts: authorMeta.video || videos.length,
+        total_likes: authorMeta.heart ?? null,
+        verified: authorMeta.verified || false,
+        biography: authorMeta.signature || null,
+        external_url: authorMeta.bioLink?.link || null,
+        // TikTok has no business categories; the industry is suggested from the bio
+        business_category: null,
+
+        ...calculateEngagementMetrics(authorMeta, videos),
+
+        latest_posts: extractVideos(authorMeta, videos),
+
+        raw_data: { authorMeta, videos }
+    };
+}
+
+module.exports = {
+    groupVideosByAuthor,
+    transformTikTokProfile
+};
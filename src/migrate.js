@@ -0,0 +1,68 @@
+const { pool } = require('../config/database');
+const { getMigrationStatus, migrateUp, migrateDown, createMigration } = require('../services/migrations');
+
+const USAGE = `Usage: npm run migrate -- <command>
+
+  up [version]     Apply pending migrations (optionally only up to a version)
+  down [steps]     Roll back the last migration (or the last <steps>)
+  status           List applied, pending and modified migrations
+  create <name>    Create empty up/down files for a new migration`;
+
+/**
+ * Database migration CLI
+ */
+async function run() {
+    const [command, ...args] = process.argv.slice(2);
+    const arg = args.join(' ');
+
+    try {
+        switch (command) {
+            case 'up': {
+                const applied = await migrateUp({ to: arg || null });
+                console.log(applied.length > 0
+                    ? `\n✓ Applied ${applied.length} migration(s)`
+                    : '✓ Database is up to date');
+                break;
+            }
+
+            case 'down': {
+                const rolledBack = await migrateDown({ steps: parseInt(arg) || 1 });
+                console.log(`\n✓ Rolled back ${rolledBack.length} migration(s)`);
+                break;
+            }
+
+            case 'status': {
+                const status = await getMigrationStatus();
+                const icons = { applied: '✓', pending: '·', modified: '!', missing: '?' };
+
+                console.log('');
+                for (const migration of status) {
+                    const when = migration.appliedAt ? `  ${migration.appliedAt.toISOString()}` : '';
+                    console.log(`${icons[migration.status]} ${migration.version}_${migration.name}  [${migration.status}]${when}`);
+                }
+                if (status.length === 0) console.log('No migrations found');
+                break;
+            }
+
+            case 'create': {
+                for (const file of createMigration(arg)) {
+                    console.log(`✓ Created ${file}`);
+                }
+                break;
+            }
+
+            default:
+                console.log(USAGE);
+                process.exit(command ? 1 : 0);
+        }
+
+        await pool.end();
+        process.exit(0);
+
+    } catch (error) {
+        console.error(`✗ Migration failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+run();
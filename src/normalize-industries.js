@@ -0,0 +1,23 @@
+const { pool } = require('../config/database');
+const { normalizeStoredIndustries } = require('../services/industries');
+
+/**
+ * Map stored free-text industries on profiles and email captures to taxonomy ids
+ * Usage: npm run industries:normalize (after updating config/industries.json)
+ */
+async function run() {
+    try {
+        console.log('Normalizing stored industries...\n');
+
+        await normalizeStoredIndustries();
+
+        await pool.end();
+        process.exit(0);
+
+    } catch (error) {
+        console.error('✗ Normalizing industries failed:', error);
+        process.exit(1);
+    }
+}
+
+run();
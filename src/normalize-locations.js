@@ -0,0 +1,23 @@
+const { pool } = require('../config/database');
+const { normalizeStoredLocations } = require('../services/locations');
+
+/**
+ * Resolve stored profile locations to canonical names and fill in coordinates
+ * Usage: npm run locations:normalize (after updating config/gazetteer.json)
+ */
+async function run() {
+    try {
+        console.log('Normalizing profile locations...\n');
+
+        await normalizeStoredLocations();
+
+        await pool.end();
+        process.exit(0);
+
+    } catch (error) {
+        console.error('✗ Normalizing locations failed:', error);
+        process.exit(1);
+    }
+}
+
+run();
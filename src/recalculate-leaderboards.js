@@ -0,0 +1,31 @@
+const { pool } = require('../config/database');
+const { recalculateLeaderboards } = require('../services/leaderboard');
+const { getPlatform } = require('../services/platforms');
+
+/**
+ * Recalculate top_performers leaderboards
+ * Usage: npm run leaderboards:recalculate [-- [<industry>] [--platform instagram|tiktok]]
+ */
+async function run() {
+    try {
+        const args = process.argv.slice(2);
+        const platformIndex = args.indexOf('--platform');
+        const platform = platformIndex >= 0 ? getPlatform(args.splice(platformIndex, 2)[1]).id : null;
+        const industry = args[0] || null;
+
+        console.log(`Recalculating ${platform || 'all'} leaderboards${industry ? ` for ${industry}` : ''}...\n`);
+
+        const { industries, leaderboards } = await recalculateLeaderboards(industry, platform);
+
+        console.log(`\n✓ ${leaderboards} leaderboard(s) across ${industries} industr${industries === 1 ? 'y' : 'ies'}`);
+
+        await pool.end();
+        process.exit(0);
+
+    } catch (error) {
+        console.error('✗ Leaderboard recalculation failed:', error);
+        process.exit(1);
+    }
+}
+
+run();
@@ -0,0 +1,67 @@
+const { pool } = require('../config/database');
+const config = require('../config/synthetic-profiles.json');
+const { seedSyntheticProfiles, clearSyntheticProfiles } = require('../services/synthetic');
+const { recalculateLeaderboards } = require('../services/leaderboard');
+const { getPlatform } = require('../services/platforms');
+
+/**
+ * Seed synthetic profiles for demos, staging and load tests
+ * Usage: npm run seed:synthetic -- [--count 50] [--seed 1] [--industries fitness,food]
+ *        [--cities Austin,Denver] [--platform instagram|tiktok] [--leaderboards] [--clear]
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+        const name = argv[i].slice(2);
+        const next = argv[i + 1];
+        args[name] = next && !next.startsWith('--') ? argv[++i] : true;
+    }
+    return args;
+}
+
+const list = (value) => (typeof value === 'string' ? value.split(',').map(v => v.trim()).filter(Boolean) : null);
+
+async function run() {
+    try {
+        const args = parseArgs(process.argv.slice(2));
+        const industries = list(args.industries) || Object.keys(config.industries);
+        const platform = typeof args.platform === 'string' ? getPlatform(args.platform).id : null;
+
+        if (args.clear) {
+            await clearSyntheticProfiles({ industries: list(args.industries), platform });
+        } else {
+            const cities = list(args.cities);
+            const locations = cities
+                ? config.locations.filter(l => cities.some(c => c.toLowerCase() === l.city.toLowerCase()))
+                : config.locations;
+
+            if (locations.length === 0) {
+                throw new Error(`No configured locations match ${args.cities} (see config/synthetic-profiles.json)`);
+            }
+
+            await seedSyntheticProfiles({
+                industries,
+                locations,
+                count: parseInt(args.count) || 50,
+                seed: parseInt(args.seed) || 1,
+                ...(platform && { platform })
+            });
+        }
+
+        if (args.leaderboards) {
+            for (const industry of industries) {
+                await recalculateLeaderboards(industry, platform);
+            }
+        }
+
+        await pool.end();
+        process.exit(0);
+
+    } catch (error) {
+        console.error('✗ Synthetic seeding failed:', error.message);
+        process.exit(1);
+    }
+}
+
+run();
@@ -0,0 +1,34 @@
+const { pool } = require('../config/database');
+const { processDueEmails } = require('../services/email-sequence');
+
+/**
+ * Send due drip sequence emails
+ * Usage: npm run emails:send (e.g. from cron with EMAIL_SCHEDULER=false on the web process)
+ */
+async function run() {
+    try {
+        console.log('Sending due emails...\n');
+
+        const totals = { sent: 0, skipped: 0, retrying: 0, failed: 0 };
+
+        // Keep claiming batches until nothing is due
+        for (;;) {
+            const counts = await processDueEmails();
+            const processed = Object.values(counts).reduce((sum, n) => sum + n, 0);
+            if (processed === 0) break;
+
+            for (const key of Object.keys(totals)) totals[key] += counts[key];
+        }
+
+        console.log(`\n✓ ${totals.sent} sent, ${totals.skipped} skipped, ${totals.retrying} retrying, ${totals.failed} failed`);
+
+        await pool.end();
+        process.exit(0);
+
+    } catch (error) {
+        console.error('✗ Sending emails failed:', error);
+        process.exit(1);
+    }
+}
+
+run();
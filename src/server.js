@@ -2,12 +2,30 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
-const rateLimit = require('express-rate-limit');
 require('dotenv').config();
+const { authenticate, requireRole, quotaLimiter } = require('../middleware/auth');
+const { startEmailScheduler } = require('../services/email-sequence');
+const { getOpenApiDocument, listEndpoints } = require('../services/openapi');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+/**
+ * TRUST_PROXY as an Express 'trust proxy' setting: true/false, a hop count,
+ * or addresses/subnets (e.g. 'loopback' or '10.0.0.0/8,172.16.0.0/12')
+ */
+function parseTrustProxy(value) {
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    if (/^\d+$/.test(value)) return parseInt(value);
+    return value;
+}
+
+// Behind a load balancer req.ip (and so public quotas) would otherwise be the proxy's address
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY.trim()));
+}
+
 // Middleware
 app.use(helmet());
 app.use(compression());
@@ -15,16 +33,20 @@ app.use(cors({
     origin: process.env.ALLOWED_ORIGINS?.split(',') || '*',
     credentials: true
 }));
-app.use(express.json());
+// Keep the raw body for webhook signature checks
+app.use(express.json({
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ extended: true }));
 
-// Rate limiting
-const limiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100, // limit each IP to 100 requests per windowMs
-    message: 'Too many requests from this IP, please try again later.'
-});
-app.use('/api/', limiter);
+// Webhooks authenticate by signature and are exempt from API key quotas
+app.use('/api/webhooks', require('../routes/webhooks'));
+
+// Authentication (API keys) and per-key quotas
+app.use('/api/', authenticate);
+app.use('/api/', quotaLimiter);
 
 // Request logging
 app.use((req, res, next) => {
@@ -45,22 +67,44 @@ app.get('/', (req, res) => {
     res.json({
         message: 'Magnet Pro Instagram Analyzer API',
         version: '1.0.0',
-        endpoints: {
-            analyze: 'POST /api/analyze',
-            emailCapture: 'POST /api/email-capture',
-            benchmarks: 'GET /api/benchmarks/:industry/:location'
-        }
+        docs: '/api/openapi.json',
+        endpoints: listEndpoints()
     });
 });
 
+// OpenAPI document generated from the route schemas (schemas/)
+app.get('/api/openapi.json', (req, res) => {
+    res.json(getOpenApiDocument());
+});
+
 // API routes
 const analyzeRoutes = require('../routes/analyze');
 const emailRoutes = require('../routes/email');
 const benchmarkRoutes = require('../routes/benchmarks');
+const profileRoutes = require('../routes/profiles');
+const leaderboardRoutes = require('../routes/leaderboards');
+const scoringRoutes = require('../routes/scoring');
+const insightRoutes = require('../routes/insights');
+const authRoutes = require('../routes/auth');
+const leadRoutes = require('../routes/leads');
+const industryRoutes = require('../routes/industries');
+const scrapeRoutes = require('../routes/scrapes');
+const reportRoutes = require('../routes/reports');
+const badgeRoutes = require('../routes/badges');
 
 app.use('/api/analyze', analyzeRoutes);
 app.use('/api/email', emailRoutes);
 app.use('/api/benchmarks', benchmarkRoutes);
+app.use('/api/profiles', profileRoutes);
+app.use('/api/leaderboards', leaderboardRoutes);
+app.use('/api/industries', industryRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/badges', badgeRoutes);
+app.use('/api/scoring', requireRole('admin'), scoringRoutes);
+app.use('/api/insights', requireRole('admin'), insightRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/leads', requireRole('admin'), leadRoutes);
+app.use('/api/scrapes', requireRole('admin'), scrapeRoutes);
 
 // Error handling
 app.use((err, req, res, next) => {
@@ -86,6 +130,8 @@ app.listen(PORT, '0.0.0.0', () => {
 ║   Ready to analyze Instagram profiles! 🚀     ║
 ╚═══════════════════════════════════════════════╝
     `);
+
+    startEmailScheduler();
 });
 
 module.exports = app;
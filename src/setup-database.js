@@ -1,24 +1,19 @@
-const fs = require('fs');
-const path = require('path');
 const { pool } = require('../config/database');
+const { migrateUp } = require('../services/migrations');
 
 /**
- * Setup database schema
+ * Setup database schema by applying every pending migration
+ * (same as `npm run migrate -- up`)
  */
 async function setupDatabase() {
     try {
         console.log('Setting up database schema...\n');
 
-        // Read SQL file
-        const sqlPath = path.join(__dirname, '../config/database.sql');
-        const sql = fs.readFileSync(sqlPath, 'utf8');
+        const applied = await migrateUp();
 
-        // Execute SQL
-        await pool.query(sql);
-
-        console.log('✓ Database schema created successfully!');
-        console.log('✓ Tables: profiles, email_captures, benchmarks, top_performers');
-        console.log('✓ Indexes created for performance\n');
+        console.log(applied.length > 0
+            ? `\n✓ Applied ${applied.length} migration(s)`
+            : '✓ Database schema is up to date');
 
         // Test connection
         const result = await pool.query('SELECT NOW()');
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getBadgeView, renderBadge, renderShareCard, renderShareCardPng } = require('../services/badges');
+
+const report = {
+    username: 'fit_coach',
+    industry: 'fitness',
+    overallScore: 70,
+    result: {
+        industry: { name: 'Fitness' },
+        profile: { fullName: 'Fit <Coach>' },
+        score: { overall: 82, percentiles: { engagementRate: 91.4 } },
+        rankings: {
+            city: { rank: null },
+            nearby: { rank: 3, total: 1200, name: 'Austin', radiusKm: 50 },
+            state: { rank: 9, total: 4000, name: 'Texas' }
+        }
+    }
+};
+
+test('getBadgeView uses the most local ranking available', () => {
+    const view = getBadgeView('fit_coach', 'instagram', report);
+
+    assert.equal(view.score, 82);
+    assert.equal(view.industry, 'Fitness');
+    assert.equal(view.platform.name, 'Instagram');
+    assert.equal(view.engagementPercentile, 91);
+    assert.deepEqual(view.rank, { rank: 3, total: 1200, text: '#3 of 1,200 fitness accounts within 50 km of Austin' });
+});
+
+test('getBadgeView handles unanalyzed profiles and reports without rankings', () => {
+    assert.deepEqual(getBadgeView('nobody', 'tiktok', null).score, null);
+
+    const view = getBadgeView('fit_coach', 'instagram', { ...report, result: { score: { overall: 40 } } });
+    assert.equal(view.rank, null);
+    assert.equal(view.engagementPercentile, null);
+    assert.equal(view.industry, 'Fitness');
+});
+
+test('renderBadge scales to the requested size and escapes text', () => {
+    const view = getBadgeView('fit_coach', 'instagram', report);
+
+    const medium = renderBadge(view);
+    const large = renderBadge(view, { size: 'large', theme: 'dark' });
+    const width = (svg) => parseInt(svg.match(/^<svg[^>]* width="(\d+)"/)[1]);
+
+    assert.match(medium, /height="28"/);
+    assert.match(large, /height="40"/);
+    assert.ok(Math.abs(width(large) - width(medium) * 40 / 28) <= 1);
+    assert.match(medium, />82\/100</);
+    assert.match(medium, /91st percentile engagement/);
+
+    const unanalyzed = renderBadge(getBadgeView('<b>', 'tiktok', null));
+    assert.match(unanalyzed, /not analyzed yet/);
+    assert.ok(!unanalyzed.includes('<b>'));
+});
+
+test('renderShareCard escapes text and renders as a 1200x630 PNG', () => {
+    const view = getBadgeView('fit_coach', 'instagram', report);
+
+    const svg = renderShareCard(view);
+    assert.match(svg, /width="1200" height="630"/);
+    assert.ok(svg.includes('Fit &lt;Coach&gt; · Fitness'));
+
+    const png = renderShareCardPng(view);
+    assert.equal(png.subarray(1, 4).toString(), 'PNG');
+    assert.equal(png.readUInt32BE(16), 1200);
+    assert.equal(png.readUInt32BE(20), 630);
+    assert.equal(renderShareCardPng(view), png);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculatePercentile, scoreProfile } = require('../services/benchmark');
+
+const quantiles = {
+    p: [0, 25, 50, 75, 100],
+    engagement_rate: [1, 2, 2, 4, 8]
+};
+
+test('calculatePercentile interpolates between quantiles', () => {
+    assert.equal(calculatePercentile(1.5, quantiles, 'engagement_rate'), 13);
+    assert.equal(calculatePercentile(3, quantiles, 'engagement_rate'), 63);
+    assert.equal(calculatePercentile(6, quantiles, 'engagement_rate'), 88);
+});
+
+test('calculatePercentile clamps values outside the summary', () => {
+    assert.equal(calculatePercentile(0.5, quantiles, 'engagement_rate'), 0);
+    assert.equal(calculatePercentile(9, quantiles, 'engagement_rate'), 100);
+});
+
+test('calculatePercentile puts values tied with quantiles in the middle of the tie', () => {
+    // 2 is both p25 and p50
+    assert.equal(calculatePercentile(2, quantiles, 'engagement_rate'), 38);
+    assert.equal(calculatePercentile(1, quantiles, 'engagement_rate'), 0);
+    assert.equal(calculatePercentile(8, quantiles, 'engagement_rate'), 100);
+});
+
+test('calculatePercentile is null without a usable summary', () => {
+    assert.equal(calculatePercentile(2, null, 'engagement_rate'), null);
+    assert.equal(calculatePercentile(2, quantiles, 'followers'), null);
+    assert.equal(calculatePercentile(2, { p: [0, 100], engagement_rate: [1, 2, 3] }, 'engagement_rate'), null);
+    assert.equal(calculatePercentile(null, quantiles, 'engagement_rate'), null);
+    assert.equal(calculatePercentile(NaN, quantiles, 'engagement_rate'), null);
+});
+
+test('scoreProfile only uses the components that apply to the platform', () => {
+    const model = {
+        name: 'test',
+        version: 1,
+        components: [
+            { metric: 'followers', weight: 0.5, method: 'ratio' },
+            { metric: 'reel_percentage', weight: 0.5, method: 'ratio', target: 40, platforms: ['instagram'] },
+            { metric: 'avg_views', weight: 0.25, method: 'ratio', platforms: ['tiktok'] }
+        ]
+    };
+    const profile = { followers: 500, reel_percentage: 100, avg_views: 2000 };
+    const benchmarks = { avg_followers: 1000, avg_views: 1000 };
+
+    const instagram = scoreProfile(profile, { ...benchmarks, platform: 'instagram' }, model);
+    assert.deepEqual(instagram.components.map(c => [c.metric, c.weight]), [['followers', 0.5], ['reel_percentage', 0.5]]);
+    assert.equal(instagram.overall, 75);
+
+    const tiktok = scoreProfile(profile, { ...benchmarks, platform: 'tiktok' }, model);
+    assert.deepEqual(tiktok.components.map(c => [c.metric, c.weight]), [['followers', 0.6667], ['avg_views', 0.3333]]);
+    assert.equal(tiktok.overall, 67);
+});
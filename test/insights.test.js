@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DEFAULT_RULES = require('../config/insight-rules.json');
+const { buildInsightContext, evaluateRules, validateRule } = require('../services/insights');
+
+const profile = { platform: 'instagram', followers: 2000, engagement_rate: 1, post_frequency: 2, reel_percentage: 10 };
+const benchmarks = { avg_followers: 1000, avg_engagement: 2, avg_post_frequency: 4, sample_size: 30, location_type: 'city' };
+
+const rule = (key, condition, overrides = {}) => ({
+    key,
+    category: 'test',
+    severity: 'info',
+    condition,
+    message: key,
+    ...overrides
+});
+
+const matches = (condition, context = buildInsightContext(profile, benchmarks, 50)) => (
+    evaluateRules([rule('r', condition)], context).trace[0].matched
+);
+
+test('buildInsightContext exposes profile, benchmarks, score and derived values', () => {
+    const context = buildInsightContext(profile, benchmarks, {
+        overall: 62,
+        components: [{ metric: 'followers', score: 80 }]
+    });
+
+    assert.equal(context.platform, 'instagram');
+    assert.equal(context.profile.followers, 2000);
+    assert.equal(context.benchmarks.level, 'city');
+    assert.equal(context.score.overall, 62);
+    assert.deepEqual(context.score.components, { followers: 80 });
+    assert.equal(context.derived.followers_vs_average_pct, 100);
+    assert.equal(context.derived.engagement_vs_average_pct, -50);
+    assert.equal(context.percentiles.followers, null);
+});
+
+test('conditions compare against literals and other fields', () => {
+    assert.equal(matches({ field: 'profile.followers', op: 'gt', value: 1999 }), true);
+    assert.equal(matches({ field: 'profile.engagement_rate', op: 'lt', value: { field: 'benchmarks.avg_engagement', multiply: 0.7 } }), true);
+    assert.equal(matches({ field: 'profile.post_frequency', op: 'gte', value: { field: 'benchmarks.avg_post_frequency', add: -1 } }), false);
+    assert.equal(matches({ field: 'profile.followers', op: 'between', value: [1000, 3000] }), true);
+    assert.equal(matches({ field: 'platform', op: 'in', value: ['tiktok'] }), false);
+});
+
+test('all, any and not combine conditions', () => {
+    const high = { field: 'profile.followers', op: 'gt', value: 1000 };
+    const low = { field: 'profile.followers', op: 'lt', value: 1000 };
+
+    assert.equal(matches({ all: [high, { not: low }] }), true);
+    assert.equal(matches({ all: [high, low] }), false);
+    assert.equal(matches({ any: [low, high] }), true);
+});
+
+test('unknown operators never match', () => {
+    assert.equal(matches({ field: 'profile.followers', op: 'constructor', value: 1 }), false);
+    assert.equal(matches({ field: 'profile.followers', op: 'hasOwnProperty', value: 'x' }), false);
+});
+
+test('missing data never matches', () => {
+    const context = buildInsightContext({ ...profile, avg_views: null }, benchmarks, 50);
+
+    assert.equal(matches({ field: 'profile.avg_views', op: 'lt', value: 100 }, context), false);
+    assert.equal(matches({ field: 'profile.avg_views', op: 'neq', value: 100 }, context), false);
+    assert.equal(matches({ field: 'profile.followers', op: 'lt', value: { field: 'benchmarks.avg_views' } }, context), false);
+    assert.equal(matches({ field: 'profile.avg_views', op: 'exists' }, context), false);
+    assert.equal(matches({ field: 'profile.followers', op: 'exists' }, context), true);
+});
+
+test('evaluateRules skips inactive rules, orders by priority and renders templates', () => {
+    const context = buildInsightContext(profile, benchmarks, 50);
+    const always = { field: 'profile.followers', op: 'exists' };
+
+    const { insights, trace } = evaluateRules([
+        rule('first', always, { priority: 10 }),
+        rule('off', always, { active: false, priority: 99 }),
+        rule('second', always, {
+            priority: 20,
+            severity: 'warning',
+            message: '{{derived.followers_vs_average_pct|fixed:0}}% above, {{profile.followers|number}} followers{{profile.missing}}'
+        })
+    ], context);
+
+    assert.deepEqual(trace.map(t => [t.key, t.active, t.matched]), [
+        ['first', true, true],
+        ['off', false, false],
+        ['second', true, true]
+    ]);
+    assert.deepEqual(insights.map(i => i.rule), ['second', 'first']);
+    assert.equal(insights[0].type, 'warning');
+    assert.equal(insights[0].message, '100% above, 2,000 followers');
+});
+
+test('platform-specific default rules only fire on their platform', () => {
+    const tiktok = { ...profile, platform: 'tiktok', reel_percentage: 10, avg_views: 100 };
+    const keys = (p) => evaluateRules(DEFAULT_RULES, buildInsightContext(p, { ...benchmarks, avg_views: 1000 }, 50))
+        .insights.map(i => i.rule);
+
+    assert.ok(keys(profile).includes('reels_low'));
+    assert.ok(!keys(profile).includes('tiktok_views_low'));
+    assert.ok(!keys(tiktok).includes('reels_low'));
+    assert.ok(keys(tiktok).includes('tiktok_views_low'));
+});
+
+test('validateRule accepts the default rules', () => {
+    DEFAULT_RULES.forEach(validateRule);
+});
+
+test('validateRule rejects malformed rules with a 400', () => {
+    const valid = rule('ok', { field: 'profile.followers', op: 'gt', value: 1 });
+    const invalid = [
+        { ...valid, key: 'has spaces' },
+        { ...valid, severity: 'critical' },
+        { ...valid, condition: { all: [] } },
+        { ...valid, condition: { field: 'profile.followers', op: 'like', value: 1 } },
+        { ...valid, condition: { field: 'profile.followers', op: 'between', value: 1 } },
+        { ...valid, condition: { field: 'profile.followers', op: 'gt' } },
+        { ...valid, message: '{{profile.followers|shout}}' },
+        // Object.prototype members aren't operators or formatters
+        { ...valid, condition: { field: 'profile.followers', op: 'constructor', value: 1 } },
+        { ...valid, condition: { field: 'profile.followers', op: '__proto__', value: 1 } },
+        { ...valid, message: '{{profile.followers|toString}}' }
+    ];
+
+    validateRule(valid);
+    for (const candidate of invalid) {
+        assert.throws(() => validateRule(candidate), { status: 400, message: /^Invalid insight rule/ });
+    }
+});
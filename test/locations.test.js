@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveLocation } = require('../services/locations');
+
+test('resolveLocation matches known cities and infers state and country', () => {
+    assert.deepEqual(resolveLocation({ city: 'Austin, TX' }), {
+        city: 'Austin', state: 'Texas', country: 'United States', lat: 30.2672, lon: -97.7431, matched: 'city'
+    });
+});
+
+test('resolveLocation understands aliases, case and accents', () => {
+    assert.equal(resolveLocation({ city: 'nyc' }).city, 'New York');
+    assert.equal(resolveLocation({ city: '  AUSTIN ' }).city, 'Austin');
+    assert.equal(resolveLocation({ country: 'usa' }).country, 'United States');
+});
+
+test('resolveLocation uses the given state to pick between same-named places', () => {
+    const perth = resolveLocation({ city: 'Perth', state: 'WA' });
+    assert.equal(perth.state, 'Western Australia');
+    assert.equal(perth.country, 'Australia');
+
+    assert.equal(resolveLocation({ city: 'Portland', state: 'Maine' }).state, 'Maine');
+});
+
+test('resolveLocation lets a contradicting state win over the city', () => {
+    assert.deepEqual(resolveLocation({ city: 'Austin', state: 'California' }), {
+        city: 'Austin', state: 'California', country: 'United States', lat: null, lon: null, matched: 'state'
+    });
+});
+
+test('resolveLocation keeps unknown places, tidied and without coordinates', () => {
+    assert.deepEqual(resolveLocation({ city: 'springdale' }), {
+        city: 'Springdale', state: null, country: null, lat: null, lon: null, matched: null
+    });
+    assert.deepEqual(resolveLocation({ state: 'TX' }), {
+        city: null, state: 'Texas', country: 'United States', lat: null, lon: null, matched: 'state'
+    });
+    assert.deepEqual(resolveLocation({}), {
+        city: null, state: null, country: null, lat: null, lon: null, matched: null
+    });
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadMigrations } = require('../services/migrations');
+
+/**
+ * Write migration files into a fresh temporary directory
+ * @param {Object} files - { filename: sql }
+ */
+const migrationsDir = (t, files) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    for (const [file, sql] of Object.entries(files)) {
+        fs.writeFileSync(path.join(dir, file), sql);
+    }
+    return dir;
+};
+
+test('loadMigrations pairs up and down files and orders by version', (t) => {
+    const dir = migrationsDir(t, {
+        '0010_later.up.sql': 'SELECT 10;',
+        '0002_second.up.sql': 'SELECT 2;',
+        '0002_second.down.sql': 'SELECT -2;',
+        '0001_first.up.sql': 'SELECT 1;',
+        'README.md': 'not a migration',
+        '0003_Bad-Name.up.sql': 'ignored'
+    });
+
+    const migrations = loadMigrations(dir);
+
+    assert.deepEqual(migrations.map(m => [m.version, m.name]), [['0001', 'first'], ['0002', 'second'], ['0010', 'later']]);
+    assert.equal(migrations[1].down, 'SELECT -2;');
+    assert.equal(migrations[0].down, null);
+    assert.match(migrations[0].checksum, /^[0-9a-f]{64}$/);
+});
+
+test('loadMigrations checksums ignore line endings', (t) => {
+    const unix = migrationsDir(t, { '0001_first.up.sql': 'SELECT 1;\nSELECT 2;\n' });
+    const windows = migrationsDir(t, { '0001_first.up.sql': 'SELECT 1;\r\nSELECT 2;\r\n' });
+    const changed = migrationsDir(t, { '0001_first.up.sql': 'SELECT 1;\nSELECT 3;\n' });
+
+    assert.equal(loadMigrations(unix)[0].checksum, loadMigrations(windows)[0].checksum);
+    assert.notEqual(loadMigrations(unix)[0].checksum, loadMigrations(changed)[0].checksum);
+});
+
+test('loadMigrations rejects duplicate versions and down-only migrations', (t) => {
+    const duplicate = migrationsDir(t, { '0001_first.up.sql': '', '0001_other.up.sql': '' });
+    const downOnly = migrationsDir(t, { '0001_first.down.sql': '' });
+
+    assert.throws(() => loadMigrations(duplicate), { code: 'DUPLICATE_VERSION' });
+    assert.throws(() => loadMigrations(downOnly), { code: 'MISSING_UP' });
+});
+
+test('the repository migrations load with consecutive versions', () => {
+    const migrations = loadMigrations(path.join(__dirname, '../migrations'));
+
+    migrations.forEach((migration, index) => {
+        assert.equal(parseInt(migration.version), index + 1);
+        assert.ok(migration.down, `${migration.version}_${migration.name} has a down migration`);
+    });
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { createPdf, measureText, wrapText } = require('../services/pdf');
+
+/**
+ * Inflate every content stream in a PDF
+ */
+const contentStreams = (pdf) => {
+    const streams = [];
+    let start = pdf.indexOf('stream\n');
+    while (start !== -1) {
+        const end = pdf.indexOf('\nendstream', start);
+        streams.push(zlib.inflateSync(pdf.subarray(start + 'stream\n'.length, end)).toString('latin1'));
+        start = pdf.indexOf('stream\n', end + 'endstream'.length + 1);
+    }
+    return streams;
+};
+
+test('measureText uses the Helvetica metrics', () => {
+    // H e l l o = 722 + 556 + 222 + 222 + 556
+    assert.equal(measureText('Hello', { size: 10 }), 22.78);
+    assert.equal(measureText('Hello', { size: 10, font: 'bold' }), 22.78 * 1.06);
+    assert.equal(measureText(''), 0);
+    assert.equal(measureText(null), 0);
+});
+
+test('wrapText breaks on spaces without exceeding the width', () => {
+    const lines = wrapText('Post more Reels and reply to comments within the first hour', 100, { size: 10 });
+
+    assert.ok(lines.length > 1);
+    assert.equal(lines.join(' '), 'Post more Reels and reply to comments within the first hour');
+    for (const line of lines) {
+        assert.ok(measureText(line, { size: 10 }) <= 100, line);
+    }
+});
+
+test('wrapText keeps words longer than the width on their own line', () => {
+    assert.deepEqual(wrapText('a supercalifragilistic b', 20), ['a', 'supercalifragilistic', 'b']);
+    assert.deepEqual(wrapText('  ', 20), []);
+});
+
+test('createPdf writes a document with valid cross-references', () => {
+    const pdf = createPdf({ size: 'a4', title: 'Report (draft)' })
+        .text(40, 60, 'Score: 82 (top 10%) \\ done', { size: 18, font: 'bold' })
+        .rect(40, 80, 100, 10, { color: '#4f46e5' })
+        .addPage()
+        .line(40, 40, 200, 40)
+        .text(300, 100, 'Page 2 – “quoted”', { align: 'center' })
+        .toBuffer();
+
+    const source = pdf.toString('latin1');
+    assert.ok(source.startsWith('%PDF-1.4\n'));
+    assert.ok(source.endsWith('%%EOF\n'));
+    assert.match(source, /\/Count 2/);
+    assert.match(source, /\/MediaBox \[0 0 595\.28 841\.89\]/);
+    assert.match(source, /\/Title \(Report \\\(draft\\\)\)/);
+
+    // startxref points at the xref table, and every entry at its object
+    const startxref = parseInt(source.slice(source.lastIndexOf('startxref') + 'startxref'.length));
+    assert.equal(source.slice(startxref, startxref + 4), 'xref');
+
+    const offsets = [...source.slice(startxref).matchAll(/^(\d{10}) 00000 n $/gm)].map(match => parseInt(match[1]));
+    assert.ok(offsets.length >= 8);
+    offsets.forEach((offset, index) => {
+        assert.ok(source.startsWith(`${index + 1} 0 obj\n`, offset), `object ${index + 1}`);
+    });
+
+    const [first, second] = contentStreams(pdf);
+    assert.match(first, /BT \/F2 18 Tf 0\.122 0\.161 0\.216 rg 40 781\.89 Td \(Score: 82 \\\(top 10%\\\) \\\\ done\) Tj ET/);
+    assert.match(first, /0\.310 0\.275 0\.898 rg 40 751\.89 100 10 re f/);
+    assert.match(second, / RG 1 w 40 801\.89 m 200 801\.89 l S/);
+    // WinAnsi en dash and curly quotes
+    assert.ok(second.includes('(Page 2 \x96 \x93quoted\x94) Tj'));
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreProfile, BUILT_IN_SCORING_MODELS, DEFAULT_SCORING_MODEL } = require('../services/benchmark');
+const { validateModel, modelTag } = require('../services/scoring');
+
+const model = (components) => ({ name: 'test', version: 1, components });
+const score = (component, value, benchmarks) => (
+    scoreProfile({ [component.metric]: value }, benchmarks, model([{ weight: 1, ...component }])).components[0]
+);
+
+test('built-in models are valid and exactly one is the default', () => {
+    BUILT_IN_SCORING_MODELS.forEach(validateModel);
+
+    assert.equal(BUILT_IN_SCORING_MODELS.filter(m => m.default).length, 1);
+    assert.ok(DEFAULT_SCORING_MODEL.default);
+    assert.equal(modelTag(DEFAULT_SCORING_MODEL), `standard@${DEFAULT_SCORING_MODEL.version}`);
+});
+
+test('ratio scores value / reference up to the cap', () => {
+    const benchmarks = { avg_followers: 1000 };
+
+    assert.equal(score({ metric: 'followers', method: 'ratio' }, 500, benchmarks).score, 50);
+    assert.equal(score({ metric: 'followers', method: 'ratio' }, 5000, benchmarks).score, 100);
+    assert.equal(score({ metric: 'followers', method: 'ratio', cap: 2 }, 1000, benchmarks).score, 50);
+    assert.equal(score({ metric: 'reel_percentage', method: 'ratio', target: 40 }, 20, {}).reference, 40);
+});
+
+test('curve scores the average at 50 and keeps rising above it', () => {
+    const benchmarks = { avg_followers: 1000 };
+
+    assert.equal(score({ metric: 'followers', method: 'curve' }, 1000, benchmarks).score, 50);
+    assert.equal(score({ metric: 'followers', method: 'curve' }, 3000, benchmarks).score, 75);
+    assert.equal(score({ metric: 'followers', method: 'curve', steepness: 2 }, 3000, benchmarks).score, 90);
+});
+
+test('percentile uses the quantiles and falls back to curve without them', () => {
+    const quantiles = { p: [0, 50, 100], engagement_rate: [1, 2, 4] };
+    const component = { metric: 'engagement_rate', method: 'percentile' };
+
+    assert.deepEqual(score(component, 3, { avg_engagement: 2, quantiles }), {
+        metric: 'engagement_rate', method: 'percentile', weight: 1, value: 3, reference: null, score: 75
+    });
+    assert.equal(score(component, 2, { avg_engagement: 2 }).score, 50);
+});
+
+test('components without a usable reference score a neutral 50', () => {
+    assert.equal(score({ metric: 'avg_views', method: 'ratio' }, 100, { avg_views: 0 }).score, 50);
+});
+
+test('scoreProfile normalizes weights and rounds the overall score', () => {
+    const result = scoreProfile(
+        { followers: 1000, engagement_rate: 1 },
+        { avg_followers: 1000, avg_engagement: 2 },
+        model([
+            { metric: 'followers', weight: 3, method: 'ratio' },
+            { metric: 'engagement_rate', weight: 1, method: 'ratio' }
+        ])
+    );
+
+    assert.deepEqual(result.components.map(c => c.weight), [0.75, 0.25]);
+    assert.equal(result.overall, 88);
+    assert.deepEqual(result.model, { name: 'test', version: 1 });
+});
+
+test('validateModel rejects malformed models with a 400', () => {
+    const component = { metric: 'followers', method: 'ratio', weight: 1 };
+    const invalid = [
+        { name: 'bad name', components: [component] },
+        { name: 'm', components: [] },
+        { name: 'm', components: [{ ...component, metric: 'likes_per_day' }] },
+        { name: 'm', components: [{ ...component, method: 'log' }] },
+        { name: 'm', components: [{ ...component, weight: 0 }] },
+        { name: 'm', components: [{ ...component, cap: -1 }] },
+        { name: 'm', components: [{ ...component, platforms: [] }] },
+        { name: 'm', components: [{ ...component, platforms: ['tiktok'] }] }
+    ];
+
+    validateModel({ name: 'm', components: [component] });
+    for (const definition of invalid) {
+        assert.throws(() => validateModel(definition), { status: 400, message: /^Invalid scoring model/ });
+    }
+});
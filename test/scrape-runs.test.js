@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Budgets are read when the module loads
+process.env.SCRAPE_BUDGET_DAILY_USD = '1';
+process.env.SCRAPE_BUDGET_MONTHLY_USD = '10';
+const { estimateRunCost, checkBudget } = require('../services/scrape-runs');
+
+/**
+ * Fake transaction client reporting the given spend so far
+ * @returns {Object} client with the queries it ran in `queries`
+ */
+const fakeClient = (spend) => {
+    const queries = [];
+    return {
+        queries,
+        async query(sql, params) {
+            queries.push({ sql, params });
+            return { rows: [{ day: String(spend.day), month: String(spend.month) }] };
+        }
+    };
+};
+
+test('estimateRunCost adds the per-run and per-profile charges for the platform', () => {
+    const provider = { cost: { instagram: { perRun: 0.01, perProfile: 0.0023 }, tiktok: { perProfile: 0.005 } } };
+
+    assert.equal(estimateRunCost(provider, 'instagram', 3), 0.0169);
+    assert.equal(estimateRunCost(provider, 'tiktok', 2), 0.01);
+    assert.equal(estimateRunCost(provider, 'youtube', 5), 0);
+    assert.equal(estimateRunCost({ name: 'fixture' }, 'instagram', 5), 0);
+});
+
+test('checkBudget takes the budget lock and allows runs that fit', async () => {
+    const client = fakeClient({ day: 0.5, month: 5 });
+
+    await checkBudget(client, 0.5);
+
+    assert.match(client.queries[0].sql, /pg_advisory_xact_lock/);
+    assert.equal(client.queries.length, 2);
+});
+
+test('checkBudget refuses runs over the daily or monthly budget', async () => {
+    await assert.rejects(checkBudget(fakeClient({ day: 0.9, month: 5 }), 0.2), {
+        status: 503,
+        code: 'SCRAPE_BUDGET_EXCEEDED',
+        message: /daily scrape budget of \$1\.00 \(\$0\.90 spent\)/
+    });
+    await assert.rejects(checkBudget(fakeClient({ day: 0, month: 9.95 }), 0.1), {
+        status: 503,
+        code: 'SCRAPE_BUDGET_EXCEEDED',
+        message: /monthly scrape budget of \$10\.00/
+    });
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { verifySignature, signPayload } = require('../middleware/signature');
+
+const SECRET_ENV = 'TEST_WEBHOOK_SECRET';
+const SECRET = 'whsec_test';
+const BODY = '{"event":"purchase","email":"test@example.com"}';
+
+/**
+ * Run verifySignature on a fake request with the given X-Magnet-Signature header
+ * @returns {Object} { status, body, next }
+ */
+const run = (header, rawBody = BODY) => {
+    const outcome = { next: false };
+    const req = { rawBody, get: (name) => (name.toLowerCase() === 'x-magnet-signature' ? header : undefined) };
+    const res = {
+        status(code) { outcome.status = code; return res; },
+        json(body) { outcome.body = body; return res; }
+    };
+    verifySignature(SECRET_ENV)(req, res, () => { outcome.next = true; });
+    return outcome;
+};
+
+const now = () => Math.floor(Date.now() / 1000);
+const header = (timestamp, body = BODY, secret = SECRET) => `t=${timestamp},v1=${signPayload(secret, timestamp, body)}`;
+
+test.beforeEach(() => {
+    process.env[SECRET_ENV] = SECRET;
+});
+
+test.after(() => {
+    delete process.env[SECRET_ENV];
+});
+
+test('signPayload signs "<timestamp>.<body>" with HMAC-SHA256', () => {
+    assert.equal(
+        signPayload('secret', 1700000000, '{}'),
+        require('crypto').createHmac('sha256', 'secret').update('1700000000.{}').digest('hex')
+    );
+});
+
+test('verifySignature accepts a valid signature', () => {
+    assert.equal(run(header(now())).next, true);
+});
+
+test('verifySignature accepts any matching v1 signature (secret rotation)', () => {
+    const timestamp = now();
+    const rotated = `t=${timestamp},v1=${signPayload('old_secret', timestamp, BODY)},v1=${signPayload(SECRET, timestamp, BODY)}`;
+    assert.equal(run(rotated).next, true);
+});
+
+test('verifySignature rejects a signature for another body or secret', () => {
+    const tampered = run(header(now()), BODY.replace('purchase', 'refund'));
+    assert.equal(tampered.status, 401);
+    assert.equal(tampered.body.error, 'Invalid signature');
+
+    assert.equal(run(header(now(), BODY, 'wrong_secret')).status, 401);
+    assert.equal(run(`t=${now()},v1=abc`).status, 401);
+});
+
+test('verifySignature rejects timestamps outside the tolerance window', () => {
+    const outcome = run(header(now() - 3600));
+    assert.equal(outcome.status, 401);
+    assert.equal(outcome.body.error, 'Signature timestamp outside the allowed window');
+});
+
+test('verifySignature rejects missing or malformed headers', () => {
+    for (const value of [undefined, '', 'v1=abc', `t=${now()}`, 'garbage']) {
+        const outcome = run(value);
+        assert.equal(outcome.status, 401, String(value));
+        assert.equal(outcome.body.error, 'Missing or malformed X-Magnet-Signature header');
+    }
+});
+
+test('verifySignature answers 503 when the secret is not configured', () => {
+    delete process.env[SECRET_ENV];
+    const outcome = run(header(now()));
+    assert.equal(outcome.status, 503);
+    assert.equal(outcome.next, false);
+});
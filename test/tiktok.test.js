@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { groupVideosByAuthor, transformTikTokProfile } = require('../services/tiktok');
+
+const author = { name: 'FitCoach', nickName: 'Fit Coach', fans: 1000, following: 50, heart: 90000, video: 40, signature: 'Daily workouts' };
+
+const video = (id, day, overrides = {}) => ({
+    id,
+    authorMeta: author,
+    createTime: Date.UTC(2026, 0, day) / 1000,
+    diggCount: 100,
+    commentCount: 10,
+    playCount: 2000,
+    ...overrides
+});
+
+test('groupVideosByAuthor groups videos per author case-insensitively and skips anonymous items', () => {
+    const items = [
+        video(1, 1),
+        { id: 2, authorMeta: { name: 'other' } },
+        video(3, 2, { authorMeta: { ...author, name: 'fitcoach' } }),
+        { id: 4 }
+    ];
+
+    const grouped = groupVideosByAuthor(items);
+
+    assert.equal(grouped.length, 2);
+    assert.equal(grouped[0].authorMeta.name, 'FitCoach');
+    assert.deepEqual(grouped[0].videos.map(v => v.id), [1, 3]);
+    assert.deepEqual(groupVideosByAuthor(null), []);
+});
+
+test('transformTikTokProfile maps authorMeta and averages recent videos like Instagram', () => {
+    const profile = transformTikTokProfile({
+        authorMeta: author,
+        videos: [
+            video(1, 1),
+            video(2, 8, { diggCount: 200, commentCount: 30, playCount: 4000 }),
+            video(3, 15, { isSlideshow: true, diggCount: 0, commentCount: 5, playCount: 0 })
+        ]
+    });
+
+    assert.equal(profile.platform, 'tiktok');
+    assert.equal(profile.username, 'fitcoach');
+    assert.equal(profile.full_name, 'Fit Coach');
+    assert.equal(profile.followers, 1000);
+    assert.equal(profile.posts, 40);
+    assert.equal(profile.total_likes, 90000);
+    assert.equal(profile.business_category, null);
+
+    assert.equal(profile.avg_likes, 100);
+    assert.equal(profile.avg_comments, 15);
+    assert.equal(profile.avg_views, 2000);
+    assert.equal(profile.engagement_rate, 11.5);
+    // 3 videos over 14 days
+    assert.equal(profile.post_frequency, 1.5);
+    // The slideshow isn't a video
+    assert.equal(profile.reel_percentage, 66);
+});
+
+test('transformTikTokProfile builds posts from videos', () => {
+    const profile = transformTikTokProfile({
+        authorMeta: author,
+        videos: [
+            video(1, 1, { text: 'Leg day', hashtags: [{ name: 'fitness' }, {}], webVideoUrl: 'https://example.com/v/1' }),
+            video(2, 2, { isSlideshow: true, diggCount: -1 }),
+            { authorMeta: author }
+        ]
+    });
+
+    assert.equal(profile.latest_posts.length, 2);
+    assert.deepEqual(profile.latest_posts[0], {
+        shortcode: '1',
+        type: 'Video',
+        url: 'https://example.com/v/1',
+        posted_at: new Date(Date.UTC(2026, 0, 1)),
+        likes: 100,
+        comments: 10,
+        views: 2000,
+        caption: 'Leg day',
+        hashtags: ['fitness']
+    });
+    assert.equal(profile.latest_posts[1].type, 'Slideshow');
+    assert.equal(profile.latest_posts[1].url, 'https://www.tiktok.com/@FitCoach/video/2');
+    assert.equal(profile.latest_posts[1].likes, 0);
+});
+
+test('transformTikTokProfile returns zero metrics without videos or followers', () => {
+    const profile = transformTikTokProfile({ authorMeta: { ...author, fans: 0 }, videos: [video(1, 1)] });
+
+    assert.equal(profile.engagement_rate, 0);
+    assert.equal(profile.avg_views, 0);
+    assert.equal(profile.reel_percentage, 0);
+    assert.equal(transformTikTokProfile({ authorMeta: author, videos: [] }).posts, 40);
+});
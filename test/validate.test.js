@@ -0,0 +1,232 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validate, validateSchema, normalizeUsername } = require('../middleware/validate');
+
+const check = (schema, value) => {
+    const errors = [];
+    const result = validateSchema(schema, value, 'query', errors);
+    return { result, errors };
+};
+
+/**
+ * Run the validate middleware on a fake request
+ * @returns {Object} { status, body, next, req }
+ */
+const run = (operation, req) => {
+    const outcome = { next: false, req: { params: {}, query: {}, body: {}, ...req } };
+    const res = {
+        status(code) { outcome.status = code; return res; },
+        json(body) { outcome.body = body; return res; }
+    };
+    validate(operation)(outcome.req, res, () => { outcome.next = true; });
+    return outcome;
+};
+
+test('normalizeUsername accepts @names and profile URLs', () => {
+    assert.equal(normalizeUsername('@Example.User'), 'example.user');
+    assert.equal(normalizeUsername('https://www.instagram.com/Example_User/?hl=en'), 'example_user');
+    assert.equal(normalizeUsername('instagram.com/stories/example/123'), 'example');
+    assert.equal(normalizeUsername('https://www.tiktok.com/@example/video/123'), 'example');
+});
+
+test('normalizeUsername rejects what is not a username', () => {
+    assert.equal(normalizeUsername('instagram.com/p/Cabc123'), null);
+    assert.equal(normalizeUsername('tiktok.com/example'), null);
+    assert.equal(normalizeUsername('.example'), null);
+    assert.equal(normalizeUsername('two..dots'), null);
+    assert.equal(normalizeUsername('a'.repeat(31)), null);
+    assert.equal(normalizeUsername('has space'), null);
+});
+
+test('query strings are coerced to the declared types', () => {
+    const schema = {
+        type: 'object',
+        properties: {
+            limit: { type: 'integer' },
+            radiusKm: { type: 'number' },
+            converted: { type: 'boolean' },
+            groupBy: { type: 'array', items: { type: 'string' } }
+        }
+    };
+
+    const { result, errors } = check(schema, { limit: '25', radiusKm: '12.5', converted: 'false', groupBy: 'source, campaign,' });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(result, { limit: 25, radiusKm: 12.5, converted: false, groupBy: ['source', 'campaign'] });
+});
+
+test('values that cannot be coerced fail with a type error', () => {
+    const { errors } = check({ type: 'object', properties: { limit: { type: 'integer' }, live: { type: 'boolean' } } }, { limit: '2.5', live: 'yes' });
+
+    assert.deepEqual(errors.map(error => [error.field, error.rule]), [['query.limit', 'type'], ['query.live', 'type']]);
+    assert.equal(errors[0].message, 'query.limit must be an integer');
+});
+
+test('defaults are applied and empty values count as missing', () => {
+    const schema = {
+        type: 'object',
+        required: ['industry'],
+        properties: {
+            industry: { type: 'string' },
+            sort: { type: 'string', default: 'overall' },
+            city: { type: 'string' }
+        }
+    };
+
+    const { result, errors } = check(schema, { industry: '', city: '' });
+
+    assert.deepEqual(errors.map(error => [error.field, error.rule]), [['query.industry', 'required']]);
+    assert.deepEqual(result, { industry: '', sort: 'overall' });
+});
+
+test('enum, bounds, length and pattern rules', () => {
+    const schema = {
+        type: 'object',
+        properties: {
+            theme: { type: 'string', enum: ['light', 'dark'] },
+            limit: { type: 'integer', minimum: 1, maximum: 100 },
+            radiusKm: { type: 'number', minimum: 0, exclusiveMinimum: true },
+            name: { type: 'string', minLength: 1, maxLength: 5 },
+            id: { type: 'string', pattern: '^[a-z]+$', 'x-message': 'must be a report id' }
+        }
+    };
+
+    const { errors } = check(schema, { theme: 'blue', limit: '500', radiusKm: '0', name: '   ', id: 'ABC' });
+
+    assert.deepEqual(errors.map(error => error.message), [
+        'query.theme must be one of: light, dark',
+        'query.limit must be at most 100',
+        'query.radiusKm must be greater than 0',
+        'query.name must not be empty',
+        'query.id must be a report id'
+    ]);
+});
+
+test('formats normalize valid values', () => {
+    const schema = {
+        type: 'object',
+        properties: {
+            username: { type: 'string', format: 'username' },
+            industry: { type: 'string', format: 'industry' },
+            email: { type: 'string', format: 'email' },
+            from: { type: 'string', format: 'date-time' },
+            id: { type: 'string', format: 'uuid' }
+        }
+    };
+
+    const { result, errors } = check(schema, {
+        username: '@Example',
+        industry: 'Fitness',
+        email: ' test@example.com ',
+        from: '2025-02-01',
+        id: '0F8FAD5B-D9CB-469F-A165-70867728950E'
+    });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(result, {
+        username: 'example',
+        industry: 'fitness',
+        email: 'test@example.com',
+        from: '2025-02-01',
+        id: '0f8fad5b-d9cb-469f-a165-70867728950e'
+    });
+});
+
+test('formats reject invalid values', () => {
+    const schema = {
+        type: 'object',
+        properties: {
+            username: { type: 'string', format: 'username' },
+            industry: { type: 'string', format: 'industry' },
+            email: { type: 'string', format: 'email' },
+            from: { type: 'string', format: 'date-time' },
+            id: { type: 'string', format: 'uuid' }
+        }
+    };
+
+    const { errors } = check(schema, { username: 'instagram.com/p/abc', industry: 'not-an-industry', email: 'nope', from: 'yesterday', id: '1234' });
+
+    assert.deepEqual(errors.map(error => [error.field, error.rule]), [
+        ['query.username', 'format'],
+        ['query.industry', 'format'],
+        ['query.email', 'format'],
+        ['query.from', 'format'],
+        ['query.id', 'format']
+    ]);
+    assert.equal(errors[4].message, 'query.id must be a UUID');
+});
+
+test('array items, additionalProperties and anyOf', () => {
+    const schema = {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            competitors: { type: 'array', maxItems: 2, items: { type: 'string', format: 'username' } },
+            target: { anyOf: [{ type: 'integer' }, { type: 'string', enum: ['all'] }], 'x-message': 'must be a number or "all"' }
+        }
+    };
+
+    const valid = check(schema, { competitors: ['@One', 'two'], target: 'all' });
+    assert.deepEqual(valid.errors, []);
+    assert.deepEqual(valid.result.competitors, ['one', 'two']);
+
+    const { errors } = check(schema, { competitors: ['ok', '..bad'], target: 'some', extra: 1 });
+    assert.deepEqual(errors.map(error => [error.field, error.rule]), [
+        ['query.competitors[1]', 'format'],
+        ['query.target', 'anyOf'],
+        ['query.extra', 'additionalProperties']
+    ]);
+});
+
+test('validate passes normalized values on to the handler', () => {
+    const operation = {
+        method: 'get',
+        path: '/api/things/:username',
+        params: { type: 'object', required: ['username'], properties: { username: { type: 'string', format: 'username' } } },
+        query: { type: 'object', properties: { limit: { type: 'integer', default: 25 } } }
+    };
+
+    const outcome = run(operation, { params: { username: '@Example' }, query: {} });
+
+    assert.equal(outcome.next, true);
+    assert.equal(outcome.req.params.username, 'example');
+    assert.deepEqual(outcome.req.query, { limit: 25 });
+});
+
+test('validate answers invalid requests with a 400 listing every problem', () => {
+    const operation = {
+        method: 'post',
+        path: '/api/things',
+        body: {
+            type: 'object',
+            required: ['username', 'email'],
+            properties: { username: { type: 'string', format: 'username' }, email: { type: 'string', format: 'email' } }
+        }
+    };
+
+    const outcome = run(operation, { body: {} });
+
+    assert.equal(outcome.next, false);
+    assert.equal(outcome.status, 400);
+    assert.equal(outcome.body.code, 'VALIDATION_ERROR');
+    assert.equal(outcome.body.error, 'Invalid request: body.username is required (and 1 more)');
+    assert.deepEqual(outcome.body.errors.map(error => error.field), ['body.username', 'body.email']);
+});
+
+test('validate refuses schemas with formats it cannot check', () => {
+    assert.throws(() => validate({
+        method: 'get',
+        path: '/api/things/:id',
+        params: { type: 'object', properties: { id: { type: 'string', format: 'ulid' } } },
+        body: { type: 'object', properties: { tags: { type: 'array', items: { type: 'string', format: 'hostname' } } } }
+    }), /GET \/api\/things\/:id: unknown format for params\.id \(ulid\), body\.tags\[\] \(hostname\)/);
+});
+
+test('every route schema only uses known formats', () => {
+    const operations = Object.values(require('../schemas')).flatMap(schemas => Object.values(schemas));
+
+    assert.ok(operations.length > 0);
+    for (const operation of operations) {
+        assert.doesNotThrow(() => validate(operation), `${operation.method} ${operation.path}`);
+    }
+});